@@ -25,12 +25,18 @@ import ProductDetail from './components/Product/ProductDetail';
 import Dashboard from './components/Admin/Dashboard';
 import OrdersManagement from './components/Admin/OrdersManagement';
 import ProductsManagement from './components/Admin/ProductsManagement';
+import PurchasingManagement from './components/Admin/PurchasingManagement';
+import ReturnsManagement from './components/Admin/ReturnsManagement';
+import StatementImport from './components/Admin/StatementImport';
+import GiftCards from './components/Admin/GiftCards';
 import UsersManagement from './components/Admin/UsersManagement';
 import Analytics from './components/Admin/Analytics';
 import Settings from './components/Admin/Settings';
 import ContactsManagement from './components/Admin/ContactsManagement';
 import Marketing from './components/Admin/Marketing';
 import CouponManagement from './components/Admin/CouponManagement';
+import PromotionManagement from './components/Admin/PromotionManagement';
+import SubscriptionPlans from './components/Admin/SubscriptionPlans';
 import BlogManagement from './components/Admin/BlogManagement';
 import AdsManagement from './components/Admin/AdsManagement';
 import AdminLogin from './components/Admin/AdminLogin';
@@ -293,10 +299,16 @@ function App() {
                   <Route path="/orders" element={<OrdersManagement />} />
                   <Route path="/orders-view" element={<AdminOrders />} />
                   <Route path="/products" element={<ProductsManagement />} />
+                  <Route path="/returns" element={<ReturnsManagement />} />
+                  <Route path="/payments" element={<StatementImport />} />
+                  <Route path="/purchasing" element={<PurchasingManagement />} />
                   <Route path="/users" element={<UsersManagement />} />
                   <Route path="/contacts" element={<ContactsManagement />} />
                   <Route path="/marketing" element={<Marketing />} />
                   <Route path="/coupons" element={<CouponManagement />} />
+                  <Route path="/promotions" element={<PromotionManagement />} />
+                  <Route path="/subscription-plans" element={<SubscriptionPlans />} />
+                  <Route path="/gift-cards" element={<GiftCards />} />
                   <Route path="/blogs" element={<BlogManagement />} />
                   <Route path="/ads" element={<AdsManagement />} />
                   <Route path="/analytics" element={<Analytics />} />
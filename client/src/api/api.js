@@ -95,6 +95,11 @@ export const updateProfile = (payload) => API.put('/auth/profile', payload);
 export const changePassword = (payload) => API.put('/auth/change-password', payload);
 export const deleteAccount = (payload) => API.delete('/auth/profile', { data: payload });
 export const getMyOrders = (params) => API.get('/orders/my', { params });
+export const getOrderReturnOptions = (orderId) => API.get(`/orders/${orderId}/returns`);
+export const createReturnRequest = (orderId, formData) => API.post(`/orders/${orderId}/returns`, formData, {
+  headers: { 'Content-Type': 'multipart/form-data' }
+});
+export const getMyReturns = () => API.get('/orders/returns');
 export const getCart = () => API.get('/auth/cart');
 export const syncCart = (payload) => API.post('/auth/cart', payload);
 
@@ -114,8 +119,41 @@ export const createProduct = (payload) => API.post('/admin/products', payload);
 export const updateProduct = (id, payload) => API.put(`/admin/products/${id}`, payload);
 export const deleteProduct = (id) => API.delete(`/admin/products/${id}`);
 export const updateProductStock = (id, payload) => API.patch(`/admin/products/${id}/stock`, payload);
+
+// Purchasing
+export const getSuppliers = (params) => API.get('/admin/suppliers', { params });
+export const createSupplier = (payload) => API.post('/admin/suppliers', payload);
+export const updateSupplier = (id, payload) => API.put(`/admin/suppliers/${id}`, payload);
+export const deleteSupplier = (id) => API.delete(`/admin/suppliers/${id}`);
+export const getPurchaseOrders = (params) => API.get('/admin/purchase-orders', { params });
+export const createPurchaseOrder = (payload) => API.post('/admin/purchase-orders', payload);
+export const updatePurchaseOrder = (id, payload) => API.put(`/admin/purchase-orders/${id}`, payload);
+export const updatePurchaseOrderStatus = (id, status) => API.patch(`/admin/purchase-orders/${id}/status`, { status });
+export const receivePurchaseOrder = (id, payload) => API.post(`/admin/purchase-orders/${id}/receive`, payload);
+
+// Returns (RMA)
+export const getReturnRequests = (params) => API.get('/admin/returns', { params });
+export const approveReturnRequest = (id, payload) => API.patch(`/admin/returns/${id}/approve`, payload);
+export const rejectReturnRequest = (id, payload) => API.patch(`/admin/returns/${id}/reject`, payload);
+export const receiveReturnRequest = (id, payload) => API.post(`/admin/returns/${id}/receive`, payload);
+
+// M-Pesa statement import
+export const getMpesaStatements = (params) => API.get('/admin/payments/statements', { params });
+export const getMpesaStatement = (id) => API.get(`/admin/payments/statements/${id}`);
+export const uploadMpesaStatement = (formData) => API.post('/admin/payments/statements', formData, {
+  headers: { 'Content-Type': 'multipart/form-data' }
+});
+export const assignStatementLine = (id, lineId, order) => API.post(`/admin/payments/statements/${id}/lines/${lineId}/assign`, { order });
+export const ignoreStatementLine = (id, lineId, note) => API.patch(`/admin/payments/statements/${id}/lines/${lineId}/ignore`, { note });
 export const unlockUserAccount = (id) => API.put(`/auth/admin/unlock/${id}`);
 
+// Gift cards & store credit
+export const getGiftCards = (params) => API.get('/admin/gift-cards', { params });
+export const createGiftCard = (payload) => API.post('/admin/gift-cards', payload);
+export const updateGiftCardStatus = (id, status) => API.patch(`/admin/gift-cards/${id}/status`, { status });
+export const getUserStoreCredit = (id) => API.get(`/admin/users/${id}/store-credit`);
+export const adjustUserStoreCredit = (id, payload) => API.post(`/admin/users/${id}/store-credit`, payload);
+
 // ---- Profile ----
 export const getProfile = () => API.get('/auth/me');
 
@@ -124,11 +162,39 @@ export const createOrder = (payload) => API.post('/orders', payload);
 export const getOrderById = (orderId) => API.get(`/orders/${orderId}`);
 export const logAbandonedCheckout = (payload) => API.post('/orders/abandoned', payload);
 export const getAbandonedCheckouts = () => API.get('/orders/abandoned');
+// Automatic promotions the cart qualifies for (the same engine createOrder uses)
+export const priceCart = (cart) => API.post('/orders/price-cart', {
+  items: cart.map(item => ({ product: item.productId || item._id, size: item.size, quantity: item.quantity }))
+});
+
+// ---- Wallet (store credit & gift cards) ----
+export const getMyWallet = () => API.get('/wallet');
+export const checkGiftCard = (code) => API.post('/wallet/gift-cards/check', { code });
+
+// ---- Loyalty points ----
+export const getMyLoyalty = () => API.get('/loyalty');
+
+// ---- Referrals ----
+export const getMyReferrals = () => API.get('/referrals');
+
+// ---- Subscriptions ----
+export const getMySubscriptions = () => API.get('/subscriptions');
+export const getSubscriptionOptions = () => API.get('/subscriptions/options');
+export const pauseSubscription = (id, until) => API.put(`/subscriptions/${id}/pause`, { until });
+export const resumeSubscription = (id) => API.put(`/subscriptions/${id}/resume`);
+export const skipSubscriptionDelivery = (id) => API.post(`/subscriptions/${id}/skip`);
+export const changeSubscriptionFrequency = (id, frequency) => API.put(`/subscriptions/${id}/frequency`, { frequency });
+export const changeSubscriptionProducts = (id, products) => API.put(`/subscriptions/${id}/products`, { products });
+export const cancelSubscription = (id, reason) => API.put(`/subscriptions/${id}/cancel`, { reason });
+export const getSubscriptionPlans = () => API.get('/subscriptions/plans');
+export const subscribeToPlan = (planId, data) => API.post(`/subscriptions/plans/${planId}`, data);
+export const updateSubscriptionPreferences = (id, preferences) => API.put(`/subscriptions/${id}/preferences`, preferences);
 
 // ---- Payments ----
-export const processMpesaPayment = (payload) => API.post('/payments/mpesa', payload);
-export const processCardPayment = (payload) => API.post('/payments/card', payload);
-export const processCashOnDelivery = (payload) => API.post('/payments/cash-on-delivery', payload);
+// Guests pay with their order access token instead of a login
+const orderAccessHeaders = (accessToken) => accessToken ? { headers: { 'X-Order-Token': accessToken } } : undefined;
+export const initiatePayment = (payload, accessToken) => API.post('/payments/initiate', payload, orderAccessHeaders(accessToken));
+export const getPaymentStatus = (reference, accessToken) => API.get(`/payments/${encodeURIComponent(reference)}/status`, orderAccessHeaders(accessToken));
 
 // ---- Settings ----
 export const getPublicSettings = () => API.get('/settings/public');
@@ -145,9 +211,12 @@ export const getProductById = (id) => API.get(`/products/${id}`);
 // ---- Extended Reports ----
 export const getAbandonedCartsReport = () => API.get('/admin/reports/abandoned-carts');
 export const getPaymentsReport = () => API.get('/admin/reports/payments');
+export const getPaymentReconciliationReport = (params) => API.get('/admin/reports/payment-reconciliation', { params });
 export const getCustomersReport = () => API.get('/admin/reports/customers');
 export const getInventoryReport = () => API.get('/admin/reports/inventory');
 export const getCouponsReport = () => API.get('/admin/reports/coupons');
+export const getReferralsReport = () => API.get('/admin/reports/referrals');
+export const getSubscriptionsAtRiskReport = () => API.get('/admin/reports/subscriptions-at-risk');
 
 // ---- CSV Exports ----
 export const exportOrdersCSV = (params) => API.get('/admin/export/orders', { params, responseType: 'blob' });
@@ -3,22 +3,73 @@ import React, { useState, useContext, useEffect } from 'react';
 import { AppContext } from '../../context/AppContext';
 import {
   FaUser, FaShoppingBag, FaMapMarkerAlt, FaCreditCard,
-  FaSignOutAlt, FaLock, FaTimes, FaHome, FaShieldAlt, FaHistory, FaCheckCircle
+  FaSignOutAlt, FaLock, FaTimes, FaHome, FaShieldAlt, FaHistory, FaCheckCircle, FaAward, FaCopy, FaSyncAlt
 } from 'react-icons/fa';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
+import { getMyLoyalty, getMyReferrals } from '../../api/api';
 import './AccountDashboard.css';
 
 // Import Tab Components
 import OrdersTab from './OrdersTab';
 import AddressesTab from './AddressesTab';
 import WalletTab from './WalletTab';
+import SubscriptionsTab from './SubscriptionsTab';
 import ProfileTab from './ProfileTab';
 import SecurityTab from './SecurityTab';
 
+const POINTS_LABELS = {
+  earned: 'Order delivered',
+  review: 'Product review',
+  referral: 'Friend referred',
+  birthday: 'Birthday bonus',
+  redeemed: 'Spent at checkout',
+  restored: 'Returned from cancelled order',
+  reversed: 'Order refunded',
+  expired: 'Expired'
+};
+
+const REFERRAL_STATUS_LABELS = {
+  pending: 'Awaiting first order',
+  rewarded: 'Rewarded',
+  rejected: 'Not eligible'
+};
+
+const rewardText = (type, amount) => type === 'coupon'
+  ? `a KES ${Number(amount).toLocaleString()} coupon`
+  : `KES ${Number(amount).toLocaleString()} store credit`;
+
 // Internal Overview Tab
 const OverviewTab = ({ user, orders, onNavigate }) => {
   const unpaidOrders = orders.filter(o => o.paymentStatus !== 'paid').length;
+  const [loyalty, setLoyalty] = useState(null);
+  const [referrals, setReferrals] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    getMyLoyalty()
+      .then(({ data }) => setLoyalty(data.data))
+      .catch(err => console.error('Error fetching loyalty points:', err));
+    getMyReferrals()
+      .then(({ data }) => setReferrals(data.data))
+      .catch(err => console.error('Error fetching referrals:', err));
+  }, []);
+
+  const inviteLink = referrals ? `${window.location.origin}/?ref=${referrals.code}` : '';
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  const tierProgress = loyalty?.tier.next
+    ? Math.min(100, ((loyalty.lifetimePoints - loyalty.tier.minPoints) / (loyalty.tier.next.minPoints - loyalty.tier.minPoints)) * 100)
+    : 100;
 
   return (
     <div className="overview-tab">
@@ -100,6 +151,91 @@ const OverviewTab = ({ user, orders, onNavigate }) => {
             )}
             <span className="wallet-status">Primary Method</span>
           </div>
+
+          {loyalty?.enabled && (
+            <>
+              <h3 className="loyalty-heading">Rewards</h3>
+              <div className="loyalty-card">
+                <span className="loyalty-tier"><FaAward /> {loyalty.tier.name} Member</span>
+                <p className="loyalty-points">{loyalty.points.toLocaleString()} <span>points</span></p>
+                <span className="loyalty-worth">Worth KES {(loyalty.points * (loyalty.pointValue || 0)).toLocaleString()} at checkout</span>
+                <div className="loyalty-progress"><div style={{ width: `${tierProgress}%` }} /></div>
+                <small>
+                  {loyalty.tier.next
+                    ? `${loyalty.tier.next.pointsToGo.toLocaleString()} more points to ${loyalty.tier.next.name}`
+                    : 'Top tier reached'}
+                  {loyalty.tier.multiplier > 1 && ` · ${loyalty.tier.multiplier}× points on orders`}
+                </small>
+                {loyalty.nextExpiry && (
+                  <small className="loyalty-expiry">
+                    {loyalty.nextExpiry.points.toLocaleString()} points expire on {new Date(loyalty.nextExpiry.expiresAt).toLocaleDateString()}
+                  </small>
+                )}
+              </div>
+
+              {loyalty.history.length > 0 && (
+                <div className="loyalty-history">
+                  {loyalty.history.slice(0, 5).map(entry => (
+                    <div key={entry._id} className="loyalty-history-row">
+                      <span>
+                        {POINTS_LABELS[entry.type] || entry.type}
+                        <small>
+                          {new Date(entry.createdAt).toLocaleDateString()}
+                          {entry.order?.orderNumber && ` · #${entry.order.orderNumber}`}
+                          {entry.product?.name && ` · ${entry.product.name}`}
+                        </small>
+                      </span>
+                      <strong className={entry.points < 0 ? 'debit' : 'credit'}>
+                        {entry.points > 0 ? '+' : '−'}{Math.abs(entry.points).toLocaleString()}
+                      </strong>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {referrals?.enabled && (
+            <>
+              <h3 className="loyalty-heading">Refer a Friend</h3>
+              <div className="referral-card">
+                <p>
+                  Friends who sign up with your link get {rewardText(referrals.rewardType, referrals.refereeReward)}, and you
+                  get {rewardText(referrals.rewardType, referrals.referrerReward)}
+                  {referrals.referralPoints > 0 && ` plus ${referrals.referralPoints} points`} once
+                  their first order{referrals.minOrderAmount > 0 && ` of KES ${referrals.minOrderAmount.toLocaleString()} or more`} is paid.
+                </p>
+                <div className="referral-link">
+                  <input readOnly value={inviteLink} onFocus={(e) => e.target.select()} />
+                  <button type="button" onClick={handleCopyInvite}>
+                    {copied ? <FaCheckCircle /> : <FaCopy />} {copied ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+                <small>
+                  Code <strong>{referrals.code}</strong> · {referrals.stats.signedUp} signed up · {referrals.stats.rewarded} rewarded
+                  {referrals.stats.earned > 0 && ` · KES ${referrals.stats.earned.toLocaleString()} earned`}
+                </small>
+              </div>
+
+              {referrals.referrals.length > 0 && (
+                <div className="loyalty-history">
+                  {referrals.referrals.slice(0, 5).map(referral => (
+                    <div key={referral._id} className="loyalty-history-row">
+                      <span>
+                        {referral.friend}
+                        <small>
+                          Joined {new Date(referral.createdAt).toLocaleDateString()} · {REFERRAL_STATUS_LABELS[referral.status] || referral.status}
+                        </small>
+                      </span>
+                      <strong className={referral.status === 'rewarded' ? 'credit' : 'debit'}>
+                        {referral.status === 'rewarded' ? `+ KES ${referral.reward.toLocaleString()}` : '—'}
+                      </strong>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -181,6 +317,7 @@ function AccountDashboard() {
     { id: 'overview', label: 'Overview', icon: <FaHome /> },
     { id: 'orders', label: 'My Orders', icon: <FaShoppingBag /> },
     { id: 'addresses', label: 'Addresses', icon: <FaMapMarkerAlt /> },
+    { id: 'subscriptions', label: 'Subscriptions', icon: <FaSyncAlt /> },
     { id: 'wallet', label: 'Wallet', icon: <FaCreditCard /> },
     { id: 'profile', label: 'Profile', icon: <FaUser /> },
     { id: 'security', label: 'Security', icon: <FaLock /> },
@@ -319,6 +456,7 @@ function AccountDashboard() {
               {activeTab === 'overview' && 'Overview'}
               {activeTab === 'orders' && 'Orders'}
               {activeTab === 'addresses' && 'Addresses'}
+              {activeTab === 'subscriptions' && 'Subscriptions'}
               {activeTab === 'wallet' && 'Wallet'}
               {activeTab === 'profile' && 'Profile'}
               {activeTab === 'security' && 'Security'}
@@ -329,6 +467,7 @@ function AccountDashboard() {
             {activeTab === 'overview' && <OverviewTab user={user} orders={orders} onNavigate={setActiveTab} />}
             {activeTab === 'orders' && <OrdersTab orders={orders} loading={ordersLoading} />}
             {activeTab === 'addresses' && <AddressesTab />}
+            {activeTab === 'subscriptions' && <SubscriptionsTab />}
             {activeTab === 'wallet' && <WalletTab />}
             {activeTab === 'profile' && <ProfileTab />}
             {activeTab === 'security' && <SecurityTab />}
@@ -1,11 +1,14 @@
-import React, { useContext } from 'react';
-import { FaBox, FaShoppingBag, FaCheckCircle, FaClock, FaTruck, FaBoxOpen, FaEye, FaRedo } from 'react-icons/fa';
+import React, { useContext, useState } from 'react';
+import { FaBox, FaShoppingBag, FaCheckCircle, FaClock, FaTruck, FaBoxOpen, FaEye, FaRedo, FaUndo } from 'react-icons/fa';
 import { useNavigate } from 'react-router-dom';
+import { AnimatePresence } from 'framer-motion';
 import { AppContext } from '../../context/AppContext';
+import ReturnRequestModal from './ReturnRequestModal';
 
 const OrdersTab = ({ orders, loading }) => {
     const navigate = useNavigate();
     const { addToCart } = useContext(AppContext);
+    const [returnOrder, setReturnOrder] = useState(null);
 
     // Helper to determine active step based on fulfillment and order status
     const getStepStatus = (order, step) => {
@@ -15,13 +18,13 @@ const OrdersTab = ({ orders, loading }) => {
 
         // 1. Confirmed (Active until packed)
         if (step === 'confirmed') {
-            if (['packed', 'shipped', 'delivered'].includes(fulfillmentStatus)) return 'completed';
+            if (['packed', 'partially_shipped', 'shipped', 'delivered'].includes(fulfillmentStatus)) return 'completed';
             return 'active';
         }
 
         // 2. Processing (Active only when packed)
         if (step === 'processing') {
-            if (['shipped', 'delivered'].includes(fulfillmentStatus)) return 'completed';
+            if (['partially_shipped', 'shipped', 'delivered'].includes(fulfillmentStatus)) return 'completed';
             if (fulfillmentStatus === 'packed') return 'active';
             return 'pending';
         }
@@ -29,7 +32,7 @@ const OrdersTab = ({ orders, loading }) => {
         // 3. Shipped
         if (step === 'shipped') {
             if (fulfillmentStatus === 'delivered') return 'completed';
-            if (fulfillmentStatus === 'shipped') return 'active';
+            if (['partially_shipped', 'shipped'].includes(fulfillmentStatus)) return 'active';
             return 'pending';
         }
 
@@ -64,7 +67,11 @@ const OrdersTab = ({ orders, loading }) => {
                                             {order.status}
                                         </span>
                                         <span className={`status-badge payment ${order.paymentStatus === 'paid' ? 'paid' : 'pending'}`}>
-                                            {order.paymentStatus === 'paid' ? 'Paid' : 'Unpaid'}
+                                            {order.paymentStatus === 'paid'
+                                                ? 'Paid'
+                                                : order.paymentStatus === 'partially_paid'
+                                                    ? `Part Paid · KES ${order.balanceDue?.toLocaleString()} due`
+                                                    : 'Unpaid'}
                                         </span>
                                     </div>
                                 </div>
@@ -123,6 +130,11 @@ const OrdersTab = ({ orders, loading }) => {
                                 >
                                     <FaRedo /> Buy Again
                                 </button>
+                                {order.fulfillmentStatus === 'delivered' && (
+                                    <button className="btn-order-outline" onClick={() => setReturnOrder(order)}>
+                                        <FaUndo /> Return Items
+                                    </button>
+                                )}
                             </div>
                         </div>
                     ))}
@@ -139,6 +151,10 @@ const OrdersTab = ({ orders, loading }) => {
                     </button>
                 </div>
             )}
+
+            <AnimatePresence>
+                {returnOrder && <ReturnRequestModal order={returnOrder} onClose={() => setReturnOrder(null)} />}
+            </AnimatePresence>
         </div>
     );
 };
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { motion } from 'framer-motion';
+import { FaTimes, FaCamera } from 'react-icons/fa';
+import { AppContext } from '../../context/AppContext';
+import { getOrderReturnOptions, createReturnRequest } from '../../api/api';
+
+const REASON_LABELS = {
+    damaged: 'Arrived damaged',
+    wrong_item: 'Wrong item sent',
+    not_as_described: 'Not as described',
+    quality: 'Quality issue',
+    changed_mind: 'Changed my mind',
+    other: 'Other'
+};
+
+const RETURN_STATUS_LABELS = {
+    requested: 'Awaiting review',
+    approved: 'Approved — send it back',
+    rejected: 'Not approved',
+    received: 'Received'
+};
+
+const ReturnRequestModal = ({ order, onClose }) => {
+    const { showNotification } = useContext(AppContext);
+    const [options, setOptions] = useState(null);
+    const [quantities, setQuantities] = useState({});
+    const [reason, setReason] = useState('');
+    const [details, setDetails] = useState('');
+    const [photos, setPhotos] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+
+    const loadOptions = async () => {
+        try {
+            const { data } = await getOrderReturnOptions(order._id);
+            setOptions(data.data);
+        } catch (err) {
+            showNotification(err.response?.data?.message || 'Failed to load return options', 'error');
+            onClose();
+        }
+    };
+
+    useEffect(() => { loadOptions(); }, [order._id]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const items = Object.entries(quantities)
+            .filter(([, qty]) => parseInt(qty) > 0)
+            .map(([item, quantity]) => ({ item, quantity: parseInt(quantity) }));
+
+        if (items.length === 0) {
+            showNotification('Choose at least one item to return', 'error');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('items', JSON.stringify(items));
+        formData.append('reason', reason);
+        formData.append('details', details);
+        photos.forEach(photo => formData.append('photos', photo));
+
+        setSubmitting(true);
+        try {
+            const { data } = await createReturnRequest(order._id, formData);
+            showNotification(data.message, 'success');
+            setQuantities({});
+            setReason('');
+            setDetails('');
+            setPhotos([]);
+            loadOptions();
+        } catch (err) {
+            showNotification(err.response?.data?.message || 'Failed to request return', 'error');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <motion.div
+            className="wallet-edit-overlay"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+        >
+            <div className="edit-modal-card">
+                <div className="edit-header">
+                    <h3>Return Items</h3>
+                    <button onClick={onClose}><FaTimes /></button>
+                </div>
+
+                {!options ? (
+                    <div className="loading-spinner-container">
+                        <div className="loading-spinner"></div>
+                    </div>
+                ) : (
+                    <>
+                        {options.returns?.length > 0 && (
+                            <div className="return-history">
+                                {options.returns.map(r => (
+                                    <div key={r._id} className={`return-history-row ${r.status}`}>
+                                        <div>
+                                            <strong>{r.rmaNumber}</strong>
+                                            <span>{r.items.map(i => `${i.name} x${i.quantity}`).join(', ')}</span>
+                                            {r.status === 'approved' && (
+                                                <span>Write <strong>{r.returnCode}</strong> on the parcel</span>
+                                            )}
+                                            {r.status === 'rejected' && r.rejectionReason && <span>{r.rejectionReason}</span>}
+                                        </div>
+                                        <span className={`status-badge ${r.status}`}>{RETURN_STATUS_LABELS[r.status]}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {options.eligible ? (
+                            <form onSubmit={handleSubmit}>
+                                <div className="form-group-modern">
+                                    <label>Items</label>
+                                    {options.items.map(item => (
+                                        <div key={item.item} className="return-item-row">
+                                            <span>
+                                                {item.name} ({item.size})
+                                                <small>
+                                                    {item.returnableQuantity > 0
+                                                        ? `Up to ${item.returnableQuantity} · return by ${new Date(item.windowEndsAt).toLocaleDateString()}`
+                                                        : 'Not returnable'}
+                                                </small>
+                                            </span>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max={item.returnableQuantity}
+                                                disabled={item.returnableQuantity === 0}
+                                                value={quantities[item.item] || ''}
+                                                onChange={(e) => setQuantities(q => ({ ...q, [item.item]: e.target.value }))}
+                                                placeholder="0"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div className="form-group-modern">
+                                    <label>Reason</label>
+                                    <select value={reason} onChange={(e) => setReason(e.target.value)} required>
+                                        <option value="">Choose a reason</option>
+                                        {options.reasons.map(r => <option key={r} value={r}>{REASON_LABELS[r] || r}</option>)}
+                                    </select>
+                                </div>
+
+                                <div className="form-group-modern">
+                                    <label>Details</label>
+                                    <textarea
+                                        rows={3}
+                                        value={details}
+                                        onChange={(e) => setDetails(e.target.value)}
+                                        placeholder="Tell us what happened"
+                                        maxLength={1000}
+                                    />
+                                </div>
+
+                                <div className="form-group-modern">
+                                    <label><FaCamera /> Photos (up to 4)</label>
+                                    <input
+                                        type="file"
+                                        accept="image/*"
+                                        multiple
+                                        onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, 4))}
+                                    />
+                                    <small>Photos of any damage help us approve your return faster.</small>
+                                </div>
+
+                                <div className="edit-actions">
+                                    <button type="submit" className="btn-save" disabled={submitting}>
+                                        {submitting ? 'Sending...' : 'Request Return'}
+                                    </button>
+                                </div>
+                            </form>
+                        ) : (
+                            <p className="return-closed">{options.message}</p>
+                        )}
+                    </>
+                )}
+            </div>
+        </motion.div>
+    );
+};
+
+export default ReturnRequestModal;
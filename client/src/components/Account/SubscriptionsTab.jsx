@@ -0,0 +1,508 @@
+import React, { useState, useContext, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { AppContext } from '../../context/AppContext';
+import {
+    FaSyncAlt, FaPause, FaPlay, FaForward, FaTimes, FaPlus, FaTrash, FaExclamationTriangle, FaSlidersH, FaBoxOpen
+} from 'react-icons/fa';
+import {
+    getMySubscriptions, getSubscriptionOptions, pauseSubscription, resumeSubscription,
+    skipSubscriptionDelivery, changeSubscriptionFrequency, changeSubscriptionProducts, cancelSubscription,
+    getSubscriptionPlans, subscribeToPlan, updateSubscriptionPreferences
+} from '../../api/api';
+
+const FREQUENCY_LABELS = {
+    weekly: 'Every week',
+    'bi-weekly': 'Every 2 weeks',
+    monthly: 'Every month'
+};
+
+const PAYMENT_LABELS = {
+    mpesa: 'M-Pesa',
+    airtel: 'Airtel Money',
+    card: 'Card',
+    cod: 'Cash on delivery'
+};
+
+const kes = (amount) => `KES ${Number(amount || 0).toLocaleString()}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const toDateInput = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Editable lines for the coffee swap form
+const linesOf = (subscription) => subscription.products.map(line => ({
+    product: line.product?._id || line.product,
+    size: line.size,
+    quantity: line.quantity
+}));
+
+// Exclusions as the form edits them (flavours as one comma-separated field)
+const exclusionsOf = (subscription) => ({
+    excludedRoasts: subscription?.preferences?.excludedRoasts || [],
+    excludedFlavors: (subscription?.preferences?.excludedFlavors || []).join(', ')
+});
+
+const toPreferences = (exclusions) => ({
+    excludedRoasts: exclusions.excludedRoasts,
+    excludedFlavors: exclusions.excludedFlavors.split(',').map(flavor => flavor.trim()).filter(Boolean)
+});
+
+// Roasts and flavours left out of curated boxes and substitute coffees
+const ExclusionFields = ({ roastLevels, value, onChange }) => {
+    const toggleRoast = (roast) => onChange({
+        ...value,
+        excludedRoasts: value.excludedRoasts.includes(roast)
+            ? value.excludedRoasts.filter(r => r !== roast)
+            : [...value.excludedRoasts, roast]
+    });
+
+    return (
+        <>
+            <div className="form-group-modern">
+                <label>Roasts to leave out</label>
+                <div className="sub-chips">
+                    {roastLevels.map(roast => (
+                        <button
+                            key={roast}
+                            type="button"
+                            className={`sub-chip ${value.excludedRoasts.includes(roast) ? 'selected' : ''}`}
+                            onClick={() => toggleRoast(roast)}
+                        >
+                            {roast}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="form-group-modern">
+                <label>Flavours you'd rather not get</label>
+                <input
+                    type="text"
+                    value={value.excludedFlavors}
+                    placeholder="e.g. smoky, fruity"
+                    onChange={(e) => onChange({ ...value, excludedFlavors: e.target.value })}
+                />
+                <small>Separate flavours with commas.</small>
+            </div>
+        </>
+    );
+};
+
+const SubscriptionCard = ({ subscription, options, onChange }) => {
+    const { showNotification } = useContext(AppContext);
+    const [busy, setBusy] = useState(false);
+    const [panel, setPanel] = useState(null); // 'pause' | 'products' | 'preferences' | 'cancel'
+    const [pauseUntil, setPauseUntil] = useState('');
+    const [lines, setLines] = useState(() => linesOf(subscription));
+    const [reason, setReason] = useState('');
+    const [exclusions, setExclusions] = useState(() => exclusionsOf(subscription));
+
+    const plan = subscription.plan;
+    const exclusionList = [
+        ...(subscription.preferences?.excludedRoasts || []).map(roast => `${roast} roast`),
+        ...(subscription.preferences?.excludedFlavors || [])
+    ];
+
+    const isOpen = subscription.status !== 'cancelled';
+    const lastOrder = subscription.lastRenewalOrder;
+    const awaitingPayment = lastOrder && ['pending', 'failed'].includes(lastOrder.paymentStatus) && lastOrder.orderStatus !== 'cancelled';
+
+    const run = async (action, success) => {
+        setBusy(true);
+        try {
+            const { data } = await action();
+            onChange(data.data);
+            showNotification(data.message || success, 'success');
+            setPanel(null);
+        } catch (error) {
+            showNotification(error.response?.data?.message || 'Could not update your subscription', 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const openPanel = (name) => {
+        if (name === 'products') setLines(linesOf(subscription));
+        if (name === 'preferences') setExclusions(exclusionsOf(subscription));
+        setPanel(panel === name ? null : name);
+    };
+
+    const updateLine = (index, changes) => {
+        setLines(prev => prev.map((line, i) => i === index ? { ...line, ...changes } : line));
+    };
+
+    const productOption = (id) => options?.products.find(product => product._id === id);
+
+    const addLine = () => {
+        const first = options?.products[0];
+        if (!first) return;
+        setLines(prev => [...prev, { product: first._id, size: first.sizes[0]?.size, quantity: 1 }]);
+    };
+
+    return (
+        <div className={`sub-card ${subscription.status}`}>
+            <div className="sub-card-head">
+                <div>
+                    <span className={`sub-status ${subscription.status}`}>{subscription.status}</span>
+                    <h3>{plan?.name || FREQUENCY_LABELS[subscription.frequency] || subscription.frequency}</h3>
+                    <small>
+                        {subscription.status === 'active' && `Next delivery ${formatDate(subscription.nextBillingDate)}`}
+                        {subscription.status === 'paused' && (subscription.pausedUntil
+                            ? `Paused until ${formatDate(subscription.pausedUntil)}`
+                            : 'Paused until you resume')}
+                        {subscription.status === 'cancelled' && subscription.cancelledAt && `Cancelled ${formatDate(subscription.cancelledAt)}`}
+                        {subscription.status === 'suspended' && 'On hold — resume whenever you\'re ready'}
+                    </small>
+                </div>
+                <div className="sub-estimate">
+                    <strong>{kes(subscription.estimate.subtotal - subscription.estimate.discount)}</strong>
+                    <small>per delivery, before delivery fee</small>
+                </div>
+            </div>
+
+            {subscription.dunning?.stage === 'renewal' && isOpen && (
+                <div className="sub-notice">
+                    <FaExclamationTriangle /> We couldn't prepare your last delivery: {subscription.dunning.lastError}.
+                    We'll try again on {formatDate(subscription.dunning.nextAttemptAt)}, or {plan ? 'update your preferences' : 'change your coffees'} to try sooner.
+                </div>
+            )}
+            {subscription.status === 'suspended' && subscription.suspensionReason && (
+                <div className="sub-notice">
+                    <FaExclamationTriangle /> {subscription.suspensionReason}
+                </div>
+            )}
+            {awaitingPayment && (
+                <div className="sub-notice">
+                    <FaExclamationTriangle /> Order #{lastOrder.orderNumber} is waiting for payment.{' '}
+                    <Link to={`/order-confirmation/${lastOrder._id}`}>Pay now</Link>
+                </div>
+            )}
+
+            {plan ? (
+                <div className="wallet-history">
+                    <div className="wallet-history-row">
+                        <div>
+                            <strong>{plan.bagCount} × {plan.size} of this month's coffees</strong>
+                            <small>{exclusionList.length ? `Leaving out ${exclusionList.join(', ')}` : 'Any roast, any flavour'}</small>
+                        </div>
+                        <div className="wallet-history-amount">
+                            <strong>{kes(subscription.planPrice)}</strong>
+                            <small>per box</small>
+                        </div>
+                    </div>
+                </div>
+            ) : (
+                <div className="wallet-history">
+                    {subscription.products.map((line, index) => (
+                        <div key={index} className="wallet-history-row">
+                            <div>
+                                <strong>{line.product?.name || 'Coffee no longer available'}</strong>
+                                <small>{line.size} × {line.quantity}</small>
+                            </div>
+                            <div className="wallet-history-amount">
+                                <strong>{kes(line.price * line.quantity)}</strong>
+                                {line.product?.subscriptionDiscount > 0 && (
+                                    <small>{line.product.subscriptionDiscount}% subscriber discount</small>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {isOpen && (
+                <div className="sub-actions">
+                    {subscription.status === 'active' ? (
+                        <>
+                            <button className="tile-btn" disabled={busy} onClick={() => run(() => skipSubscriptionDelivery(subscription._id), 'Next delivery skipped')}>
+                                <FaForward /> Skip next
+                            </button>
+                            <button className="tile-btn" disabled={busy} onClick={() => openPanel('pause')}>
+                                <FaPause /> Pause
+                            </button>
+                        </>
+                    ) : (
+                        <button className="tile-btn" disabled={busy} onClick={() => run(() => resumeSubscription(subscription._id), 'Subscription resumed')}>
+                            <FaPlay /> Resume
+                        </button>
+                    )}
+                    <select
+                        className="sub-frequency"
+                        value={subscription.frequency}
+                        disabled={busy}
+                        onChange={(e) => run(() => changeSubscriptionFrequency(subscription._id, e.target.value), 'Delivery frequency updated')}
+                    >
+                        {(plan?.frequencies || options?.frequencies || Object.keys(FREQUENCY_LABELS)).map(frequency => (
+                            <option key={frequency} value={frequency}>{FREQUENCY_LABELS[frequency] || frequency}</option>
+                        ))}
+                    </select>
+                    {plan ? (
+                        <button className="tile-btn" disabled={busy || !options} onClick={() => openPanel('preferences')}>
+                            <FaSlidersH /> Preferences
+                        </button>
+                    ) : (
+                        <button className="tile-btn" disabled={busy || !options} onClick={() => openPanel('products')}>
+                            <FaSyncAlt /> Change coffees
+                        </button>
+                    )}
+                    <button className="tile-btn" disabled={busy} onClick={() => openPanel('cancel')}>
+                        <FaTimes /> Cancel
+                    </button>
+                </div>
+            )}
+
+            {panel === 'pause' && (
+                <div className="sub-panel">
+                    <div className="form-group-modern">
+                        <label>Pause until (optional)</label>
+                        <input
+                            type="date"
+                            value={pauseUntil}
+                            min={toDateInput(Date.now() + 24 * 60 * 60 * 1000)}
+                            onChange={(e) => setPauseUntil(e.target.value)}
+                        />
+                        <small>Leave empty to pause until you resume.</small>
+                    </div>
+                    <div className="prompt-actions">
+                        <button className="prompt-btn-cancel" onClick={() => setPanel(null)}>Back</button>
+                        <button className="prompt-btn-verify" disabled={busy} onClick={() => run(() => pauseSubscription(subscription._id, pauseUntil || undefined), 'Subscription paused')}>
+                            Pause Deliveries
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {panel === 'products' && options && (
+                <div className="sub-panel">
+                    {lines.map((line, index) => {
+                        const product = productOption(line.product);
+                        return (
+                            <div key={index} className="sub-line">
+                                <select
+                                    value={line.product}
+                                    onChange={(e) => updateLine(index, { product: e.target.value, size: productOption(e.target.value)?.sizes[0]?.size })}
+                                >
+                                    {!product && <option value={line.product}>Unavailable coffee</option>}
+                                    {options.products.map(option => (
+                                        <option key={option._id} value={option._id}>{option.name}</option>
+                                    ))}
+                                </select>
+                                <select value={line.size} onChange={(e) => updateLine(index, { size: e.target.value })}>
+                                    {(product?.sizes || [{ size: line.size }]).map(variant => (
+                                        <option key={variant.size} value={variant.size}>
+                                            {variant.size}{variant.price ? ` — ${kes(variant.price)}` : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="10"
+                                    value={line.quantity}
+                                    onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                                />
+                                <button
+                                    className="sub-line-remove"
+                                    disabled={lines.length === 1}
+                                    onClick={() => setLines(prev => prev.filter((_, i) => i !== index))}
+                                    aria-label="Remove coffee"
+                                >
+                                    <FaTrash />
+                                </button>
+                            </div>
+                        );
+                    })}
+                    <button className="tile-btn" onClick={addLine} disabled={lines.length >= 10}>
+                        <FaPlus /> Add a coffee
+                    </button>
+                    <small className="sub-hint">Coffees you keep stay at the price you subscribed at; new ones are at today's price.</small>
+                    <div className="prompt-actions">
+                        <button className="prompt-btn-cancel" onClick={() => setPanel(null)}>Back</button>
+                        <button className="prompt-btn-verify" disabled={busy} onClick={() => run(() => changeSubscriptionProducts(subscription._id, lines), 'Subscription coffees updated')}>
+                            Save Coffees
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {panel === 'preferences' && options && (
+                <div className="sub-panel">
+                    <ExclusionFields roastLevels={options.roastLevels} value={exclusions} onChange={setExclusions} />
+                    <small className="sub-hint">We'll pick coffees that suit you, and use these if one of yours ever needs swapping.</small>
+                    <div className="prompt-actions">
+                        <button className="prompt-btn-cancel" onClick={() => setPanel(null)}>Back</button>
+                        <button className="prompt-btn-verify" disabled={busy} onClick={() => run(() => updateSubscriptionPreferences(subscription._id, toPreferences(exclusions)), 'Preferences saved')}>
+                            Save Preferences
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {panel === 'cancel' && (
+                <div className="sub-panel">
+                    <div className="form-group-modern">
+                        <label>Why are you cancelling? (optional)</label>
+                        <textarea rows="2" value={reason} onChange={(e) => setReason(e.target.value)} maxLength={500} />
+                        <small>Orders already placed will still be delivered.</small>
+                    </div>
+                    <div className="prompt-actions">
+                        <button className="prompt-btn-cancel" onClick={() => setPanel(null)}>Keep Subscription</button>
+                        <button className="prompt-btn-verify" disabled={busy} onClick={() => run(() => cancelSubscription(subscription._id, reason), 'Subscription cancelled')}>
+                            Cancel Subscription
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PlanCard = ({ plan, subscribed, options, onSubscribed }) => {
+    const { showNotification } = useContext(AppContext);
+    const [open, setOpen] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [frequency, setFrequency] = useState(plan.frequencies[0]);
+    const [paymentMethod, setPaymentMethod] = useState('mpesa');
+    const [exclusions, setExclusions] = useState(() => exclusionsOf(null));
+
+    const handleSubscribe = async () => {
+        setBusy(true);
+        try {
+            const { data } = await subscribeToPlan(plan._id, { frequency, paymentMethod, preferences: toPreferences(exclusions) });
+            onSubscribed(data.data);
+            showNotification(data.message, 'success');
+            setOpen(false);
+        } catch (error) {
+            showNotification(error.response?.data?.message || 'Could not subscribe to this plan', 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="sub-card sub-plan">
+            <div className="sub-card-head">
+                <div>
+                    <h3><FaBoxOpen /> {plan.name}</h3>
+                    <small>{plan.bagCount} × {plan.size} bags, chosen by our roasters</small>
+                </div>
+                <div className="sub-estimate">
+                    <strong>{kes(plan.price)}</strong>
+                    <small>per box, before delivery fee</small>
+                </div>
+            </div>
+            {plan.description && <p className="sub-plan-description">{plan.description}</p>}
+            {plan.monthNote && <p className="sub-plan-note">This month: {plan.monthNote}</p>}
+
+            {subscribed ? (
+                <span className="sub-status">Subscribed</span>
+            ) : !open ? (
+                <button className="tile-btn" onClick={() => setOpen(true)}>
+                    <FaPlus /> Subscribe
+                </button>
+            ) : (
+                <div className="sub-panel">
+                    <div className="sub-line">
+                        <select value={frequency} onChange={(e) => setFrequency(e.target.value)}>
+                            {plan.frequencies.map(f => (
+                                <option key={f} value={f}>{FREQUENCY_LABELS[f] || f}</option>
+                            ))}
+                        </select>
+                        <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+                            {Object.entries(PAYMENT_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {options && <ExclusionFields roastLevels={options.roastLevels} value={exclusions} onChange={setExclusions} />}
+                    <small className="sub-hint">
+                        Your first box ships to your saved delivery address and is charged when it's placed. Pause, skip or cancel any time.
+                    </small>
+                    <div className="prompt-actions">
+                        <button className="prompt-btn-cancel" onClick={() => setOpen(false)}>Back</button>
+                        <button className="prompt-btn-verify" disabled={busy} onClick={handleSubscribe}>
+                            Subscribe
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SubscriptionsTab = () => {
+    const [subscriptions, setSubscriptions] = useState(null);
+    const [options, setOptions] = useState(null);
+    const [plans, setPlans] = useState([]);
+
+    const fetchSubscriptions = useCallback(async () => {
+        try {
+            const [mine, available, curated] = await Promise.all([
+                getMySubscriptions(),
+                getSubscriptionOptions(),
+                getSubscriptionPlans()
+            ]);
+            setSubscriptions(mine.data.data);
+            setOptions(available.data.data);
+            setPlans(curated.data.data);
+        } catch (error) {
+            console.error('Failed to load subscriptions:', error);
+            setSubscriptions([]);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSubscriptions();
+    }, [fetchSubscriptions]);
+
+    // Keep the populated last order; updates don't send it back
+    const replace = (updated) => {
+        setSubscriptions(prev => prev.map(s => s._id === updated._id
+            ? { ...updated, lastRenewalOrder: s.lastRenewalOrder }
+            : s));
+    };
+
+    if (!subscriptions) return <p className="wallet-history-empty">Loading subscriptions...</p>;
+
+    return (
+        <div className="subscriptions-tab">
+            <div className="wallet-section-head">
+                <h2>Coffee Subscriptions</h2>
+                <p>Fresh coffee on your schedule. Pause, skip or change it any time before your next delivery.</p>
+            </div>
+
+            {subscriptions.length === 0 ? (
+                <p className="wallet-history-empty">
+                    You have no subscriptions yet. Choose "Subscribe" at checkout to get your coffee delivered regularly,
+                    or let us pick for you with a coffee of the month box.
+                </p>
+            ) : subscriptions.map(subscription => (
+                <SubscriptionCard
+                    key={subscription._id}
+                    subscription={subscription}
+                    options={options}
+                    onChange={replace}
+                />
+            ))}
+
+            {plans.length > 0 && (
+                <>
+                    <div className="wallet-section-head">
+                        <h2>Coffee of the Month</h2>
+                        <p>A fresh selection every month, picked around the roasts and flavours you enjoy.</p>
+                    </div>
+                    {plans.map(plan => (
+                        <PlanCard
+                            key={plan._id}
+                            plan={plan}
+                            subscribed={subscriptions.some(s => s.plan?._id === plan._id && s.status !== 'cancelled')}
+                            options={options}
+                            onSubscribed={(subscription) => setSubscriptions(prev => [subscription, ...prev])}
+                        />
+                    ))}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SubscriptionsTab;
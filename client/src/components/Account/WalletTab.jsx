@@ -1,10 +1,23 @@
-import React, { useState, useContext, useEffect } from 'react';
+import React, { useState, useContext, useEffect, useCallback } from 'react';
 import { AppContext } from '../../context/AppContext';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     FaCreditCard, FaMobileAlt, FaPlus, FaEye, FaEyeSlash,
-    FaLock, FaTimes, FaShieldAlt, FaCheckCircle, FaTrash, FaChevronRight
+    FaLock, FaTimes, FaShieldAlt, FaCheckCircle, FaTrash, FaChevronRight, FaGift, FaCoins
 } from 'react-icons/fa';
+import { getMyWallet, checkGiftCard } from '../../api/api';
+
+const CREDIT_LABELS = {
+    issued: 'Credit from Rerendet',
+    overpayment: 'Overpayment credited',
+    redeemed: 'Spent at checkout',
+    restored: 'Returned from cancelled order',
+    refunded: 'Refunded from an order',
+    referral: 'Referral reward',
+    adjusted: 'Adjustment'
+};
+
+const kes = (amount) => `KES ${Number(amount || 0).toLocaleString()}`;
 
 const PasswordPromptModal = ({ isOpen, onClose, onVerified }) => {
     const [password, setPassword] = useState('');
@@ -66,6 +79,40 @@ const PasswordPromptModal = ({ isOpen, onClose, onVerified }) => {
 const WalletTab = () => {
     const { user, updateUserProfile, loading, showNotification } = useContext(AppContext);
 
+    // Store credit & gift cards
+    const [wallet, setWallet] = useState(null);
+    const [giftCardCode, setGiftCardCode] = useState('');
+    const [giftCardResult, setGiftCardResult] = useState(null);
+    const [checkingGiftCard, setCheckingGiftCard] = useState(false);
+
+    const fetchWallet = useCallback(async () => {
+        try {
+            const { data } = await getMyWallet();
+            setWallet(data.data);
+        } catch (error) {
+            console.error('Failed to load store credit:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchWallet();
+    }, [fetchWallet]);
+
+    const handleCheckGiftCard = async (e) => {
+        e.preventDefault();
+        if (!giftCardCode.trim()) return;
+        setCheckingGiftCard(true);
+        try {
+            const { data } = await checkGiftCard(giftCardCode.trim());
+            setGiftCardResult(data.data);
+        } catch (error) {
+            setGiftCardResult(null);
+            showNotification(error.response?.data?.message || 'Gift card not found', 'error');
+        } finally {
+            setCheckingGiftCard(false);
+        }
+    };
+
     const [isEditingMpesa, setIsEditingMpesa] = useState(false);
     const [isEditingCard, setIsEditingCard] = useState(false);
 
@@ -250,6 +297,104 @@ const WalletTab = () => {
                 </div>
             </div>
 
+            {/* STORE CREDIT & GIFT CARDS */}
+            <div className="wallet-section-head">
+                <h2>Store Credit &amp; Gift Cards</h2>
+                <p>Both come off your total at checkout.</p>
+            </div>
+
+            <div className="payment-cards-grid">
+                <div className={`method-tile ${wallet?.storeCredit > 0 ? 'active' : ''}`}>
+                    <div className="tile-top">
+                        <div className="brand-icon">
+                            <FaCoins />
+                        </div>
+                    </div>
+                    <div className="tile-body">
+                        <label>Store Credit</label>
+                        <div className="masked-value">{kes(wallet?.storeCredit)}</div>
+                        <span className="method-tag">Use it at checkout</span>
+                    </div>
+                </div>
+
+                <div className="method-tile">
+                    <div className="tile-top">
+                        <div className="brand-icon">
+                            <FaGift />
+                        </div>
+                    </div>
+                    <form className="tile-body" onSubmit={handleCheckGiftCard}>
+                        <label>Check a Gift Card</label>
+                        <div className="form-group-modern">
+                            <input
+                                type="text"
+                                value={giftCardCode}
+                                onChange={(e) => { setGiftCardCode(e.target.value.toUpperCase()); setGiftCardResult(null); }}
+                                placeholder="XXXX-XXXX-XXXX-XXXX"
+                            />
+                        </div>
+                        {giftCardResult && (
+                            <div className="gift-card-result">
+                                <FaCheckCircle /> {kes(giftCardResult.balance)} available
+                                {giftCardResult.expiresAt && <small>until {new Date(giftCardResult.expiresAt).toLocaleDateString()}</small>}
+                            </div>
+                        )}
+                        <div className="tile-footer">
+                            <button type="submit" className="tile-btn" disabled={checkingGiftCard}>
+                                {checkingGiftCard ? 'Checking...' : 'Check Balance'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            {wallet?.giftCards?.length > 0 && (
+                <div className="wallet-history">
+                    <h3>Your Gift Cards</h3>
+                    {wallet.giftCards.map(card => (
+                        <div key={card._id} className="wallet-history-row">
+                            <div>
+                                <strong className="gift-card-code">{card.code}</strong>
+                                <small>
+                                    {card.received ? 'Sent to you' : `Bought for ${card.recipientName || card.recipientEmail}`}
+                                    {card.expiresAt && ` · expires ${new Date(card.expiresAt).toLocaleDateString()}`}
+                                    {card.status === 'disabled' && ' · disabled'}
+                                    {card.isExpired && ' · expired'}
+                                </small>
+                            </div>
+                            <div className="wallet-history-amount">
+                                <strong>{kes(card.balance)}</strong>
+                                <small>of {kes(card.initialBalance)}</small>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="wallet-history">
+                <h3>Store Credit History</h3>
+                {!wallet?.history?.length ? (
+                    <p className="wallet-history-empty">No store credit yet.</p>
+                ) : wallet.history.map(entry => (
+                    <div key={entry._id} className="wallet-history-row">
+                        <div>
+                            <strong>{CREDIT_LABELS[entry.type] || entry.type}</strong>
+                            <small>
+                                {new Date(entry.createdAt).toLocaleDateString()}
+                                {entry.order?.orderNumber && ` · #${entry.order.orderNumber}`}
+                                {entry.note && entry.type !== 'redeemed' && entry.type !== 'restored' && ` · ${entry.note}`}
+                            </small>
+                        </div>
+                        <div className="wallet-history-amount">
+                            <strong className={entry.amount < 0 ? 'debit' : 'credit'}>
+                                {entry.amount < 0 ? '−' : '+'}{kes(Math.abs(entry.amount))}
+                            </strong>
+                            <small>Balance {kes(entry.balanceAfter)}</small>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
             <AnimatePresence>
                 {isEditingMpesa && (
                     <motion.div
@@ -32,7 +32,7 @@ const ActivityLogs = () => {
     }, [page]);
 
     const getActionColor = (action) => {
-        if (action.includes('DELETE')) return 'red';
+        if (action.includes('DELETE') || action.includes('REJECTED')) return 'red';
         if (action.includes('UPDATE')) return 'orange';
         if (action.includes('CREATE')) return 'green';
         return 'blue';
@@ -68,7 +68,7 @@ const ActivityLogs = () => {
                                     <td className="admin-cell">
                                         <div className="admin-info">
                                             <span className="admin-name">
-                                                {log.admin ? `${log.admin.firstName} ${log.admin.lastName}` : 'Unknown'}
+                                                {log.admin ? `${log.admin.firstName} ${log.admin.lastName}` : log.details?.system ? 'System' : 'Unknown'}
                                             </span>
                                             <span className="admin-role">{log.admin?.role}</span>
                                         </div>
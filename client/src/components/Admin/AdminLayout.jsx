@@ -9,7 +9,7 @@ import {
   FaEnvelope, FaChartBar, FaCog, FaSignOutAlt,
   FaBars, FaTimes, FaBell, FaUserCircle,
   FaInfoCircle, FaExclamationCircle, FaBullhorn, FaAd,
-  FaSun, FaMoon, FaChevronLeft, FaChevronRight, FaStore, FaHistory, FaPenNib, FaTicketAlt
+  FaSun, FaMoon, FaChevronLeft, FaChevronRight, FaStore, FaHistory, FaPenNib, FaTicketAlt, FaTruckLoading, FaUndo, FaFileInvoiceDollar, FaGift, FaBolt, FaBoxOpen
 } from 'react-icons/fa';
 import './AdminLayout.css';
 import './AdminMobile.css';
@@ -37,6 +37,9 @@ const NAV_GROUPS = [
     items: [
       { id: 'orders', label: 'Orders', Icon: FaShoppingBag, path: '/admin/orders', color: '#3b82f6', bg: 'rgba(59,130,246,0.18)' },
       { id: 'products', label: 'Products', Icon: FaBox, path: '/admin/products', color: '#10b981', bg: 'rgba(16,185,129,0.18)' },
+      { id: 'payments', label: 'M-Pesa Matching', Icon: FaFileInvoiceDollar, path: '/admin/payments', color: '#22c55e', bg: 'rgba(34,197,94,0.18)' },
+      { id: 'returns', label: 'Returns', Icon: FaUndo, path: '/admin/returns', color: '#f97316', bg: 'rgba(249,115,22,0.18)' },
+      { id: 'purchasing', label: 'Purchasing', Icon: FaTruckLoading, path: '/admin/purchasing', color: '#14b8a6', bg: 'rgba(20,184,166,0.18)' },
       { id: 'users', label: 'Users', Icon: FaUsers, path: '/admin/users', color: '#8b5cf6', bg: 'rgba(139,92,246,0.18)' },
       { id: 'contacts', label: 'Contacts', Icon: FaEnvelope, path: '/admin/contacts', color: '#f59e0b', bg: 'rgba(245,158,11,0.18)' },
     ],
@@ -47,6 +50,9 @@ const NAV_GROUPS = [
       { id: 'marketing', label: 'Marketing', Icon: FaBullhorn, path: '/admin/marketing', color: '#ec4899', bg: 'rgba(236,72,153,0.18)' },
       { id: 'ads', label: 'Ads & Promos', Icon: FaAd, path: '/admin/ads', color: '#10b981', bg: 'rgba(16,185,129,0.18)' },
       { id: 'coupons', label: 'Coupons', Icon: FaTicketAlt, path: '/admin/coupons', color: '#fbbf24', bg: 'rgba(251,191,36,0.18)' },
+      { id: 'promotions', label: 'Promotions', Icon: FaBolt, path: '/admin/promotions', color: '#10b981', bg: 'rgba(16,185,129,0.18)' },
+      { id: 'subscription-plans', label: 'Coffee of the Month', Icon: FaBoxOpen, path: '/admin/subscription-plans', color: '#a16207', bg: 'rgba(161,98,7,0.18)' },
+      { id: 'gift-cards', label: 'Gift Cards', Icon: FaGift, path: '/admin/gift-cards', color: '#f43f5e', bg: 'rgba(244,63,94,0.18)' },
       { id: 'blogs', label: 'Blogs', Icon: FaPenNib, path: '/admin/blogs', color: '#8b5cf6', bg: 'rgba(139,92,246,0.18)' },
       { id: 'analytics', label: 'Analytics', Icon: FaChartBar, path: '/admin/analytics', color: '#06b6d4', bg: 'rgba(6,182,212,0.18)' },
     ],
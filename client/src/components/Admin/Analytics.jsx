@@ -6,7 +6,7 @@ import {
   FaArrowUp, FaArrowDown, FaMinus, FaMoneyBillWave, FaFire,
   FaTrophy, FaStar, FaCoffee, FaBoxOpen, FaCheckCircle,
   FaDownload, FaExclamationTriangle, FaTag, FaCreditCard,
-  FaTimesCircle, FaUndo, FaUserPlus, FaUserCheck, FaWarehouse
+  FaTimesCircle, FaUndo, FaUserPlus, FaUserCheck, FaWarehouse, FaPauseCircle
 } from 'react-icons/fa';
 import {
   LineChart, Line, BarChart, Bar, PieChart, Pie, Cell,
@@ -16,9 +16,12 @@ import {
   getSalesAnalytics,
   getAbandonedCartsReport,
   getPaymentsReport,
+  getPaymentReconciliationReport,
   getCustomersReport,
   getInventoryReport,
   getCouponsReport,
+  getReferralsReport,
+  getSubscriptionsAtRiskReport,
   exportOrdersCSV,
   exportCustomersCSV
 } from '../../api/api';
@@ -35,6 +38,28 @@ const FULFILL_COLORS = {
   Processing: '#3b82f6', Confirmed: '#6b7280', Returned: '#ef4444'
 };
 
+// Why a payment shows up in the reconciliation table
+const RECON_ISSUES = {
+  underpaid: { label: 'Underpaid', color: '#f59e0b' },
+  overpaid: { label: 'Overpaid', color: '#8b5cf6' },
+  not_applied: { label: 'Not applied', color: '#ef4444' },
+  ledger_mismatch: { label: 'Ledger ≠ order', color: '#ec4899' },
+  order_missing: { label: 'No order', color: '#6b7280' },
+};
+
+const REFERRAL_STATUSES = {
+  pending: { label: 'Pending', color: '#f59e0b' },
+  qualifying: { label: 'Checking', color: '#3b82f6' },
+  rewarded: { label: 'Rewarded', color: '#10b981' },
+  rejected: { label: 'Rejected', color: '#ef4444' },
+};
+
+// Where an at-risk subscription is in its retries
+const DUNNING_STAGES = {
+  payment: { label: 'Awaiting payment', color: '#f59e0b' },
+  renewal: { label: 'Renewal failing', color: '#ef4444' },
+};
+
 const TIMEFRAMES = [
   { value: '7d', label: '7 Days' },
   { value: '30d', label: '30 Days' },
@@ -52,6 +77,8 @@ const TABS = [
   { id: 'inventory', label: '📦 Inventory' },
   { id: 'abandoned', label: '🛒 Abandoned' },
   { id: 'coupons', label: '🏷️ Coupons' },
+  { id: 'referrals', label: '🤝 Referrals' },
+  { id: 'subscriptions', label: '🔁 Subscriptions' },
 ];
 
 const TTP = {
@@ -165,6 +192,8 @@ const Analytics = () => {
   const [customers, setCustomers] = useState(null);
   const [inventory, setInventory] = useState(null);
   const [coupons, setCoupons] = useState(null);
+  const [referrals, setReferrals] = useState(null);
+  const [subscriptions, setSubscriptions] = useState(null);
 
   // Track which tabs have already been fetched so we don't re-fetch on every tab switch
   const fetchedTabs = useRef(new Set());
@@ -230,8 +259,12 @@ const Analytics = () => {
           else setAbandoned({});
         }
         if (activeTab === 'payments') {
-          const r = await getPaymentsReport();
-          if (r?.data?.success) setPayments(r.data.data);
+          // Reconciliation is a bonus — the tab still renders if it fails
+          const [r, rec] = await Promise.all([
+            getPaymentsReport(),
+            getPaymentReconciliationReport().catch(() => null)
+          ]);
+          if (r?.data?.success) setPayments({ ...r.data.data, reconciliation: rec?.data?.data });
           else setPayments({});
         }
         if (activeTab === 'customers') {
@@ -249,6 +282,16 @@ const Analytics = () => {
           if (r?.data?.success) setCoupons(r.data.data);
           else setCoupons({});
         }
+        if (activeTab === 'referrals') {
+          const r = await getReferralsReport();
+          if (r?.data?.success) setReferrals(r.data.data);
+          else setReferrals({});
+        }
+        if (activeTab === 'subscriptions') {
+          const r = await getSubscriptionsAtRiskReport();
+          if (r?.data?.success) setSubscriptions(r.data.data);
+          else setSubscriptions({});
+        }
       } catch (e) {
         console.error('Tab load error for', activeTab, e);
         // Set empty objects so tabs render instead of spinning forever
@@ -257,6 +300,8 @@ const Analytics = () => {
         if (activeTab === 'customers' && !customers) setCustomers({});
         if (activeTab === 'inventory' && !inventory) setInventory({});
         if (activeTab === 'coupons' && !coupons) setCoupons({});
+        if (activeTab === 'referrals' && !referrals) setReferrals({});
+        if (activeTab === 'subscriptions' && !subscriptions) setSubscriptions({});
       }
     };
 
@@ -816,6 +861,53 @@ const Analytics = () => {
                     </div>
                   </ChartCard>
                 )}
+
+                {payments.reconciliation && (
+                  <ChartCard
+                    wide
+                    title="Payment Reconciliation"
+                    subtitle={`${fmt(payments.reconciliation.summary?.mismatched)} of ${fmt(payments.reconciliation.summary?.paymentsChecked)} payments don't match their order · ${fmtKes(payments.reconciliation.summary?.outstandingBalance)} outstanding on ${fmt(payments.reconciliation.summary?.outstandingOrders)} part-paid orders`}
+                  >
+                    {payments.reconciliation.mismatches?.length > 0 ? (
+                      <div className="an-table-wrap">
+                        <table className="an-table">
+                          <thead>
+                            <tr><th>Payment</th><th>Order</th><th>Received</th><th>Due</th><th>Difference</th><th>Issue</th><th>Date</th></tr>
+                          </thead>
+                          <tbody>
+                            {payments.reconciliation.mismatches.slice(0, 50).map(m => (
+                              <tr key={m.transactionId}>
+                                <td>
+                                  <code>{m.receipt || m.transactionId}</code>
+                                  <div className="an-muted">{m.provider}{m.manual ? ' · manual' : ''}</div>
+                                </td>
+                                <td>
+                                  {m.order ? <code style={{ color: '#D4AF37' }}>#{m.order.orderNumber}</code> : '—'}
+                                  {m.order && <div className="an-muted">{m.order.paymentStatus}{m.order.orderStatus === 'cancelled' ? ' · cancelled' : ''}</div>}
+                                </td>
+                                <td>{fmtKes(m.amount)}</td>
+                                <td className="an-muted">{m.amountDue != null ? fmtKes(m.amountDue) : '—'}</td>
+                                <td style={{ color: m.difference < 0 ? '#f59e0b' : m.difference > 0 ? '#8b5cf6' : undefined }}>
+                                  {m.difference ? `${m.difference > 0 ? '+' : '-'} ${fmtKes(Math.abs(m.difference))}` : '—'}
+                                </td>
+                                <td>
+                                  {m.issues.map(issue => (
+                                    <span key={issue} style={{ color: RECON_ISSUES[issue]?.color, display: 'block', fontSize: '0.78rem' }}>
+                                      {RECON_ISSUES[issue]?.label || issue}
+                                    </span>
+                                  ))}
+                                </td>
+                                <td className="an-muted">{m.date ? new Date(m.date).toLocaleDateString() : '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <Empty icon="✅" msg="Every payment matches its order" />
+                    )}
+                  </ChartCard>
+                )}
               </>
             )}
           </motion.div>
@@ -835,7 +927,7 @@ const Analytics = () => {
                 <div className="an-kpi-grid">
                   <StatCard delay={0} icon={<FaBox />} color="#3b82f6" label="Total Products" value={fmt(inventory.summary?.total)} />
                   <StatCard delay={0.06} icon={<FaCheckCircle />} color="#10b981" label="In Stock" value={fmt(inventory.summary?.inStock)} />
-                  <StatCard delay={0.12} icon={<FaExclamationTriangle />} color="#f59e0b" label="Low Stock" value={fmt(inventory.summary?.lowStock)} sub="≤ 10 units" />
+                  <StatCard delay={0.12} icon={<FaExclamationTriangle />} color="#f59e0b" label="Low Stock" value={fmt(inventory.summary?.lowStock)} sub="At or below alert level" />
                   <StatCard delay={0.18} icon={<FaTimesCircle />} color="#ef4444" label="Out of Stock" value={fmt(inventory.summary?.outOfStock)} />
                 </div>
 
@@ -1021,6 +1113,171 @@ const Analytics = () => {
           </motion.div>
         )}
 
+        {/* ══ REFERRALS ══ */}
+        {activeTab === 'referrals' && (
+          <motion.div
+            key="rf"
+            className="an-section"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+          >
+            {referrals === null ? <TabLoader /> : (
+              <>
+                <div className="an-kpi-grid">
+                  <StatCard delay={0} icon={<FaUserPlus />} color="#D4AF37" label="Referred Signups" value={fmt(referrals.summary?.totalReferrals)} sub={`${fmt(referrals.summary?.pending)} awaiting first order`} />
+                  <StatCard delay={0.06} icon={<FaUserCheck />} color="#10b981" label="Rewarded" value={fmt(referrals.summary?.rewarded)} sub={`${fmtPct(referrals.summary?.conversionRate)} converted`} />
+                  <StatCard delay={0.12} icon={<FaMoneyBillWave />} color="#ef4444" label="Rewards Issued" value={fmtKes(referrals.summary?.rewardsIssued)} sub={`${fmt(referrals.summary?.rejected)} rejected`} />
+                  <StatCard delay={0.18} icon={<FaCheckCircle />} color="#3b82f6" label="First-Order Revenue" value={fmtKes(referrals.summary?.firstOrderRevenue)} />
+                </div>
+
+                {referrals.referrals?.length > 0 ? (
+                  <>
+                    <ChartCard wide title="Top Referrers" subtitle="Customers bringing in paying friends">
+                      <div className="an-table-wrap">
+                        <table className="an-table">
+                          <thead>
+                            <tr><th>Customer</th><th>Code</th><th>Signups</th><th>Rewarded</th><th>Rejected</th><th>First-Order Revenue</th></tr>
+                          </thead>
+                          <tbody>
+                            {referrals.topReferrers.map((r, i) => (
+                              <tr key={i}>
+                                <td>
+                                  <strong>{r.name}</strong>
+                                  <span className="an-muted" style={{ display: 'block', fontSize: '0.78rem' }}>{r.email}</span>
+                                </td>
+                                <td><code style={{ color: '#D4AF37', fontWeight: 700 }}>{r.code}</code></td>
+                                <td>{r.signups}</td>
+                                <td>{r.rewarded}</td>
+                                <td style={{ color: r.rejected ? '#ef4444' : undefined }}>{r.rejected}</td>
+                                <td><strong>{fmtKes(r.revenue)}</strong></td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </ChartCard>
+
+                    <ChartCard wide title="Recent Referrals" subtitle="Rejected referrals failed a same-phone or same-address check">
+                      <div className="an-table-wrap">
+                        <table className="an-table">
+                          <thead>
+                            <tr><th>Referrer</th><th>Friend</th><th>Status</th><th>First Order</th><th>Rewards</th><th>Joined</th></tr>
+                          </thead>
+                          <tbody>
+                            {referrals.referrals.map(r => (
+                              <tr key={r._id}>
+                                <td>{r.referrer}</td>
+                                <td>
+                                  {r.referee}
+                                  <span className="an-muted" style={{ display: 'block', fontSize: '0.78rem' }}>{r.refereeEmail}</span>
+                                </td>
+                                <td>
+                                  <span style={{ color: REFERRAL_STATUSES[r.status]?.color, fontWeight: 600 }}>
+                                    {REFERRAL_STATUSES[r.status]?.label || r.status}
+                                  </span>
+                                  {r.rejectionReason && <span className="an-muted" style={{ display: 'block', fontSize: '0.78rem' }}>{r.rejectionReason}</span>}
+                                </td>
+                                <td>{r.orderNumber ? <>#{r.orderNumber} · {fmtKes(r.orderTotal)}</> : '—'}</td>
+                                <td>{r.rewardCost ? fmtKes(r.rewardCost) : '—'}</td>
+                                <td className="an-muted">{r.date ? new Date(r.date).toLocaleDateString() : '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </ChartCard>
+                  </>
+                ) : (
+                  <Empty icon="🤝" msg="No one has signed up through a referral yet" />
+                )}
+              </>
+            )}
+          </motion.div>
+        )}
+
+        {/* ══ SUBSCRIPTIONS AT RISK ══ */}
+        {activeTab === 'subscriptions' && (
+          <motion.div
+            key="sb"
+            className="an-section"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+          >
+            {subscriptions === null ? <TabLoader /> : (
+              <>
+                <div className="an-kpi-grid">
+                  <StatCard delay={0} icon={<FaSync />} color="#10b981" label="Active Subscriptions" value={fmt(subscriptions.summary?.active)} sub={`${fmt(subscriptions.summary?.paused)} paused`} />
+                  <StatCard delay={0.06} icon={<FaExclamationTriangle />} color="#f59e0b" label="At Risk" value={fmt((subscriptions.summary?.awaitingPayment || 0) + (subscriptions.summary?.failingRenewal || 0))} sub={`${fmt(subscriptions.summary?.awaitingPayment)} unpaid · ${fmt(subscriptions.summary?.failingRenewal)} failing`} />
+                  <StatCard delay={0.12} icon={<FaMoneyBillWave />} color="#ef4444" label="Revenue At Risk" value={fmtKes(subscriptions.summary?.revenueAtRisk)} />
+                  <StatCard delay={0.18} icon={<FaCheckCircle />} color="#3b82f6" label="Recovered (30 days)" value={fmt(subscriptions.summary?.recovered30d)} sub={`${fmtPct(subscriptions.summary?.recoveryRate)} recovery · ${fmt(subscriptions.summary?.substitutions30d)} swaps`} />
+                  <StatCard delay={0.24} icon={<FaPauseCircle />} color="#6b7280" label="Suspended" value={fmt(subscriptions.summary?.suspended)} sub={`${fmt(subscriptions.summary?.suspended30d)} in the last 30 days`} />
+                </div>
+
+                <ChartCard wide title="Subscriptions At Risk" subtitle="Retried 1, 3 and 7 days after a renewal fails or goes unpaid, then suspended">
+                  {subscriptions.atRisk?.length > 0 ? (
+                    <div className="an-table-wrap">
+                      <table className="an-table">
+                        <thead>
+                          <tr><th>Customer</th><th>Stage</th><th>Why</th><th>Retries</th><th>Next Retry</th><th>Value</th></tr>
+                        </thead>
+                        <tbody>
+                          {subscriptions.atRisk.map(s => (
+                            <tr key={s._id}>
+                              <td>
+                                <strong>{s.name || '—'}</strong>
+                                <span className="an-muted" style={{ display: 'block', fontSize: '0.78rem' }}>{s.email} · {s.frequency}</span>
+                              </td>
+                              <td>
+                                <span style={{ color: DUNNING_STAGES[s.stage]?.color, fontWeight: 600 }}>
+                                  {DUNNING_STAGES[s.stage]?.label || s.stage}
+                                </span>
+                                {s.status === 'paused' && <span className="an-muted" style={{ display: 'block', fontSize: '0.78rem' }}>Paused</span>}
+                              </td>
+                              <td className="an-muted">{s.reason || '—'}</td>
+                              <td>{s.attempts} / 3</td>
+                              <td className="an-muted">{s.nextAttemptAt ? new Date(s.nextAttemptAt).toLocaleDateString() : '—'}</td>
+                              <td><strong>{fmtKes(s.value)}</strong></td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <Empty icon="🔁" msg="No subscriptions at risk right now" />
+                  )}
+                </ChartCard>
+
+                {subscriptions.suspended?.length > 0 && (
+                  <ChartCard wide title="Suspended Subscriptions" subtitle="On hold until the customer resumes them">
+                    <div className="an-table-wrap">
+                      <table className="an-table">
+                        <thead>
+                          <tr><th>Customer</th><th>Reason</th><th>Per Delivery</th><th>Suspended</th></tr>
+                        </thead>
+                        <tbody>
+                          {subscriptions.suspended.map(s => (
+                            <tr key={s._id}>
+                              <td>
+                                <strong>{s.name || '—'}</strong>
+                                <span className="an-muted" style={{ display: 'block', fontSize: '0.78rem' }}>{s.email} · {s.frequency}</span>
+                              </td>
+                              <td className="an-muted">{s.reason || '—'}</td>
+                              <td>{fmtKes(s.value)}</td>
+                              <td className="an-muted">{s.suspendedAt ? new Date(s.suspendedAt).toLocaleDateString() : '—'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </ChartCard>
+                )}
+              </>
+            )}
+          </motion.div>
+        )}
+
       </AnimatePresence>
     </div>
   );
@@ -8,6 +8,46 @@ import {
 } from 'react-icons/fa';
 import './CouponManagement.css';
 
+const EMPTY_FORM = {
+    code: '',
+    discountType: 'percentage',
+    discountAmount: '',
+    buyQuantity: 2,
+    getQuantity: 1,
+    getDiscountPercent: 100,
+    startDate: '',
+    expiryDate: '',
+    usageLimit: 100,
+    perCustomerLimit: 0,
+    firstOrderOnly: false,
+    minOrderAmount: 0,
+    products: [],
+    categories: [],
+    excludeSaleItems: false
+};
+
+const toDateInput = (date) => date ? new Date(date).toISOString().split('T')[0] : '';
+
+const describeDiscount = (coupon) => {
+    switch (coupon.discountType) {
+        case 'percentage': return `${coupon.discountAmount}%`;
+        case 'fixed': return `KES ${coupon.discountAmount}`;
+        case 'free_shipping': return 'Free delivery';
+        case 'buy_x_get_y': return `Buy ${coupon.buyQuantity} get ${coupon.getQuantity}${coupon.getDiscountPercent < 100 ? ` ${coupon.getDiscountPercent}% off` : ' free'}`;
+        default: return coupon.discountType;
+    }
+};
+
+// Short list of a coupon's restrictions for the table
+const describeRules = (coupon) => [
+    coupon.startDate && new Date(coupon.startDate) > new Date() && `From ${new Date(coupon.startDate).toLocaleDateString()}`,
+    coupon.firstOrderOnly && 'First order only',
+    coupon.perCustomerLimit > 0 && `${coupon.perCustomerLimit}× per customer`,
+    coupon.categories?.length > 0 && coupon.categories.join(', '),
+    coupon.products?.length > 0 && (coupon.products.length === 1 ? coupon.products[0].name || '1 product' : `${coupon.products.length} products`),
+    coupon.excludeSaleItems && 'No sale items'
+].filter(Boolean).join(' · ');
+
 const CouponManagement = () => {
     const { token, showNotification } = useContext(AppContext);
     const [coupons, setCoupons] = useState([]);
@@ -17,20 +57,28 @@ const CouponManagement = () => {
     const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
     const [currentCoupon, setCurrentCoupon] = useState(null);
     const [saving, setSaving] = useState(false);
+    const [productOptions, setProductOptions] = useState([]);
+    const [categoryOptions, setCategoryOptions] = useState([]);
 
-    const [formData, setFormData] = useState({
-        code: '',
-        discountType: 'percentage',
-        discountAmount: '',
-        expiryDate: '',
-        usageLimit: 100,
-        minOrderAmount: 0
-    });
+    const [formData, setFormData] = useState(EMPTY_FORM);
 
     useEffect(() => {
         fetchCoupons();
     }, [token]);
 
+    // Products and categories a coupon can be limited to
+    useEffect(() => {
+        fetch('/api/products?limit=200')
+            .then(res => res.json())
+            .then(data => {
+                if (data.success) {
+                    setProductOptions(data.data.products || []);
+                    setCategoryOptions(data.data.categories || []);
+                }
+            })
+            .catch(() => { });
+    }, []);
+
     const fetchCoupons = async () => {
         try {
             setLoading(true);
@@ -86,22 +134,25 @@ const CouponManagement = () => {
         if (mode === 'edit' && coupon) {
             setCurrentCoupon(coupon);
             setFormData({
+                ...EMPTY_FORM,
                 code: coupon.code,
                 discountType: coupon.discountType,
                 discountAmount: coupon.discountAmount,
-                expiryDate: new Date(coupon.expiryDate).toISOString().split('T')[0],
+                buyQuantity: coupon.buyQuantity || EMPTY_FORM.buyQuantity,
+                getQuantity: coupon.getQuantity || EMPTY_FORM.getQuantity,
+                getDiscountPercent: coupon.getDiscountPercent || 100,
+                startDate: toDateInput(coupon.startDate),
+                expiryDate: toDateInput(coupon.expiryDate),
                 usageLimit: coupon.usageLimit,
-                minOrderAmount: coupon.minOrderAmount
+                perCustomerLimit: coupon.perCustomerLimit || 0,
+                firstOrderOnly: !!coupon.firstOrderOnly,
+                minOrderAmount: coupon.minOrderAmount,
+                products: (coupon.products || []).map(p => p._id || p),
+                categories: coupon.categories || [],
+                excludeSaleItems: !!coupon.excludeSaleItems
             });
         } else {
-            setFormData({
-                code: '',
-                discountType: 'percentage',
-                discountAmount: '',
-                expiryDate: '',
-                usageLimit: 100,
-                minOrderAmount: 0
-            });
+            setFormData(EMPTY_FORM);
         }
         setShowModal(true);
     };
@@ -219,8 +270,9 @@ const CouponManagement = () => {
                                 <td><span className="cp-code-cell">{coupon.code}</span></td>
                                 <td>
                                     <span className={`cp-discount-badge ${coupon.discountType}`}>
-                                        {coupon.discountType === 'percentage' ? `${coupon.discountAmount}%` : `KES ${coupon.discountAmount}`}
+                                        {describeDiscount(coupon)}
                                     </span>
+                                    {describeRules(coupon) && <small className="cp-rules">{describeRules(coupon)}</small>}
                                 </td>
                                 <td>
                                     <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
@@ -300,25 +352,57 @@ const CouponManagement = () => {
                                     >
                                         <option value="percentage">Percentage (%)</option>
                                         <option value="fixed">Fixed Amount (KES)</option>
+                                        <option value="free_shipping">Free Delivery</option>
+                                        <option value="buy_x_get_y">Buy X Get Y</option>
                                     </select>
                                 </div>
 
-                                <div className="cp-form-group">
-                                    <label>Amount</label>
-                                    <div style={{ position: 'relative' }}>
-                                        <div style={{ position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', opacity: 0.4 }}>
-                                            {formData.discountType === 'percentage' ? <FaPercentage /> : 'KES'}
+                                {(formData.discountType === 'percentage' || formData.discountType === 'fixed') && (
+                                    <div className="cp-form-group">
+                                        <label>Amount</label>
+                                        <div style={{ position: 'relative' }}>
+                                            <div style={{ position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', opacity: 0.4 }}>
+                                                {formData.discountType === 'percentage' ? <FaPercentage /> : 'KES'}
+                                            </div>
+                                            <input
+                                                type="number"
+                                                className="cp-input"
+                                                style={{ paddingLeft: '2.5rem' }}
+                                                value={formData.discountAmount}
+                                                onChange={(e) => setFormData({ ...formData, discountAmount: e.target.value })}
+                                                required
+                                            />
                                         </div>
-                                        <input
-                                            type="number"
-                                            className="cp-input"
-                                            style={{ paddingLeft: '2.5rem' }}
-                                            value={formData.discountAmount}
-                                            onChange={(e) => setFormData({ ...formData, discountAmount: e.target.value })}
-                                            required
-                                        />
                                     </div>
-                                </div>
+                                )}
+
+                                {formData.discountType === 'free_shipping' && (
+                                    <div className="cp-form-group">
+                                        <label>Discount</label>
+                                        <p className="cp-hint">The delivery fee is waived; item prices are unchanged.</p>
+                                    </div>
+                                )}
+
+                                {formData.discountType === 'buy_x_get_y' && (
+                                    <>
+                                        <div className="cp-form-group">
+                                            <label>Buy (qty)</label>
+                                            <input type="number" min="1" className="cp-input" value={formData.buyQuantity} required
+                                                onChange={(e) => setFormData({ ...formData, buyQuantity: e.target.value })} />
+                                        </div>
+                                        <div className="cp-form-group">
+                                            <label>Get (qty)</label>
+                                            <input type="number" min="1" className="cp-input" value={formData.getQuantity} required
+                                                onChange={(e) => setFormData({ ...formData, getQuantity: e.target.value })} />
+                                        </div>
+                                        <div className="cp-form-group">
+                                            <label>Discount on those (%)</label>
+                                            <input type="number" min="1" max="100" className="cp-input" value={formData.getDiscountPercent} required
+                                                onChange={(e) => setFormData({ ...formData, getDiscountPercent: e.target.value })} />
+                                        </div>
+                                        <p className="cp-hint full">The cheapest qualifying items in each group get the discount (100% = free).</p>
+                                    </>
+                                )}
 
                                 <div className="cp-form-group">
                                     <label>Usage Limit</label>
@@ -345,7 +429,28 @@ const CouponManagement = () => {
                                     </div>
                                 </div>
 
-                                <div className="cp-form-group full">
+                                <div className="cp-form-group">
+                                    <label>Uses per Customer (0 = no limit)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="cp-input"
+                                        value={formData.perCustomerLimit}
+                                        onChange={(e) => setFormData({ ...formData, perCustomerLimit: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Start Date (optional)</label>
+                                    <input
+                                        type="date"
+                                        className="cp-input"
+                                        value={formData.startDate}
+                                        onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
                                     <label>Expiry Date</label>
                                     <div style={{ position: 'relative' }}>
                                         <FaCalendarAlt style={{ position: 'absolute', left: '1rem', top: '50%', transform: 'translateY(-50%)', opacity: 0.4 }} />
@@ -360,6 +465,60 @@ const CouponManagement = () => {
                                     </div>
                                 </div>
 
+                                <div className="cp-form-group full">
+                                    <label>Only for Categories (none = all)</label>
+                                    <div className="cp-chip-list">
+                                        {categoryOptions.map(category => (
+                                            <label key={category} className={`cp-chip ${formData.categories.includes(category) ? 'selected' : ''}`}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.categories.includes(category)}
+                                                    onChange={(e) => setFormData({
+                                                        ...formData,
+                                                        categories: e.target.checked
+                                                            ? [...formData.categories, category]
+                                                            : formData.categories.filter(c => c !== category)
+                                                    })}
+                                                />
+                                                {category.replace(/-/g, ' ')}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Only for Products (none = all; hold Ctrl/Cmd to pick several)</label>
+                                    <select
+                                        multiple
+                                        className="cp-input cp-multi-select"
+                                        value={formData.products}
+                                        onChange={(e) => setFormData({ ...formData, products: Array.from(e.target.selectedOptions, o => o.value) })}
+                                    >
+                                        {productOptions.map(product => (
+                                            <option key={product._id} value={product._id}>{product.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="cp-form-group full cp-checks">
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.firstOrderOnly}
+                                            onChange={(e) => setFormData({ ...formData, firstOrderOnly: e.target.checked })}
+                                        />
+                                        First order only
+                                    </label>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.excludeSaleItems}
+                                            onChange={(e) => setFormData({ ...formData, excludeSaleItems: e.target.checked })}
+                                        />
+                                        Exclude sale / marked-down items
+                                    </label>
+                                </div>
+
                                 <div className="cp-modal-footer full" style={{ margin: '1rem -1.5rem -1.5rem', width: 'calc(100% + 3rem)' }}>
                                     <button type="button" className="cancel-btn" onClick={() => setShowModal(false)}>Cancel</button>
                                     <button type="submit" className="submit-btn" disabled={saving}>
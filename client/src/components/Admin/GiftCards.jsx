@@ -0,0 +1,245 @@
+// components/Admin/GiftCards.jsx — Gift cards: issue by hand, look up, disable
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AppContext } from '../../context/AppContext';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaGift, FaSync, FaTimes, FaPlus, FaSearch, FaBan, FaCheck, FaWallet } from 'react-icons/fa';
+import './CouponManagement.css';
+import './PurchasingManagement.css';
+import { getGiftCards, createGiftCard, updateGiftCardStatus } from '../../api/api';
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+const kes = (amount) => `KES ${Number(amount || 0).toLocaleString()}`;
+
+const EMPTY_FORM = { amount: '', recipientEmail: '', recipientName: '', message: '', expiresAt: '', note: '' };
+
+const GiftCards = () => {
+    const { showNotification } = useContext(AppContext);
+    const [cards, setCards] = useState([]);
+    const [summary, setSummary] = useState({ outstandingBalance: 0, activeCards: 0 });
+    const [searchTerm, setSearchTerm] = useState('');
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+
+    const fetchCards = useCallback(async () => {
+        try {
+            setLoading(true);
+            const { data } = await getGiftCards({
+                search: searchTerm || undefined,
+                status: statusFilter === 'all' ? undefined : statusFilter,
+                limit: 50
+            });
+            setCards(data.data);
+            setSummary(data.summary);
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to load gift cards'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [searchTerm, statusFilter, showNotification]);
+
+    useEffect(() => {
+        const t = setTimeout(fetchCards, 300);
+        return () => clearTimeout(t);
+    }, [fetchCards]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await createGiftCard(formData);
+            showNotification(data.message, 'success');
+            setShowModal(false);
+            setFormData(EMPTY_FORM);
+            fetchCards();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to issue gift card'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleStatus = async (card) => {
+        const status = card.status === 'active' ? 'disabled' : 'active';
+        if (status === 'disabled' && !window.confirm(`Disable ${card.code}? Its ${kes(card.balance)} balance can't be spent until it's enabled again.`)) return;
+        try {
+            const { data } = await updateGiftCardStatus(card._id, status);
+            showNotification(data.message, 'success');
+            fetchCards();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to update gift card'), 'error');
+        }
+    };
+
+    return (
+        <div className="po-dashboard">
+            {/* ── Stats ── */}
+            <div className="cp-stats-row">
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(212, 175, 55, 0.1)', color: '#D4AF37' }}><FaWallet /></div>
+                    <div>
+                        <div className="cp-stat-value">{kes(summary.outstandingBalance)}</div>
+                        <div className="cp-stat-label">Unspent Balance</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}><FaGift /></div>
+                    <div>
+                        <div className="cp-stat-value">{summary.activeCards}</div>
+                        <div className="cp-stat-label">Active Cards</div>
+                    </div>
+                </div>
+            </div>
+
+            {/* ── Actions ── */}
+            <div className="cp-actions-bar">
+                <div className="cp-search-wrap">
+                    <FaSearch className="cp-search-icon" />
+                    <input
+                        type="text"
+                        placeholder="Search code or recipient email..."
+                        className="cp-search-input"
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                </div>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <div className="po-tabs">
+                        {['all', 'active', 'disabled'].map(status => (
+                            <button key={status} className={statusFilter === status ? 'active' : ''} onClick={() => setStatusFilter(status)}>
+                                {status.charAt(0).toUpperCase() + status.slice(1)}
+                            </button>
+                        ))}
+                    </div>
+                    <button className="cp-action-btn" style={{ height: '42px', width: '42px' }} onClick={fetchCards} title="Refresh">
+                        <FaSync className={loading ? 'fa-spin' : ''} />
+                    </button>
+                    <button className="cp-add-btn" onClick={() => setShowModal(true)}>
+                        <FaPlus /> Issue Gift Card
+                    </button>
+                </div>
+            </div>
+
+            {/* ── Table ── */}
+            <div className="cp-table-panel">
+                <table className="cp-table">
+                    <thead>
+                        <tr>
+                            <th>Code</th>
+                            <th>Balance</th>
+                            <th>Recipient</th>
+                            <th>From</th>
+                            <th>Expires</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {cards.length === 0 ? (
+                            <tr><td colSpan="7" className="po-empty">{loading ? 'Loading...' : 'No gift cards yet.'}</td></tr>
+                        ) : cards.map(card => (
+                            <tr key={card._id}>
+                                <td><span className="cp-code-cell">{card.code}</span></td>
+                                <td>
+                                    <div className="po-item-list">
+                                        <strong>{kes(card.balance)}</strong>
+                                        <small>of {kes(card.initialBalance)}</small>
+                                    </div>
+                                </td>
+                                <td>
+                                    <div className="po-item-list">
+                                        <span>{card.recipientName || card.recipientEmail || '—'}</span>
+                                        {card.recipientName && card.recipientEmail && <small>{card.recipientEmail}</small>}
+                                    </div>
+                                </td>
+                                <td>
+                                    {card.order ? (
+                                        <div className="po-item-list">
+                                            <span>#{card.order.orderNumber}</span>
+                                            {card.purchaser && <small>{card.purchaser.firstName} {card.purchaser.lastName}</small>}
+                                        </div>
+                                    ) : card.issuedBy ? `Issued by ${card.issuedBy.firstName}` : '—'}
+                                </td>
+                                <td>{card.expiresAt ? new Date(card.expiresAt).toLocaleDateString() : 'Never'}</td>
+                                <td>
+                                    <span className={`po-status ${card.status === 'active' && !card.isExpired ? 'received' : 'cancelled'}`}>
+                                        {card.isExpired ? 'Expired' : card.status === 'active' ? 'Active' : 'Disabled'}
+                                    </span>
+                                </td>
+                                <td>
+                                    <div className="cp-table-actions">
+                                        <button
+                                            className={`cp-action-btn ${card.status === 'active' ? 'delete' : 'po-receive'}`}
+                                            onClick={() => handleToggleStatus(card)}
+                                            title={card.status === 'active' ? 'Disable' : 'Enable'}
+                                        >
+                                            {card.status === 'active' ? <FaBan /> : <FaCheck />}
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <AnimatePresence>
+                {showModal && (
+                    <motion.div className="cp-modal-overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                        <motion.div className="cp-modal" initial={{ scale: 0.9, y: 20 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.9, y: 20 }}>
+                            <div className="cp-modal-header">
+                                <h2>Issue Gift Card</h2>
+                                <button className="cp-close-btn" onClick={() => setShowModal(false)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body cp-form" onSubmit={handleSubmit}>
+                                <div className="cp-form-group">
+                                    <label>Value (KES)</label>
+                                    <input type="number" min="1" className="cp-input" value={formData.amount} required autoFocus
+                                        onChange={e => setFormData({ ...formData, amount: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Expires (blank = in 12 months)</label>
+                                    <input type="date" className="cp-input" value={formData.expiresAt}
+                                        onChange={e => setFormData({ ...formData, expiresAt: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Recipient email</label>
+                                    <input type="email" className="cp-input" value={formData.recipientEmail}
+                                        onChange={e => setFormData({ ...formData, recipientEmail: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Recipient name</label>
+                                    <input className="cp-input" value={formData.recipientName}
+                                        onChange={e => setFormData({ ...formData, recipientName: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group full">
+                                    <label>Message to the recipient</label>
+                                    <input className="cp-input" maxLength={300} value={formData.message}
+                                        onChange={e => setFormData({ ...formData, message: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group full">
+                                    <label>Internal note (why it was issued)</label>
+                                    <input className="cp-input" value={formData.note} placeholder="e.g. Late delivery on ORD-..."
+                                        onChange={e => setFormData({ ...formData, note: e.target.value })} />
+                                </div>
+                                <p className="po-hint full">The code is emailed to the recipient straight away. Without an email, pass the code on yourself.</p>
+
+                                <div className="cp-modal-footer" style={{ margin: '1rem -1.5rem -1.5rem' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setShowModal(false)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>
+                                        {saving ? 'Issuing...' : 'Issue Gift Card'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default GiftCards;
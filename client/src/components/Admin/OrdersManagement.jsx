@@ -8,7 +8,8 @@ import {
   FaShippingFast, FaCheckCircle, FaTimesCircle,
   FaMoneyBillWave, FaClipboardList, FaTruck,
   FaUser, FaMapMarkerAlt, FaPhone, FaEnvelope,
-  FaTag, FaClock, FaCoffee, FaBell, FaCalendar
+  FaTag, FaClock, FaCoffee, FaBell, FaCalendar,
+  FaUndo, FaCheck, FaBan
 } from 'react-icons/fa';
 import './OrdersManagement.css';
 
@@ -16,18 +17,37 @@ import './OrdersManagement.css';
 const PAYMENT_COLORS = {
   paid: { bg: 'rgba(16,185,129,0.12)', text: '#10b981', dot: '#10b981' },
   pending: { bg: 'rgba(245,158,11,0.12)', text: '#f59e0b', dot: '#f59e0b' },
+  partially_paid: { bg: 'rgba(59,130,246,0.12)', text: '#3b82f6', dot: '#3b82f6' },
   failed: { bg: 'rgba(239,68,68,0.12)', text: '#ef4444', dot: '#ef4444' },
   refunded: { bg: 'rgba(107,114,128,0.12)', text: '#6b7280', dot: '#6b7280' },
+  partially_refunded: { bg: 'rgba(139,92,246,0.12)', text: '#8b5cf6', dot: '#8b5cf6' },
 };
 
 const FULFILLMENT_CONFIG = {
   unfulfilled: { label: 'Confirmed', step: 0, icon: <FaBoxOpen />, color: '#6b7280' },
   packed: { label: 'Processing', step: 1, icon: <FaClipboardList />, color: '#3b82f6' },
+  partially_shipped: { label: 'Part Shipped', step: 1.5, icon: <FaTruck />, color: '#a78bfa' },
   shipped: { label: 'Shipped', step: 2, icon: <FaTruck />, color: '#8b5cf6' },
   delivered: { label: 'Delivered', step: 3, icon: <FaCheckCircle />, color: '#10b981' },
   returned: { label: 'Returned', step: -1, icon: <FaTimesCircle />, color: '#ef4444' },
 };
 
+const RETURN_STATUS_LABELS = {
+  requested: 'Awaiting Review',
+  approved: 'Approved',
+  received: 'Received',
+  rejected: 'Rejected'
+};
+
+const RETURN_REASON_LABELS = {
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  quality: 'Quality issue',
+  changed_mind: 'Changed mind',
+  other: 'Other'
+};
+
 const formatDate = (d) => !d ? '—' : new Date(d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 const formatDateTime = (d) => !d ? '—' : new Date(d).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
 
@@ -115,6 +135,7 @@ const OrdersManagement = () => {
   });
   const [pagination, setPagination] = useState({});
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [drawerTab, setDrawerTab] = useState('details');
   const [selectedOrders, setSelectedOrders] = useState([]);
 
   // Search debounce
@@ -140,7 +161,9 @@ const OrdersManagement = () => {
       const data = await res.json();
 
       if (data.success) {
-        const orderList = data.data.orders || [];
+        // Return requests awaiting review, keyed by order id
+        const pendingReturns = data.data.pendingReturns || {};
+        const orderList = (data.data.orders || []).map(o => ({ ...o, pendingReturn: pendingReturns[o._id] || null }));
         setOrders(orderList);
         setPagination(data.data.pagination || {});
         setStats({
@@ -165,26 +188,30 @@ const OrdersManagement = () => {
         headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
         body: JSON.stringify({ ...updates, notifyCustomer: true })
       });
-      if (!res.ok) throw new Error('Failed to update');
       const data = await res.json();
-      if (data.success) {
+      if (res.ok && data.success) {
         showNotification('Order updated successfully', 'success');
         fetchOrders();
         // Refresh selected order state too
         if (selectedOrder?._id === orderId) {
           setSelectedOrder(prev => ({ ...prev, ...updates }));
         }
-      } else throw new Error(data.message);
+      } else throw new Error(data.message || 'Failed to update');
     } catch (err) {
       showNotification(err.message || 'Update failed', 'error');
     }
   };
 
+  const openOrder = (order, tab = 'details') => {
+    setDrawerTab(tab);
+    setSelectedOrder(order);
+  };
+
   const handleSelectAll = (e) => setSelectedOrders(e.target.checked ? orders.map(o => o._id) : []);
   const handleSelectOrder = (id) =>
     setSelectedOrders(p => p.includes(id) ? p.filter(i => i !== id) : [...p, id]);
 
-  const FULFILLMENT_PILLS = ['all', 'unfulfilled', 'packed', 'shipped', 'delivered', 'returned'];
+  const FULFILLMENT_PILLS = ['all', 'unfulfilled', 'packed', 'partially_shipped', 'shipped', 'delivered', 'returned'];
 
   return (
     <div className="orders-management">
@@ -235,6 +262,7 @@ const OrdersManagement = () => {
         >
           <option value="all">💳 All Payments</option>
           <option value="pending">Pending</option>
+          <option value="partially_paid">Part Paid</option>
           <option value="paid">Paid</option>
           <option value="failed">Failed</option>
           <option value="refunded">Refunded</option>
@@ -333,7 +361,7 @@ const OrdersManagement = () => {
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
                   transition={{ delay: i * 0.025 }}
-                  onClick={() => setSelectedOrder(order)}
+                  onClick={() => openOrder(order)}
                   style={{ cursor: 'pointer' }}
                 >
                   <td onClick={e => e.stopPropagation()}>
@@ -345,6 +373,12 @@ const OrdersManagement = () => {
                     <div className="om-order-num-cell">
                       <strong>#{order.orderNumber}</strong>
                       <span className="om-item-count">{order.items?.length || 0} item{(order.items?.length || 0) !== 1 ? 's' : ''}</span>
+                      {order.pendingReturn && (
+                        <button className="om-return-flag" title={`Review return ${order.pendingReturn.rmaNumber}`}
+                          onClick={e => { e.stopPropagation(); openOrder(order, 'returns'); }}>
+                          <FaUndo /> Return requested
+                        </button>
+                      )}
                     </div>
                   </td>
                   <td>
@@ -364,7 +398,7 @@ const OrdersManagement = () => {
                   <td><FulfillBadge status={order.fulfillmentStatus} /></td>
                   <td><span className="om-date">{formatDate(order.createdAt)}</span></td>
                   <td onClick={e => e.stopPropagation()}>
-                    <button className="om-view-btn" onClick={() => setSelectedOrder(order)} title="Open Order">
+                    <button className="om-view-btn" onClick={() => openOrder(order)} title="Open Order">
                       <FaEye />
                     </button>
                   </td>
@@ -395,8 +429,13 @@ const OrdersManagement = () => {
         {selectedOrder && (
           <OrderDrawer
             order={selectedOrder}
+            initialTab={drawerTab}
             onClose={() => setSelectedOrder(null)}
             onUpdate={updateOrderStatus}
+            onOrderChanged={(updated) => {
+              setSelectedOrder(prev => ({ ...prev, ...updated, user: prev.user }));
+              fetchOrders();
+            }}
           />
         )}
       </AnimatePresence>
@@ -415,8 +454,540 @@ const SUGGESTED_MESSAGES = {
   returned: "We noticed your order was returned. Our team will contact you shortly to resolve this."
 };
 
-const OrderDrawer = ({ order, onClose, onUpdate }) => {
-  const [activeTab, setActiveTab] = useState('details');
+// ─── Returns ────────────────────────────────────────────────────
+// The order's return requests (RMA), with approve / reject for those awaiting
+// review. Receiving the parcel is done from the Returns queue.
+const ReturnsPanel = ({ order, onReviewed }) => {
+  const { showNotification, token } = useContext(AppContext);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // null | { mode: 'approve' | 'reject', id }
+  const [review, setReview] = useState(null);
+  const [text, setText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadReturns = async () => {
+    try {
+      setLoading(true);
+      const res = await fetch(`/api/admin/returns?order=${order._id}&status=all&limit=50`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (data.success) setRequests(data.data.returns);
+    } catch (err) {
+      showNotification('Failed to load return requests', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { loadReturns(); }, [order._id]);
+
+  const startReview = (mode, id) => {
+    setReview({ mode, id });
+    setText('');
+  };
+
+  const submitReview = async (e) => {
+    e.preventDefault();
+    if (review.mode === 'reject' && !text.trim()) {
+      showNotification('Please give the customer a reason', 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`/api/admin/returns/${review.id}/${review.mode}`, {
+        method: 'PATCH',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(review.mode === 'approve' ? { adminNote: text } : { reason: text })
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || 'Failed to update return');
+
+      showNotification(data.message, 'success');
+      setReview(null);
+      await loadReturns();
+      // The list flags orders with returns awaiting review
+      const stillPending = requests.some(r => r._id !== review.id && r.status === 'requested');
+      onReviewed({ pendingReturn: stillPending ? order.pendingReturn : null });
+    } catch (err) {
+      showNotification(err.message || 'Failed to update return', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="om-drawer-section">
+      <h4 className="om-section-title"><FaUndo /> Return Requests</h4>
+      {loading ? (
+        <p className="om-hint">Loading...</p>
+      ) : requests.length === 0 ? (
+        <p className="om-hint">No returns requested on this order.</p>
+      ) : (
+        <div className="om-refund-list">
+          {requests.map(request => (
+            <div key={request._id} className="om-return-card">
+              <div className="om-parcel-head">
+                <strong className="mono">{request.rmaNumber}</strong>
+                <span className={`om-return-status ${request.status}`}>{RETURN_STATUS_LABELS[request.status] || request.status}</span>
+              </div>
+              <span>{formatDateTime(request.createdAt)} · {RETURN_REASON_LABELS[request.reason] || request.reason}</span>
+              {request.items.map(i => <span key={i.item}>{i.quantity} × {i.name} ({i.size})</span>)}
+              {request.details && <p className="om-return-details">{request.details}</p>}
+              {request.photos?.length > 0 && (
+                <div className="om-return-photos">
+                  {request.photos.map(photo => (
+                    <a key={photo.public_id} href={photo.url} target="_blank" rel="noopener noreferrer">
+                      <img src={photo.url} alt="Return" />
+                    </a>
+                  ))}
+                </div>
+              )}
+              {request.returnCode && <span>Return code: <strong className="mono">{request.returnCode}</strong></span>}
+              {request.rejectionReason && <span>Rejected: {request.rejectionReason}</span>}
+
+              {request.status === 'requested' && (review?.id === request._id ? (
+                <form className="om-update-form" onSubmit={submitReview}>
+                  <div className="om-form-field">
+                    <label>
+                      {review.mode === 'approve'
+                        ? <>Instructions for the customer <span className="om-hint">(optional — a return code is emailed)</span></>
+                        : 'Reason (sent to the customer)'}
+                    </label>
+                    <textarea rows="3" value={text} onChange={e => setText(e.target.value)}
+                      placeholder={review.mode === 'approve' ? 'e.g. Drop it at our Westlands shop or send via G4S' : ''} />
+                  </div>
+                  <div className="om-refund-actions">
+                    <button type="button" className="om-update-btn om-btn-secondary" onClick={() => setReview(null)}>Cancel</button>
+                    <button type="submit" className={`om-update-btn ${review.mode === 'reject' ? 'om-refund-full' : ''}`} disabled={submitting}>
+                      {submitting ? 'Saving...' : review.mode === 'approve' ? 'Approve Return' : 'Reject Return'}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="om-refund-actions">
+                  <button type="button" className="om-update-btn" onClick={() => startReview('approve', request._id)}>
+                    <FaCheck /> Approve
+                  </button>
+                  <button type="button" className="om-update-btn om-refund-full" onClick={() => startReview('reject', request._id)}>
+                    <FaBan /> Reject
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ─── Refunds ────────────────────────────────────────────────────
+const RefundsPanel = ({ order, onRefunded }) => {
+  const { showNotification, token } = useContext(AppContext);
+  const [refunds, setRefunds] = useState([]);
+  const [refundable, setRefundable] = useState(0);
+  const [quantities, setQuantities] = useState({});
+  const [refundShipping, setRefundShipping] = useState(false);
+  const [restock, setRestock] = useState(['unfulfilled', 'packed', 'returned'].includes(order.fulfillmentStatus));
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [providerReference, setProviderReference] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const canRefund = ['paid', 'partially_paid', 'partially_refunded'].includes(order.paymentStatus) && refundable > 0;
+
+  const loadRefunds = async () => {
+    try {
+      const res = await fetch(`/api/admin/orders/${order._id}/refunds`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (data.success) {
+        setRefunds(data.data.refunds);
+        setRefundable(data.data.refundableAmount);
+      }
+    } catch (err) {
+      showNotification('Failed to load refunds', 'error');
+    }
+  };
+
+  useEffect(() => { loadRefunds(); }, [order._id, order.refundedAmount]);
+
+  const submitRefund = async (type) => {
+    if (!reason.trim()) {
+      showNotification('Please give a reason for the refund', 'error');
+      return;
+    }
+    if (type === 'full' && !window.confirm(`Refund the remaining KES ${refundable.toLocaleString()} on #${order.orderNumber}?`)) return;
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`/api/admin/orders/${order._id}/refunds`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type,
+          lines: Object.entries(quantities)
+            .filter(([, qty]) => parseInt(qty) > 0)
+            .map(([item, quantity]) => ({ item, quantity: parseInt(quantity) })),
+          refundShipping,
+          amount: amount || undefined,
+          restock,
+          reason,
+          providerReference
+        })
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || 'Refund failed');
+
+      showNotification(data.message, 'success');
+      setQuantities({});
+      setAmount('');
+      setReason('');
+      setProviderReference('');
+      setRefundShipping(false);
+      onRefunded(data.data.order);
+    } catch (err) {
+      showNotification(err.message || 'Refund failed', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="om-drawer-section">
+        <h4 className="om-section-title"><FaMoneyBillWave /> Refund History</h4>
+        <div className="om-summary">
+          <div className="om-summary-row"><span>Order Total</span><span>KES {order.total?.toLocaleString()}</span></div>
+          {order.amountPaid > 0 && <div className="om-summary-row"><span>Paid</span><span>KES {order.amountPaid.toLocaleString()}</span></div>}
+          <div className="om-summary-row"><span>Refunded</span><span>KES {(order.refundedAmount || 0).toLocaleString()}</span></div>
+          <div className="om-summary-row total"><span>Still Refundable</span><span>KES {refundable.toLocaleString()}</span></div>
+        </div>
+        {refunds.length > 0 ? (
+          <div className="om-refund-list">
+            {refunds.map(r => (
+              <div key={r._id} className="om-refund-row">
+                <div>
+                  <strong className="mono">{r.refundNumber}</strong>
+                  <span>{formatDateTime(r.createdAt)} · {r.type}{r.processedBy ? ` · ${r.processedBy.firstName}` : ''}</span>
+                  <span>{r.reason}</span>
+                </div>
+                <strong>KES {r.amount.toLocaleString()}</strong>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="om-hint">No refunds issued on this order.</p>
+        )}
+      </div>
+
+      {canRefund ? (
+        <div className="om-update-form">
+          <div className="om-form-field">
+            <label>Lines to Refund</label>
+            {order.items?.map(item => {
+              const remaining = item.quantity - (item.refundedQuantity || 0);
+              return (
+                <div key={item._id} className="om-refund-line">
+                  <span>{item.name} ({item.size}) <span className="om-hint">— {remaining} of {item.quantity} refundable</span></span>
+                  <input
+                    type="number"
+                    min="0"
+                    max={remaining}
+                    disabled={remaining === 0}
+                    value={quantities[item._id] || ''}
+                    onChange={e => setQuantities(q => ({ ...q, [item._id]: e.target.value }))}
+                    placeholder="0"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          <label className="om-refund-check">
+            <input type="checkbox" checked={refundShipping} onChange={e => setRefundShipping(e.target.checked)} />
+            Refund shipping (KES {order.shippingCost?.toLocaleString()})
+          </label>
+          <label className="om-refund-check">
+            <input type="checkbox" checked={restock} onChange={e => setRestock(e.target.checked)} disabled={!!order.stockReleasedAt} />
+            Return refunded items to stock {order.stockReleasedAt && <span className="om-hint">(already restocked on cancellation)</span>}
+          </label>
+
+          <div className="om-form-field">
+            <label>Amount Override <span className="om-hint">(optional — goodwill or adjusted refunds)</span></label>
+            <input type="number" min="0" max={refundable} value={amount} onChange={e => setAmount(e.target.value)} placeholder="Calculated from the lines" />
+          </div>
+          <div className="om-form-field">
+            <label>Reason</label>
+            <textarea rows={2} value={reason} onChange={e => setReason(e.target.value)} placeholder="e.g., Damaged in transit" />
+          </div>
+          <div className="om-form-field">
+            <label>Provider Reference <span className="om-hint">(optional — e.g. M-Pesa reversal code)</span></label>
+            <input type="text" className="mono" value={providerReference} onChange={e => setProviderReference(e.target.value)} />
+          </div>
+
+          <div className="om-refund-actions">
+            <button type="button" className="om-update-btn" disabled={submitting} onClick={() => submitRefund('partial')}>
+              {submitting ? 'Processing…' : 'Refund Selected'}
+            </button>
+            <button type="button" className="om-update-btn om-refund-full" disabled={submitting} onClick={() => submitRefund('full')}>
+              Full Refund
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="om-hint">
+          {refundable <= 0 ? 'This order has been refunded in full.' : 'Only paid orders can be refunded.'}
+        </p>
+      )}
+    </>
+  );
+};
+
+// ─── Manual payments (Paybill, cash, bank) ──────────────────────
+const PAYMENT_METHOD_LABELS = {
+  mpesa: 'M-Pesa',
+  airtel: 'Airtel Money',
+  card: 'Card',
+  cod: 'Cash on Delivery',
+  paypal: 'PayPal'
+};
+
+const RecordPaymentForm = ({ order, onRecorded }) => {
+  const { showNotification, token } = useContext(AppContext);
+  const [amount, setAmount] = useState('');
+  const [reference, setReference] = useState(order.manualTransactionId || '');
+  // The balance of a split order is usually collected another way (e.g. cash on delivery)
+  const [method, setMethod] = useState(
+    (order.paymentStatus === 'partially_paid' && order.balancePaymentMethod) || order.paymentMethod || 'mpesa'
+  );
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const balanceDue = order.balanceDue ?? order.total;
+
+  const submitPayment = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const res = await fetch(`/api/admin/orders/${order._id}/payments`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount, reference, method, note })
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || 'Failed to record payment');
+
+      showNotification(data.message, 'success');
+      setAmount('');
+      setNote('');
+      onRecorded(data.data.order);
+    } catch (err) {
+      showNotification(err.message || 'Failed to record payment', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submitPayment} className="om-update-form om-record-payment">
+      <h4 className="om-section-title"><FaMoneyBillWave /> Record Payment Received</h4>
+      <p className="om-hint">
+        KES {balanceDue.toLocaleString()} due. Enter what actually arrived — a short payment leaves the order part paid, an overpayment is recorded as customer credit.
+      </p>
+      <div className="om-form-field">
+        <label>Amount Received (KES)</label>
+        <input type="number" min="1" step="0.01" value={amount} onChange={e => setAmount(e.target.value)} placeholder={String(balanceDue)} required />
+      </div>
+      <div className="om-form-field">
+        <label>Paid With</label>
+        <select value={method} onChange={e => setMethod(e.target.value)}>
+          {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+      <div className="om-form-field">
+        <label>Reference <span className="om-hint">(M-Pesa receipt, bank ref — optional for cash)</span></label>
+        <input type="text" className="mono" value={reference} onChange={e => setReference(e.target.value)} />
+      </div>
+      <div className="om-form-field">
+        <label>Note <span className="om-hint">(optional)</span></label>
+        <input type="text" value={note} onChange={e => setNote(e.target.value)} placeholder="e.g., Paid at the shop" />
+      </div>
+      <button type="submit" className="om-update-btn" disabled={submitting}>
+        {submitting ? 'Recording…' : 'Record Payment'}
+      </button>
+    </form>
+  );
+};
+
+// ─── Parcels (split shipments) ──────────────────────────────────
+const PARCEL_COLORS = { pending: '#f59e0b', shipped: '#8b5cf6', delivered: '#10b981' };
+
+const ShipmentsPanel = ({ order, onChanged }) => {
+  const { showNotification, token } = useContext(AppContext);
+  const [quantities, setQuantities] = useState({});
+  const [carrier, setCarrier] = useState('');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [shipNow, setShipNow] = useState(true);
+  const [parcelTracking, setParcelTracking] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const shipments = order.shipments || [];
+  const singleParcel = !shipments.length && ['shipped', 'delivered', 'returned'].includes(order.fulfillmentStatus);
+  const canShip = order.orderStatus !== 'cancelled' && !singleParcel;
+
+  // Units of each line not yet in a parcel (refunded units never ship)
+  const remainingFor = (item) => item.quantity - (item.refundedQuantity || 0) - shipments
+    .flatMap(p => p.items)
+    .filter(i => i.item === item._id)
+    .reduce((sum, i) => sum + i.quantity, 0);
+
+  const request = async (url, method, body) => {
+    setSubmitting(true);
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || 'Parcel update failed');
+      showNotification(data.message, 'success');
+      onChanged(data.data);
+      return true;
+    } catch (err) {
+      showNotification(err.message || 'Parcel update failed', 'error');
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const createParcel = async () => {
+    const items = Object.entries(quantities)
+      .filter(([, qty]) => parseInt(qty) > 0)
+      .map(([item, quantity]) => ({ item, quantity: parseInt(quantity) }));
+    if (!items.length) {
+      showNotification('Choose the items going in this parcel', 'error');
+      return;
+    }
+    const ok = await request(`/api/admin/orders/${order._id}/shipments`, 'POST', { items, carrier, trackingNumber, ship: shipNow });
+    if (ok) {
+      setQuantities({});
+      setCarrier('');
+      setTrackingNumber('');
+    }
+  };
+
+  const updateParcel = (parcel, status) => request(`/api/admin/orders/${order._id}/shipments/${parcel._id}`, 'PATCH', {
+    status,
+    trackingNumber: parcelTracking[parcel._id] || undefined
+  });
+
+  const deleteParcel = (parcel) => {
+    if (!window.confirm(`Unpack ${parcel.shipmentNumber}?`)) return;
+    request(`/api/admin/orders/${order._id}/shipments/${parcel._id}`, 'DELETE');
+  };
+
+  return (
+    <>
+      <div className="om-drawer-section">
+        <h4 className="om-section-title"><FaTruck /> Parcels</h4>
+        {shipments.length > 0 ? (
+          <div className="om-refund-list">
+            {shipments.map(parcel => (
+              <div key={parcel._id} className="om-parcel-card">
+                <div className="om-parcel-head">
+                  <strong className="mono">{parcel.shipmentNumber}</strong>
+                  <span className="om-parcel-status" style={{ color: PARCEL_COLORS[parcel.status], background: `${PARCEL_COLORS[parcel.status]}18` }}>
+                    {parcel.status}
+                  </span>
+                </div>
+                <span>{parcel.items.map(i => `${i.name} (${i.size}) × ${i.quantity}`).join(', ')}</span>
+                {(parcel.carrier || parcel.trackingNumber) && (
+                  <span>{parcel.carrier}{parcel.carrier && parcel.trackingNumber ? ' · ' : ''}<span className="mono">{parcel.trackingNumber}</span></span>
+                )}
+                {parcel.shippedAt && <span>Shipped {formatDateTime(parcel.shippedAt)}{parcel.deliveredAt ? ` · Delivered ${formatDateTime(parcel.deliveredAt)}` : ''}</span>}
+
+                {parcel.status === 'pending' && (
+                  <div className="om-parcel-actions">
+                    {!parcel.trackingNumber && (
+                      <input
+                        type="text"
+                        className="mono"
+                        placeholder="Tracking #"
+                        value={parcelTracking[parcel._id] || ''}
+                        onChange={e => setParcelTracking(t => ({ ...t, [parcel._id]: e.target.value }))}
+                      />
+                    )}
+                    <button type="button" className="om-parcel-btn" disabled={submitting} onClick={() => updateParcel(parcel, 'shipped')}>Ship</button>
+                    <button type="button" className="om-parcel-btn" disabled={submitting} onClick={() => deleteParcel(parcel)}>Unpack</button>
+                  </div>
+                )}
+                {parcel.status === 'shipped' && (
+                  <div className="om-parcel-actions">
+                    <button type="button" className="om-parcel-btn" disabled={submitting} onClick={() => updateParcel(parcel, 'delivered')}>Mark Delivered</button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="om-hint">
+            {singleParcel ? 'This order went out as a single parcel.' : 'No parcels yet — the order ships in one go unless you split it here.'}
+          </p>
+        )}
+      </div>
+
+      {canShip && (
+        <div className="om-update-form">
+          <div className="om-form-field">
+            <label>New Parcel</label>
+            {order.items?.map(item => {
+              const remaining = remainingFor(item);
+              return (
+                <div key={item._id} className="om-refund-line">
+                  <span>{item.name} ({item.size}) <span className="om-hint">— {remaining} left to ship</span></span>
+                  <input
+                    type="number"
+                    min="0"
+                    max={remaining}
+                    disabled={remaining <= 0}
+                    value={quantities[item._id] || ''}
+                    onChange={e => setQuantities(q => ({ ...q, [item._id]: e.target.value }))}
+                    placeholder="0"
+                  />
+                </div>
+              );
+            })}
+          </div>
+          <div className="om-form-field">
+            <label>Carrier</label>
+            <input type="text" value={carrier} onChange={e => setCarrier(e.target.value)} placeholder="e.g., G4S, Sendy, Rider" />
+          </div>
+          <div className="om-form-field">
+            <label>Tracking Number</label>
+            <input type="text" className="mono" value={trackingNumber} onChange={e => setTrackingNumber(e.target.value)} required={shipNow} />
+          </div>
+          <label className="om-refund-check">
+            <input type="checkbox" checked={shipNow} onChange={e => setShipNow(e.target.checked)} />
+            Ship it now (emails the customer)
+          </label>
+          <button type="button" className="om-update-btn" disabled={submitting} onClick={createParcel}>
+            {submitting ? 'Saving…' : shipNow ? 'Create & Ship Parcel' : 'Create Parcel'}
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+const OrderDrawer = ({ order, initialTab = 'details', onClose, onUpdate, onOrderChanged }) => {
+  const [activeTab, setActiveTab] = useState(initialTab);
   const [paymentStatus, setPaymentStatus] = useState(order.paymentStatus || 'pending');
   const [fulfillmentStatus, setFulfillmentStatus] = useState(order.fulfillmentStatus || 'unfulfilled');
   const [trackingNumber, setTrackingNumber] = useState(order.trackingNumber || '');
@@ -476,6 +1047,9 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
           {[
             { id: 'details', label: '📦 Details' },
             { id: 'update', label: '✏️ Update Status' },
+            { id: 'parcels', label: '🚚 Parcels' },
+            { id: 'refunds', label: '💸 Refunds' },
+            { id: 'returns', label: '↩️ Returns', alert: !!order.pendingReturn },
             { id: 'timeline', label: '📋 History' },
           ].map(tab => (
             <button
@@ -484,6 +1058,7 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
               onClick={() => setActiveTab(tab.id)}
             >
               {tab.label}
+              {tab.alert && <span className="om-tab-alert" />}
             </button>
           ))}
         </div>
@@ -533,6 +1108,11 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
                             {item.size && <span>{item.size}</span>}
                             {item.grind && <span>{item.grind}</span>}
                           </div>
+                          {item.batchAllocations?.length > 0 && (
+                            <div className="om-item-batches">
+                              Batch {item.batchAllocations.map(a => `${a.batchNumber} × ${a.quantity}`).join(', ')}
+                            </div>
+                          )}
                         </div>
                         <div className="om-item-price">
                           <span className="om-item-qty">× {item.quantity}</span>
@@ -551,11 +1131,28 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
                     <div className="om-summary-row"><span>Shipping</span><span>KES {order.shippingCost?.toLocaleString() || '0'}</span></div>
                     {order.tax > 0 && <div className="om-summary-row"><span>Tax</span><span>KES {order.tax?.toLocaleString()}</span></div>}
                     <div className="om-summary-row total"><span>Total</span><span>KES {order.total?.toLocaleString()}</span></div>
+                    {order.amountPaid > 0 && <div className="om-summary-row"><span>Paid</span><span>KES {order.amountPaid.toLocaleString()}</span></div>}
+                    {order.paymentStatus === 'partially_paid' && <div className="om-summary-row"><span>Balance Due{order.balancePaymentMethod === 'cod' ? ' (on delivery)' : ''}</span><span>KES {order.balanceDue?.toLocaleString()}</span></div>}
+                    {order.overpaidAmount > 0 && <div className="om-summary-row"><span>Overpaid (customer credit)</span><span>KES {order.overpaidAmount.toLocaleString()}</span></div>}
                   </div>
                   <div className={`om-pay-indicator ${order.paymentStatus}`}>
                     <span className="om-pay-dot" />
                     {order.paymentStatus === 'paid' ? '✓ Payment received' : `Payment ${order.paymentStatus}`} via {order.paymentMethod}
+                    {order.depositAmount > 0 && ` · KES ${order.depositAmount.toLocaleString()} deposit`}
                   </div>
+                  {order.payments?.length > 0 && (
+                    <div className="om-payments-list">
+                      {order.payments.map(payment => (
+                        <div key={payment._id} className="om-summary-row">
+                          <span>
+                            {PAYMENT_METHOD_LABELS[payment.method] || payment.method} · {formatDateTime(payment.paidAt)}
+                            {payment.reference && <span className="mono"> · {payment.reference}</span>}
+                          </span>
+                          <span>KES {payment.amount?.toLocaleString()}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 <div className="om-drawer-section">
@@ -576,9 +1173,13 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
                 <form onSubmit={handleUpdate} className="om-update-form">
 
                   <div className="om-form-field">
-                    <label>Payment Status</label>
+                    <label>
+                      Payment Status
+                      <span className="om-hint"> — Paid records the balance as received; use the form below for other amounts</span>
+                    </label>
                     <div className="om-pay-options">
-                      {['pending', 'paid', 'failed', 'refunded'].map(s => {
+                      {/* Refund statuses are set by the Refunds tab */}
+                      {['pending', 'paid', 'failed'].map(s => {
                         const cfg = PAYMENT_COLORS[s];
                         return (
                           <button
@@ -596,7 +1197,10 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
                   </div>
 
                   <div className="om-form-field">
-                    <label>Fulfillment Status</label>
+                    <label>
+                      Fulfillment Status
+                      {order.shipments?.length > 0 && <span className="om-hint"> — Follows the order's parcels (Parcels tab)</span>}
+                    </label>
                     <div className="om-fulfill-options">
                       {['unfulfilled', 'packed', 'shipped', 'delivered', 'returned'].map(s => {
                         const cfg = FULFILLMENT_CONFIG[s];
@@ -659,6 +1263,29 @@ const OrderDrawer = ({ order, onClose, onUpdate }) => {
                     {updating ? 'Saving changes…' : '✓ Save Status Update'}
                   </button>
                 </form>
+
+                {['pending', 'failed', 'partially_paid'].includes(order.paymentStatus) && order.orderStatus !== 'cancelled' && (
+                  <RecordPaymentForm order={order} onRecorded={onOrderChanged} />
+                )}
+              </motion.div>
+            )}
+
+            {/* ═══ REFUNDS ═══ */}
+            {activeTab === 'parcels' && (
+              <motion.div key="parcels" className="om-tab-pane" initial={{ opacity: 0, x: 15 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -15 }}>
+                <ShipmentsPanel order={order} onChanged={onOrderChanged} />
+              </motion.div>
+            )}
+
+            {activeTab === 'refunds' && (
+              <motion.div key="refunds" className="om-tab-pane" initial={{ opacity: 0, x: 15 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -15 }}>
+                <RefundsPanel order={order} onRefunded={onOrderChanged} />
+              </motion.div>
+            )}
+
+            {activeTab === 'returns' && (
+              <motion.div key="returns" className="om-tab-pane" initial={{ opacity: 0, x: 15 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -15 }}>
+                <ReturnsPanel order={order} onReviewed={onOrderChanged} />
               </motion.div>
             )}
 
@@ -162,11 +162,15 @@ const ProductsManagement = () => {
     } catch { showAlert('Failed to delete product', 'error'); }
   };
 
-  const handleQuickStockUpdate = async (productId, adjustment) => {
+  const handleQuickStockUpdate = async (productId, adjustment, size) => {
     try {
-      const { data } = await updateProductStock(productId, { mode: 'adjust', adjustment });
+      const { data } = await updateProductStock(productId, { mode: 'adjust', adjustment, size });
       if (data.success) {
-        setProducts(prev => prev.map(p => p._id === productId ? { ...p, inventory: { ...p.inventory, stock: data.data.stock } } : p));
+        setProducts(prev => prev.map(p => p._id === productId ? {
+          ...p,
+          sizes: data.data.sizes || p.sizes,
+          inventory: { ...p.inventory, stock: data.data.totalStock ?? data.data.stock }
+        } : p));
       }
     } catch (err) {
       console.error('Quick stock update failed:', err);
@@ -355,13 +359,7 @@ const ProductsManagement = () => {
                   </div>
                 )}
                 <div className="card-footer" onClick={e => e.stopPropagation()}>
-                  <div className="quick-stock-adjust">
-                    <button className="stock-btn" onClick={() => handleQuickStockUpdate(product._id, -1)} disabled={(product.inventory?.stock || 0) <= 0}>–</button>
-                    <span className={`stock-chip ${(product.inventory?.stock || 0) <= (product.inventory?.lowStockAlert || 5) ? 'low' : 'ok'}`}>
-                      {product.inventory?.stock || 0}
-                    </span>
-                    <button className="stock-btn" onClick={() => handleQuickStockUpdate(product._id, 1)}>+</button>
-                  </div>
+                  <VariantStockAdjust product={product} onAdjust={handleQuickStockUpdate} />
                   <div className="card-actions">
                     <button className="btn-card-action edit" title="Edit"
                       onClick={() => { setEditingProduct(product); setShowProductModal(true); }}><FaEdit /></button>
@@ -397,13 +395,7 @@ const ProductsManagement = () => {
                   </td>
                   <td className="price-col">KES {product.sizes?.[0]?.price?.toLocaleString() || '—'}</td>
                   <td>
-                    <div className="quick-stock-adjust align-left">
-                      <button className="stock-btn" onClick={() => handleQuickStockUpdate(product._id, -1)} disabled={(product.inventory?.stock || 0) <= 0}>–</button>
-                      <span className={`stock-chip ${(product.inventory?.stock || 0) <= (product.inventory?.lowStockAlert || 5) ? 'low' : 'ok'}`}>
-                        {product.inventory?.stock || 0}
-                      </span>
-                      <button className="stock-btn" onClick={() => handleQuickStockUpdate(product._id, 1)}>+</button>
-                    </div>
+                    <VariantStockAdjust product={product} onAdjust={handleQuickStockUpdate} align="left" />
                   </td>
                   <td>{getCatLabel(product.category)}</td>
                   <td>
@@ -435,6 +427,30 @@ const ProductsManagement = () => {
   );
 };
 
+/* ─── Per-size Quick Stock Adjust ────────────────────────────── */
+const VariantStockAdjust = ({ product, onAdjust, align }) => {
+  const sizes = product.sizes?.length
+    ? product.sizes
+    : [{ size: undefined, stock: product.inventory?.stock || 0, lowStockAlert: product.inventory?.lowStockAlert || 5 }];
+
+  return (
+    <div className="variant-stock-adjust">
+      {sizes.map(s => {
+        const stock = s.stock ?? 0;
+        const alertAt = s.lowStockAlert ?? product.inventory?.lowStockAlert ?? 5;
+        return (
+          <div key={s.size || 'default'} className={`quick-stock-adjust${align === 'left' ? ' align-left' : ''}`}>
+            {s.size && sizes.length > 1 && <span className="stock-size-label">{s.size}</span>}
+            <button className="stock-btn" onClick={() => onAdjust(product._id, -1, s.size)} disabled={stock <= 0}>–</button>
+            <span className={`stock-chip ${stock <= alertAt ? 'low' : 'ok'}`}>{stock}</span>
+            <button className="stock-btn" onClick={() => onAdjust(product._id, 1, s.size)}>+</button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 /* ─── Product Modal ──────────────────────────────────────────── */
 const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAddCategory }) => {
   const { showAlert } = useContext(AppContext);
@@ -448,7 +464,12 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
   const [formData, setFormData] = useState({
     name: product?.name || '',
     description: product?.description || '',
-    sizes: product?.sizes || [{ size: '250g', price: '' }],
+    sizes: product?.sizes?.map(s => ({
+      size: s.size,
+      price: s.price,
+      stock: s.stock ?? 0,
+      lowStockAlert: s.lowStockAlert ?? product?.inventory?.lowStockAlert ?? 5,
+    })) || [{ size: '250g', price: '', stock: 0, lowStockAlert: 5 }],
     category: product?.category || 'coffee-beans',
     roastLevel: product?.roastLevel || 'medium',
     origin: product?.origin || '',
@@ -463,11 +484,14 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
     },
     tags: product?.tags?.join(', ') || '',
     isFeatured: product?.isFeatured || false,
+    isGiftCard: product?.isGiftCard || false,
   });
   const [images, setImages] = useState(product?.images || []);
 
   const set = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
   const cfg = getCategoryConfig(formData.category);
+  // Each size is its own stock pool; the product total is just their sum
+  const totalStock = formData.sizes.reduce((sum, s) => sum + (parseInt(s.stock) || 0), 0);
 
   // Update size default when category changes
   const handleCategoryChange = (val) => {
@@ -475,7 +499,7 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
     set('category', val);
     // Reset sizes to the default for this category
     if (formData.sizes.length === 1 && !formData.sizes[0].price) {
-      set('sizes', [{ size: newCfg.sizeDefault, price: '' }]);
+      set('sizes', [{ size: newCfg.sizeDefault, price: '', stock: formData.sizes[0].stock ?? 0, lowStockAlert: formData.inventory.lowStockAlert }]);
     }
   };
 
@@ -510,11 +534,14 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
   };
 
   /* ── Size handling ── */
-  const addSize = () => set('sizes', [...formData.sizes, { size: cfg.sizeDefault, price: '' }]);
+  const addSize = () => set('sizes', [...formData.sizes, { size: cfg.sizeDefault, price: '', stock: 0, lowStockAlert: formData.inventory.lowStockAlert }]);
   const removeSize = (i) => set('sizes', formData.sizes.filter((_, idx) => idx !== i));
-  const updateSize = (i, field, value) => set('sizes', formData.sizes.map((s, idx) =>
-    idx === i ? { ...s, [field]: field === 'price' ? (value === '' ? '' : parseFloat(value) || 0) : value } : s
-  ));
+  const updateSize = (i, field, value) => set('sizes', formData.sizes.map((s, idx) => {
+    if (idx !== i) return s;
+    if (field === 'price') return { ...s, price: value === '' ? '' : parseFloat(value) || 0 };
+    if (field === 'stock' || field === 'lowStockAlert') return { ...s, [field]: value === '' ? '' : Math.max(0, parseInt(value) || 0) };
+    return { ...s, [field]: value };
+  }));
 
   /* ── Flavor tag handling ── */
   const addFlavor = (note) => {
@@ -532,8 +559,8 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
     }
     const invalidSizes = formData.sizes.filter(s => !s.size || !s.price || parseFloat(s.price) <= 0);
     if (invalidSizes.length) { showAlert('All sizes need a valid price > 0.', 'error'); return; }
-    const stock = parseInt(formData.inventory.stock);
-    if (isNaN(stock) || stock < 0) { showAlert('Stock must be a valid number ≥ 0.', 'error'); return; }
+    const invalidStock = formData.sizes.filter(s => isNaN(parseInt(s.stock)) || parseInt(s.stock) < 0);
+    if (invalidStock.length) { showAlert('Stock for every size must be a valid number ≥ 0.', 'error'); return; }
 
     setSaving(true);
     try {
@@ -546,7 +573,12 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
       const productData = {
         name: formData.name.trim(),
         description: formData.description.trim(),
-        sizes: formData.sizes.map(s => ({ size: s.size, price: parseFloat(s.price) })),
+        sizes: formData.sizes.map(s => ({
+          size: s.size,
+          price: parseFloat(s.price),
+          stock: parseInt(s.stock) || 0,
+          lowStockAlert: parseInt(s.lowStockAlert) || 0,
+        })),
         category: formData.category,
         roastLevel: cfg.hasRoast ? formData.roastLevel : undefined,
         origin: formData.origin?.trim() || undefined,
@@ -555,9 +587,10 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
         material: formData.material?.trim() || undefined,
         brand: formData.brand?.trim() || undefined,
         capacity: formData.capacity?.trim() || undefined,
-        inventory: { stock, lowStockAlert: parseInt(formData.inventory.lowStockAlert) || 5 },
+        inventory: { stock: totalStock, lowStockAlert: parseInt(formData.inventory.lowStockAlert) || 5 },
         tags: formData.tags ? formData.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
         isFeatured: formData.isFeatured,
+        isGiftCard: formData.isGiftCard,
       };
 
       const filesToUpload = images.filter(img => img.file).map(img => img.file);
@@ -647,7 +680,7 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
               </div>
               <div className="pm-preview-tags">
                 {formData.isFeatured && <span className="preview-tag gold"><FaStar /> Featured</span>}
-                {(formData.inventory?.stock || 0) <= 10 && <span className="preview-tag red"><FaBell /> Low stock</span>}
+                {formData.sizes.some(s => (parseInt(s.stock) || 0) <= (parseInt(s.lowStockAlert) || 0)) && <span className="preview-tag red"><FaBell /> Low stock</span>}
               </div>
             </div>
           </nav>
@@ -721,6 +754,20 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
                       Feature this product on homepage
                     </label>
                   </div>
+
+                  <div className="pm-field">
+                    <label>
+                      <input type="checkbox" checked={formData.isGiftCard}
+                        onChange={e => set('isGiftCard', e.target.checked)}
+                        style={{ marginRight: '0.5rem', accentColor: 'var(--color-primary)' }} />
+                      Sell as a gift card
+                    </label>
+                    {formData.isGiftCard && (
+                      <p className="pm-field-hint">
+                        Each size is a card value (e.g. "KES 2,000" priced 2000). Cards are emailed once the order is paid; keep stock above zero so it stays on sale — it isn't used up.
+                      </p>
+                    )}
+                  </div>
                 </motion.div>
               )}
 
@@ -913,38 +960,57 @@ const ProductModal = ({ product, onClose, onSave, getToken, allCategories, onAdd
               {activeSection === 'stock' && (
                 <motion.div key="stock" className="pm-section" initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -20 }}>
                   <h3 className="pm-section-title">📦 Inventory Management</h3>
+                  <p className="pm-section-hint">Each size is stocked separately — selling a 1kg bag doesn't use up 250g stock.</p>
+                  <div className="variant-stock-table">
+                    <div className="variant-stock-head">
+                      <span>Size</span><span>In Stock</span><span>Alert At</span><span>Status</span>
+                    </div>
+                    {formData.sizes.map((s, i) => {
+                      const qty = parseInt(s.stock) || 0;
+                      const alertAt = parseInt(s.lowStockAlert) || 0;
+                      return (
+                        <div key={i} className="variant-stock-row">
+                          <strong>{s.size || `Size ${i + 1}`}</strong>
+                          <input type="number" min="0" value={s.stock}
+                            onChange={e => updateSize(i, 'stock', e.target.value)} />
+                          <input type="number" min="0" value={s.lowStockAlert}
+                            onChange={e => updateSize(i, 'lowStockAlert', e.target.value)} />
+                          <span className={`stock-chip ${qty === 0 ? 'low' : qty <= alertAt ? 'low' : 'ok'}`}>
+                            {qty === 0 ? 'Out' : qty <= alertAt ? 'Low' : 'OK'}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
                   <div className="stock-cards">
                     <div className="stock-card">
                       <div className="stock-card-icon green"><FaCheckCircle /></div>
                       <div className="pm-field">
-                        <label>Current Stock <span className="req">*</span></label>
-                        <input type="number"
-                          value={formData.inventory.stock}
-                          onChange={e => set('inventory', { ...formData.inventory, stock: parseInt(e.target.value) || 0 })}
-                          min="0" required />
-                        <span className="pm-field-hint">Number of units available for sale</span>
+                        <label>Total Stock</label>
+                        <input type="number" value={totalStock} readOnly />
+                        <span className="pm-field-hint">Sum of all sizes</span>
                       </div>
                     </div>
                     <div className="stock-card">
                       <div className="stock-card-icon amber"><FaBell /></div>
                       <div className="pm-field">
-                        <label>Low Stock Alert Threshold</label>
+                        <label>Default Low Stock Alert</label>
                         <input type="number"
                           value={formData.inventory.lowStockAlert}
                           onChange={e => set('inventory', { ...formData.inventory, lowStockAlert: parseInt(e.target.value) || 5 })}
                           min="0" />
-                        <span className="pm-field-hint">Alert when stock falls to or below this number</span>
+                        <span className="pm-field-hint">Used for newly added sizes</span>
                       </div>
                     </div>
                   </div>
                   <div className="stock-status-preview">
                     <h4>Stock Status Preview</h4>
-                    <div className={`stock-meter ${formData.inventory.stock === 0 ? 'out' : formData.inventory.stock <= formData.inventory.lowStockAlert ? 'low' : 'good'}`}>
-                      <div className="meter-bar" style={{ width: `${Math.min(100, (formData.inventory.stock / Math.max(formData.inventory.stock, 50)) * 100)}%` }} />
+                    <div className={`stock-meter ${totalStock === 0 ? 'out' : formData.sizes.some(s => (parseInt(s.stock) || 0) <= (parseInt(s.lowStockAlert) || 0)) ? 'low' : 'good'}`}>
+                      <div className="meter-bar" style={{ width: `${Math.min(100, (totalStock / Math.max(totalStock, 50)) * 100)}%` }} />
                     </div>
                     <p className="stock-status-label">
-                      {formData.inventory.stock === 0 ? '🔴 Out of stock' :
-                        formData.inventory.stock <= formData.inventory.lowStockAlert ? '🟡 Low stock — alert will trigger' :
+                      {totalStock === 0 ? '🔴 Out of stock' :
+                        formData.sizes.some(s => (parseInt(s.stock) || 0) <= (parseInt(s.lowStockAlert) || 0)) ? '🟡 A size is low — alert will trigger' :
                           '🟢 In stock — healthy inventory'}
                     </p>
                   </div>
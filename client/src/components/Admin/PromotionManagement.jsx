@@ -0,0 +1,541 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { AppContext } from '../../context/AppContext';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FaBolt, FaPlus, FaSearch, FaSync,
+    FaToggleOn, FaToggleOff, FaTrash, FaEdit,
+    FaTimes, FaLayerGroup
+} from 'react-icons/fa';
+import './CouponManagement.css';
+
+const EMPTY_FORM = {
+    name: '',
+    description: '',
+    rewardType: 'percentage',
+    rewardValue: '',
+    freeProduct: '',
+    freeQuantity: 1,
+    minQuantity: 0,
+    minSubtotal: 0,
+    products: [],
+    categories: [],
+    excludeSaleItems: false,
+    startDate: '',
+    endDate: '',
+    priority: 0,
+    stacking: 'stackable',
+    allowCoupons: true
+};
+
+const toDateInput = (date) => date ? new Date(date).toISOString().split('T')[0] : '';
+
+// Who the offer is for, for the table
+const describeScope = (promotion) => [
+    promotion.categories?.length > 0 && promotion.categories.join(', '),
+    promotion.products?.length > 0 && (promotion.products.length === 1 ? promotion.products[0].name || '1 product' : `${promotion.products.length} products`),
+    promotion.excludeSaleItems && 'No sale items'
+].filter(Boolean).join(' · ') || 'All products';
+
+const isRunning = (promotion) => {
+    const now = new Date();
+    return promotion.isActive
+        && (!promotion.startDate || new Date(promotion.startDate) <= now)
+        && (!promotion.endDate || new Date(promotion.endDate) >= now);
+};
+
+const PromotionManagement = () => {
+    const { token, showNotification } = useContext(AppContext);
+    const [promotions, setPromotions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [showModal, setShowModal] = useState(false);
+    const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
+    const [currentPromotion, setCurrentPromotion] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [productOptions, setProductOptions] = useState([]);
+    const [categoryOptions, setCategoryOptions] = useState([]);
+
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    useEffect(() => {
+        fetchPromotions();
+    }, [token]);
+
+    // Products and categories an offer can be limited to
+    useEffect(() => {
+        fetch('/api/products?limit=200')
+            .then(res => res.json())
+            .then(data => {
+                if (data.success) {
+                    setProductOptions(data.data.products || []);
+                    setCategoryOptions(data.data.categories || []);
+                }
+            })
+            .catch(() => { });
+    }, []);
+
+    const fetchPromotions = async () => {
+        try {
+            setLoading(true);
+            const res = await fetch('/api/admin/promotions', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.success) {
+                setPromotions(data.data);
+            }
+        } catch (error) {
+            showNotification('Failed to fetch promotions', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleToggleStatus = async (id) => {
+        try {
+            const res = await fetch(`/api/admin/promotions/${id}/toggle`, {
+                method: 'PATCH',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.success) {
+                fetchPromotions();
+                showNotification(data.message, 'success');
+            }
+        } catch (error) {
+            showNotification('Failed to toggle promotion status', 'error');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Are you sure you want to delete this promotion? This action cannot be undone.')) return;
+        try {
+            const res = await fetch(`/api/admin/promotions/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.success) {
+                setPromotions(prev => prev.filter(p => p._id !== id));
+                showNotification('Promotion deleted', 'success');
+            }
+        } catch (error) {
+            showNotification('Failed to delete promotion', 'error');
+        }
+    };
+
+    const openModal = (mode, promotion = null) => {
+        setModalMode(mode);
+        setCurrentPromotion(promotion);
+        if (mode === 'edit' && promotion) {
+            setFormData({
+                ...EMPTY_FORM,
+                name: promotion.name,
+                description: promotion.description || '',
+                rewardType: promotion.rewardType,
+                rewardValue: promotion.rewardValue || '',
+                freeProduct: promotion.freeProduct?._id || promotion.freeProduct || '',
+                freeQuantity: promotion.freeQuantity || 1,
+                minQuantity: promotion.minQuantity || 0,
+                minSubtotal: promotion.minSubtotal || 0,
+                products: (promotion.products || []).map(p => p._id || p),
+                categories: promotion.categories || [],
+                excludeSaleItems: !!promotion.excludeSaleItems,
+                startDate: toDateInput(promotion.startDate),
+                endDate: toDateInput(promotion.endDate),
+                priority: promotion.priority || 0,
+                stacking: promotion.stacking || 'stackable',
+                allowCoupons: promotion.allowCoupons !== false
+            });
+        } else {
+            setFormData(EMPTY_FORM);
+        }
+        setShowModal(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const url = modalMode === 'add' ? '/api/admin/promotions' : `/api/admin/promotions/${currentPromotion._id}`;
+            const method = modalMode === 'add' ? 'POST' : 'PUT';
+
+            const res = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(formData)
+            });
+            const data = await res.json();
+
+            if (data.success) {
+                showNotification(data.message, 'success');
+                fetchPromotions();
+                setShowModal(false);
+            } else {
+                showNotification(data.message || 'Operation failed', 'error');
+            }
+        } catch (error) {
+            showNotification('An error occurred while saving', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const filteredPromotions = promotions.filter(p =>
+        p.name.toLowerCase().includes(searchTerm.toLowerCase())
+    );
+
+    const runningCount = promotions.filter(isRunning).length;
+    const exclusiveCount = promotions.filter(p => isRunning(p) && p.stacking === 'exclusive').length;
+
+    return (
+        <div className="cp-dashboard">
+            {/* ── Stats ── */}
+            <div className="cp-stats-row">
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(212, 175, 55, 0.1)', color: '#D4AF37' }}><FaBolt /></div>
+                    <div>
+                        <div className="cp-stat-value">{promotions.length}</div>
+                        <div className="cp-stat-label">Total Promotions</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}><FaToggleOn /></div>
+                    <div>
+                        <div className="cp-stat-value">{runningCount}</div>
+                        <div className="cp-stat-label">Running Now</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(59, 130, 246, 0.1)', color: '#3b82f6' }}><FaLayerGroup /></div>
+                    <div>
+                        <div className="cp-stat-value">{exclusiveCount}</div>
+                        <div className="cp-stat-label">Exclusive (Don't Stack)</div>
+                    </div>
+                </div>
+            </div>
+
+            {/* ── Actions ── */}
+            <div className="cp-actions-bar">
+                <div className="cp-search-wrap">
+                    <FaSearch className="cp-search-icon" />
+                    <input
+                        type="text"
+                        placeholder="Search promotions..."
+                        className="cp-search-input"
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                </div>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <button className="cp-action-btn" style={{ height: '42px', width: '42px' }} onClick={fetchPromotions} title="Refresh">
+                        <FaSync className={loading ? 'fa-spin' : ''} />
+                    </button>
+                    <button className="cp-add-btn" onClick={() => openModal('add')}>
+                        <FaPlus /> Create Promotion
+                    </button>
+                </div>
+            </div>
+
+            {/* ── Table ── */}
+            <div className="cp-table-panel">
+                <table className="cp-table">
+                    <thead>
+                        <tr>
+                            <th>Promotion</th>
+                            <th>Offer</th>
+                            <th>Applies To</th>
+                            <th>Priority</th>
+                            <th>Runs</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading ? (
+                            Array(3).fill(0).map((_, i) => (
+                                <tr key={i}><td colSpan="7" style={{ padding: '1.5rem', textAlign: 'center', color: 'var(--text-muted)' }}>Loading...</td></tr>
+                            ))
+                        ) : filteredPromotions.length === 0 ? (
+                            <tr><td colSpan="7" style={{ padding: '3rem', textAlign: 'center', color: 'var(--text-muted)' }}>No promotions yet. Offers created here apply automatically at checkout.</td></tr>
+                        ) : filteredPromotions.map((promotion) => (
+                            <tr key={promotion._id}>
+                                <td><span className="cp-code-cell">{promotion.name}</span></td>
+                                <td>
+                                    <span className={`cp-discount-badge ${promotion.rewardType}`}>{promotion.summary}</span>
+                                </td>
+                                <td><small>{describeScope(promotion)}</small></td>
+                                <td>
+                                    {promotion.priority}
+                                    <small className="cp-rules">
+                                        {promotion.stacking === 'exclusive' ? 'Exclusive' : 'Stacks'}
+                                        {!promotion.allowCoupons && ' · No coupons'}
+                                    </small>
+                                </td>
+                                <td>
+                                    <small>
+                                        {promotion.startDate ? new Date(promotion.startDate).toLocaleDateString() : 'Now'}
+                                        {' – '}
+                                        {promotion.endDate ? new Date(promotion.endDate).toLocaleDateString() : 'No end'}
+                                    </small>
+                                </td>
+                                <td>
+                                    <button
+                                        className={`cp-status-toggle ${promotion.isActive ? 'active' : 'inactive'}`}
+                                        onClick={() => handleToggleStatus(promotion._id)}
+                                        title={promotion.isActive ? 'Deactivate' : 'Activate'}
+                                    >
+                                        {promotion.isActive ? <FaToggleOn /> : <FaToggleOff />}
+                                    </button>
+                                </td>
+                                <td>
+                                    <div className="cp-table-actions">
+                                        <button className="cp-action-btn edit" onClick={() => openModal('edit', promotion)} title="Edit"><FaEdit /></button>
+                                        <button className="cp-action-btn delete" onClick={() => handleDelete(promotion._id)} title="Delete"><FaTrash /></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* ── Modal ── */}
+            <AnimatePresence>
+                {showModal && (
+                    <motion.div
+                        className="cp-modal-overlay"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                    >
+                        <motion.div
+                            className="cp-modal"
+                            initial={{ scale: 0.9, y: 20 }}
+                            animate={{ scale: 1, y: 0 }}
+                            exit={{ scale: 0.9, y: 20 }}
+                        >
+                            <div className="cp-modal-header">
+                                <h2>{modalMode === 'add' ? 'Create Promotion' : 'Edit Promotion'}</h2>
+                                <button className="cp-close-btn" onClick={() => setShowModal(false)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body cp-form" onSubmit={handleSubmit}>
+                                <div className="cp-form-group full">
+                                    <label>Name (e.g. 3 Bag Deal)</label>
+                                    <input
+                                        type="text"
+                                        className="cp-input"
+                                        value={formData.name}
+                                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                        required
+                                    />
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Shown to Customers (optional)</label>
+                                    <input
+                                        type="text"
+                                        className="cp-input"
+                                        placeholder="e.g. 10% off when you buy 3 or more bags"
+                                        value={formData.description}
+                                        onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Reward</label>
+                                    <select
+                                        className="cp-input"
+                                        value={formData.rewardType}
+                                        onChange={(e) => setFormData({ ...formData, rewardType: e.target.value })}
+                                    >
+                                        <option value="percentage">Percentage Off (%)</option>
+                                        <option value="fixed">Amount Off (KES)</option>
+                                        <option value="free_item">Free Product</option>
+                                        <option value="free_shipping">Free Delivery</option>
+                                    </select>
+                                </div>
+
+                                {(formData.rewardType === 'percentage' || formData.rewardType === 'fixed') && (
+                                    <div className="cp-form-group">
+                                        <label>{formData.rewardType === 'percentage' ? 'Percent Off' : 'KES Off'}</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="cp-input"
+                                            value={formData.rewardValue}
+                                            onChange={(e) => setFormData({ ...formData, rewardValue: e.target.value })}
+                                            required
+                                        />
+                                    </div>
+                                )}
+
+                                {formData.rewardType === 'free_item' && (
+                                    <>
+                                        <div className="cp-form-group">
+                                            <label>Free Product</label>
+                                            <select
+                                                className="cp-input"
+                                                value={formData.freeProduct}
+                                                onChange={(e) => setFormData({ ...formData, freeProduct: e.target.value })}
+                                                required
+                                            >
+                                                <option value="">Choose a product…</option>
+                                                {productOptions.map(product => (
+                                                    <option key={product._id} value={product._id}>{product.name}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div className="cp-form-group">
+                                            <label>How Many Free</label>
+                                            <input type="number" min="1" className="cp-input" value={formData.freeQuantity}
+                                                onChange={(e) => setFormData({ ...formData, freeQuantity: e.target.value })} />
+                                        </div>
+                                        <p className="cp-hint full">Free once the customer adds it to their cart; the cart reminds them.</p>
+                                    </>
+                                )}
+
+                                {formData.rewardType === 'free_shipping' && (
+                                    <div className="cp-form-group">
+                                        <label>Discount</label>
+                                        <p className="cp-hint">The delivery fee is waived; item prices are unchanged.</p>
+                                    </div>
+                                )}
+
+                                <div className="cp-form-group">
+                                    <label>Min. Qualifying Items</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="cp-input"
+                                        value={formData.minQuantity}
+                                        onChange={(e) => setFormData({ ...formData, minQuantity: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Min. Qualifying Spend (KES)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="cp-input"
+                                        value={formData.minSubtotal}
+                                        onChange={(e) => setFormData({ ...formData, minSubtotal: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Qualifying Categories (none = all)</label>
+                                    <div className="cp-chip-list">
+                                        {categoryOptions.map(category => (
+                                            <label key={category} className={`cp-chip ${formData.categories.includes(category) ? 'selected' : ''}`}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.categories.includes(category)}
+                                                    onChange={(e) => setFormData({
+                                                        ...formData,
+                                                        categories: e.target.checked
+                                                            ? [...formData.categories, category]
+                                                            : formData.categories.filter(c => c !== category)
+                                                    })}
+                                                />
+                                                {category.replace(/-/g, ' ')}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Qualifying Products (none = all; hold Ctrl/Cmd to pick several)</label>
+                                    <select
+                                        multiple
+                                        className="cp-input cp-multi-select"
+                                        value={formData.products}
+                                        onChange={(e) => setFormData({ ...formData, products: Array.from(e.target.selectedOptions, o => o.value) })}
+                                    >
+                                        {productOptions.map(product => (
+                                            <option key={product._id} value={product._id}>{product.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Starts (optional)</label>
+                                    <input
+                                        type="date"
+                                        className="cp-input"
+                                        value={formData.startDate}
+                                        onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Ends (optional)</label>
+                                    <input
+                                        type="date"
+                                        className="cp-input"
+                                        value={formData.endDate}
+                                        onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Priority (higher goes first)</label>
+                                    <input
+                                        type="number"
+                                        className="cp-input"
+                                        value={formData.priority}
+                                        onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Stacking</label>
+                                    <select
+                                        className="cp-input"
+                                        value={formData.stacking}
+                                        onChange={(e) => setFormData({ ...formData, stacking: e.target.value })}
+                                    >
+                                        <option value="stackable">Stacks with other offers</option>
+                                        <option value="exclusive">Exclusive (applies alone)</option>
+                                    </select>
+                                </div>
+
+                                <div className="cp-form-group full cp-checks">
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.allowCoupons}
+                                            onChange={(e) => setFormData({ ...formData, allowCoupons: e.target.checked })}
+                                        />
+                                        Coupons can be used as well
+                                    </label>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={formData.excludeSaleItems}
+                                            onChange={(e) => setFormData({ ...formData, excludeSaleItems: e.target.checked })}
+                                        />
+                                        Exclude sale / marked-down items
+                                    </label>
+                                </div>
+
+                                <div className="cp-modal-footer full" style={{ margin: '1rem -1.5rem -1.5rem', width: 'calc(100% + 3rem)' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setShowModal(false)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>
+                                        {saving ? 'Processing...' : modalMode === 'add' ? 'Create Promotion' : 'Save Changes'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default PromotionManagement;
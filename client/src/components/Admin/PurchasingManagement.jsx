@@ -0,0 +1,574 @@
+// components/Admin/PurchasingManagement.jsx — Suppliers, Purchase Orders & Receiving
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AppContext } from '../../context/AppContext';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FaTruckLoading, FaPlus, FaSync, FaTimes, FaEdit, FaTrash,
+    FaClipboardList, FaUserTie, FaBoxOpen, FaCheck, FaBan, FaPaperPlane
+} from 'react-icons/fa';
+import './CouponManagement.css';
+import './PurchasingManagement.css';
+import {
+    getSuppliers, createSupplier, updateSupplier, deleteSupplier,
+    getPurchaseOrders, createPurchaseOrder, updatePurchaseOrder,
+    updatePurchaseOrderStatus, receivePurchaseOrder, getAdminProducts
+} from '../../api/api';
+
+const STATUS_LABELS = {
+    draft: 'Draft',
+    ordered: 'Ordered',
+    partially_received: 'Partially Received',
+    received: 'Received',
+    cancelled: 'Cancelled'
+};
+
+const SUPPLY_TYPES = [
+    { value: 'green-beans', label: 'Green Beans' },
+    { value: 'packaging', label: 'Packaging' },
+    { value: 'equipment', label: 'Equipment' },
+    { value: 'other', label: 'Other' }
+];
+
+const EMPTY_SUPPLIER = { name: '', contactName: '', email: '', phone: '', address: '', supplies: ['green-beans'], leadTimeDays: 7, notes: '' };
+const EMPTY_LINE = { product: '', size: '', quantityOrdered: 1, unitCost: '' };
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+const fmtKES = (n) => `KES ${Number(n || 0).toLocaleString()}`;
+const lineLabel = (item) => `${item.productName}${item.size ? ` (${item.size})` : ''}`;
+
+const PurchasingManagement = () => {
+    const { showNotification } = useContext(AppContext);
+    const [tab, setTab] = useState('orders');
+    const [orders, setOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [loading, setLoading] = useState(true);
+
+    const [supplierModal, setSupplierModal] = useState(null); // null | supplier | EMPTY_SUPPLIER
+    const [orderModal, setOrderModal] = useState(null);       // null | { _id?, supplier, items, ... }
+    const [receiveModal, setReceiveModal] = useState(null);   // null | purchase order
+    const [saving, setSaving] = useState(false);
+
+    const fetchAll = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [ordersRes, suppliersRes] = await Promise.all([
+                getPurchaseOrders({ status: statusFilter }),
+                getSuppliers()
+            ]);
+            setOrders(ordersRes.data.data);
+            setSuppliers(suppliersRes.data.data);
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to load purchasing data'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, showNotification]);
+
+    useEffect(() => { fetchAll(); }, [fetchAll]);
+
+    useEffect(() => {
+        getAdminProducts({ limit: 500 })
+            .then(({ data }) => setProducts(data.data.products || []))
+            .catch(() => showNotification('Failed to load products', 'error'));
+    }, [showNotification]);
+
+    // ── Suppliers ──
+    const handleSaveSupplier = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = supplierModal._id
+                ? await updateSupplier(supplierModal._id, supplierModal)
+                : await createSupplier(supplierModal);
+            showNotification(data.message, 'success');
+            setSupplierModal(null);
+            fetchAll();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to save supplier'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleToggleSupplier = async (supplier) => {
+        try {
+            await updateSupplier(supplier._id, { isActive: !supplier.isActive });
+            setSuppliers(prev => prev.map(s => s._id === supplier._id ? { ...s, isActive: !s.isActive } : s));
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to update supplier'), 'error');
+        }
+    };
+
+    const handleDeleteSupplier = async (supplier) => {
+        if (!window.confirm(`Delete supplier ${supplier.name}?`)) return;
+        try {
+            const { data } = await deleteSupplier(supplier._id);
+            showNotification(data.message, 'success');
+            setSuppliers(prev => prev.filter(s => s._id !== supplier._id));
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to delete supplier'), 'error');
+        }
+    };
+
+    // ── Purchase orders ──
+    const openOrderModal = (order = null) => {
+        setOrderModal(order ? {
+            _id: order._id,
+            supplier: order.supplier?._id || order.supplier,
+            expectedDate: order.expectedDate ? order.expectedDate.split('T')[0] : '',
+            notes: order.notes || '',
+            items: order.items.map(i => ({
+                product: i.product,
+                size: i.size || '',
+                quantityOrdered: i.quantityOrdered,
+                unitCost: i.unitCost
+            }))
+        } : { supplier: '', expectedDate: '', notes: '', items: [{ ...EMPTY_LINE }] });
+    };
+
+    const updateLine = (index, field, value) => setOrderModal(prev => ({
+        ...prev,
+        items: prev.items.map((line, i) => {
+            if (i !== index) return line;
+            // New product: default to its first size so the line is always valid
+            if (field === 'product') {
+                const product = products.find(p => p._id === value);
+                return { ...line, product: value, size: product?.sizes?.[0]?.size || '' };
+            }
+            return { ...line, [field]: value };
+        })
+    }));
+
+    const handleSaveOrder = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const payload = {
+                supplier: orderModal.supplier,
+                expectedDate: orderModal.expectedDate || null,
+                notes: orderModal.notes,
+                items: orderModal.items.map(line => ({ ...line, size: line.size || undefined }))
+            };
+            const { data } = orderModal._id
+                ? await updatePurchaseOrder(orderModal._id, payload)
+                : await createPurchaseOrder(payload);
+            showNotification(data.message, 'success');
+            setOrderModal(null);
+            fetchAll();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to save purchase order'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleStatus = async (order, status) => {
+        if (status === 'cancelled' && !window.confirm(`Cancel ${order.poNumber}?`)) return;
+        try {
+            const { data } = await updatePurchaseOrderStatus(order._id, status);
+            showNotification(data.message, 'success');
+            setOrders(prev => prev.map(o => o._id === order._id ? data.data : o));
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to update purchase order'), 'error');
+        }
+    };
+
+    const openReceiveModal = (order) => setReceiveModal({
+        ...order,
+        quantities: Object.fromEntries(order.items.map(i => [i._id, i.quantityOrdered - i.quantityReceived])),
+        note: ''
+    });
+
+    const handleReceive = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const lines = Object.entries(receiveModal.quantities)
+                .map(([itemId, quantity]) => ({ itemId, quantity: parseInt(quantity) || 0 }))
+                .filter(l => l.quantity > 0);
+            const { data } = await receivePurchaseOrder(receiveModal._id, { lines, note: receiveModal.note });
+            showNotification(data.message, 'success');
+            setReceiveModal(null);
+            fetchAll();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to receive stock'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const openOrders = orders.filter(o => ['ordered', 'partially_received'].includes(o.status));
+    const outstandingValue = openOrders.reduce((sum, o) =>
+        sum + o.items.reduce((s, i) => s + (i.quantityOrdered - i.quantityReceived) * i.unitCost, 0), 0);
+    const activeSuppliers = suppliers.filter(s => s.isActive);
+
+    return (
+        <div className="po-dashboard">
+            {/* ── Stats ── */}
+            <div className="cp-stats-row">
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(59, 130, 246, 0.1)', color: '#3b82f6' }}><FaClipboardList /></div>
+                    <div>
+                        <div className="cp-stat-value">{openOrders.length}</div>
+                        <div className="cp-stat-label">Awaiting Delivery</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(212, 175, 55, 0.1)', color: '#D4AF37' }}><FaBoxOpen /></div>
+                    <div>
+                        <div className="cp-stat-value">{fmtKES(outstandingValue)}</div>
+                        <div className="cp-stat-label">Outstanding Value</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}><FaUserTie /></div>
+                    <div>
+                        <div className="cp-stat-value">{activeSuppliers.length}</div>
+                        <div className="cp-stat-label">Active Suppliers</div>
+                    </div>
+                </div>
+            </div>
+
+            {/* ── Tabs & Actions ── */}
+            <div className="cp-actions-bar">
+                <div className="po-tabs">
+                    <button className={tab === 'orders' ? 'active' : ''} onClick={() => setTab('orders')}><FaClipboardList /> Purchase Orders</button>
+                    <button className={tab === 'suppliers' ? 'active' : ''} onClick={() => setTab('suppliers')}><FaUserTie /> Suppliers</button>
+                </div>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    {tab === 'orders' && (
+                        <select className="cp-input po-filter" value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+                            <option value="all">All statuses</option>
+                            {Object.entries(STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    )}
+                    <button className="cp-action-btn" style={{ height: '42px', width: '42px' }} onClick={fetchAll} title="Refresh">
+                        <FaSync className={loading ? 'fa-spin' : ''} />
+                    </button>
+                    {tab === 'orders' ? (
+                        <button className="cp-add-btn" onClick={() => openOrderModal()} disabled={!activeSuppliers.length}>
+                            <FaPlus /> New Purchase Order
+                        </button>
+                    ) : (
+                        <button className="cp-add-btn" onClick={() => setSupplierModal({ ...EMPTY_SUPPLIER })}>
+                            <FaPlus /> Add Supplier
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {/* ── Purchase Orders ── */}
+            {tab === 'orders' && (
+                <div className="cp-table-panel">
+                    <table className="cp-table">
+                        <thead>
+                            <tr>
+                                <th>PO</th>
+                                <th>Supplier</th>
+                                <th>Items</th>
+                                <th>Received</th>
+                                <th>Total</th>
+                                <th>Expected</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {loading ? (
+                                <tr><td colSpan="8" className="po-empty">Loading...</td></tr>
+                            ) : orders.length === 0 ? (
+                                <tr><td colSpan="8" className="po-empty">No purchase orders yet.</td></tr>
+                            ) : orders.map(order => {
+                                const ordered = order.items.reduce((s, i) => s + i.quantityOrdered, 0);
+                                const received = order.items.reduce((s, i) => s + i.quantityReceived, 0);
+                                return (
+                                    <tr key={order._id}>
+                                        <td><span className="cp-code-cell">{order.poNumber}</span></td>
+                                        <td>{order.supplier?.name || '—'}</td>
+                                        <td>
+                                            <div className="po-item-list">
+                                                {order.items.map(i => <span key={i._id}>{i.quantityOrdered} × {lineLabel(i)}</span>)}
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <div className="po-progress"><div style={{ width: `${ordered ? (received / ordered) * 100 : 0}%` }} /></div>
+                                            <small>{received} / {ordered}</small>
+                                        </td>
+                                        <td>{fmtKES(order.totalCost)}</td>
+                                        <td>{order.expectedDate ? new Date(order.expectedDate).toLocaleDateString() : '—'}</td>
+                                        <td><span className={`po-status ${order.status}`}>{STATUS_LABELS[order.status]}</span></td>
+                                        <td>
+                                            <div className="cp-table-actions">
+                                                {order.status === 'draft' && (
+                                                    <>
+                                                        <button className="cp-action-btn edit" onClick={() => openOrderModal(order)} title="Edit"><FaEdit /></button>
+                                                        <button className="cp-action-btn po-send" onClick={() => handleStatus(order, 'ordered')} title="Mark as ordered"><FaPaperPlane /></button>
+                                                    </>
+                                                )}
+                                                {['ordered', 'partially_received'].includes(order.status) && (
+                                                    <button className="cp-action-btn po-receive" onClick={() => openReceiveModal(order)} title="Receive stock"><FaTruckLoading /></button>
+                                                )}
+                                                {['draft', 'ordered'].includes(order.status) && (
+                                                    <button className="cp-action-btn delete" onClick={() => handleStatus(order, 'cancelled')} title="Cancel"><FaBan /></button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* ── Suppliers ── */}
+            {tab === 'suppliers' && (
+                <div className="cp-table-panel">
+                    <table className="cp-table">
+                        <thead>
+                            <tr>
+                                <th>Supplier</th>
+                                <th>Contact</th>
+                                <th>Supplies</th>
+                                <th>Lead Time</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {suppliers.length === 0 ? (
+                                <tr><td colSpan="6" className="po-empty">No suppliers yet.</td></tr>
+                            ) : suppliers.map(supplier => (
+                                <tr key={supplier._id}>
+                                    <td><strong>{supplier.name}</strong></td>
+                                    <td>
+                                        <div className="po-item-list">
+                                            {supplier.contactName && <span>{supplier.contactName}</span>}
+                                            {supplier.email && <span>{supplier.email}</span>}
+                                            {supplier.phone && <span>{supplier.phone}</span>}
+                                        </div>
+                                    </td>
+                                    <td>{supplier.supplies.map(s => SUPPLY_TYPES.find(t => t.value === s)?.label || s).join(', ')}</td>
+                                    <td>{supplier.leadTimeDays} days</td>
+                                    <td>
+                                        <button className={`po-status ${supplier.isActive ? 'received' : 'cancelled'}`} onClick={() => handleToggleSupplier(supplier)}>
+                                            {supplier.isActive ? 'Active' : 'Inactive'}
+                                        </button>
+                                    </td>
+                                    <td>
+                                        <div className="cp-table-actions">
+                                            <button className="cp-action-btn edit" onClick={() => setSupplierModal({ ...supplier })} title="Edit"><FaEdit /></button>
+                                            <button className="cp-action-btn delete" onClick={() => handleDeleteSupplier(supplier)} title="Delete"><FaTrash /></button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <AnimatePresence>
+                {/* ── Supplier Modal ── */}
+                {supplierModal && (
+                    <motion.div className="cp-modal-overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                        <motion.div className="cp-modal" initial={{ scale: 0.9, y: 20 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.9, y: 20 }}>
+                            <div className="cp-modal-header">
+                                <h2>{supplierModal._id ? 'Edit Supplier' : 'Add Supplier'}</h2>
+                                <button className="cp-close-btn" onClick={() => setSupplierModal(null)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body cp-form" onSubmit={handleSaveSupplier}>
+                                <div className="cp-form-group full">
+                                    <label>Supplier Name</label>
+                                    <input className="cp-input" value={supplierModal.name} required
+                                        onChange={e => setSupplierModal({ ...supplierModal, name: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Contact Person</label>
+                                    <input className="cp-input" value={supplierModal.contactName || ''}
+                                        onChange={e => setSupplierModal({ ...supplierModal, contactName: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Phone</label>
+                                    <input className="cp-input" value={supplierModal.phone || ''}
+                                        onChange={e => setSupplierModal({ ...supplierModal, phone: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Email</label>
+                                    <input type="email" className="cp-input" value={supplierModal.email || ''}
+                                        onChange={e => setSupplierModal({ ...supplierModal, email: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Lead Time (days)</label>
+                                    <input type="number" min="0" className="cp-input" value={supplierModal.leadTimeDays}
+                                        onChange={e => setSupplierModal({ ...supplierModal, leadTimeDays: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group full">
+                                    <label>Supplies</label>
+                                    <div className="po-chip-row">
+                                        {SUPPLY_TYPES.map(t => {
+                                            const on = supplierModal.supplies.includes(t.value);
+                                            return (
+                                                <button type="button" key={t.value} className={`po-chip ${on ? 'on' : ''}`}
+                                                    onClick={() => setSupplierModal({
+                                                        ...supplierModal,
+                                                        supplies: on ? supplierModal.supplies.filter(s => s !== t.value) : [...supplierModal.supplies, t.value]
+                                                    })}>
+                                                    {on && <FaCheck />} {t.label}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                                <div className="cp-form-group full">
+                                    <label>Address</label>
+                                    <input className="cp-input" value={supplierModal.address || ''}
+                                        onChange={e => setSupplierModal({ ...supplierModal, address: e.target.value })} />
+                                </div>
+                                <div className="cp-form-group full">
+                                    <label>Notes</label>
+                                    <textarea className="cp-input" rows="2" value={supplierModal.notes || ''}
+                                        onChange={e => setSupplierModal({ ...supplierModal, notes: e.target.value })} />
+                                </div>
+                                <div className="cp-modal-footer full" style={{ margin: '1rem -1.5rem -1.5rem', width: 'calc(100% + 3rem)' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setSupplierModal(null)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>{saving ? 'Saving...' : 'Save Supplier'}</button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+
+                {/* ── Purchase Order Modal ── */}
+                {orderModal && (
+                    <motion.div className="cp-modal-overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                        <motion.div className="cp-modal po-modal-wide" initial={{ scale: 0.9, y: 20 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.9, y: 20 }}>
+                            <div className="cp-modal-header">
+                                <h2>{orderModal._id ? 'Edit Purchase Order' : 'New Purchase Order'}</h2>
+                                <button className="cp-close-btn" onClick={() => setOrderModal(null)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body cp-form" onSubmit={handleSaveOrder}>
+                                <div className="cp-form-group">
+                                    <label>Supplier</label>
+                                    <select className="cp-input" value={orderModal.supplier} required
+                                        onChange={e => setOrderModal({ ...orderModal, supplier: e.target.value })}>
+                                        <option value="">Choose supplier...</option>
+                                        {activeSuppliers.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+                                    </select>
+                                </div>
+                                <div className="cp-form-group">
+                                    <label>Expected Delivery</label>
+                                    <input type="date" className="cp-input" value={orderModal.expectedDate}
+                                        onChange={e => setOrderModal({ ...orderModal, expectedDate: e.target.value })} />
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Items</label>
+                                    <div className="po-lines">
+                                        {orderModal.items.map((line, i) => {
+                                            const product = products.find(p => p._id === line.product);
+                                            return (
+                                                <div key={i} className="po-line">
+                                                    <select className="cp-input" value={line.product} required
+                                                        onChange={e => updateLine(i, 'product', e.target.value)}>
+                                                        <option value="">Product...</option>
+                                                        {products.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+                                                    </select>
+                                                    <select className="cp-input" value={line.size} disabled={!product?.sizes?.length}
+                                                        onChange={e => updateLine(i, 'size', e.target.value)}>
+                                                        {(product?.sizes || []).map(s => <option key={s.size} value={s.size}>{s.size}</option>)}
+                                                    </select>
+                                                    <input type="number" min="1" className="cp-input" placeholder="Qty" value={line.quantityOrdered} required
+                                                        onChange={e => updateLine(i, 'quantityOrdered', e.target.value)} />
+                                                    <input type="number" min="0" step="0.01" className="cp-input" placeholder="Unit cost" value={line.unitCost} required
+                                                        onChange={e => updateLine(i, 'unitCost', e.target.value)} />
+                                                    <button type="button" className="cp-action-btn delete" disabled={orderModal.items.length === 1}
+                                                        onClick={() => setOrderModal({ ...orderModal, items: orderModal.items.filter((_, idx) => idx !== i) })}>
+                                                        <FaTrash />
+                                                    </button>
+                                                </div>
+                                            );
+                                        })}
+                                        <button type="button" className="po-add-line"
+                                            onClick={() => setOrderModal({ ...orderModal, items: [...orderModal.items, { ...EMPTY_LINE }] })}>
+                                            <FaPlus /> Add line
+                                        </button>
+                                    </div>
+                                    <div className="po-total">
+                                        Total: {fmtKES(orderModal.items.reduce((s, l) => s + (parseInt(l.quantityOrdered) || 0) * (parseFloat(l.unitCost) || 0), 0))}
+                                    </div>
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Notes</label>
+                                    <textarea className="cp-input" rows="2" value={orderModal.notes}
+                                        onChange={e => setOrderModal({ ...orderModal, notes: e.target.value })} />
+                                </div>
+                                <div className="cp-modal-footer full" style={{ margin: '1rem -1.5rem -1.5rem', width: 'calc(100% + 3rem)' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setOrderModal(null)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>{saving ? 'Saving...' : 'Save as Draft'}</button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+
+                {/* ── Receive Modal ── */}
+                {receiveModal && (
+                    <motion.div className="cp-modal-overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                        <motion.div className="cp-modal po-modal-wide" initial={{ scale: 0.9, y: 20 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.9, y: 20 }}>
+                            <div className="cp-modal-header">
+                                <h2>Receive {receiveModal.poNumber}</h2>
+                                <button className="cp-close-btn" onClick={() => setReceiveModal(null)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body" onSubmit={handleReceive}>
+                                <p className="po-hint">Enter what actually arrived. Stock is added to each size straight away; anything short stays open on the PO.</p>
+                                <table className="cp-table">
+                                    <thead>
+                                        <tr><th>Item</th><th>Ordered</th><th>Received</th><th>Arrived now</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {receiveModal.items.map(item => {
+                                            const outstanding = item.quantityOrdered - item.quantityReceived;
+                                            return (
+                                                <tr key={item._id}>
+                                                    <td>{lineLabel(item)}</td>
+                                                    <td>{item.quantityOrdered}</td>
+                                                    <td>{item.quantityReceived}</td>
+                                                    <td>
+                                                        <input type="number" min="0" max={outstanding} className="cp-input po-qty"
+                                                            disabled={outstanding === 0}
+                                                            value={receiveModal.quantities[item._id]}
+                                                            onChange={e => setReceiveModal({
+                                                                ...receiveModal,
+                                                                quantities: { ...receiveModal.quantities, [item._id]: e.target.value }
+                                                            })} />
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                                <div className="cp-form-group" style={{ marginTop: '1rem' }}>
+                                    <label>Delivery note</label>
+                                    <input className="cp-input" placeholder="e.g. delivery note #, condition" value={receiveModal.note}
+                                        onChange={e => setReceiveModal({ ...receiveModal, note: e.target.value })} />
+                                </div>
+                                <div className="cp-modal-footer" style={{ margin: '1rem -1.5rem -1.5rem' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setReceiveModal(null)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>
+                                        <FaTruckLoading /> {saving ? 'Receiving...' : 'Receive Stock'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default PurchasingManagement;
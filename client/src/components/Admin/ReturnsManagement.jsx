@@ -0,0 +1,305 @@
+// components/Admin/ReturnsManagement.jsx — Customer Returns (RMA) queue
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { AppContext } from '../../context/AppContext';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FaUndo, FaSync, FaTimes, FaCheck, FaBan, FaBoxOpen, FaClock, FaCamera
+} from 'react-icons/fa';
+import './CouponManagement.css';
+import './PurchasingManagement.css';
+import './ReturnsManagement.css';
+import {
+    getReturnRequests, approveReturnRequest, rejectReturnRequest, receiveReturnRequest
+} from '../../api/api';
+
+const STATUS_LABELS = {
+    requested: 'Requested',
+    approved: 'Approved',
+    received: 'Received',
+    rejected: 'Rejected'
+};
+
+const REASON_LABELS = {
+    damaged: 'Arrived damaged',
+    wrong_item: 'Wrong item sent',
+    not_as_described: 'Not as described',
+    quality: 'Quality issue',
+    changed_mind: 'Changed mind',
+    other: 'Other'
+};
+
+const MODAL_TITLES = { approve: 'Approve', reject: 'Reject', receive: 'Receive' };
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+const ReturnsManagement = () => {
+    const { showNotification } = useContext(AppContext);
+    const [returns, setReturns] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [statusFilter, setStatusFilter] = useState('requested');
+    const [loading, setLoading] = useState(true);
+
+    // null | { mode: 'approve' | 'reject' | 'receive', request, ...form }
+    const [actionModal, setActionModal] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const fetchReturns = useCallback(async () => {
+        try {
+            setLoading(true);
+            const { data } = await getReturnRequests({ status: statusFilter, limit: 50 });
+            setReturns(data.data.returns);
+            setCounts(data.data.counts);
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to load returns'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, showNotification]);
+
+    useEffect(() => { fetchReturns(); }, [fetchReturns]);
+
+    const openAction = (mode, request) => setActionModal({
+        mode,
+        request,
+        adminNote: '',
+        reason: '',
+        restock: true,
+        refund: ['paid', 'partially_paid', 'partially_refunded'].includes(request.order?.paymentStatus),
+        refundShipping: false,
+        amount: '',
+        note: ''
+    });
+
+    const handleAction = async (e) => {
+        e.preventDefault();
+        const { mode, request } = actionModal;
+        setSaving(true);
+        try {
+            const { data } = mode === 'approve'
+                ? await approveReturnRequest(request._id, { adminNote: actionModal.adminNote })
+                : mode === 'reject'
+                    ? await rejectReturnRequest(request._id, { reason: actionModal.reason })
+                    : await receiveReturnRequest(request._id, {
+                        restock: actionModal.restock,
+                        refund: actionModal.refund,
+                        refundShipping: actionModal.refundShipping,
+                        amount: actionModal.amount || undefined,
+                        note: actionModal.note
+                    });
+            showNotification(data.message, 'success');
+            setActionModal(null);
+            fetchReturns();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to update return'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="po-dashboard">
+            {/* ── Stats ── */}
+            <div className="cp-stats-row">
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b' }}><FaClock /></div>
+                    <div>
+                        <div className="cp-stat-value">{counts.requested || 0}</div>
+                        <div className="cp-stat-label">Awaiting Review</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(59, 130, 246, 0.1)', color: '#3b82f6' }}><FaBoxOpen /></div>
+                    <div>
+                        <div className="cp-stat-value">{counts.approved || 0}</div>
+                        <div className="cp-stat-label">On the Way Back</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}><FaUndo /></div>
+                    <div>
+                        <div className="cp-stat-value">{counts.received || 0}</div>
+                        <div className="cp-stat-label">Received</div>
+                    </div>
+                </div>
+            </div>
+
+            {/* ── Filters ── */}
+            <div className="cp-actions-bar">
+                <div className="po-tabs">
+                    {['requested', 'approved', 'received', 'rejected', 'all'].map(status => (
+                        <button key={status} className={statusFilter === status ? 'active' : ''} onClick={() => setStatusFilter(status)}>
+                            {status === 'all' ? 'All' : STATUS_LABELS[status]}
+                            {counts[status] > 0 && <span className="rm-count">{counts[status]}</span>}
+                        </button>
+                    ))}
+                </div>
+                <button className="cp-action-btn" style={{ height: '42px', width: '42px' }} onClick={fetchReturns} title="Refresh">
+                    <FaSync className={loading ? 'fa-spin' : ''} />
+                </button>
+            </div>
+
+            {/* ── Queue ── */}
+            <div className="cp-table-panel">
+                <table className="cp-table">
+                    <thead>
+                        <tr>
+                            <th>Return</th>
+                            <th>Customer</th>
+                            <th>Items</th>
+                            <th>Reason</th>
+                            <th>Photos</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading ? (
+                            <tr><td colSpan="7" className="po-empty">Loading...</td></tr>
+                        ) : returns.length === 0 ? (
+                            <tr><td colSpan="7" className="po-empty">No returns here.</td></tr>
+                        ) : returns.map(request => (
+                            <tr key={request._id}>
+                                <td>
+                                    <div className="po-item-list">
+                                        <span className="cp-code-cell">{request.rmaNumber}</span>
+                                        <span>Order #{request.order?.orderNumber}</span>
+                                        <small>{new Date(request.createdAt).toLocaleDateString()}</small>
+                                    </div>
+                                </td>
+                                <td>
+                                    <div className="po-item-list">
+                                        <span>{request.user ? `${request.user.firstName} ${request.user.lastName}` : '—'}</span>
+                                        {request.user?.email && <small>{request.user.email}</small>}
+                                    </div>
+                                </td>
+                                <td>
+                                    <div className="po-item-list">
+                                        {request.items.map(i => <span key={i.item}>{i.quantity} × {i.name} ({i.size})</span>)}
+                                    </div>
+                                </td>
+                                <td>
+                                    <div className="po-item-list rm-reason">
+                                        <strong>{REASON_LABELS[request.reason] || request.reason}</strong>
+                                        {request.details && <span>{request.details}</span>}
+                                        {request.rejectionReason && <span>Rejected: {request.rejectionReason}</span>}
+                                    </div>
+                                </td>
+                                <td>
+                                    {request.photos?.length > 0 ? (
+                                        <div className="rm-photos">
+                                            {request.photos.map(photo => (
+                                                <a key={photo.public_id} href={photo.url} target="_blank" rel="noopener noreferrer">
+                                                    <img src={photo.url} alt="Return" />
+                                                </a>
+                                            ))}
+                                        </div>
+                                    ) : <FaCamera className="rm-no-photo" title="No photos" />}
+                                </td>
+                                <td>
+                                    <span className={`po-status rm-${request.status}`}>{STATUS_LABELS[request.status]}</span>
+                                    {request.returnCode && <small className="rm-code">{request.returnCode}</small>}
+                                </td>
+                                <td>
+                                    <div className="cp-table-actions">
+                                        {request.status === 'requested' && (
+                                            <button className="cp-action-btn po-receive" onClick={() => openAction('approve', request)} title="Approve"><FaCheck /></button>
+                                        )}
+                                        {request.status === 'approved' && (
+                                            <button className="cp-action-btn po-receive" onClick={() => openAction('receive', request)} title="Mark received"><FaBoxOpen /></button>
+                                        )}
+                                        {['requested', 'approved'].includes(request.status) && (
+                                            <button className="cp-action-btn delete" onClick={() => openAction('reject', request)} title="Reject"><FaBan /></button>
+                                        )}
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <AnimatePresence>
+                {actionModal && (
+                    <motion.div className="cp-modal-overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                        <motion.div className="cp-modal" initial={{ scale: 0.9, y: 20 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.9, y: 20 }}>
+                            <div className="cp-modal-header">
+                                <h2>{MODAL_TITLES[actionModal.mode]} {actionModal.request.rmaNumber}</h2>
+                                <button className="cp-close-btn" onClick={() => setActionModal(null)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body" onSubmit={handleAction}>
+                                {actionModal.mode === 'approve' && (
+                                    <>
+                                        <p className="po-hint">The customer is emailed a return code to write on the parcel.</p>
+                                        <div className="cp-form-group">
+                                            <label>Instructions for the customer (optional)</label>
+                                            <textarea className="cp-input" rows="3" value={actionModal.adminNote}
+                                                placeholder="e.g. Drop it at our Westlands shop or send via G4S"
+                                                onChange={e => setActionModal({ ...actionModal, adminNote: e.target.value })} />
+                                        </div>
+                                    </>
+                                )}
+
+                                {actionModal.mode === 'reject' && (
+                                    <div className="cp-form-group">
+                                        <label>Reason (sent to the customer)</label>
+                                        <textarea className="cp-input" rows="3" value={actionModal.reason} required
+                                            onChange={e => setActionModal({ ...actionModal, reason: e.target.value })} />
+                                    </div>
+                                )}
+
+                                {actionModal.mode === 'receive' && (
+                                    <>
+                                        <p className="po-hint">
+                                            Check the parcel against {actionModal.request.returnCode}. Refunds follow the order's
+                                            discount and are recorded with a credit note.
+                                        </p>
+                                        <label className="rm-check">
+                                            <input type="checkbox" checked={actionModal.restock}
+                                                onChange={e => setActionModal({ ...actionModal, restock: e.target.checked })} />
+                                            Return the items to stock
+                                        </label>
+                                        <label className="rm-check">
+                                            <input type="checkbox" checked={actionModal.refund}
+                                                disabled={!['paid', 'partially_paid', 'partially_refunded'].includes(actionModal.request.order?.paymentStatus)}
+                                                onChange={e => setActionModal({ ...actionModal, refund: e.target.checked })} />
+                                            Refund the returned items
+                                        </label>
+                                        {actionModal.refund && (
+                                            <>
+                                                <label className="rm-check">
+                                                    <input type="checkbox" checked={actionModal.refundShipping}
+                                                        onChange={e => setActionModal({ ...actionModal, refundShipping: e.target.checked })} />
+                                                    Refund shipping too
+                                                </label>
+                                                <div className="cp-form-group">
+                                                    <label>Amount override (optional)</label>
+                                                    <input type="number" min="0" className="cp-input" value={actionModal.amount}
+                                                        placeholder="Calculated from the returned items"
+                                                        onChange={e => setActionModal({ ...actionModal, amount: e.target.value })} />
+                                                </div>
+                                            </>
+                                        )}
+                                        <div className="cp-form-group">
+                                            <label>Note</label>
+                                            <input className="cp-input" value={actionModal.note} placeholder="e.g. condition on arrival"
+                                                onChange={e => setActionModal({ ...actionModal, note: e.target.value })} />
+                                        </div>
+                                    </>
+                                )}
+
+                                <div className="cp-modal-footer" style={{ margin: '1rem -1.5rem -1.5rem' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setActionModal(null)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>
+                                        {saving ? 'Saving...' : MODAL_TITLES[actionModal.mode]}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default ReturnsManagement;
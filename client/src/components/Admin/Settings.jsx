@@ -199,6 +199,8 @@ const Settings = () => {
     { id: 'store', icon: <FaStore />, label: 'Store Info' },
     { id: 'hours', icon: <FaClock />, label: 'Business Hours' },
     { id: 'payment', icon: <FaCreditCard />, label: 'Payment' },
+    { id: 'freshness', icon: <FaLeaf />, label: 'Freshness' },
+    { id: 'loyalty', icon: <FaAward />, label: 'Loyalty & Referrals' },
     { id: 'email', icon: <FaEnvelope />, label: 'Email / SMTP' },
     { id: 'notifications', icon: <FaBell />, label: 'Notifications' },
     { id: 'security', icon: <FaShieldAlt />, label: 'Security' },
@@ -541,6 +543,144 @@ const Settings = () => {
                       />
                     </div>
                   </Section>
+
+                  <Section title="Deposits & Split Payments" subtitle="Let customers pay part online at checkout and the rest later or on delivery" icon={<FaMoneyBillWave />} accent="#10b981">
+                    <div className="st-toggle-list">
+                      <ToggleRow
+                        label="Accept Deposits"
+                        description="Customers paying by M-Pesa or card can pay a deposit now; the balance is paid online later or collected on delivery"
+                        checked={s.payment?.deposits?.enabled}
+                        onChange={v => setNested('payment', 'deposits', 'enabled', v)}
+                      />
+                    </div>
+                    <div className="st-grid-2" style={{ marginTop: '1.25rem' }}>
+                      <Input type="number" label="Minimum Deposit (%)" hint="Share of the order total paid up front" value={s.payment?.deposits?.minimumPercent ?? 50} onChange={v => setNested('payment', 'deposits', 'minimumPercent', parseInt(v))} min="1" max="99" />
+                    </div>
+                  </Section>
+                </>
+              )}
+
+              {/* ════════════════════════════════
+                  FRESHNESS
+               ════════════════════════════════ */}
+              {activeTab === 'freshness' && (
+                <Section title="Freshness Policy" subtitle="Roast-age rules applied to the shop and enforced at checkout" icon={<FaLeaf />} accent="#34d399">
+                  <div className="st-toggle-list">
+                    <ToggleRow
+                      label="Apply Freshness Policy"
+                      description='Badge roasted items "Roasted N days ago", mark them down past their best and pull them past the limit'
+                      checked={s.freshness?.enabled}
+                      onChange={v => set('freshness', 'enabled', v)}
+                    />
+                  </div>
+                  <div className="st-grid-2" style={{ marginTop: '1.25rem' }}>
+                    <Input type="number" label="Best Within (days of roast)" hint="Full price up to this age" value={s.freshness?.bestWithinDays} onChange={v => set('freshness', 'bestWithinDays', parseInt(v))} min="1" />
+                    <Input type="number" label="Markdown After That (%)" hint="0 to skip the markdown stage" value={s.freshness?.markdownPercent} onChange={v => set('freshness', 'markdownPercent', parseInt(v))} min="0" max="90" />
+                    <Input type="number" label="Pull From Sale After (days)" hint="Hidden from the shop and blocked at checkout" value={s.freshness?.pullAfterDays} onChange={v => set('freshness', 'pullAfterDays', parseInt(v))} min="1" />
+                    <Input
+                      label="Categories"
+                      hint="Comma-separated — only these categories are aged"
+                      value={(s.freshness?.categories || []).join(', ')}
+                      onChange={v => set('freshness', 'categories', v.split(',').map(c => c.trim()))}
+                      placeholder="coffee-beans"
+                    />
+                  </div>
+                </Section>
+              )}
+
+              {/* ════════════════════════════════
+                  LOYALTY
+               ════════════════════════════════ */}
+              {activeTab === 'loyalty' && (
+                <>
+                  <Section title="Earning Points" subtitle="Points are earned when an order is delivered, and for the extras below" icon={<FaAward />} accent="#fbbf24">
+                    <div className="st-toggle-list">
+                      <ToggleRow
+                        label="Loyalty Programme"
+                        description="Earn points on delivered orders and spend them at checkout. Balances are kept while switched off."
+                        checked={s.loyalty?.enabled}
+                        onChange={v => set('loyalty', 'enabled', v)}
+                      />
+                    </div>
+                    <div className="st-grid-2" style={{ marginTop: '1.25rem' }}>
+                      <Input type="number" label="KSh Spent per Point" hint="On goods, after discounts — 100 = 1 point per KSh 100" value={s.loyalty?.kshPerPoint} onChange={v => set('loyalty', 'kshPerPoint', parseInt(v))} min="1" />
+                      <Input type="number" label="Points Expire After (months)" hint="0 = points never expire" value={s.loyalty?.expiryMonths} onChange={v => set('loyalty', 'expiryMonths', parseInt(v))} min="0" />
+                      <Input type="number" label="Review Bonus" hint="For reviewing a product they bought (once per product)" value={s.loyalty?.reviewPoints} onChange={v => set('loyalty', 'reviewPoints', parseInt(v))} min="0" />
+                      <Input type="number" label="Referral Bonus" hint="When a referred friend places their first order" value={s.loyalty?.referralPoints} onChange={v => set('loyalty', 'referralPoints', parseInt(v))} min="0" />
+                      <Input type="number" label="Birthday Bonus" hint="Once a year, on the birthday in their profile" value={s.loyalty?.birthdayPoints} onChange={v => set('loyalty', 'birthdayPoints', parseInt(v))} min="0" />
+                    </div>
+                  </Section>
+
+                  <Section title="Spending Points" subtitle="Points are redeemed at checkout as a discount" icon={<FaMoneyBillWave />} accent="#10b981">
+                    <div className="st-grid-2">
+                      <Input type="number" label="Value per Point (KSh)" value={s.loyalty?.pointValue} onChange={v => set('loyalty', 'pointValue', parseFloat(v))} min="0" step="0.1" />
+                      <Input type="number" label="Minimum Points to Redeem" value={s.loyalty?.minRedeemPoints} onChange={v => set('loyalty', 'minRedeemPoints', parseInt(v))} min="0" />
+                      <Input type="number" label="Maximum Share of Order (%)" hint="Of the goods subtotal; gift cards can't be bought with points" value={s.loyalty?.maxRedeemPercent} onChange={v => set('loyalty', 'maxRedeemPercent', parseInt(v))} min="1" max="100" />
+                    </div>
+                  </Section>
+
+                  <Section title="Tiers" subtitle="Reached by lifetime points earned; the multiplier scales points earned on orders" icon={<FaAward />} accent="#D4AF37">
+                    {(s.loyalty?.tiers || []).map((tier, i) => (
+                      <div key={i} className="st-grid-2" style={{ marginBottom: '0.5rem' }}>
+                        <input
+                          className="st-input"
+                          value={tier.name || ''}
+                          placeholder="Tier name"
+                          onChange={e => set('loyalty', 'tiers', s.loyalty.tiers.map((x, idx) => idx === i ? { ...x, name: e.target.value } : x))}
+                        />
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                          <input
+                            className="st-input"
+                            type="number"
+                            min="0"
+                            value={tier.minPoints ?? ''}
+                            placeholder="From points"
+                            title="Lifetime points needed"
+                            onChange={e => set('loyalty', 'tiers', s.loyalty.tiers.map((x, idx) => idx === i ? { ...x, minPoints: parseInt(e.target.value) } : x))}
+                          />
+                          <input
+                            className="st-input"
+                            type="number"
+                            min="0"
+                            step="0.05"
+                            value={tier.multiplier ?? ''}
+                            placeholder="×"
+                            title="Points multiplier"
+                            onChange={e => set('loyalty', 'tiers', s.loyalty.tiers.map((x, idx) => idx === i ? { ...x, multiplier: parseFloat(e.target.value) } : x))}
+                          />
+                          <button type="button" className="st-test-btn" onClick={() => set('loyalty', 'tiers', s.loyalty.tiers.filter((_, idx) => idx !== i))}>
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                    <button type="button" className="st-test-btn" onClick={() => set('loyalty', 'tiers', [...(s.loyalty?.tiers || []), { name: '', minPoints: 0, multiplier: 1 }])}>
+                      + Add Tier
+                    </button>
+                  </Section>
+
+                  <Section title="Referrals" subtitle="Both customers are rewarded once the referred friend's first qualifying order is paid" icon={<FaUsers />} accent="#8b5cf6">
+                    <div className="st-toggle-list">
+                      <ToggleRow
+                        label="Referral Program"
+                        description="Customers get an invite link in their account. Friends sharing the referrer's phone or delivery address aren't rewarded."
+                        checked={s.referrals?.enabled}
+                        onChange={v => set('referrals', 'enabled', v)}
+                      />
+                    </div>
+                    <div className="st-grid-2" style={{ marginTop: '1.25rem' }}>
+                      <Field label="Reward As">
+                        <select className="st-input" value={s.referrals?.rewardType || 'store_credit'} onChange={e => set('referrals', 'rewardType', e.target.value)}>
+                          <option value="store_credit">Store credit</option>
+                          <option value="coupon">Single-use coupon</option>
+                        </select>
+                      </Field>
+                      <Input type="number" label="Coupon Valid For (days)" hint="Coupon rewards only" value={s.referrals?.couponValidityDays} onChange={v => set('referrals', 'couponValidityDays', parseInt(v))} min="1" />
+                      <Input type="number" label="Referrer Reward (KSh)" hint="For the customer who shared the link" value={s.referrals?.referrerReward} onChange={v => set('referrals', 'referrerReward', parseFloat(v))} min="0" />
+                      <Input type="number" label="Friend Reward (KSh)" hint="For the friend who signed up" value={s.referrals?.refereeReward} onChange={v => set('referrals', 'refereeReward', parseFloat(v))} min="0" />
+                      <Input type="number" label="Minimum First Order (KSh)" hint="Smaller orders don't count; the friend's next order can still qualify" value={s.referrals?.minOrderAmount} onChange={v => set('referrals', 'minOrderAmount', parseFloat(v))} min="0" />
+                    </div>
+                  </Section>
                 </>
               )}
 
@@ -766,6 +906,48 @@ const Settings = () => {
                     </Field>
                   </Section>
 
+                  <Section title="Returns" subtitle="Who can request a return from their account, and for how long after delivery" icon={<FaHistory />} accent="#f97316">
+                    <div className="st-toggle-list">
+                      <ToggleRow
+                        label="Accept Return Requests"
+                        description="Customers can request returns for delivered orders with photos; you approve them under Returns"
+                        checked={s.policies?.returnsEnabled}
+                        onChange={v => set('policies', 'returnsEnabled', v)}
+                      />
+                    </div>
+                    <div className="st-grid-2" style={{ marginTop: '1.25rem' }}>
+                      <Input type="number" label="Return Window (days)" hint="Counted from delivery" value={s.policies?.returnWindowDays} onChange={v => set('policies', 'returnWindowDays', parseInt(v))} min="0" />
+                    </div>
+                    <Field label="Category Windows" hint="Override the window per product category — e.g. 0 days for opened coffee beans">
+                      {(s.policies?.categoryReturnWindows || []).map((w, i) => (
+                        <div key={i} className="st-grid-2" style={{ marginBottom: '0.5rem' }}>
+                          <input
+                            className="st-input"
+                            value={w.category || ''}
+                            placeholder="coffee-beans"
+                            onChange={e => set('policies', 'categoryReturnWindows', s.policies.categoryReturnWindows.map((x, idx) => idx === i ? { ...x, category: e.target.value } : x))}
+                          />
+                          <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <input
+                              className="st-input"
+                              type="number"
+                              min="0"
+                              value={w.days ?? ''}
+                              placeholder="Days"
+                              onChange={e => set('policies', 'categoryReturnWindows', s.policies.categoryReturnWindows.map((x, idx) => idx === i ? { ...x, days: parseInt(e.target.value) } : x))}
+                            />
+                            <button type="button" className="st-test-btn" onClick={() => set('policies', 'categoryReturnWindows', s.policies.categoryReturnWindows.filter((_, idx) => idx !== i))}>
+                              Remove
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                      <button type="button" className="st-test-btn" onClick={() => set('policies', 'categoryReturnWindows', [...(s.policies?.categoryReturnWindows || []), { category: '', days: 0 }])}>
+                        + Add Category
+                      </button>
+                    </Field>
+                  </Section>
+
                   <Section title="Refund Policy" subtitle="Details about returns and exchanges" icon={<FaHistory />} accent="#f59e0b">
                     <Field label="Refund Policy Content" hint="HTML is supported">
                       <textarea
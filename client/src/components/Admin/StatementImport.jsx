@@ -0,0 +1,291 @@
+// components/Admin/StatementImport.jsx — M-Pesa Paybill statement import and matching
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { AppContext } from '../../context/AppContext';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FaFileUpload, FaSync, FaTimes, FaCheck, FaBan, FaLink, FaQuestionCircle, FaClone
+} from 'react-icons/fa';
+import './CouponManagement.css';
+import './PurchasingManagement.css';
+import './StatementImport.css';
+import {
+    getMpesaStatements, getMpesaStatement, uploadMpesaStatement, assignStatementLine, ignoreStatementLine
+} from '../../api/api';
+
+const STATUS_LABELS = {
+    matched: 'Matched',
+    assigned: 'Assigned',
+    unmatched: 'Unmatched',
+    duplicate: 'Already Recorded',
+    ignored: 'Ignored'
+};
+
+const MATCH_LABELS = {
+    reference: 'M-Pesa code',
+    account: 'Account no.',
+    phone: 'Phone',
+    amount: 'Amount',
+    manual: 'By hand'
+};
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+const kes = (amount) => `KES ${Number(amount || 0).toLocaleString()}`;
+
+const StatementImport = () => {
+    const { showNotification } = useContext(AppContext);
+    const fileInput = useRef(null);
+    const [history, setHistory] = useState([]);
+    const [statement, setStatement] = useState(null);
+    const [statusFilter, setStatusFilter] = useState('unmatched');
+    const [loading, setLoading] = useState(true);
+    const [uploading, setUploading] = useState(false);
+
+    // null | { line, order }
+    const [assignModal, setAssignModal] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const fetchHistory = useCallback(async () => {
+        try {
+            setLoading(true);
+            const { data } = await getMpesaStatements({ limit: 20 });
+            setHistory(data.data);
+            return data.data;
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to load statement imports'), 'error');
+            return [];
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification]);
+
+    const openStatement = useCallback(async (id) => {
+        try {
+            const { data } = await getMpesaStatement(id);
+            setStatement(data.data);
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to load statement'), 'error');
+        }
+    }, [showNotification]);
+
+    useEffect(() => {
+        fetchHistory().then(list => { if (list[0]) openStatement(list[0]._id); });
+    }, [fetchHistory, openStatement]);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('statement', file);
+        setUploading(true);
+        try {
+            const { data } = await uploadMpesaStatement(formData);
+            showNotification(data.message, 'success');
+            setStatement(data.data);
+            setStatusFilter(data.data.counts.unmatched > 0 ? 'unmatched' : 'all');
+            fetchHistory();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to import statement'), 'error');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleAssign = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await assignStatementLine(statement._id, assignModal.line._id, assignModal.order.trim());
+            showNotification(data.message, 'success');
+            setStatement(data.data);
+            setAssignModal(null);
+            fetchHistory();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to assign payment'), 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleIgnore = async (line) => {
+        if (!window.confirm(`Set aside ${line.receipt} (${kes(line.amount)})? It won't be recorded against any order.`)) return;
+        try {
+            const { data } = await ignoreStatementLine(statement._id, line._id);
+            showNotification(data.message, 'success');
+            setStatement(data.data);
+            fetchHistory();
+        } catch (err) {
+            showNotification(errorMessage(err, 'Failed to update line'), 'error');
+        }
+    };
+
+    const counts = statement?.counts || {};
+    const lines = (statement?.lines || []).filter(line => statusFilter === 'all' || line.status === statusFilter);
+
+    return (
+        <div className="po-dashboard">
+            {/* ── Stats ── */}
+            <div className="cp-stats-row">
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}><FaCheck /></div>
+                    <div>
+                        <div className="cp-stat-value">{(counts.matched || 0) + (counts.assigned || 0)}</div>
+                        <div className="cp-stat-label">Recorded</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(245, 158, 11, 0.1)', color: '#f59e0b' }}><FaQuestionCircle /></div>
+                    <div>
+                        <div className="cp-stat-value">{counts.unmatched || 0}</div>
+                        <div className="cp-stat-label">Need Assigning</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(148, 163, 184, 0.1)', color: '#94a3b8' }}><FaClone /></div>
+                    <div>
+                        <div className="cp-stat-value">{counts.duplicate || 0}</div>
+                        <div className="cp-stat-label">Already Recorded</div>
+                    </div>
+                </div>
+            </div>
+
+            {/* ── Import ── */}
+            <div className="cp-actions-bar">
+                <div className="si-import">
+                    <select className="cp-input" value={statement?._id || ''} onChange={e => openStatement(e.target.value)} disabled={!history.length}>
+                        {!history.length && <option value="">No statements imported yet</option>}
+                        {history.map(s => (
+                            <option key={s._id} value={s._id}>
+                                {s.fileName || 'Statement'} — {new Date(s.createdAt).toLocaleDateString()} ({s.counts.unmatched} unmatched)
+                            </option>
+                        ))}
+                    </select>
+                    <button className="cp-action-btn" style={{ height: '42px', width: '42px' }} onClick={fetchHistory} title="Refresh">
+                        <FaSync className={loading ? 'fa-spin' : ''} />
+                    </button>
+                </div>
+                <input ref={fileInput} type="file" accept=".csv,text/csv" hidden onChange={handleUpload} />
+                <button className="cp-add-btn" onClick={() => fileInput.current?.click()} disabled={uploading}>
+                    <FaFileUpload /> {uploading ? 'Importing...' : 'Import Statement'}
+                </button>
+            </div>
+            <p className="po-hint">
+                Export the Paybill statement as CSV from the M-Pesa org portal. Payments are matched by the M-Pesa code the
+                customer gave at checkout, the order number typed as the account, or the customer's phone and amount owed.
+            </p>
+
+            {/* ── Filters ── */}
+            {statement && (
+                <div className="po-tabs si-tabs">
+                    {['unmatched', 'matched', 'assigned', 'duplicate', 'ignored', 'all'].map(status => (
+                        <button key={status} className={statusFilter === status ? 'active' : ''} onClick={() => setStatusFilter(status)}>
+                            {status === 'all' ? `All (${statement.lines.length})` : STATUS_LABELS[status]}
+                            {status !== 'all' && counts[status] > 0 && <span className="si-count">{counts[status]}</span>}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* ── Lines ── */}
+            <div className="cp-table-panel">
+                <table className="cp-table">
+                    <thead>
+                        <tr>
+                            <th>Receipt</th>
+                            <th>Paid By</th>
+                            <th>Account</th>
+                            <th>Amount</th>
+                            <th>Order</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {!statement ? (
+                            <tr><td colSpan="7" className="po-empty">{loading ? 'Loading...' : 'Import a statement to start matching payments.'}</td></tr>
+                        ) : lines.length === 0 ? (
+                            <tr><td colSpan="7" className="po-empty">Nothing here.</td></tr>
+                        ) : lines.map(line => (
+                            <tr key={line._id}>
+                                <td>
+                                    <div className="po-item-list">
+                                        <span className="cp-code-cell">{line.receipt}</span>
+                                        {line.completedAt && <small>{new Date(line.completedAt).toLocaleString()}</small>}
+                                    </div>
+                                </td>
+                                <td>
+                                    <div className="po-item-list">
+                                        <span>{line.payerName || '—'}</span>
+                                        {line.payerPhone && <small>{line.payerPhone}</small>}
+                                    </div>
+                                </td>
+                                <td>{line.accountNumber || '—'}</td>
+                                <td><strong>{kes(line.amount)}</strong></td>
+                                <td>
+                                    {line.order ? (
+                                        <div className="po-item-list">
+                                            <span>#{line.order.orderNumber}</span>
+                                            <small>{line.order.paymentStatus?.replace('_', ' ')} · {kes(line.order.amountPaid)} of {kes(line.order.total)}</small>
+                                        </div>
+                                    ) : '—'}
+                                </td>
+                                <td>
+                                    <span className={`po-status si-${line.status}`}>{STATUS_LABELS[line.status]}</span>
+                                    {line.matchedBy?.length > 0 && (
+                                        <small className="si-matched-by">{line.matchedBy.map(m => MATCH_LABELS[m] || m).join(' + ')}</small>
+                                    )}
+                                    {line.note && <small className="si-note">{line.note}</small>}
+                                </td>
+                                <td>
+                                    {line.status === 'unmatched' && (
+                                        <div className="cp-table-actions">
+                                            <button className="cp-action-btn po-receive" onClick={() => setAssignModal({ line, order: line.accountNumber || '' })} title="Assign to order"><FaLink /></button>
+                                            <button className="cp-action-btn delete" onClick={() => handleIgnore(line)} title="Not an order payment"><FaBan /></button>
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <AnimatePresence>
+                {assignModal && (
+                    <motion.div className="cp-modal-overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+                        <motion.div className="cp-modal" initial={{ scale: 0.9, y: 20 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.9, y: 20 }}>
+                            <div className="cp-modal-header">
+                                <h2>Assign {assignModal.line.receipt}</h2>
+                                <button className="cp-close-btn" onClick={() => setAssignModal(null)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body" onSubmit={handleAssign}>
+                                <p className="po-hint">
+                                    {kes(assignModal.line.amount)} from {assignModal.line.payerName || assignModal.line.payerPhone || 'an unknown payer'} is
+                                    recorded as a payment on the order and its M-Pesa payment marked verified.
+                                </p>
+                                {assignModal.line.note && <p className="si-note">{assignModal.line.note}</p>}
+                                <div className="cp-form-group">
+                                    <label>Order number</label>
+                                    <input className="cp-input" value={assignModal.order} required autoFocus
+                                        placeholder="e.g. ORD-12345678-0042"
+                                        onChange={e => setAssignModal({ ...assignModal, order: e.target.value })} />
+                                </div>
+
+                                <div className="cp-modal-footer" style={{ margin: '1rem -1.5rem -1.5rem' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setAssignModal(null)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>
+                                        {saving ? 'Saving...' : 'Record Payment'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default StatementImport;
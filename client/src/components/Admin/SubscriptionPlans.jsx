@@ -0,0 +1,593 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { AppContext } from '../../context/AppContext';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    FaBoxOpen, FaPlus, FaSync, FaToggleOn, FaToggleOff, FaTrash, FaEdit,
+    FaTimes, FaCalendarAlt, FaUsers, FaArrowUp, FaExclamationTriangle
+} from 'react-icons/fa';
+import './CouponManagement.css';
+
+const FREQUENCIES = ['weekly', 'bi-weekly', 'monthly'];
+
+const EMPTY_FORM = {
+    name: '',
+    description: '',
+    image: '',
+    bagCount: 2,
+    size: '250g',
+    price: '',
+    frequencies: ['monthly'],
+    isActive: true
+};
+
+const periodOf = (date = new Date()) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const formatPeriod = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-KE', { month: 'long', year: 'numeric' });
+};
+
+const SubscriptionPlans = () => {
+    const { token, showNotification } = useContext(AppContext);
+    const [plans, setPlans] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [modalMode, setModalMode] = useState('add'); // 'add' or 'edit'
+    const [currentPlan, setCurrentPlan] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    // Curation modal
+    const [curatingPlan, setCuratingPlan] = useState(null);
+    const [period, setPeriod] = useState(periodOf());
+    const [cycle, setCycle] = useState(null);
+    const [picks, setPicks] = useState([]);
+    const [note, setNote] = useState('');
+
+    useEffect(() => {
+        fetchPlans();
+    }, [token]);
+
+    useEffect(() => {
+        if (curatingPlan) fetchCycle(curatingPlan._id, period);
+    }, [curatingPlan, period]);
+
+    const fetchPlans = async () => {
+        try {
+            setLoading(true);
+            const res = await fetch('/api/admin/subscription-plans', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.success) {
+                setPlans(data.data);
+            }
+        } catch (error) {
+            showNotification('Failed to fetch subscription plans', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchCycle = async (planId, cyclePeriod) => {
+        try {
+            setCycle(null);
+            const res = await fetch(`/api/admin/subscription-plans/${planId}/cycles/${cyclePeriod}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.success) {
+                setCycle(data.data);
+                setPicks(data.data.products);
+                setNote(data.data.note);
+            } else {
+                showNotification(data.message || 'Failed to load this month', 'error');
+            }
+        } catch (error) {
+            showNotification('Failed to load this month', 'error');
+        }
+    };
+
+    const savePlan = async (url, method, body) => {
+        const res = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify(body)
+        });
+        return res.json();
+    };
+
+    const handleToggleStatus = async (plan) => {
+        try {
+            const data = await savePlan(`/api/admin/subscription-plans/${plan._id}`, 'PUT', { isActive: !plan.isActive });
+            if (data.success) {
+                fetchPlans();
+                showNotification(plan.isActive ? 'Plan hidden from customers' : 'Plan open for subscriptions', 'success');
+            }
+        } catch (error) {
+            showNotification('Failed to toggle plan status', 'error');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Delete this plan? This action cannot be undone.')) return;
+        try {
+            const res = await fetch(`/api/admin/subscription-plans/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await res.json();
+            if (data.success) {
+                setPlans(prev => prev.filter(p => p._id !== id));
+                showNotification('Plan deleted', 'success');
+            } else {
+                showNotification(data.message || 'Failed to delete plan', 'error');
+            }
+        } catch (error) {
+            showNotification('Failed to delete plan', 'error');
+        }
+    };
+
+    const openModal = (mode, plan = null) => {
+        setModalMode(mode);
+        setCurrentPlan(plan);
+        if (mode === 'edit' && plan) {
+            setFormData({
+                name: plan.name,
+                description: plan.description || '',
+                image: plan.image || '',
+                bagCount: plan.bagCount,
+                size: plan.size,
+                price: plan.price,
+                frequencies: plan.frequencies,
+                isActive: plan.isActive
+            });
+        } else {
+            setFormData(EMPTY_FORM);
+        }
+        setShowModal(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const data = modalMode === 'add'
+                ? await savePlan('/api/admin/subscription-plans', 'POST', formData)
+                : await savePlan(`/api/admin/subscription-plans/${currentPlan._id}`, 'PUT', formData);
+
+            if (data.success) {
+                showNotification(data.message, 'success');
+                fetchPlans();
+                setShowModal(false);
+            } else {
+                showNotification(data.message || 'Operation failed', 'error');
+            }
+        } catch (error) {
+            showNotification('An error occurred while saving', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const openCuration = (plan, cyclePeriod) => {
+        setPeriod(cyclePeriod);
+        setCuratingPlan(plan);
+    };
+
+    const movePick = (index) => {
+        setPicks(prev => {
+            const next = [...prev];
+            [next[index - 1], next[index]] = [next[index], next[index - 1]];
+            return next;
+        });
+    };
+
+    const handleSaveCycle = async () => {
+        setSaving(true);
+        try {
+            const data = await savePlan(
+                `/api/admin/subscription-plans/${curatingPlan._id}/cycles/${period}`, 'PUT', { products: picks, note }
+            );
+            if (data.success) {
+                showNotification(data.message, 'success');
+                setCycle(data.data);
+                setPicks(data.data.products);
+                fetchPlans();
+            } else {
+                showNotification(data.message || 'Failed to save coffees', 'error');
+            }
+        } catch (error) {
+            showNotification('An error occurred while saving', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const candidate = (id) => cycle?.candidates.find(c => c._id === id);
+    const activeCount = plans.filter(p => p.isActive).length;
+    const subscriberCount = plans.reduce((sum, p) => sum + p.subscribers, 0);
+    const uncuratedCount = plans.filter(p => p.isActive && !p.curation.current.curated).length;
+    const isPast = period < periodOf();
+    const picksChanged = cycle && (picks.join() !== cycle.products.join() || note !== cycle.note);
+
+    return (
+        <div className="cp-dashboard">
+            {/* ── Stats ── */}
+            <div className="cp-stats-row">
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(212, 175, 55, 0.1)', color: '#D4AF37' }}><FaBoxOpen /></div>
+                    <div>
+                        <div className="cp-stat-value">{activeCount}</div>
+                        <div className="cp-stat-label">Active Plans</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}><FaUsers /></div>
+                    <div>
+                        <div className="cp-stat-value">{subscriberCount}</div>
+                        <div className="cp-stat-label">Subscribers</div>
+                    </div>
+                </div>
+                <div className="cp-stat-card">
+                    <div className="cp-stat-icon" style={{ background: 'rgba(239, 68, 68, 0.1)', color: '#ef4444' }}><FaExclamationTriangle /></div>
+                    <div>
+                        <div className="cp-stat-value">{uncuratedCount}</div>
+                        <div className="cp-stat-label">Need Coffees This Month</div>
+                    </div>
+                </div>
+            </div>
+
+            {/* ── Actions ── */}
+            <div className="cp-actions-bar">
+                <p className="cp-hint">Boxes only go out once a month's coffees are chosen — subscribers wait until then.</p>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <button className="cp-action-btn" style={{ height: '42px', width: '42px' }} onClick={fetchPlans} title="Refresh">
+                        <FaSync className={loading ? 'fa-spin' : ''} />
+                    </button>
+                    <button className="cp-add-btn" onClick={() => openModal('add')}>
+                        <FaPlus /> Create Plan
+                    </button>
+                </div>
+            </div>
+
+            {/* ── Table ── */}
+            <div className="cp-table-panel">
+                <table className="cp-table">
+                    <thead>
+                        <tr>
+                            <th>Plan</th>
+                            <th>Box</th>
+                            <th>Subscribers</th>
+                            <th>This Month</th>
+                            <th>Next Month</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading ? (
+                            Array(3).fill(0).map((_, i) => (
+                                <tr key={i}><td colSpan="7" style={{ padding: '1.5rem', textAlign: 'center', color: 'var(--text-muted)' }}>Loading...</td></tr>
+                            ))
+                        ) : plans.length === 0 ? (
+                            <tr><td colSpan="7" style={{ padding: '3rem', textAlign: 'center', color: 'var(--text-muted)' }}>No plans yet. Create a coffee of the month box customers can subscribe to.</td></tr>
+                        ) : plans.map((plan) => (
+                            <tr key={plan._id}>
+                                <td>
+                                    <span className="cp-code-cell">{plan.name}</span>
+                                    <small className="cp-rules">{plan.frequencies.join(' · ')}</small>
+                                </td>
+                                <td>
+                                    {plan.bagCount} × {plan.size}
+                                    <small className="cp-rules">KES {Number(plan.price).toLocaleString()}</small>
+                                </td>
+                                <td>{plan.subscribers}</td>
+                                {['current', 'next'].map(key => (
+                                    <td key={key}>
+                                        <button
+                                            className={`cp-discount-badge ${plan.curation[key].curated ? 'percentage' : 'fixed'}`}
+                                            onClick={() => openCuration(plan, plan.curation[key].period)}
+                                            title="Choose coffees"
+                                        >
+                                            <FaCalendarAlt /> {plan.curation[key].curated ? 'Chosen' : 'Not chosen'}
+                                        </button>
+                                    </td>
+                                ))}
+                                <td>
+                                    <button
+                                        className={`cp-status-toggle ${plan.isActive ? 'active' : 'inactive'}`}
+                                        onClick={() => handleToggleStatus(plan)}
+                                        title={plan.isActive ? 'Deactivate' : 'Activate'}
+                                    >
+                                        {plan.isActive ? <FaToggleOn /> : <FaToggleOff />}
+                                    </button>
+                                </td>
+                                <td>
+                                    <div className="cp-table-actions">
+                                        <button className="cp-action-btn edit" onClick={() => openModal('edit', plan)} title="Edit"><FaEdit /></button>
+                                        <button className="cp-action-btn delete" onClick={() => handleDelete(plan._id)} title="Delete"><FaTrash /></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* ── Plan Modal ── */}
+            <AnimatePresence>
+                {showModal && (
+                    <motion.div
+                        className="cp-modal-overlay"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                    >
+                        <motion.div
+                            className="cp-modal"
+                            initial={{ scale: 0.9, y: 20 }}
+                            animate={{ scale: 1, y: 0 }}
+                            exit={{ scale: 0.9, y: 20 }}
+                        >
+                            <div className="cp-modal-header">
+                                <h2>{modalMode === 'add' ? 'Create Plan' : 'Edit Plan'}</h2>
+                                <button className="cp-close-btn" onClick={() => setShowModal(false)}><FaTimes /></button>
+                            </div>
+                            <form className="cp-modal-body cp-form" onSubmit={handleSubmit}>
+                                <div className="cp-form-group full">
+                                    <label>Name (e.g. Roaster's Choice)</label>
+                                    <input
+                                        type="text"
+                                        className="cp-input"
+                                        value={formData.name}
+                                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                                        required
+                                    />
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Description</label>
+                                    <input
+                                        type="text"
+                                        className="cp-input"
+                                        placeholder="e.g. Two single origins picked by our roasters every month"
+                                        value={formData.description}
+                                        onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group full">
+                                    <label>Image URL (optional)</label>
+                                    <input
+                                        type="text"
+                                        className="cp-input"
+                                        value={formData.image}
+                                        onChange={(e) => setFormData({ ...formData, image: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Bags per Box</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="6"
+                                        className="cp-input"
+                                        value={formData.bagCount}
+                                        onChange={(e) => setFormData({ ...formData, bagCount: e.target.value })}
+                                        required
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Bag Size (as sold, e.g. 250g)</label>
+                                    <input
+                                        type="text"
+                                        className="cp-input"
+                                        value={formData.size}
+                                        onChange={(e) => setFormData({ ...formData, size: e.target.value })}
+                                        required
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Box Price (KES)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="cp-input"
+                                        value={formData.price}
+                                        onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+                                        required
+                                    />
+                                </div>
+
+                                <div className="cp-form-group">
+                                    <label>Delivered</label>
+                                    <div className="cp-chip-list">
+                                        {FREQUENCIES.map(frequency => (
+                                            <label key={frequency} className={`cp-chip ${formData.frequencies.includes(frequency) ? 'selected' : ''}`}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.frequencies.includes(frequency)}
+                                                    onChange={(e) => setFormData({
+                                                        ...formData,
+                                                        frequencies: e.target.checked
+                                                            ? [...formData.frequencies, frequency]
+                                                            : formData.frequencies.filter(f => f !== frequency)
+                                                    })}
+                                                />
+                                                {frequency}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {modalMode === 'edit' && currentPlan?.subscribers > 0 && (
+                                    <p className="cp-hint full">Price changes apply to new subscribers; existing ones keep the price they signed up at.</p>
+                                )}
+
+                                <div className="cp-modal-footer full" style={{ margin: '1rem -1.5rem -1.5rem', width: 'calc(100% + 3rem)' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setShowModal(false)}>Cancel</button>
+                                    <button type="submit" className="submit-btn" disabled={saving}>
+                                        {saving ? 'Processing...' : modalMode === 'add' ? 'Create Plan' : 'Save Changes'}
+                                    </button>
+                                </div>
+                            </form>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* ── Curation Modal ── */}
+            <AnimatePresence>
+                {curatingPlan && (
+                    <motion.div
+                        className="cp-modal-overlay"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                    >
+                        <motion.div
+                            className="cp-modal cp-modal-wide"
+                            initial={{ scale: 0.9, y: 20 }}
+                            animate={{ scale: 1, y: 0 }}
+                            exit={{ scale: 0.9, y: 20 }}
+                        >
+                            <div className="cp-modal-header">
+                                <h2>{curatingPlan.name} — {formatPeriod(period)}</h2>
+                                <button className="cp-close-btn" onClick={() => setCuratingPlan(null)}><FaTimes /></button>
+                            </div>
+                            <div className="cp-modal-body cp-form">
+                                <div className="cp-form-group">
+                                    <label>Month</label>
+                                    <input
+                                        type="month"
+                                        className="cp-input"
+                                        value={period}
+                                        onChange={(e) => e.target.value && setPeriod(e.target.value)}
+                                    />
+                                </div>
+
+                                {!cycle ? (
+                                    <p className="cp-hint full">Loading...</p>
+                                ) : (
+                                    <>
+                                        <div className="cp-form-group">
+                                            <label>Coverage</label>
+                                            <p className="cp-hint">
+                                                {cycle.coverage.covered} of {cycle.coverage.subscribers} subscriber(s) get a box from the saved coffees.
+                                            </p>
+                                        </div>
+
+                                        {cycle.coverage.uncovered.length > 0 && (
+                                            <div className="cp-form-group full">
+                                                <label>No suitable coffee for</label>
+                                                {cycle.coverage.uncovered.map(sub => (
+                                                    <p key={sub._id} className="cp-hint">
+                                                        {sub.name} ({sub.email}) — avoids {[...sub.excludedRoasts.map(r => `${r} roast`), ...sub.excludedFlavors].join(', ') || 'nothing'}
+                                                    </p>
+                                                ))}
+                                            </div>
+                                        )}
+
+                                        <div className="cp-form-group full">
+                                            <label>
+                                                Picks, in order of preference ({curatingPlan.bagCount} per box — extras are alternates for subscribers who avoid some)
+                                            </label>
+                                            {picks.length === 0 ? (
+                                                <p className="cp-hint">No coffees chosen yet.</p>
+                                            ) : picks.map((id, index) => (
+                                                <div key={id} className="cp-pick-row">
+                                                    <span>{index + 1}. {candidate(id)?.name || 'Unavailable coffee'}</span>
+                                                    <small>{candidate(id)?.roastLevel}</small>
+                                                    <div className="cp-table-actions">
+                                                        <button type="button" className="cp-action-btn" disabled={index === 0 || isPast} onClick={() => movePick(index)} title="Move up"><FaArrowUp /></button>
+                                                        <button type="button" className="cp-action-btn delete" disabled={isPast} onClick={() => setPicks(prev => prev.filter(p => p !== id))} title="Remove"><FaTimes /></button>
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+
+                                        <div className="cp-form-group full">
+                                            <label>Note for subscribers (optional)</label>
+                                            <input
+                                                type="text"
+                                                className="cp-input"
+                                                placeholder="e.g. Two washed Nyeri lots — bright, juicy and floral"
+                                                value={note}
+                                                disabled={isPast}
+                                                onChange={(e) => setNote(e.target.value)}
+                                            />
+                                        </div>
+
+                                        <div className="cp-form-group full">
+                                            <label>Available {curatingPlan.size} coffees</label>
+                                            <table className="cp-table">
+                                                <thead>
+                                                    <tr>
+                                                        <th>Coffee</th>
+                                                        <th>Roast / Notes</th>
+                                                        <th>Stock</th>
+                                                        <th>Bags Needed</th>
+                                                        <th></th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {cycle.candidates.map(coffee => (
+                                                        <tr key={coffee._id}>
+                                                            <td>
+                                                                {coffee.name}
+                                                                {coffee.origin && <small className="cp-rules">{coffee.origin}</small>}
+                                                            </td>
+                                                            <td>
+                                                                {coffee.roastLevel || '—'}
+                                                                <small className="cp-rules">{(coffee.flavorNotes || []).join(', ')}</small>
+                                                            </td>
+                                                            <td>
+                                                                {coffee.stock}
+                                                                {coffee.freshness && coffee.freshness !== 'fresh' && (
+                                                                    <small className="cp-rules">{coffee.freshness}</small>
+                                                                )}
+                                                            </td>
+                                                            <td style={{ color: coffee.bagsNeeded > coffee.stock ? '#ef4444' : undefined }}>
+                                                                {coffee.bagsNeeded}
+                                                            </td>
+                                                            <td>
+                                                                {!picks.includes(coffee._id) && (
+                                                                    <button type="button" className="cp-action-btn edit" disabled={isPast} onClick={() => setPicks(prev => [...prev, coffee._id])} title="Add to box">
+                                                                        <FaPlus />
+                                                                    </button>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                            <p className="cp-hint">Bags needed counts active and paused subscribers, from the saved picks.</p>
+                                        </div>
+                                    </>
+                                )}
+
+                                <div className="cp-modal-footer full" style={{ margin: '1rem -1.5rem -1.5rem', width: 'calc(100% + 3rem)' }}>
+                                    <button type="button" className="cancel-btn" onClick={() => setCuratingPlan(null)}>Close</button>
+                                    {!isPast && (
+                                        <button type="button" className="submit-btn" disabled={saving || !picksChanged} onClick={handleSaveCycle}>
+                                            {saving ? 'Processing...' : 'Save Coffees'}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default SubscriptionPlans;
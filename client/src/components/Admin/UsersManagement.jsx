@@ -7,8 +7,9 @@ import {
   FaSync, FaTimes, FaShoppingBag, FaMapMarkerAlt,
   FaTrash, FaUserTag, FaShieldAlt, FaUserCheck,
   FaUserClock, FaChevronLeft, FaChevronRight,
-  FaCrown, FaUsers, FaUserShield, FaLockOpen, FaLock
+  FaCrown, FaUsers, FaUserShield, FaLockOpen, FaLock, FaCoins
 } from 'react-icons/fa';
+import { getUserStoreCredit, adjustUserStoreCredit } from '../../api/api';
 import './UsersManagement.css';
 
 // ─── Helpers ────────────────────────────────────────────────────
@@ -417,6 +418,88 @@ const UsersManagement = () => {
   );
 };
 
+// ─── Store Credit ───────────────────────────────────────────────
+const CREDIT_TYPE_LABELS = {
+  issued: 'Goodwill credit',
+  overpayment: 'Overpayment',
+  redeemed: 'Spent at checkout',
+  restored: 'Order cancelled',
+  refunded: 'Order refunded',
+  referral: 'Referral reward',
+  adjusted: 'Correction'
+};
+
+const StoreCreditSection = ({ userId }) => {
+  const { showAlert } = useContext(AppContext);
+  const [credit, setCredit] = useState(null);
+  const [form, setForm] = useState({ amount: '', type: 'issued', order: '', note: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getUserStoreCredit(userId)
+      .then(({ data }) => setCredit(data.data))
+      .catch(() => setCredit({ storeCredit: 0, history: [] }));
+  }, [userId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { data } = await adjustUserStoreCredit(userId, { ...form, order: form.order.trim() || undefined });
+      showAlert(data.message, 'success');
+      setCredit(prev => ({ ...prev, storeCredit: data.data.storeCredit, history: [data.data.entry, ...(prev?.history || [])] }));
+      setForm({ amount: '', type: 'issued', order: '', note: '' });
+    } catch (err) {
+      showAlert(err.response?.data?.message || 'Failed to update store credit', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="um-drawer-section">
+      <h4 className="um-drawer-section-title"><FaCoins /> Store Credit</h4>
+      <p className="um-drawer-section-hint">
+        Balance: <strong>KES {(credit?.storeCredit || 0).toLocaleString()}</strong>. Credit is spent at checkout; corrections can be negative.
+      </p>
+
+      <form className="um-credit-form" onSubmit={handleSubmit}>
+        <input type="number" step="0.01" placeholder="Amount (KES)" value={form.amount} required
+          onChange={e => setForm({ ...form, amount: e.target.value })} />
+        <select value={form.type} onChange={e => setForm({ ...form, type: e.target.value })}>
+          <option value="issued">Goodwill credit</option>
+          <option value="overpayment">Overpayment on an order</option>
+          <option value="adjusted">Correction</option>
+        </select>
+        <input placeholder={form.type === 'overpayment' ? 'Order number (required)' : 'Order number (optional)'} value={form.order}
+          required={form.type === 'overpayment'}
+          onChange={e => setForm({ ...form, order: e.target.value })} />
+        <input placeholder="Reason" value={form.note} required
+          onChange={e => setForm({ ...form, note: e.target.value })} />
+        <button type="submit" className="um-save-role-btn" disabled={saving}>
+          {saving ? 'Saving…' : 'Post to Store Credit'}
+        </button>
+      </form>
+
+      {credit?.history?.length > 0 && (
+        <div className="um-info-rows um-credit-history">
+          {credit.history.slice(0, 10).map(entry => (
+            <div className="um-info-row" key={entry._id}>
+              <span className="um-info-label">
+                {formatDate(entry.createdAt)} · {CREDIT_TYPE_LABELS[entry.type] || entry.type}
+                {entry.order?.orderNumber && ` · #${entry.order.orderNumber}`}
+              </span>
+              <span className="um-info-value">
+                {entry.amount > 0 ? '+' : '−'}KES {Math.abs(entry.amount).toLocaleString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // ─── User Profile Drawer ────────────────────────────────────────
 const UserProfileDrawer = ({ user, onClose, onRoleChange, onDelete, onUnlock, onSecurityReset, isLocked }) => {
   const [role, setRole] = useState(user.userType || user.role || 'customer');
@@ -532,6 +615,8 @@ const UserProfileDrawer = ({ user, onClose, onRoleChange, onDelete, onUnlock, on
             </div>
           </div>
 
+          <StoreCreditSection userId={user._id} />
+
           {/* Role Management */}
           <div className="um-drawer-section">
             <h4 className="um-drawer-section-title"><FaShieldAlt /> System Role</h4>
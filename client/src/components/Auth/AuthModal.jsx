@@ -20,7 +20,8 @@ const AuthModal = ({ isOpen, onClose, initialView = 'login' }) => {
     const [loginData, setLoginData] = useState({ email: '', password: '' });
     const [signupData, setSignupData] = useState({
         firstName: '', lastName: '', email: '', password: '', confirmPassword: '',
-        phone: '', gender: '', dob: '', agreeTerms: false
+        phone: '', gender: '', dob: '', agreeTerms: false,
+        referralCode: localStorage.getItem('referralCode') || ''
     });
     const [signupStep, setSignupStep] = useState(1);
     const [forgotEmail, setForgotEmail] = useState('');
@@ -557,6 +558,14 @@ const AuthModal = ({ isOpen, onClose, initialView = 'login' }) => {
                                                     <option value="female">Female</option>
                                                 </select>
                                             </div>
+                                            <div className="form-group">
+                                                <label>Referral Code (Optional)</label>
+                                                <input
+                                                    name="referralCode" className="form-input"
+                                                    value={signupData.referralCode} onChange={handleInputChange(setSignupData)}
+                                                    placeholder="From a friend's invite"
+                                                />
+                                            </div>
                                             <div className="form-group" style={{ flexDirection: 'row', alignItems: 'center', gap: '15px', marginTop: '1rem' }}>
                                                 <input
                                                     type="checkbox" name="agreeTerms"
@@ -1,26 +1,39 @@
 // components/Cart/CartSidebar.jsx
-import React, { useContext, useCallback } from 'react';
+import React, { useContext, useCallback, useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { AppContext } from '../../context/AppContext';
+import { priceCart } from '../../api/api';
 import { FaTimes, FaArrowRight, FaTrash, FaPlus, FaMinus, FaShoppingBag, FaLeaf } from 'react-icons/fa';
 import './CartSidebar.css';
 
 function CartSidebar() {
   const {
-    user,
     cart,
     isCartOpen,
     setIsCartOpen,
     removeFromCart,
     updateCartQuantity,
     clearCart,
-    showNotification,
-    setShowAuthModal,
-    setAuthView
+    showNotification
   } = useContext(AppContext);
 
   const navigate = useNavigate();
+  const [pricing, setPricing] = useState(null);
+
+  // Automatic promotions, priced by the server; debounced so quantity clicks don't each ask
+  useEffect(() => {
+    if (!isCartOpen || !cart?.length) {
+      setPricing(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      priceCart(cart)
+        .then(res => setPricing(res.data.data))
+        .catch(() => setPricing(null));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [cart, isCartOpen]);
 
   const closeCart = useCallback(() => {
     setIsCartOpen(false);
@@ -45,14 +58,9 @@ function CartSidebar() {
       return;
     }
 
-    if (user) {
-      closeCart();
-      navigate('/checkout');
-    } else {
-      closeCart();
-      setAuthView('signup');
-      setShowAuthModal(true);
-    }
+    // Guests can check out too; signing in is offered on the checkout page
+    closeCart();
+    navigate('/checkout');
   };
 
   const handleQuantityUpdate = (item, delta) => {
@@ -66,6 +74,7 @@ function CartSidebar() {
 
   const itemCount = cart?.reduce((sum, item) => sum + item.quantity, 0) || 0;
   const displayTotal = cart?.reduce((total, item) => total + (item.price * item.quantity), 0) || 0;
+  const promotionDiscount = pricing?.discount || 0;
 
   const getImg = (item) => {
     if (item.images && item.images.length > 0) return item.images[0].url || item.images[0];
@@ -186,10 +195,22 @@ function CartSidebar() {
             {cart && cart.length > 0 && (
               <div className="p-cart-footer">
                 <div className="p-total-section">
+                  {pricing?.applied?.map(promotion => (
+                    <div key={promotion.promotion} className="p-promo-row">
+                      <span>{promotion.name}<small>{promotion.description}</small></span>
+                      <span>{promotion.discount > 0 ? `- KES ${promotion.discount.toLocaleString()}` : 'Applied'}</span>
+                    </div>
+                  ))}
                   <div className="p-total-row">
                     <span className="p-total-label">Subtotal</span>
-                    <span className="p-total-value">KES {displayTotal.toLocaleString()}</span>
+                    <span className="p-total-value">
+                      {promotionDiscount > 0 && <s className="p-total-was">KES {displayTotal.toLocaleString()}</s>}
+                      KES {(displayTotal - promotionDiscount).toLocaleString()}
+                    </span>
                   </div>
+                  {pricing?.hints?.map(hint => (
+                    <p key={hint.promotion} className="p-promo-hint">{hint.message}</p>
+                  ))}
                   <p className="p-shipping-note">Premium shipping & local taxes calculated at checkout.</p>
                 </div>
 
@@ -23,7 +23,9 @@ function Checkout() {
     isAuthenticated,
     publicSettings,
     setMobileMenuOpen,
-    logAbandonedCheckout
+    logAbandonedCheckout,
+    setAuthView,
+    setShowAuthModal
   } = useContext(AppContext);
 
   const navigate = useNavigate();
@@ -53,11 +55,16 @@ function Checkout() {
     }
   }, [publicSettings]);
   const [loading, setLoading] = useState(false);
-  const [calculatingShipping, setCalculatingShipping] = useState(false);
   const [errors, setErrors] = useState({});
   const [mpesaPhone, setMpesaPhone] = useState(user?.wallet?.mpesaPhone || user?.phone || '');
   const [codConfirmed, setCodConfirmed] = useState(false);
+  // Split payment: a deposit online now, the balance on delivery ('cod') or online later ('later')
+  const [payDeposit, setPayDeposit] = useState(false);
+  const [depositInput, setDepositInput] = useState('');
+  const [balanceMethod, setBalanceMethod] = useState('cod');
   const [showPaymentModal, setShowPaymentModal] = useState(false);
+  // Order placed but not yet paid online — retries pay for it instead of placing another
+  const [pendingOrder, setPendingOrder] = useState(null);
   const [allCountries, setAllCountries] = useState(['Kenya', 'Uganda', 'Tanzania', 'Rwanda', 'United Arab Emirates', 'United Kingdom']);
   const [cardInfo, setCardInfo] = useState({
     number: '',
@@ -84,35 +91,56 @@ function Checkout() {
   const [isSubscription, setIsSubscription] = useState(false);
   const [subscriptionFrequency, setSubscriptionFrequency] = useState('monthly');
   const [isPhoneFocused, setIsPhoneFocused] = useState(false);
-
-  const subtotal = useMemo(() => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
-  }, [cart]);
-
-  const discount = useMemo(() => {
-    let totalDiscount = 0;
-    if (couponData) {
-      if (couponData.discountType === 'percentage') {
-        totalDiscount += subtotal * (couponData.discountAmount / 100);
-      } else {
-        totalDiscount += couponData.discountAmount;
-      }
-    }
-    if (isSubscription) {
-      totalDiscount += subtotal * 0.05;
-    }
-    return Math.round(totalDiscount);
-  }, [subtotal, couponData, isSubscription]);
-
-  const [shippingCost, setShippingCost] = useState(0);
-  const total = Math.max(0, subtotal - discount + shippingCost);
+  const [giftCardCode, setGiftCardCode] = useState('');
+  const [giftCardData, setGiftCardData] = useState(null);
+  const [checkingGiftCard, setCheckingGiftCard] = useState(false);
+  const [storeCreditBalance, setStoreCreditBalance] = useState(0);
+  const [useStoreCredit, setUseStoreCredit] = useState(false);
+  const [giftCardRecipient, setGiftCardRecipient] = useState({ email: '', name: '', message: '' });
+  const [usePoints, setUsePoints] = useState(false);
+  // The server prices the checkout (POST /api/checkout/quote) and the order is
+  // placed from the quote it signs, so every amount below comes from there
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [quoting, setQuoting] = useState(false);
+  const [quoteVersion, setQuoteVersion] = useState(0);
+
+  const subtotal = quote?.subtotal || 0;
+  const promotions = quote?.promotions;
+  const discount = quote?.discount || 0;
+  const pointsToRedeem = quote?.loyalty?.points || 0;
+  const loyaltyDiscount = quote?.loyalty?.discount || 0;
+  const redeemablePoints = quote?.redeemablePoints;
+  const shippingCost = quote?.shippingCost || 0;
+  const total = quote?.total || 0;
+
+  // Gift card first, then store credit; what's left is paid the usual way
+  const giftCardApplied = giftCardData ? Math.min(giftCardData.balance, total) : 0;
+  const storeCreditApplied = useStoreCredit ? Math.min(storeCreditBalance, total - giftCardApplied) : 0;
+  const amountDue = Math.max(0, total - giftCardApplied - storeCreditApplied);
+  const hasGiftCardItems = cart.some(item => item.isGiftCard);
+
+  const depositSettings = publicSettings?.payment?.deposits;
+  const canPayDeposit = !!depositSettings?.enabled && paymentMethod !== 'cod' && amountDue > 0;
+  const minimumDeposit = Math.ceil(amountDue * (depositSettings?.minimumPercent || 50) / 100);
+  const depositAmount = payDeposit && canPayDeposit ? (Number(depositInput) || minimumDeposit) : 0;
+  const codBalanceAvailable = !!publicSettings?.payment?.paymentMethods?.cashOnDelivery;
+  const balanceOnDelivery = depositAmount > 0 && codBalanceAvailable && balanceMethod === 'cod';
+
+  // A different basket or payment method needs a fresh order; the old one expires unpaid
+  useEffect(() => {
+    setPendingOrder(null);
+  }, [amountDue, paymentMethod, depositAmount, balanceMethod]);
 
   useEffect(() => {
-    if (!isAuthenticated) {
-      showNotification('Please log in to checkout', 'info');
-      navigate('/login');
-    }
-  }, [isAuthenticated, navigate, showNotification]);
+    if (!isAuthenticated) return;
+    fetch('/api/wallet', { headers: { 'Authorization': `Bearer ${token}` } })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setStoreCreditBalance(result.data.storeCredit || 0);
+      })
+      .catch(() => { });
+  }, [isAuthenticated, token]);
 
   useEffect(() => {
     if (user) {
@@ -131,43 +159,60 @@ function Checkout() {
     }
   }, [user]);
 
-  useEffect(() => {
-    if (shippingInfo.county) {
-      calculateShipping();
-    }
-  }, [shippingInfo.county]);
+  // Only the coupon's per-customer rules need the email, so typing it doesn't re-price otherwise
+  const couponEmail = couponData ? shippingInfo.email : '';
 
-  const calculateShipping = async () => {
-    if (!shippingInfo.county) {
-      setShippingCost(0);
+  useEffect(() => {
+    if (!cart.length) {
+      setQuote(null);
       return;
     }
-    setCalculatingShipping(true);
-    try {
-      const response = await fetch('/api/orders/shipping-cost', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          country: shippingInfo.country,
-          county: shippingInfo.county
-        })
-      });
-      if (response.ok) {
+    // Quotes are signed for a payment method, so wait for one to be picked
+    if (!paymentMethod) return;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setQuoting(true);
+      try {
+        const response = await fetch('/api/checkout/quote', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'Authorization': `Bearer ${token}` })
+          },
+          body: JSON.stringify({
+            items: cart.map(item => ({ product: item.productId || item._id, size: item.size, quantity: item.quantity })),
+            shippingAddress: { country: shippingInfo.country, county: shippingInfo.county, email: couponEmail },
+            couponCode: couponData?.code,
+            paymentMethod,
+            isSubscription,
+            usePoints
+          }),
+          signal: controller.signal
+        });
         const result = await response.json();
-        if (result.success) {
-          setShippingCost(result.data.shippingCost);
-        }
+        if (!result.success) throw new Error(result.message || 'Could not price your order');
+        setQuote(result.data);
+        setQuoteError('');
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        setQuote(null);
+        setQuoteError(error.message);
+      } finally {
+        if (!controller.signal.aborted) setQuoting(false);
       }
-    } catch (error) {
-      console.error('Shipping calculation error:', error);
-      setShippingCost(shippingInfo.county === 'Nairobi' ? 200 : 350);
-    } finally {
-      setCalculatingShipping(false);
-    }
-  };
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [cart, shippingInfo.country, shippingInfo.county, couponEmail, couponData?.code, paymentMethod, isSubscription, usePoints, token, quoteVersion]);
+
+  // Quotes hold for a few minutes; get a fresh one before this one runs out
+  useEffect(() => {
+    if (!quote) return;
+    const timer = setTimeout(() => setQuoteVersion(v => v + 1), Math.max(0, new Date(quote.expiresAt) - Date.now() - 30000));
+    return () => clearTimeout(timer);
+  }, [quote]);
 
   const [slideComplete, setSlideComplete] = useState(false);
   const trackRef = useRef(null);
@@ -199,6 +244,8 @@ function Checkout() {
   };
 
   const logFailure = async (reason) => {
+    // Recovery emails go to account holders only
+    if (!isAuthenticated) return;
     logAbandonedCheckout({
       items: cart.map(item => ({
         product: item.productId || item._id,
@@ -214,30 +261,81 @@ function Checkout() {
     });
   };
 
+  const checkCoupon = async (code) => {
+    const response = await fetch('/api/orders/validate-coupon', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: JSON.stringify({
+        code,
+        email: shippingInfo.email,
+        items: cart.map(item => ({ product: item.productId || item._id, size: item.size, quantity: item.quantity }))
+      })
+    });
+    return response.json();
+  };
+
+  // The discount depends on what's in the cart, so check the coupon again when it changes
+  useEffect(() => {
+    if (!couponData) return;
+    checkCoupon(couponData.code)
+      .then(result => {
+        if (result.success) {
+          setCouponData(result.data);
+        } else {
+          setCouponData(null);
+          setCouponCode('');
+          showNotification(`Coupon removed: ${result.message}`, 'warning');
+        }
+      })
+      .catch(() => { });
+  }, [cart]); // eslint-disable-line react-hooks/exhaustive-deps
+
   const handleValidateCoupon = async () => {
     if (!couponCode.trim()) return;
     setValidatingCoupon(true);
     try {
-      const response = await fetch('/api/orders/validate-coupon', {
+      const result = await checkCoupon(couponCode);
+      if (result.success) {
+        setCouponData(result.data);
+        showNotification(`Coupon applied: ${result.data.description}`, 'success');
+      } else {
+        setCouponData(null);
+        showNotification(result.message || 'Invalid coupon', 'error');
+      }
+    } catch (err) {
+      showNotification('Failed to validate coupon', 'error');
+    } finally {
+      setValidatingCoupon(false);
+    }
+  };
+
+  const handleApplyGiftCard = async () => {
+    if (!giftCardCode.trim()) return;
+    setCheckingGiftCard(true);
+    try {
+      const response = await fetch('/api/wallet/gift-cards/check', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ code: couponCode, subtotal })
+        body: JSON.stringify({ code: giftCardCode })
       });
       const result = await response.json();
       if (result.success) {
-        setCouponData(result.data);
-        showNotification('Coupon applied!', 'success');
+        setGiftCardData(result.data);
+        showNotification(`Gift card applied — KES ${result.data.balance.toLocaleString()} available`, 'success');
       } else {
-        setCouponData(null);
-        showNotification(result.message || 'Invalid coupon', 'error');
+        setGiftCardData(null);
+        showNotification(result.message || 'Invalid gift card', 'error');
       }
     } catch (err) {
-      showNotification('Failed to validate coupon', 'error');
+      showNotification('Failed to check gift card', 'error');
     } finally {
-      setValidatingCoupon(false);
+      setCheckingGiftCard(false);
     }
   };
 
@@ -256,10 +354,21 @@ function Checkout() {
       if (!shippingInfo.city) newErrors.city = 'Please specify your city/region';
     }
 
+    if (hasGiftCardItems && giftCardRecipient.email.trim() && !/^\S+@\S+\.\S+$/.test(giftCardRecipient.email.trim())) {
+      newErrors.giftCardRecipient = 'Enter a valid email for the gift card recipient';
+    }
+
+    // Nothing left to pay once a gift card or store credit covers the order
+    if (amountDue === 0) return newErrors;
+
     if (paymentMethod === 'cod' && !codConfirmed) {
       newErrors.cod = 'Please confirm pay on delivery';
     }
 
+    if (depositAmount && (depositAmount < minimumDeposit || depositAmount >= amountDue)) {
+      newErrors.deposit = `Deposit must be between KES ${minimumDeposit.toLocaleString()} and KES ${(amountDue - 1).toLocaleString()}`;
+    }
+
     if (paymentMethod === 'card') {
       if (!cardInfo.number.trim() || cardInfo.number.length < 15) newErrors.cardNo = 'Valid card number is required';
       if (!cardInfo.expiry.trim() || !cardInfo.expiry.includes('/')) newErrors.cardExp = 'Valid expiry (MM/YY) is required';
@@ -280,17 +389,26 @@ function Checkout() {
       return false;
     }
 
-    if (paymentMethod === 'cod' && total > 20000) {
+    if (paymentMethod === 'cod' && amountDue > 20000) {
       showNotification('COD limited to KSh 20,000. Please use M-Pesa.', 'error');
       return false;
     }
 
-    if (paymentMethod === 'mpesa' || paymentMethod === 'card') {
+    if (paymentMethod === 'cod' && amountDue > 0 && hasGiftCardItems) {
+      showNotification('Gift cards must be paid for online. Please use M-Pesa or card.', 'error');
+      return false;
+    }
+
+    if (balanceOnDelivery && amountDue - depositAmount > 20000) {
+      showNotification('Balances on delivery are limited to KSh 20,000. Please pay a larger deposit.', 'error');
+      return false;
+    }
+
+    if ((paymentMethod === 'mpesa' || paymentMethod === 'card') && pendingOrder) {
       setShowPaymentModal(true);
-    } else {
-      await processOrder();
+      return true;
     }
-    return true;
+    return processOrder();
   };
 
   const handleDragEnd = async (_, info) => {
@@ -305,7 +423,7 @@ function Checkout() {
         return;
       }
 
-      if (paymentMethod === 'cod' && total > 20000) {
+      if (paymentMethod === 'cod' && amountDue > 20000) {
         showNotification('COD limited to KSh 20,000. Please use M-Pesa.', 'error');
         x.set(0);
         return;
@@ -327,51 +445,59 @@ function Checkout() {
     }
   };
 
-  const processOrder = async (paymentData = null) => {
+  // Guest orders carry their access token, since there is no login to open them with
+  const confirmationPath = (orderId, accessToken) =>
+    `/order-confirmation/${orderId}${accessToken ? `?token=${accessToken}` : ''}`;
+
+  const processOrder = async () => {
+    if (!quote || quoting) {
+      showNotification(quoteError || 'Still working out your total — please try again in a moment', 'error');
+      return false;
+    }
     setLoading(true);
     try {
+      // The basket, coupon and points travel in the signed quote
       const orderData = {
+        quoteToken: quote.token,
         shippingAddress: {
           ...shippingInfo,
           city: shippingInfo.country === 'Kenya' ? shippingInfo.county : shippingInfo.city
         },
-        paymentMethod,
-        items: cart.map(item => ({
-          product: item.productId || item._id,
-          name: item.name,
-          price: item.price,
-          quantity: item.quantity,
-          size: item.size,
-          image: item.images?.[0]?.url || item.image || '/default-product.jpg'
-        })),
-        subtotal,
-        shippingCost,
-        totalAmount: total,
-        couponCode: couponData?.code,
-        isSubscription,
-        subscriptionFrequency: isSubscription ? subscriptionFrequency : undefined,
-        paymentData: paymentData || (paymentMethod === 'card' ? { ...cardInfo } : null)
+        giftCardCode: giftCardData?.code,
+        useStoreCredit: storeCreditApplied > 0 || undefined,
+        giftCardRecipient: hasGiftCardItems && giftCardRecipient.email.trim() ? giftCardRecipient : undefined,
+        depositAmount: depositAmount || undefined,
+        balancePaymentMethod: balanceOnDelivery ? 'cod' : undefined,
+        subscriptionFrequency: isSubscription ? subscriptionFrequency : undefined
       };
 
       const response = await fetch('/api/orders', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          ...(token && { 'Authorization': `Bearer ${token}` })
         },
         body: JSON.stringify(orderData)
       });
 
       const result = await response.json();
-      if (result.success) {
+      // The quote expired or prices moved: show the new figures before trying again
+      if (response.status === 409) setQuoteVersion(v => v + 1);
+      if (!result.success) throw new Error(result.message || 'Order failed');
+
+      if (paymentMethod === 'cod' || result.data.paymentStatus === 'paid') {
         clearCart();
         showNotification('Order success! Asante.', 'success');
-        navigate(`/order-confirmation/${result.data._id || result.data.id}`);
+        navigate(confirmationPath(result.data._id || result.data.id, result.accessToken));
       } else {
-        throw new Error(result.message || 'Order failed');
+        // Stock is held while the customer pays; the modal collects the payment
+        setPendingOrder({ ...result.data, accessToken: result.accessToken });
+        setShowPaymentModal(true);
       }
+      return true;
     } catch (error) {
       showNotification(error.message, 'error');
+      return false;
     } finally {
       setLoading(false);
     }
@@ -392,14 +518,32 @@ function Checkout() {
             <div className="pre-title">Checkout</div>
             <h1>Delivery Details</h1>
             <p>Fast and reliable shipping for your coffee.</p>
+            {!isAuthenticated && (
+              <p className="guest-checkout-note">
+                Checking out as a guest — we'll email you a link to follow your order.{' '}
+                <button type="button" onClick={() => { setAuthView('login'); setShowAuthModal(true); }}>
+                  Sign in
+                </button>{' '}
+                to use loyalty points, store credit and gift cards.
+              </p>
+            )}
           </header>
 
           <PaymentProcessingModal
             isOpen={showPaymentModal}
+            order={pendingOrder}
+            accessToken={pendingOrder?.accessToken}
             paymentMethod={paymentMethod}
-            amount={total}
+            amount={pendingOrder ? (pendingOrder.depositAmount || pendingOrder.total) : (depositAmount || amountDue)}
             phone={mpesaPhone}
-            onSuccess={(data) => { setShowPaymentModal(false); processOrder(data); }}
+            card={{ last4: cardInfo.number.replace(/\D/g, '').slice(-4) }}
+            onSuccess={() => {
+              setShowPaymentModal(false);
+              clearCart();
+              showNotification('Payment received! Asante.', 'success');
+              navigate(confirmationPath(pendingOrder._id, pendingOrder.accessToken));
+              setPendingOrder(null);
+            }}
             onFailure={(msg) => {
               setShowPaymentModal(false);
               showNotification(msg, 'error');
@@ -718,6 +862,71 @@ function Checkout() {
               </div>
             )}
 
+            {canPayDeposit && (
+              <div className={`payment-config-box deposit-box ${errors.deposit ? 'has-error' : ''}`}>
+                <label className="modern-checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={payDeposit}
+                    onChange={(e) => setPayDeposit(e.target.checked)}
+                  />
+                  <span>Pay a deposit now (at least {depositSettings.minimumPercent}% — KES {minimumDeposit.toLocaleString()}) and the rest later</span>
+                </label>
+                {payDeposit && (
+                  <div className="deposit-options">
+                    <input
+                      type="number"
+                      min={minimumDeposit}
+                      max={amountDue - 1}
+                      value={depositInput}
+                      placeholder={String(minimumDeposit)}
+                      onChange={(e) => setDepositInput(e.target.value)}
+                      className="premium-input-modern"
+                    />
+                    <select
+                      value={codBalanceAvailable ? balanceMethod : 'later'}
+                      onChange={(e) => setBalanceMethod(e.target.value)}
+                      className="premium-input-modern"
+                    >
+                      {codBalanceAvailable && <option value="cod">Balance in cash / M-Pesa on delivery</option>}
+                      <option value="later">Balance online before delivery</option>
+                    </select>
+                  </div>
+                )}
+                {errors.deposit && <span className="error-text-block">{errors.deposit}</span>}
+              </div>
+            )}
+
+            {hasGiftCardItems && (
+              <div className={`payment-config-box gift-card-recipient-box ${errors.giftCardRecipient ? 'has-error' : ''}`}>
+                <label className="input-label">Send the gift card to (leave blank to receive it yourself)</label>
+                <div className="gift-card-recipient-fields">
+                  <input
+                    type="email"
+                    placeholder="Recipient email"
+                    value={giftCardRecipient.email}
+                    onChange={(e) => setGiftCardRecipient(prev => ({ ...prev, email: e.target.value }))}
+                    className="premium-input-modern"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Recipient name"
+                    value={giftCardRecipient.name}
+                    onChange={(e) => setGiftCardRecipient(prev => ({ ...prev, name: e.target.value }))}
+                    className="premium-input-modern"
+                  />
+                </div>
+                <textarea
+                  placeholder="Add a message (optional)"
+                  maxLength={300}
+                  value={giftCardRecipient.message}
+                  onChange={(e) => setGiftCardRecipient(prev => ({ ...prev, message: e.target.value }))}
+                  className="premium-input-modern"
+                />
+                {errors.giftCardRecipient && <span className="error-text-block">{errors.giftCardRecipient}</span>}
+              </div>
+            )}
+
             {paymentMethod === 'cod' && (
               <div className={`payment-config-box ${errors.cod ? 'has-error' : ''}`}>
                 <label className="modern-checkbox-label">
@@ -772,11 +981,64 @@ function Checkout() {
                   {couponData ? 'Reset' : 'Apply'}
                 </button>
               </div>
-              {couponData && <div className="promo-success-badge"><FaPercent /> Discount Active</div>}
+              {couponData && <div className="promo-success-badge"><FaPercent /> {couponData.description}</div>}
+              {promotions?.applied?.map(p => (
+                <div key={p.promotion} className="promo-success-badge"><FaPercent /> {p.name}: {p.description}</div>
+              ))}
+              {promotions?.hints?.map(hint => (
+                <div key={hint.promotion} className="promo-hint">{hint.message}</div>
+              ))}
+              {isAuthenticated && (
+                <div className="promo-input-row gift-card-row">
+                  <input
+                    type="text"
+                    placeholder="Gift Card Code"
+                    value={giftCardCode}
+                    onChange={(e) => setGiftCardCode(e.target.value.toUpperCase())}
+                    disabled={!!giftCardData}
+                  />
+                  <button
+                    className={giftCardData ? 'btn-remove' : 'btn-apply'}
+                    onClick={giftCardData ? () => { setGiftCardData(null); setGiftCardCode(''); } : handleApplyGiftCard}
+                    disabled={checkingGiftCard}
+                  >
+                    {giftCardData ? 'Remove' : 'Apply'}
+                  </button>
+                </div>
+              )}
+              {redeemablePoints?.points > 0 && (
+                <label className="modern-checkbox-label store-credit-toggle">
+                  <input
+                    type="checkbox"
+                    checked={usePoints}
+                    onChange={(e) => setUsePoints(e.target.checked)}
+                  />
+                  <span>Use {redeemablePoints.points.toLocaleString()} loyalty points (KES {redeemablePoints.discount.toLocaleString()} off)</span>
+                </label>
+              )}
+              {storeCreditBalance > 0 && (
+                <label className="modern-checkbox-label store-credit-toggle">
+                  <input
+                    type="checkbox"
+                    checked={useStoreCredit}
+                    onChange={(e) => setUseStoreCredit(e.target.checked)}
+                  />
+                  <span>Use my store credit (KES {storeCreditBalance.toLocaleString()})</span>
+                </label>
+              )}
             </div>
 
-            <div className="manifest-totals">
+            <div className={`manifest-totals ${quoting ? 'updating' : ''}`}>
+              {quoteError && (
+                <div className="quote-error"><FaExclamationCircle /> {quoteError}</div>
+              )}
               <div className="total-row"><span>Cart Subtotal</span><span>KES {subtotal.toLocaleString()}</span></div>
+              {promotions?.applied?.filter(p => p.discount > 0).map(p => (
+                <div key={p.promotion} className="total-row discount">
+                  <span>{p.name}</span>
+                  <span>- KES {p.discount.toLocaleString()}</span>
+                </div>
+              ))}
               {discount > 0 && (
                 <div className="total-row discount">
                   <span>
@@ -785,11 +1047,38 @@ function Checkout() {
                   <span>- KES {discount.toLocaleString()}</span>
                 </div>
               )}
-              <div className="total-row"><span>Logistics Fee</span><span>KES {shippingCost.toLocaleString()}</span></div>
+              {loyaltyDiscount > 0 && (
+                <div className="total-row discount">
+                  <span>Loyalty Points ({pointsToRedeem.toLocaleString()})</span>
+                  <span>- KES {loyaltyDiscount.toLocaleString()}</span>
+                </div>
+              )}
+              <div className="total-row">
+                <span>Logistics Fee</span>
+                <span>{quote?.freeShipping && quote.shippingRate > 0 ? <><s>KES {quote.shippingRate.toLocaleString()}</s> Free</> : `KES ${shippingCost.toLocaleString()}`}</span>
+              </div>
               <div className="grand-total-highlight">
                 <div className="total-label">Total</div>
                 <div className="total-value">KES {total.toLocaleString()}</div>
               </div>
+              {giftCardApplied > 0 && (
+                <div className="total-row discount"><span>Gift Card</span><span>- KES {giftCardApplied.toLocaleString()}</span></div>
+              )}
+              {storeCreditApplied > 0 && (
+                <div className="total-row discount"><span>Store Credit</span><span>- KES {storeCreditApplied.toLocaleString()}</span></div>
+              )}
+              {(giftCardApplied > 0 || storeCreditApplied > 0) && (
+                <div className="total-row"><span>Amount Due</span><span>KES {amountDue.toLocaleString()}</span></div>
+              )}
+              {depositAmount > 0 && (
+                <>
+                  <div className="total-row deposit"><span>Deposit Now</span><span>KES {depositAmount.toLocaleString()}</span></div>
+                  <div className="total-row">
+                    <span>{balanceOnDelivery ? 'Balance on Delivery' : 'Balance Due Later'}</span>
+                    <span>KES {Math.max(0, amountDue - depositAmount).toLocaleString()}</span>
+                  </div>
+                </>
+              )}
             </div>
 
             <div className={`slide-to-order-container ${loading ? 'loading' : ''}`}>
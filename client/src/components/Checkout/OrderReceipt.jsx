@@ -1,6 +1,6 @@
 // components/Checkout/OrderReceipt.jsx — Premium Digital Invoice
 import React, { useEffect, useState, useContext, useRef } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
 import { AppContext } from '../../context/AppContext';
 import { motion } from 'framer-motion';
 import {
@@ -9,6 +9,7 @@ import {
   FaEnvelope, FaPhone, FaCreditCard, FaCalendarAlt,
   FaReceipt, FaShieldAlt
 } from 'react-icons/fa';
+import { getOrderAccessToken, orderRequest } from '../../utils/orderAccess';
 import './OrderReceipt.css';
 
 const PMLabel = { mpesa: 'M-Pesa', card: 'Card', cod: 'Cash on Delivery' };
@@ -16,7 +17,9 @@ const PMLabel = { mpesa: 'M-Pesa', card: 'Card', cod: 'Cash on Delivery' };
 const OrderReceipt = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const { token, showNotification } = useContext(AppContext);
+  const accessToken = getOrderAccessToken(id, location.search);
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const printRef = useRef(null);
@@ -25,9 +28,8 @@ const OrderReceipt = () => {
     if (!id) return;
     (async () => {
       try {
-        const res = await fetch(`/api/orders/${id}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const { url, headers } = orderRequest(id, { token, accessToken });
+        const res = await fetch(url, { headers });
         const result = await res.json();
         if (result.success) setOrder(result.data);
         else throw new Error(result.message);
@@ -38,16 +40,15 @@ const OrderReceipt = () => {
         setLoading(false);
       }
     })();
-  }, [id, token]);
+  }, [id, token, accessToken]);
 
   const handlePrint = () => window.print();
 
   const handleDownload = async () => {
     try {
       showNotification?.('Opening digital invoice…', 'info');
-      const res = await fetch(`/api/orders/${id}/invoice`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const { url: invoiceUrl, headers } = orderRequest(id, { token, accessToken }, '/invoice');
+      const res = await fetch(invoiceUrl, { headers });
       if (!res.ok) throw new Error();
       const blob = await res.blob();
       const url = URL.createObjectURL(blob);
@@ -210,6 +211,12 @@ const OrderReceipt = () => {
               <span>KSh {order.shippingCost?.toLocaleString()}</span>
             </div>
           )}
+          {order.promotions?.filter(p => p.discount > 0).map(p => (
+            <div key={p.promotion || p.name} className="or-tot-row discount">
+              <span>{p.name}</span>
+              <span>− KSh {p.discount.toLocaleString()}</span>
+            </div>
+          ))}
           {(order.discountAmount || 0) > 0 && (
             <div className="or-tot-row discount">
               <span>Discount Applied</span>
@@ -251,9 +258,15 @@ const OrderReceipt = () => {
         <button className="or-btn ghost" onClick={() => navigate('/')}>
           <FaHome /> Back to Shop
         </button>
-        <button className="or-btn ghost" onClick={() => navigate('/account/orders')}>
-          <FaTruck /> My Orders
-        </button>
+        {accessToken ? (
+          <button className="or-btn ghost" onClick={() => navigate(`/order-tracking/${id}?token=${accessToken}`)}>
+            <FaTruck /> Track Order
+          </button>
+        ) : (
+          <button className="or-btn ghost" onClick={() => navigate('/account/orders')}>
+            <FaTruck /> My Orders
+          </button>
+        )}
       </div>
     </div>
   );
@@ -1,8 +1,10 @@
 import React from 'react';
 import './OrderSummary.css';
 
-export default function OrderSummary({ cart = [], subtotal = 0, shippingCost = 0 }) {
-  const total = subtotal + shippingCost;
+// `promotions` is the cart's automatic promotions (POST /api/orders/price-cart)
+export default function OrderSummary({ cart = [], subtotal = 0, shippingCost = 0, promotions = null }) {
+  const delivery = promotions?.freeShipping ? 0 : shippingCost;
+  const total = subtotal - (promotions?.discount || 0) + delivery;
   return (
     <aside className="order-summary">
       <h3>Order summary</h3>
@@ -20,7 +22,10 @@ export default function OrderSummary({ cart = [], subtotal = 0, shippingCost = 0
         </ul>
       )}
       <div className="os-row"><span>Subtotal</span><span>KES {subtotal}</span></div>
-      <div className="os-row"><span>Shipping</span><span>KES {shippingCost}</span></div>
+      {promotions?.applied?.filter(p => p.discount > 0).map(p => (
+        <div key={p.promotion} className="os-row os-promo"><span>{p.name}</span><span>- KES {p.discount}</span></div>
+      ))}
+      <div className="os-row"><span>Shipping</span><span>{promotions?.freeShipping ? 'Free' : `KES ${shippingCost}`}</span></div>
       <div className="os-row os-total"><span>Total</span><span>KES {total}</span></div>
     </aside>
   );
@@ -19,8 +19,13 @@ const getProductImage = (product) => {
   return `https://via.placeholder.com/600x600/1a1714/D4AF37?text=${encodeURIComponent(product?.name || 'Product')}`;
 };
 
+// Each card is one size — stock comes from that size, not the product total
+const getStock = (product) => product?.stock ?? product?.inventory?.stock;
+const getLowStockAlert = (product) => product?.lowStockAlert ?? product?.inventory?.lowStockAlert ?? 5;
+
 const isInStock = (product) => {
-  if (product?.inventory?.stock !== undefined) return product.inventory.stock > 0;
+  const stock = getStock(product);
+  if (stock !== undefined) return stock > 0;
   return product?.inStock !== false;
 };
 
@@ -54,7 +59,9 @@ const ProductCard = ({ product, index, handleAddToCart, addingToCart, setSelecte
   const { rotateX, rotateY, onMove, onLeave } = useTilt();
   const [hovered, setHovered] = useState(false);
   const productInStock = isInStock(product);
-  const fresh = product.category === 'coffee-beans' && isFreshlyRoasted(product.roastDate);
+  // Roast age comes from the server's freshness policy; the 7-day check is the fallback when it's off
+  const freshness = product.freshness;
+  const fresh = !freshness && product.category === 'coffee-beans' && isFreshlyRoasted(product.roastDate);
   const meta = getCatMeta(product.category);
   const adding = addingToCart === product.variationKey;
 
@@ -118,7 +125,11 @@ const ProductCard = ({ product, index, handleAddToCart, addingToCart, setSelecte
           </AnimatePresence>
 
           {/* Badges */}
-          {fresh && (
+          {freshness ? (
+            <div className={`cs-fresh-badge${freshness.stage === 'markdown' ? ' cs-fresh-badge--aging' : ''}`}>
+              <FaLeaf /> {freshness.label}
+            </div>
+          ) : fresh && (
             <div className="cs-fresh-badge">
               <FaLeaf /> Fresh Roast
             </div>
@@ -127,10 +138,10 @@ const ProductCard = ({ product, index, handleAddToCart, addingToCart, setSelecte
           {!productInStock && <div className="cs-oos-overlay">Sold Out</div>}
 
           {/* Stock dot */}
-          {product.inventory?.stock !== undefined && productInStock && (
-            <div className={`cs-stock-dot ${product.inventory.stock <= (product.inventory.lowStockAlert || 5) ? 'low' : 'ok'}`}>
-              {product.inventory.stock <= (product.inventory.lowStockAlert || 5)
-                ? `${product.inventory.stock} left`
+          {getStock(product) !== undefined && productInStock && (
+            <div className={`cs-stock-dot ${getStock(product) <= getLowStockAlert(product) ? 'low' : 'ok'}`}>
+              {getStock(product) <= getLowStockAlert(product)
+                ? `${getStock(product)} left`
                 : 'In Stock'}
             </div>
           )}
@@ -153,6 +164,11 @@ const ProductCard = ({ product, index, handleAddToCart, addingToCart, setSelecte
               <span className="cs-price-amount">
                 {(product.price?.toLocaleString?.() ?? product.sizes?.[0]?.price?.toLocaleString?.() ?? '—')}
               </span>
+              {product.originalPrice > product.price && (
+                <span className="cs-price-was">
+                  <s>{product.originalPrice.toLocaleString()}</s> −{product.freshness?.markdownPercent}%
+                </span>
+              )}
             </div>
           </div>
 
@@ -269,6 +285,9 @@ const QuickViewModal = ({ product, onClose, onAddToCart, addingToCart }) => {
             <div className="qv-price-row">
               <span className="qv-price-label">KES</span>
               <span className="qv-price-value">{product.price?.toLocaleString?.() ?? '—'}</span>
+              {product.originalPrice > product.price && (
+                <span className="cs-price-was"><s>{product.originalPrice.toLocaleString()}</s></span>
+              )}
               {product.badge && <span className="qv-price-badge" style={{ '--c': meta.color }}>{product.badge}</span>}
             </div>
 
@@ -302,14 +321,14 @@ const QuickViewModal = ({ product, onClose, onAddToCart, addingToCart }) => {
             )}
 
             {/* Stock */}
-            {product.inventory?.stock !== undefined && (
-              <div className={`qv-stock ${product.inventory.stock <= 0 ? 'out' : product.inventory.stock <= (product.inventory.lowStockAlert || 5) ? 'low' : 'ok'}`}>
+            {getStock(product) !== undefined && (
+              <div className={`qv-stock ${getStock(product) <= 0 ? 'out' : getStock(product) <= getLowStockAlert(product) ? 'low' : 'ok'}`}>
                 <span className="qv-stock-dot" />
-                {product.inventory.stock <= 0
-                  ? 'Out of stock'
-                  : product.inventory.stock <= (product.inventory.lowStockAlert || 5)
-                    ? `Only ${product.inventory.stock} units left`
-                    : `${product.inventory.stock} units available`}
+                {getStock(product) <= 0
+                  ? `${product.size ? `${product.size} is out` : 'Out'} of stock`
+                  : getStock(product) <= getLowStockAlert(product)
+                    ? `Only ${getStock(product)} units left`
+                    : `${getStock(product)} units available`}
               </div>
             )}
 
@@ -399,6 +418,10 @@ const CoffeeShop = () => {
                 ...product,
                 size: sizeOpt.size,
                 price: sizeOpt.price,
+                originalPrice: sizeOpt.originalPrice,
+                stock: sizeOpt.stock,
+                lowStockAlert: sizeOpt.lowStockAlert,
+                inStock: sizeOpt.inStock,
                 displayName: `${product.name} - ${sizeOpt.size}`,
                 selectedSize: sizeOpt.size,
                 variationKey: `${product._id}-${sizeOpt.size}`,
@@ -9,6 +9,8 @@ import {
     FaEnvelope, FaShieldAlt, FaCreditCard, FaMapMarkerAlt,
     FaClock, FaGift, FaArrowRight, FaUser, FaList
 } from 'react-icons/fa';
+import PaymentProcessingModal from '../PaymentProcessingModal/PaymentProcessingModal';
+import { getOrderAccessToken, orderRequest } from '../../utils/orderAccess';
 import './OrderConfirmation.css';
 
 /* ── Confetti particle ── */
@@ -36,14 +38,17 @@ const OrderConfirmation = () => {
     const { id } = useParams();
     const navigate = useNavigate();
     const location = useLocation();
-    const { showNotification, token, refreshOrders } = useContext(AppContext);
+    const { showNotification, token, refreshOrders, setAuthView, setShowAuthModal } = useContext(AppContext);
 
     const [order, setOrder] = useState(location.state?.order || null);
     const [loading, setLoading] = useState(!location.state?.order);
     const [showBurst, setShowBurst] = useState(true);
     const [particles] = useState(() => generateParticles(60));
     const [activeStep, setActiveStep] = useState(0);
+    const [payingBalance, setPayingBalance] = useState(false);
     const headerRef = useRef(null);
+    // Guests open their order with its access token instead of a login
+    const accessToken = getOrderAccessToken(id, location.search);
 
     useEffect(() => {
         refreshOrders?.();
@@ -57,24 +62,24 @@ const OrderConfirmation = () => {
     const fetchOrder = async () => {
         try {
             setLoading(true);
-            const res = await fetch(`/api/orders/${id}`, {
-                headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
+            const { url, headers } = orderRequest(id, { token, accessToken });
+            const res = await fetch(url, {
+                headers: { ...headers, 'Content-Type': 'application/json' }
             });
             const result = await res.json();
             if (result.success) setOrder(result.data);
             else throw new Error(result.message);
         } catch (err) {
             showNotification('Failed to load order details', 'error');
-            navigate('/account/orders');
+            navigate(accessToken ? '/track-order' : '/account/orders');
         } finally { setLoading(false); }
     };
 
     const handleDownloadInvoice = async () => {
         try {
             showNotification('Opening digital invoice…', 'info');
-            const res = await fetch(`/api/orders/${id}/invoice`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
+            const { url: invoiceUrl, headers } = orderRequest(id, { token, accessToken }, '/invoice');
+            const res = await fetch(invoiceUrl, { headers });
             if (!res.ok) throw new Error();
             const blob = await res.blob();
             const url = URL.createObjectURL(blob);
@@ -90,10 +95,21 @@ const OrderConfirmation = () => {
     };
 
     const getPaymentLabel = (method) => {
-        const map = { mpesa: 'M-Pesa', card: 'Card', cod: 'Cash on Delivery' };
+        const map = { mpesa: 'M-Pesa', airtel: 'Airtel Money', card: 'Card', cod: 'Cash on Delivery' };
         return map[method?.toLowerCase()] || method?.toUpperCase() || '—';
     };
 
+    // Split orders paid online later settle the balance here (balances on delivery are collected by the rider)
+    const balanceMethod = order?.balancePaymentMethod && order.balancePaymentMethod !== 'cod'
+        ? order.balancePaymentMethod
+        : order?.paymentMethod === 'cod' ? 'mpesa' : order?.paymentMethod;
+    const canPayBalance = order?.paymentStatus === 'partially_paid' && order.orderStatus !== 'cancelled' &&
+        order.balancePaymentMethod !== 'cod';
+    // Subscription renewals are placed for the customer and paid for from here
+    const canPayRenewal = !!order?.subscription && ['pending', 'failed'].includes(order.paymentStatus) &&
+        order.orderStatus !== 'cancelled' && order.paymentMethod !== 'cod';
+    const amountToPay = canPayBalance ? order.balanceDue || 0 : order?.balanceDue ?? order?.total ?? 0;
+
     /* ── Loading ── */
     if (loading) return (
         <div className="oc-loading">
@@ -107,6 +123,25 @@ const OrderConfirmation = () => {
     return (
         <div className="oc-page">
 
+            <PaymentProcessingModal
+                isOpen={payingBalance}
+                order={order}
+                accessToken={accessToken}
+                paymentMethod={balanceMethod}
+                amount={amountToPay}
+                phone={order.shippingAddress?.phone}
+                onSuccess={() => {
+                    setPayingBalance(false);
+                    showNotification(canPayRenewal ? 'Payment received! Asante.' : 'Balance received! Asante.', 'success');
+                    fetchOrder();
+                }}
+                onFailure={(msg) => {
+                    setPayingBalance(false);
+                    showNotification(msg || 'Payment was not completed', 'error');
+                }}
+                onCancel={() => setPayingBalance(false)}
+            />
+
             {/* Confetti burst */}
             <AnimatePresence>
                 {showBurst && (
@@ -272,14 +307,40 @@ const OrderConfirmation = () => {
                                 <div className="oc-info-row">
                                     <span>Status</span>
                                     <span className={`oc-badge ${order.paymentStatus}`}>
-                                        {order.paymentStatus === 'paid' ? '✓ Secured' : '⏳ Pending'}
+                                        {order.paymentStatus === 'paid'
+                                            ? '✓ Secured'
+                                            : order.paymentStatus === 'partially_paid'
+                                                ? `KSh ${order.balanceDue?.toLocaleString()} due`
+                                                : '⏳ Pending'}
                                     </span>
                                 </div>
+                                {order.payments?.map(payment => (
+                                    <div className="oc-info-row" key={payment._id}>
+                                        <span>{getPaymentLabel(payment.method)} · {new Date(payment.paidAt).toLocaleDateString()}</span>
+                                        <strong>KSh {payment.amount?.toLocaleString()}</strong>
+                                    </div>
+                                ))}
+                                {order.paymentStatus === 'partially_paid' && order.balancePaymentMethod === 'cod' && (
+                                    <div className="oc-info-row">
+                                        <span>On Delivery</span>
+                                        <strong>KSh {order.balanceDue?.toLocaleString()}</strong>
+                                    </div>
+                                )}
                                 <div className="oc-info-row total-row">
                                     <span>Total</span>
                                     <strong className="oc-total-amt">KSh {order.total?.toLocaleString()}</strong>
                                 </div>
                             </div>
+                            {canPayBalance && (
+                                <button className="oc-btn primary oc-pay-balance" onClick={() => setPayingBalance(true)}>
+                                    Pay KSh {order.balanceDue?.toLocaleString()} Balance
+                                </button>
+                            )}
+                            {canPayRenewal && (
+                                <button className="oc-btn primary oc-pay-balance" onClick={() => setPayingBalance(true)}>
+                                    Pay KSh {amountToPay.toLocaleString()} Now
+                                </button>
+                            )}
                         </div>
                     </motion.div>
 
@@ -359,6 +420,12 @@ const OrderConfirmation = () => {
                                 <span>KSh {order.shippingCost?.toLocaleString()}</span>
                             </div>
                         )}
+                        {order.promotions?.filter(p => p.discount > 0).map(p => (
+                            <div key={p.promotion || p.name} className="oc-sum-row discount">
+                                <span>{p.name}</span>
+                                <span>− KSh {p.discount.toLocaleString()}</span>
+                            </div>
+                        ))}
                         {order.discountAmount > 0 && (
                             <div className="oc-sum-row discount">
                                 <span>Discount</span>
@@ -379,12 +446,18 @@ const OrderConfirmation = () => {
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: 0.85 }}
                 >
-                    <button className="oc-btn primary" onClick={() => navigate(`/order-tracking/${id || order?._id}`)}>
+                    <button className="oc-btn primary" onClick={() => navigate(`/order-tracking/${id || order?._id}${accessToken ? `?token=${accessToken}` : ''}`)}>
                         <FaTruck /> Live Tracking
                     </button>
-                    <button className="oc-btn outline" onClick={() => navigate('/account')}>
-                        <FaUser /> Go to Dashboard
-                    </button>
+                    {order.isGuest && !order.user ? (
+                        <button className="oc-btn outline" onClick={() => { setAuthView('signup'); setShowAuthModal(true); }}>
+                            <FaUser /> Create an Account
+                        </button>
+                    ) : (
+                        <button className="oc-btn outline" onClick={() => navigate('/account')}>
+                            <FaUser /> Go to Dashboard
+                        </button>
+                    )}
                     <button className="oc-btn outline" onClick={handleDownloadInvoice}>
                         <FaReceipt /> Digital Invoice
                     </button>
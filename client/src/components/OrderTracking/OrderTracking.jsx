@@ -1,6 +1,6 @@
 // components/OrderTracking/OrderTracking.jsx
 import React, { useState, useEffect, useContext } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { AppContext } from '../../context/AppContext';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
@@ -8,12 +8,17 @@ import {
     FaCalendarAlt, FaChevronLeft, FaPhoneAlt, FaFileAlt,
     FaHistory, FaSync, FaCoffee, FaWarehouse, FaMapMarkedAlt
 } from 'react-icons/fa';
+import { getOrderAccessToken, orderRequest } from '../../utils/orderAccess';
 import './OrderTracking.css';
 
 const OrderTracking = () => {
     const { id } = useParams();
     const navigate = useNavigate();
+    const location = useLocation();
     const { showNotification, token } = useContext(AppContext);
+    // Guests follow their order with the access token from their email link
+    const accessToken = getOrderAccessToken(id, location.search);
+    const backTo = accessToken ? '/track-order' : '/account';
 
     const [order, setOrder] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -39,9 +44,10 @@ const OrderTracking = () => {
     const fetchOrderDetails = async (isInitial = false) => {
         try {
             if (isInitial) setLoading(true);
-            const response = await fetch(`/api/orders/${id}`, {
+            const { url, headers } = orderRequest(id, { token, accessToken });
+            const response = await fetch(url, {
                 headers: {
-                    'Authorization': `Bearer ${token}`,
+                    ...headers,
                     'Content-Type': 'application/json'
                 }
             });
@@ -57,7 +63,7 @@ const OrderTracking = () => {
             console.error('Fetch order error:', error);
             if (isInitial) {
                 showNotification('Failed to load tracking details', 'error');
-                navigate('/account');
+                navigate(backTo);
             }
         } finally {
             if (isInitial) setLoading(false);
@@ -68,7 +74,7 @@ const OrderTracking = () => {
         const s = status?.toLowerCase();
         if (s === 'confirmed' || s === 'unfulfilled') return <FaCheckCircle />;
         if (s === 'processing' || s === 'packed') return <FaWarehouse />;
-        if (s === 'shipped') return <FaTruck />;
+        if (s === 'shipped' || s === 'partially shipped' || s === 'partially_shipped') return <FaTruck />;
         if (s === 'delivered' || s === 'arrived') return <FaBox />;
         if (s === 'returned') return <FaHistory />;
         return <FaClock />;
@@ -79,6 +85,7 @@ const OrderTracking = () => {
         const s = status.toLowerCase();
         if (s === 'unfulfilled') return 'Confirmed';
         if (s === 'packed') return 'Processing';
+        if (s === 'partially_shipped') return 'Partially Shipped';
         return s.charAt(0).toUpperCase() + s.slice(1);
     };
 
@@ -103,7 +110,7 @@ const OrderTracking = () => {
     if (!order) return null;
 
     const fStatus = order.fulfillmentStatus || 'unfulfilled';
-    const currentStatusIndex = fStatus === 'delivered' ? 3 : fStatus === 'shipped' ? 2 : fStatus === 'packed' ? 1 : 0;
+    const currentStatusIndex = fStatus === 'delivered' ? 3 : ['shipped', 'partially_shipped'].includes(fStatus) ? 2 : fStatus === 'packed' ? 1 : 0;
 
     const progressSteps = [
         { id: 'unfulfilled', label: 'Confirmed', icon: <FaCheckCircle />, desc: 'Order received' },
@@ -139,8 +146,8 @@ const OrderTracking = () => {
             {/* Dynamic Header */}
             <header className="ot-header">
                 <div className="ot-header-nav">
-                    <button className="ot-back-link" onClick={() => navigate('/account')}>
-                        <FaChevronLeft /> <span>Back to Dashboard</span>
+                    <button className="ot-back-link" onClick={() => navigate(backTo)}>
+                        <FaChevronLeft /> <span>{accessToken ? 'Track Another Order' : 'Back to Dashboard'}</span>
                     </button>
                     <div className="ot-live-pulse-container">
                         <span className="ot-pulse-indicator"></span>
@@ -200,6 +207,49 @@ const OrderTracking = () => {
                     </div>
                 </motion.section>
 
+                {/* Split orders: one card per parcel */}
+                {order.shipments?.length > 0 && (
+                    <motion.section variants={itemVariants} className="ot-parcels-section glass-card">
+                        <div className="ot-section-cap">
+                            <h3><FaBox /> Your Parcels</h3>
+                        </div>
+                        <div className="ot-parcels">
+                            {order.shipments.map(parcel => (
+                                <div key={parcel._id} className="ot-parcel">
+                                    <div className="ot-parcel-header">
+                                        <span className="ot-parcel-number">{parcel.shipmentNumber}</span>
+                                        <span className={`ot-main-status-pill ${parcel.status === 'pending' ? 'packed' : parcel.status}`}>
+                                            {parcel.status === 'pending' ? 'Packed' : getStatusLabel(parcel.status)}
+                                        </span>
+                                    </div>
+                                    <ul className="ot-parcel-items">
+                                        {parcel.items.map(item => (
+                                            <li key={item.item}>{item.quantity} × {item.name} ({item.size})</li>
+                                        ))}
+                                    </ul>
+                                    {parcel.trackingNumber && (
+                                        <div className="ot-parcel-courier">
+                                            <FaTruck /> {parcel.carrier || 'Courier'} · <span className="ot-tracking-code">{parcel.trackingNumber}</span>
+                                        </div>
+                                    )}
+                                    {parcel.trackingHistory?.length > 0 && (
+                                        <ul className="ot-parcel-history">
+                                            {parcel.trackingHistory.slice().reverse().map((event, index) => (
+                                                <li key={index}>
+                                                    <span className="ot-event-date">
+                                                        {new Date(event.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                                                    </span>
+                                                    <span>{event.message}{event.location ? ` — ${event.location}` : ''}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </motion.section>
+                )}
+
                 <div className="ot-details-grid">
                     {/* Logistical History - Timeline */}
                     <motion.section variants={itemVariants} className="ot-timeline-section glass-card">
@@ -309,7 +359,7 @@ const OrderTracking = () => {
                             whileHover={{ scale: 1.02 }}
                             whileTap={{ scale: 0.98 }}
                             className="ot-actions-btn"
-                            onClick={() => navigate(`/orders/${id || order?._id}`)}
+                            onClick={() => navigate(`/orders/${id || order?._id}${accessToken ? `?token=${accessToken}` : ''}`)}
                         >
                             <FaFileAlt />
                             <span>Digital Receipt</span>
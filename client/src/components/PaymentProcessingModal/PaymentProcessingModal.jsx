@@ -1,13 +1,21 @@
 // components/PaymentProcessingModal/PaymentProcessingModal.jsx
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { FaSpinner, FaCheckCircle, FaTimesCircle, FaPhone, FaCreditCard, FaLock } from 'react-icons/fa';
+import { initiatePayment, getPaymentStatus } from '../../api/api';
+import { rememberOrderAccess } from '../../utils/orderAccess';
 import './PaymentProcessingModal.css';
 
+const POLL_INTERVAL_MS = 3000;
+const POLL_TIMEOUT_MS = 2 * 60 * 1000; // STK prompts expire after about a minute
+
 const PaymentProcessingModal = ({
     isOpen,
+    order,
     paymentMethod,
     amount,
     phone,
+    card,
+    accessToken, // Guest orders: the order access token from checkout
     onSuccess,
     onFailure,
     onCancel
@@ -15,95 +23,89 @@ const PaymentProcessingModal = ({
     const [status, setStatus] = useState('processing'); // processing, success, failed
     const [message, setMessage] = useState('');
     const [transactionId, setTransactionId] = useState('');
+    const pollTimer = useRef(null);
+
+    const stopPolling = () => {
+        clearTimeout(pollTimer.current);
+        pollTimer.current = null;
+    };
 
     useEffect(() => {
-        if (!isOpen) {
+        if (!isOpen || !order) {
+            stopPolling();
             setStatus('processing');
             setMessage('');
             setTransactionId('');
             return;
         }
 
-        if (paymentMethod === 'mpesa') {
-            simulateMpesaPayment();
-        } else if (paymentMethod === 'card') {
-            simulateCardPayment();
-        }
-    }, [isOpen, paymentMethod]);
+        startPayment();
+        return stopPolling;
+    }, [isOpen, order?._id]);
 
-    const simulateMpesaPayment = async () => {
-        setStatus('processing');
-        setMessage(`Sending Secure STK Push to ${phone}...`);
-
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        setMessage('Awaiting M-Pesa pin authorization...');
-
-        await new Promise(resolve => setTimeout(resolve, 1500));
-
-        // 90% success rate for realism
-        const success = Math.random() > 0.1;
-
-        if (success) {
-            const txId = `MPE${Date.now()}${Math.floor(Math.random() * 1000)}`;
-            setTransactionId(txId);
-            setStatus('success');
-            setMessage('Payment Authorized Successfully!');
-
-            setTimeout(() => {
-                onSuccess({ transactionId: txId, method: 'mpesa' });
-            }, 1500);
-        } else {
-            const reasons = [
-                'Insufficient funds in your M-Pesa wallet',
-                'Incorrect PIN entered on your phone',
-                'Transaction timed out (took too long to authorize)',
-                'Payment cancelled by user'
-            ];
-            const reason = reasons[Math.floor(Math.random() * reasons.length)];
-            setStatus('failed');
-            setMessage(reason);
-            setTimeout(() => {
-                onFailure(reason);
-            }, 2500);
-        }
+    const fail = (reason) => {
+        stopPolling();
+        setStatus('failed');
+        setMessage(reason);
     };
 
-    const simulateCardPayment = async () => {
+    // The server picks the provider (the sandbox outside production) and tells
+    // us when the callback has landed; we only poll
+    const startPayment = async () => {
+        stopPolling();
         setStatus('processing');
-        setMessage('Authorizing secured card payment...');
-
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        setMessage('Verifying with bank gateway...');
-
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        const success = Math.random() > 0.05;
-
-        if (success) {
-            const txId = `CRD${Date.now()}${Math.floor(Math.random() * 1000)}`;
-            setTransactionId(txId);
-            setStatus('success');
-            setMessage('Payment Processed Successfully!');
-
-            setTimeout(() => {
-                onSuccess({ transactionId: txId, method: 'card' });
-            }, 1500);
-        } else {
-            const reasons = [
-                'Card was declined by the issuer.',
-                'Incorrect CVV or expiry date provided.',
-                '3D Secure verification failed.',
-                'Daily transaction limit exceeded.'
-            ];
-            const reason = reasons[Math.floor(Math.random() * reasons.length)];
-            setStatus('failed');
-            setMessage(reason);
-            setTimeout(() => {
-                onFailure(reason);
-            }, 2500);
+        setTransactionId('');
+        setMessage(paymentMethod === 'mpesa' ? `Sending Secure STK Push to ${phone}...` : 'Authorizing secured card payment...');
+
+        try {
+            const { data } = await initiatePayment({ orderId: order._id, phoneNumber: phone, card }, accessToken);
+            const { reference, redirectUrl } = data.data;
+            setTransactionId(reference);
+
+            if (redirectUrl) {
+                setMessage('Taking you to the secure card page...');
+                // The card page sends guests back without their token
+                rememberOrderAccess(order._id, accessToken);
+                window.location.assign(redirectUrl);
+                return;
+            }
+
+            setMessage(paymentMethod === 'mpesa' ? 'Awaiting M-Pesa pin authorization...' : 'Verifying with bank gateway...');
+            pollStatus(reference, Date.now());
+        } catch (err) {
+            fail(err.response?.data?.message || 'We could not start the payment. Please try again.');
         }
     };
 
+    const pollStatus = (reference, startedAt) => {
+        pollTimer.current = setTimeout(async () => {
+            try {
+                const { data } = await getPaymentStatus(reference, accessToken);
+                const { status: paymentStatus, message: reason } = data.data;
+
+                if (paymentStatus === 'SUCCESS') {
+                    stopPolling();
+                    setStatus('success');
+                    setMessage('Payment Authorized Successfully!');
+                    setTimeout(() => onSuccess(data.data), 1500);
+                    return;
+                }
+                if (paymentStatus === 'FAILED' || paymentStatus === 'CANCELLED') {
+                    fail(reason || 'Payment was not completed');
+                    return;
+                }
+            } catch (err) {
+                // A dropped poll isn't a failed payment — keep asking
+            }
+
+            if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+                fail('Transaction timed out (took too long to authorize)');
+                return;
+            }
+            pollStatus(reference, startedAt);
+        }, POLL_INTERVAL_MS);
+    };
+
     if (!isOpen) return null;
 
     return (
@@ -153,16 +155,16 @@ const PaymentProcessingModal = ({
                     {/* Actions */}
                     <div className="payment-actions">
                         {status === 'processing' && (
-                            <button className="btn-modal btn-cancel" onClick={onCancel}>
+                            <button className="btn-modal btn-cancel" onClick={() => { stopPolling(); onCancel(); }}>
                                 Cancel Transaction
                             </button>
                         )}
                         {status === 'failed' && (
                             <>
-                                <button className="btn-modal btn-retry" onClick={paymentMethod === 'mpesa' ? simulateMpesaPayment : simulateCardPayment}>
+                                <button className="btn-modal btn-retry" onClick={startPayment}>
                                     Retry {paymentMethod === 'mpesa' ? 'M-Pesa' : 'Payment'}
                                 </button>
-                                <button className="btn-modal btn-cancel" onClick={onCancel}>
+                                <button className="btn-modal btn-cancel" onClick={() => onFailure(message)}>
                                     Different Method
                                 </button>
                             </>
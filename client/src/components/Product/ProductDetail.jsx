@@ -25,7 +25,9 @@ const ProductDetail = () => {
                 if (result.success) {
                     setProduct(result.data);
                     if (result.data.sizes?.length > 0) {
-                        setSelectedSize(result.data.sizes[0].size);
+                        // Start on the first size that can actually be bought
+                        const firstAvailable = result.data.sizes.find(s => s.stock === undefined || s.stock > 0);
+                        setSelectedSize((firstAvailable || result.data.sizes[0]).size);
                     }
                 } else {
                     showAlert('Product not found', 'error');
@@ -56,7 +58,11 @@ const ProductDetail = () => {
     if (loading) return <div className="loading-full">Brewing your coffee details...</div>;
     if (!product) return <div className="not-found">Coffee not found. <Link to="/">Back to shop</Link></div>;
 
-    const currentPrice = product.sizes?.find(s => s.size === selectedSize)?.price || 0;
+    const currentSize = product.sizes?.find(s => s.size === selectedSize);
+    const currentPrice = currentSize?.price || 0;
+    // Stock is tracked per size; fall back to the product total for legacy data
+    const currentStock = currentSize?.stock ?? product.inventory?.stock;
+    const isSizeAvailable = (s) => (s.stock ?? product.inventory?.stock ?? 1) > 0;
 
     return (
         <motion.div
@@ -78,6 +84,7 @@ const ProductDetail = () => {
                         <div className="product-badges">
                             {product.isFeatured && <span className="badge featured">Featured</span>}
                             {product.category === 'coffee-beans' && <span className="badge roast">{product.roastLevel} Roast</span>}
+                            {product.freshness && <span className="badge roast">{product.freshness.label}</span>}
                         </div>
 
                         <h1>{product.name}</h1>
@@ -85,6 +92,11 @@ const ProductDetail = () => {
 
                         <div className="price-tag">
                             <span className="currency">KES</span> {currentPrice.toLocaleString()}
+                            {currentSize?.originalPrice > currentPrice && (
+                                <small className="price-was">
+                                    <s>KES {currentSize.originalPrice.toLocaleString()}</s> −{product.freshness.markdownPercent}% past peak freshness
+                                </small>
+                            )}
                         </div>
 
                         <div className="description">
@@ -98,22 +110,27 @@ const ProductDetail = () => {
                                     {product.sizes.map(s => (
                                         <button
                                             key={s.size}
-                                            className={`size-btn ${selectedSize === s.size ? 'active' : ''}`}
+                                            className={`size-btn ${selectedSize === s.size ? 'active' : ''} ${!isSizeAvailable(s) ? 'sold-out' : ''}`}
                                             onClick={() => setSelectedSize(s.size)}
+                                            title={!isSizeAvailable(s) ? 'Sold out' : undefined}
                                         >
                                             {s.size}
+                                            {!isSizeAvailable(s) && <span className="size-sold-out">Sold out</span>}
                                         </button>
                                     ))}
                                 </div>
+                                {currentStock > 0 && currentStock <= (currentSize?.lowStockAlert ?? product.inventory?.lowStockAlert ?? 5) && (
+                                    <p className="size-stock-note">Only {currentStock} left in {selectedSize}</p>
+                                )}
                             </div>
                         )}
 
                         <button
                             className="add-cart-btn"
                             onClick={handleAddToCart}
-                            disabled={addingToCart || product.inventory?.stock <= 0}
+                            disabled={addingToCart || currentStock <= 0}
                         >
-                            <FaShoppingBag /> {addingToCart ? 'Adding...' : 'Add to Cart'}
+                            <FaShoppingBag /> {addingToCart ? 'Adding...' : currentStock <= 0 ? 'Sold Out' : 'Add to Cart'}
                         </button>
 
                         <div className="product-features-mini">
@@ -69,6 +69,12 @@ export function AppProvider({ children }) {
     }
   }, [cart]);
 
+  // Invite links (?ref=CODE): keep the code until the visitor signs up
+  useEffect(() => {
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    if (ref) localStorage.setItem('referralCode', ref.trim().toUpperCase());
+  }, []);
+
   const [publicSettings, setPublicSettings] = useState(null);
   const [settingsLoading, setSettingsLoading] = useState(true);
   const [globalMaintenance, setGlobalMaintenance] = useState(false);
@@ -298,7 +304,8 @@ export function AppProvider({ children }) {
         roastLevel: p.roastLevel,
         origin: p.origin,
         flavorNotes: p.flavorNotes,
-        badge: p.badge
+        badge: p.badge,
+        isGiftCard: p.isGiftCard || false
       };
     });
   }, []);
@@ -458,7 +465,8 @@ export function AppProvider({ children }) {
           roastLevel: product.roastLevel,
           origin: product.origin,
           flavorNotes: product.flavorNotes,
-          badge: product.badge
+          badge: product.badge,
+          isGiftCard: product.isGiftCard || false
         };
 
         console.log('🛒 Adding to cart:', cartItem);
@@ -672,8 +680,11 @@ export function AppProvider({ children }) {
       const payload = googleData.credential
         ? { credential: googleData.credential }
         : { accessToken: googleData.access_token || googleData.accessToken };
+      // Only used if this creates the account
+      payload.referralCode = localStorage.getItem('referralCode') || undefined;
 
       const response = await googleLogin(payload);
+      localStorage.removeItem('referralCode');
 
       // Handle 2FA (No token yet)
       if (response.data.requires2FA) {
@@ -722,6 +733,7 @@ export function AppProvider({ children }) {
     try {
       const customerData = { ...userData, userType: 'customer' };
       const response = await API.post('/auth/customer/register', customerData);
+      localStorage.removeItem('referralCode');
       showSuccess('Registration successful! Please check your email for verification.');
       return response.data;
     } catch (error) {
@@ -0,0 +1,23 @@
+// utils/orderAccess.js
+/**
+ * Guest orders are opened with the access token from checkout or the
+ * confirmation email link instead of a login. It travels in the page URL
+ * (?token=) and, across a card-payment redirect, in session storage.
+ */
+const storageKey = (orderId) => `order-access:${orderId}`;
+
+export const rememberOrderAccess = (orderId, accessToken) => {
+    if (accessToken) sessionStorage.setItem(storageKey(orderId), accessToken);
+};
+
+export const getOrderAccessToken = (orderId, search) =>
+    new URLSearchParams(search).get('token') || sessionStorage.getItem(storageKey(orderId));
+
+/**
+ * Where to fetch an order (or `path` under it, e.g. '/invoice') and with
+ * which credentials — the login for members, the access token for guests.
+ * @returns {{ url: String, headers: Object }}
+ */
+export const orderRequest = (orderId, { token, accessToken }, path = '') => accessToken
+    ? { url: `/api/orders/guest/${orderId}${path}`, headers: { 'X-Order-Token': accessToken } }
+    : { url: `/api/orders/${orderId}${path}`, headers: { 'Authorization': `Bearer ${token}` } };
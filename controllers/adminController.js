@@ -2,15 +2,20 @@
 import asyncHandler from 'express-async-handler';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
+import StockMovement, { MANUAL_STOCK_REASONS } from '../models/StockMovement.js';
 import User from '../models/User.js';
 import Contact from '../models/Contact.js';
 import Settings from '../models/Settings.js';
 import { logActivity } from '../utils/activityLogger.js';
+import { transitionOrder } from '../utils/orderLifecycle.js';
+import { recordManualPayment } from '../services/paymentService.js';
 import ActivityLog from '../models/ActivityLog.js'; // For fetching logs later
+import ReturnRequest from '../models/ReturnRequest.js';
 import mongoose from 'mongoose';
 import sendEmail from '../utils/sendEmail.js';
-import { getMaintenanceEmail, getMaintenanceResolvedEmail, getOrderStatusEmail } from '../utils/emailTemplates.js';
+import { getMaintenanceEmail, getMaintenanceResolvedEmail } from '../utils/emailTemplates.js';
 import nodemailer from 'nodemailer';
+import { normalizeSizes, hasVariantStock, resolveStockVariant } from '../utils/variantInventory.js';
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard/stats
@@ -78,13 +83,14 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     Product.find({
       isActive: true,
       $or: [
+        { 'sizes.stock': { $lte: 10 } },
         { 'inventory.stock': { $lte: 10 } },
         { stock: { $lte: 10 } }
       ]
     }).limit(10),
     Order.countDocuments({ paymentStatus: 'pending' }),
     User.countDocuments({ userType: 'customer', createdAt: { $gte: startOfMonth } }),
-    Order.countDocuments({ fulfillmentStatus: 'shipped' })
+    Order.countDocuments({ fulfillmentStatus: { $in: ['shipped', 'partially_shipped'] } })
   ]);
 
   const totalRevenue = totalRevenueResult[0]?.total || 0;
@@ -182,10 +188,18 @@ const getOrders = asyncHandler(async (req, res) => {
       Order.countDocuments(filter)
     ]);
 
+    // Returns waiting for a decision, keyed by order, so staff can review them from the list
+    const pendingReturns = await ReturnRequest.find({ order: { $in: orders.map(o => o._id) }, status: 'requested' })
+      .select('order rmaNumber createdAt');
+
     res.json({
       success: true,
       data: {
         orders,
+        pendingReturns: Object.fromEntries(pendingReturns.map(r => [
+          r.order.toString(),
+          { _id: r._id, rmaNumber: r.rmaNumber, createdAt: r.createdAt }
+        ])),
         pagination: {
           current: parseInt(page),
           page: parseInt(page),
@@ -231,105 +245,53 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     trackingNumber,
     adminNotes,
     location,
-    message
+    message,
+    paymentReference
   } = req.body;
 
-  const order = await Order.findById(req.params.id);
+  let order = await Order.findById(req.params.id);
 
   if (!order) {
     res.status(404);
     throw new Error('Order not found');
   }
 
-  // Status Label Map for better UX
-  const STATUS_LABELS = {
-    unfulfilled: 'Confirmed',
-    packed: 'Processing',
-    shipped: 'Shipped',
-    delivered: 'Delivered',
-    returned: 'Returned'
-  };
-
-  const changes = [];
-
-  // Update logic
-  if (paymentStatus && order.paymentStatus !== paymentStatus) {
-    order.paymentStatus = paymentStatus;
-    changes.push(`Payment: ${paymentStatus}`);
-    order.orderEvents.push({
-      status: 'PAYMENT_UPDATE',
-      note: `Payment status changed to ${paymentStatus} by admin`,
-      user: req.user._id
-    });
+  // Marking an order paid by hand records its balance as a payment, so the
+  // ledger still adds up (part payments go through POST /api/admin/orders/:id/payments)
+  if (paymentStatus === 'paid' && order.paymentStatus !== 'paid') {
+    try {
+      await recordManualPayment(order, {
+        amount: order.balanceDue,
+        reference: paymentReference,
+        note: 'Marked paid by admin',
+        user: req.user._id
+      });
+    } catch (error) {
+      if (error.statusCode) res.status(error.statusCode);
+      throw error;
+    }
+    order = await Order.findById(order._id);
   }
 
-  if (fulfillmentStatus && order.fulfillmentStatus !== fulfillmentStatus) {
-    order.fulfillmentStatus = fulfillmentStatus;
-    const label = STATUS_LABELS[fulfillmentStatus] || fulfillmentStatus;
-    changes.push(`Fulfillment: ${label}`);
-    order.orderEvents.push({
-      status: 'FULFILLMENT_UPDATE',
-      note: `Fulfillment status changed to ${label} by admin`,
-      user: req.user._id
-    });
-  }
+  if (adminNotes) order.notes = adminNotes;
 
-  if (orderStatus && order.orderStatus !== orderStatus) {
-    order.orderStatus = orderStatus;
-    changes.push(`Lifecycle: ${orderStatus}`);
-    order.orderEvents.push({
-      status: 'ORDER_UPDATE',
-      note: `Order status changed to ${orderStatus} by admin`,
-      user: req.user._id
-    });
+  // Legal moves, guards, events, restock and the customer email live in the lifecycle
+  let changes;
+  try {
+    ({ changes } = await transitionOrder(order, { orderStatus, paymentStatus, fulfillmentStatus }, {
+      user: req.user._id,
+      trackingNumber,
+      location,
+      message
+    }));
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
   }
 
-  if (trackingNumber) order.trackingNumber = trackingNumber;
-  if (adminNotes) order.notes = adminNotes;
+  await order.populate('user', 'firstName lastName email');
 
   if (changes.length > 0) {
-    order.statusUpdatedAt = new Date();
-
-    // Legacy tracking history support
-    const rawFulfill = fulfillmentStatus || order.fulfillmentStatus;
-    const historyStatus = STATUS_LABELS[rawFulfill] || rawFulfill;
-
-    order.trackingHistory.push({
-      status: historyStatus.toLowerCase(),
-      location: location || '',
-      message: message || changes.join('. '),
-      timestamp: new Date()
-    });
-
-    await order.save();
-    await order.populate('user', 'firstName lastName email');
-
-    // Send Email
-    if ((fulfillmentStatus && ['shipped', 'delivered', 'returned'].includes(fulfillmentStatus)) || message) {
-      try {
-        const settings = await Settings.getSettings();
-        const logoUrl = settings?.store?.logo;
-
-        const emailStatus = STATUS_LABELS[rawFulfill] || rawFulfill;
-        const emailHtml = getOrderStatusEmail(
-          order.user.firstName,
-          order.orderNumber,
-          emailStatus,
-          order.trackingNumber,
-          message || `Your order status is now ${emailStatus}.`,
-          logoUrl
-        );
-
-        await sendEmail({
-          to: order.user.email,
-          subject: `Order Update: ${emailStatus} - #${order.orderNumber}`,
-          html: emailHtml
-        });
-      } catch (err) {
-        console.error('❌ Admin Status Email Error:', err.message);
-      }
-    }
-
     await logActivity(req, 'ORDER_STATUS_UPDATE', `Updated order #${order.orderNumber}: ${changes.join(', ')}`, order._id);
   }
 
@@ -362,7 +324,8 @@ const getProducts = asyncHandler(async (req, res) => {
   }
 
   if (lowStock === 'true') {
-    filter['inventory.stock'] = { $lte: 10 };
+    // Any size running low flags the product
+    filter['sizes.stock'] = { $lte: 10 };
   }
 
   const products = await Product.find(filter)
@@ -418,7 +381,8 @@ const createProduct = asyncHandler(async (req, res) => {
     capacity,
     inventory,
     tags,
-    isFeatured
+    isFeatured,
+    isGiftCard
   } = requestBody;
 
   // Validate required fields
@@ -442,18 +406,6 @@ const createProduct = asyncHandler(async (req, res) => {
     throw new Error('Invalid sizes format: ' + error.message);
   }
 
-  // Validate sizes have valid prices
-  const validatedSizes = parsedSizes.map((size, index) => {
-    const price = parseFloat(size.price);
-    if (isNaN(price) || price <= 0) {
-      throw new Error(`Invalid price for size ${size.size} at position ${index + 1}`);
-    }
-    return {
-      size: size.size,
-      price: price
-    };
-  });
-
   // Handle images from uploaded files
   const images = req.files ? req.files.map(file => ({
     public_id: file.filename,
@@ -485,6 +437,20 @@ const createProduct = asyncHandler(async (req, res) => {
     throw new Error('Invalid stock quantity');
   }
 
+  // Validate sizes (price, per-size stock and threshold)
+  let validatedSizes;
+  try {
+    validatedSizes = normalizeSizes(parsedSizes, { lowStockAlert });
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+
+  // Legacy single-counter payloads: the whole stock belongs to the first size
+  if (!hasVariantStock(parsedSizes) && validatedSizes.length > 0) {
+    validatedSizes[0].stock = stock;
+  }
+
   // Parse flavor notes
   let parsedFlavorNotes = [];
   if (flavorNotes) {
@@ -549,12 +515,14 @@ const createProduct = asyncHandler(async (req, res) => {
     },
     tags: parsedTags,
     isFeatured: parsedIsFeatured,
+    isGiftCard: isGiftCard === 'true' || isGiftCard === true,
     isActive: true
   };
 
   try {
     const product = new Product(productData);
     const createdProduct = await product.save();
+    await StockMovement.recordChanges(createdProduct, [], { reason: 'opening_balance', user: req.user._id });
 
     res.status(201).json({
       success: true,
@@ -596,6 +564,7 @@ const updateProduct = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Product not found');
   }
+  const stockBefore = StockMovement.snapshot(product);
 
   // Check if data is coming as FormData with JSON
   let requestBody = { ...req.body };
@@ -625,7 +594,8 @@ const updateProduct = asyncHandler(async (req, res) => {
     inventory,
     tags,
     isFeatured,
-    isActive
+    isActive,
+    isGiftCard
   } = requestBody;
 
   if (name !== undefined) product.name = name.toString().trim();
@@ -650,6 +620,10 @@ const updateProduct = asyncHandler(async (req, res) => {
     product.isActive = isActive === 'true' || isActive === true;
   }
 
+  if (isGiftCard !== undefined) {
+    product.isGiftCard = isGiftCard === 'true' || isGiftCard === true;
+  }
+
   // Update sizes with validation
   if (sizes) {
     let parsedSizes;
@@ -662,16 +636,10 @@ const updateProduct = asyncHandler(async (req, res) => {
         throw new Error('Invalid sizes format');
       }
 
-      // Validate sizes
-      const validatedSizes = parsedSizes.map(size => {
-        const price = parseFloat(size.price);
-        if (isNaN(price) || price <= 0) {
-          throw new Error(`Invalid price for size ${size.size}`);
-        }
-        return {
-          size: size.size,
-          price: price
-        };
+      // Validate sizes — stock carries over from the existing size of the same name
+      const validatedSizes = normalizeSizes(parsedSizes, {
+        existingSizes: product.sizes,
+        lowStockAlert: product.inventory.lowStockAlert
       });
 
       if (validatedSizes.length > 0) {
@@ -719,10 +687,19 @@ const updateProduct = asyncHandler(async (req, res) => {
       throw e;
     }
 
-    product.inventory = {
-      stock: stock,
-      lowStockAlert: lowStockAlert
-    };
+    product.inventory.lowStockAlert = lowStockAlert;
+
+    // A bare stock figure is only unambiguous for a single-size product;
+    // otherwise stock must come per size through `sizes`
+    const parsedSizes = typeof sizes === 'string' ? JSON.parse(sizes) : sizes;
+    if (stock !== product.inventory.stock && !hasVariantStock(parsedSizes || [])) {
+      if (product.sizes.length > 1) {
+        res.status(400);
+        throw new Error('This product has several sizes. Please set stock per size.');
+      }
+      if (product.sizes.length === 1) product.sizes[0].stock = stock;
+      else product.inventory.stock = stock;
+    }
   }
 
   // Update arrays
@@ -752,6 +729,11 @@ const updateProduct = asyncHandler(async (req, res) => {
   }
 
   const updatedProduct = await product.save();
+  await StockMovement.recordChanges(updatedProduct, stockBefore, {
+    reason: 'manual_adjustment',
+    note: 'Product edit',
+    user: req.user._id
+  });
 
   res.json({
     success: true,
@@ -772,34 +754,60 @@ const updateProductStock = asyncHandler(async (req, res) => {
     throw new Error('Product not found');
   }
 
-  const { stock, lowStockAlert, adjustment, mode } = req.body;
+  const { size, stock, lowStockAlert, adjustment, mode, reason = 'manual_adjustment', note, reference } = req.body;
+
+  const { variant, error } = resolveStockVariant(product, size);
+  if (error) { res.status(400); throw new Error(error); }
+  if (!MANUAL_STOCK_REASONS.includes(reason)) {
+    res.status(400);
+    throw new Error(`Invalid reason. Use one of: ${MANUAL_STOCK_REASONS.join(', ')}`);
+  }
+  const stockBefore = StockMovement.snapshot(product);
+
+  // Each size keeps its own pool; products without sizes use the product counter
+  const target = variant || product.inventory;
 
   if (mode === 'adjust' && adjustment !== undefined) {
     // Relative adjust: +5 or -3
     const delta = parseInt(adjustment);
     if (isNaN(delta)) { res.status(400); throw new Error('Invalid adjustment value'); }
-    product.inventory.stock = Math.max(0, (product.inventory.stock || 0) + delta);
+    target.stock = Math.max(0, (target.stock || 0) + delta);
   } else if (stock !== undefined) {
     // Absolute set
     const newStock = parseInt(stock);
     if (isNaN(newStock) || newStock < 0) { res.status(400); throw new Error('Invalid stock value'); }
-    product.inventory.stock = newStock;
+    target.stock = newStock;
   }
 
   if (lowStockAlert !== undefined) {
     const alert = parseInt(lowStockAlert);
-    if (!isNaN(alert) && alert >= 0) product.inventory.lowStockAlert = alert;
+    if (!isNaN(alert) && alert >= 0) target.lowStockAlert = alert;
+  }
+
+  const previousStock = stockBefore.find(s => s.size === (variant ? variant.size : null))?.stock || 0;
+  if (reason === 'damage' && target.stock > previousStock) {
+    res.status(400);
+    throw new Error('Damaged stock can only reduce the count');
   }
 
-  product.inStock = product.inventory.stock > 0;
   const updated = await product.save();
+  await StockMovement.recordChanges(updated, stockBefore, { reason, note, reference, user: req.user._id });
+  const updatedVariant = variant ? updated.getVariant(variant.size) : null;
+  const label = updatedVariant ? `${product.name} (${updatedVariant.size})` : product.name;
 
-  console.log(`📦 Stock updated: ${product.name} → ${product.inventory.stock} units`);
+  console.log(`📦 Stock updated: ${label} → ${(updatedVariant || updated.inventory).stock} units`);
 
   res.json({
     success: true,
-    message: `Stock updated to ${updated.inventory.stock} units`,
-    data: { stock: updated.inventory.stock, lowStockAlert: updated.inventory.lowStockAlert, inStock: updated.inStock }
+    message: `Stock updated to ${(updatedVariant || updated.inventory).stock} units`,
+    data: {
+      size: updatedVariant?.size,
+      stock: (updatedVariant || updated.inventory).stock,
+      lowStockAlert: (updatedVariant || updated.inventory).lowStockAlert,
+      inStock: updatedVariant ? updatedVariant.inStock : updated.inStock,
+      totalStock: updated.inventory.stock,
+      sizes: updated.sizes
+    }
   });
 });
 
@@ -1532,7 +1540,7 @@ const getAdminOverview = asyncHandler(async (req, res) => {
     totalUsers
   ] = await Promise.all([
     Order.countDocuments({ status: 'pending' }),
-    Product.countDocuments({ 'inventory.stock': { $lte: 10 }, isActive: true }),
+    Product.countDocuments({ 'sizes.stock': { $lte: 10 }, isActive: true }),
     Contact.countDocuments({ status: 'new' }),
     User.countDocuments({ userType: 'customer' })
   ]);
@@ -1614,18 +1622,24 @@ const getPaymentsReport = asyncHandler(async (req, res) => {
   const paid = allOrders.filter(o => o.paymentStatus === 'paid');
   const pending = allOrders.filter(o => o.paymentStatus === 'pending');
   const failed = allOrders.filter(o => o.paymentStatus === 'failed');
-  const refunded = allOrders.filter(o => o.paymentStatus === 'refunded');
+  const refunded = allOrders.filter(o => ['refunded', 'partially_refunded'].includes(o.paymentStatus));
+  // Orders refunded before the refund workflow have no refundedAmount — the whole total went back
+  const refundAmountOf = (o) => Number(o.refundedAmount) || (o.paymentStatus === 'refunded' ? Number(o.total) || 0 : 0);
 
   const totalRevenue = paid.reduce((s, o) => s + (Number(o.total) || 0), 0);
-  const refundedAmount = refunded.reduce((s, o) => s + (Number(o.total) || 0), 0);
+  const refundedAmount = refunded.reduce((s, o) => s + refundAmountOf(o), 0);
 
   // Payment method breakdown
   const methodMap = {};
   for (const o of paid) {
-    const method = o.paymentMethod || 'unknown';
-    if (!methodMap[method]) methodMap[method] = { name: method, count: 0, revenue: 0 };
-    methodMap[method].count += 1;
-    methodMap[method].revenue += Number(o.total) || 0;
+    // Split orders count each payment under its own method
+    const parts = o.payments?.length ? o.payments : [{ method: o.paymentMethod, amount: o.total }];
+    for (const part of parts) {
+      const method = part.method || 'unknown';
+      if (!methodMap[method]) methodMap[method] = { name: method, count: 0, revenue: 0 };
+      methodMap[method].count += 1;
+      methodMap[method].revenue += Number(part.amount) || 0;
+    }
   }
   const paymentMethods = Object.values(methodMap).sort((a, b) => b.revenue - a.revenue);
 
@@ -1636,7 +1650,8 @@ const getPaymentsReport = asyncHandler(async (req, res) => {
       const d = new Date(o.createdAt);
       const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
       if (!monthlyMap[key]) monthlyMap[key] = { month: key, paid: 0, failed: 0, refunded: 0, pending: 0 };
-      monthlyMap[key][o.paymentStatus] = (monthlyMap[key][o.paymentStatus] || 0) + 1;
+      const bucket = o.paymentStatus === 'partially_refunded' ? 'refunded' : o.paymentStatus;
+      monthlyMap[key][bucket] = (monthlyMap[key][bucket] || 0) + 1;
     } catch { }
   }
   const monthlyTrend = Object.values(monthlyMap).sort((a, b) => a.month.localeCompare(b.month));
@@ -1664,7 +1679,7 @@ const getPaymentsReport = asyncHandler(async (req, res) => {
       recentRefunds: refunded.slice(0, 10).map(o => ({
         orderNumber: o.orderNumber,
         customer: o.user ? `${o.user.firstName} ${o.user.lastName}` : '—',
-        amount: Number(o.total) || 0,
+        amount: refundAmountOf(o),
         method: o.paymentMethod,
         date: o.updatedAt
       })),
@@ -1771,43 +1786,58 @@ const getCustomersReport = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const getInventoryReport = asyncHandler(async (req, res) => {
   const products = await Product.find().lean();
-  const LOW_THRESHOLD = 10;
-
-  const getStock = p => p.inventory?.stock ?? p.stock ?? 0;
-
-  const inStock = products.filter(p => getStock(p) > LOW_THRESHOLD);
-  const lowStock = products.filter(p => getStock(p) > 0 && getStock(p) <= LOW_THRESHOLD);
-  const outOfStock = products.filter(p => getStock(p) === 0);
-
-  const totalInventoryValue = products.reduce((s, p) => {
-    const price = p.price || p.sizes?.[0]?.price || 0;
-    return s + (Number(price) * getStock(p));
-  }, 0);
-
-  const stockList = products
-    .sort((a, b) => getStock(a) - getStock(b))
-    .map(p => ({
-      id: p._id,
-      name: p.name,
-      category: p.category,
-      stock: getStock(p),
-      price: p.price || p.sizes?.[0]?.price || 0,
-      status: getStock(p) === 0 ? 'out' : getStock(p) <= LOW_THRESHOLD ? 'low' : 'ok'
-    }));
+
+  // One row per size — each size is its own stock pool with its own threshold.
+  // Products without sizes fall back to the product-level counter.
+  const variants = products.flatMap(p => {
+    const sizes = p.sizes?.length
+      ? p.sizes
+      : [{ size: '', price: p.price || 0, stock: p.inventory?.stock ?? p.stock ?? 0, lowStockAlert: p.inventory?.lowStockAlert ?? 5 }];
+
+    return sizes.map(s => {
+      const stock = s.stock ?? 0;
+      const threshold = s.lowStockAlert ?? p.inventory?.lowStockAlert ?? 5;
+      return {
+        id: p._id,
+        productName: p.name,
+        name: s.size ? `${p.name} (${s.size})` : p.name,
+        size: s.size,
+        category: p.category,
+        stock,
+        lowStockAlert: threshold,
+        price: s.price || 0,
+        status: stock === 0 ? 'out' : stock <= threshold ? 'low' : 'ok'
+      };
+    });
+  });
+
+  const productStatus = products.map(p => {
+    const rows = variants.filter(v => v.id.toString() === p._id.toString());
+    if (rows.every(v => v.status === 'out')) return 'out';
+    if (rows.some(v => v.status !== 'ok')) return 'low';
+    return 'ok';
+  });
+
+  const totalInventoryValue = variants.reduce((s, v) => s + (Number(v.price) * v.stock), 0);
+
+  const stockList = variants.sort((a, b) => a.stock - b.stock);
 
   res.json({
     success: true,
     data: {
       summary: {
         total: products.length,
-        inStock: inStock.length,
-        lowStock: lowStock.length,
-        outOfStock: outOfStock.length,
+        inStock: productStatus.filter(st => st === 'ok').length,
+        lowStock: productStatus.filter(st => st === 'low').length,
+        outOfStock: productStatus.filter(st => st === 'out').length,
+        totalVariants: variants.length,
+        lowStockVariants: variants.filter(v => v.status === 'low').length,
+        outOfStockVariants: variants.filter(v => v.status === 'out').length,
         totalInventoryValue
       },
       stockList,
-      lowStockItems: stockList.filter(p => p.status === 'low'),
-      outOfStockItems: stockList.filter(p => p.status === 'out')
+      lowStockItems: stockList.filter(v => v.status === 'low'),
+      outOfStockItems: stockList.filter(v => v.status === 'out')
     }
   });
 });
@@ -6,6 +6,8 @@ import generateToken, { generateAccessToken, generateRefreshToken, setRefreshTok
 import sendEmail from '../utils/sendEmail.js';
 import { getVerificationEmail, getWelcomeEmail, getResetPasswordEmail, getRegretEmail, getSecurityAlertEmail } from '../utils/emailTemplates.js';
 import { logActivity } from '../utils/activityLogger.js';
+import { attributeReferral } from '../services/referralService.js';
+import { claimGuestOrders } from '../services/guestCheckoutService.js';
 import ActivityLog from '../models/ActivityLog.js';
 import dotenv from 'dotenv';
 import { OAuth2Client } from 'google-auth-library';
@@ -75,6 +77,9 @@ const verify2FALogin = asyncHandler(async (req, res) => {
 
   console.log(`✅ 2FA Success for: ${email}`);
 
+  // The code proved the email theirs — pick up anything they bought as a guest since
+  if (!isAdmin) await claimGuestOrders(user);
+
   // LOG ACTIVITY IF CUSTOMER
   // (We don't log customer activity to the admin security dashboard to prevent log bloat and spam alerts)
 
@@ -146,7 +151,7 @@ const toggle2FA = asyncHandler(async (req, res) => {
 
 // Customer registration
 const registerCustomer = asyncHandler(async (req, res) => {
-  const { firstName, lastName, email, password, phone, gender, dateOfBirth, userType = 'customer' } = req.body;
+  const { firstName, lastName, email, password, phone, gender, dateOfBirth, referralCode, userType = 'customer' } = req.body;
 
   console.log(`👤 Customer registration attempt:`, email);
 
@@ -215,7 +220,8 @@ const registerCustomer = asyncHandler(async (req, res) => {
       html: emailHtml
     });
 
-
+    // Signed up through a friend's invite link
+    await attributeReferral(newUser, referralCode);
 
     res.status(201).json({
       success: true,
@@ -243,7 +249,7 @@ const registerCustomer = asyncHandler(async (req, res) => {
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID || "697141801323-d2uc6n2f7b2kcckpk1kk6he1du30l1kn.apps.googleusercontent.com");
 
 const googleLogin = asyncHandler(async (req, res) => {
-  const { credential, accessToken } = req.body;
+  const { credential, accessToken, referralCode } = req.body;
 
   if (!credential && !accessToken) {
     res.status(400);
@@ -314,6 +320,7 @@ const googleLogin = asyncHandler(async (req, res) => {
         isVerified: true,
         profilePicture: picture
       });
+      await attributeReferral(user, referralCode, { method: 'google' });
     }
 
     // Check if 2FA is enabled
@@ -362,6 +369,9 @@ const googleLogin = asyncHandler(async (req, res) => {
     if (!user.isVerified) user.isVerified = true;
     await user.save();
 
+    // Google vouches for the email, so orders placed with it as a guest are theirs
+    await claimGuestOrders(user);
+
     const accessToken = generateAccessToken(user._id);
     const refreshToken = generateRefreshToken(user._id);
     setRefreshTokenCookie(res, refreshToken);
@@ -559,6 +569,9 @@ const loginCustomer = asyncHandler(async (req, res) => {
   user.lastLoginAt = new Date();
   await user.save();
 
+  // A verified customer who checked out as a guest with this email gets those orders too
+  await claimGuestOrders(user);
+
   // Populate cart after save
   await user.populate('cart.product');
 
@@ -1066,6 +1079,9 @@ const verifyEmail = asyncHandler(async (req, res) => {
   user.verificationCodeExpires = undefined;
   await user.save();
 
+  // The email is proven theirs now — orders placed with it as a guest join the account
+  const claimedOrders = await claimGuestOrders(user);
+
   const accessToken = generateAccessToken(user._id);
   const refreshToken = generateRefreshToken(user._id);
   setRefreshTokenCookie(res, refreshToken);
@@ -1104,7 +1120,8 @@ const verifyEmail = asyncHandler(async (req, res) => {
       isVerified: user.isVerified,
       cart: user.cart || [],
       token: accessToken
-    }
+    },
+    claimedOrders
   });
 });
 
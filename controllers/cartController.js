@@ -3,6 +3,7 @@ import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
+import { resolveStockVariant } from '../utils/variantInventory.js';
 
 // Utility function to calculate cart totals
 const calculateCartTotals = (items) => {
@@ -28,6 +29,14 @@ const calculateCartTotals = (items) => {
   };
 };
 
+// Stock for one size of a product — each size is its own pool, so the
+// product-wide total would let a sold-out size into the cart
+const stockForSize = (product, size) => {
+  const { variant, error } = resolveStockVariant(product, size);
+  if (error) return { error };
+  return { variant, stock: variant ? variant.stock : product.inventory.stock };
+};
+
 // @desc    Get user's cart
 // @route   GET /api/cart
 // @access  Private
@@ -65,7 +74,7 @@ const getCart = asyncHandler(async (req, res) => {
 // @access  Private
 const addToCart = asyncHandler(async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, quantity = 1, size } = req.body;
 
     if (!productId) {
       res.status(400);
@@ -88,9 +97,15 @@ const addToCart = asyncHandler(async (req, res) => {
       throw new Error('Product is not available');
     }
 
-    if (product.inventory.stock < quantity) {
+    const { variant, stock, error } = stockForSize(product, size);
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+
+    if (stock < quantity) {
       res.status(400);
-      throw new Error(`Only ${product.inventory.stock} items available in stock`);
+      throw new Error(`Only ${stock} items available in stock`);
     }
 
     let cart = await Cart.findOne({ user: req.user._id });
@@ -98,16 +113,17 @@ const addToCart = asyncHandler(async (req, res) => {
       cart = new Cart({ user: req.user._id, items: [] });
     }
 
+    // Each size of a product is its own cart line
     const existingItemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId
+      item => item.product.toString() === productId && (item.variant || null) === (variant?.size || null)
     );
 
     if (existingItemIndex > -1) {
       const newQuantity = cart.items[existingItemIndex].quantity + quantity;
       
-      if (newQuantity > product.inventory.stock) {
+      if (newQuantity > stock) {
         res.status(400);
-        throw new Error(`Cannot add more items. Only ${product.inventory.stock} available in stock`);
+        throw new Error(`Cannot add more items. Only ${stock} available in stock`);
       }
 
       cart.items[existingItemIndex].quantity = newQuantity;
@@ -118,8 +134,9 @@ const addToCart = asyncHandler(async (req, res) => {
         product: productId,
         name: product.name,
         image: productImage,
-        price: product.price,
+        price: variant?.price || product.price,
         quantity: quantity,
+        variant: variant?.size,
         addedAt: new Date()
       });
     }
@@ -178,9 +195,15 @@ const updateCartItem = asyncHandler(async (req, res) => {
         throw new Error('Product not found');
       }
       
-      if (quantity > product.inventory.stock) {
+      const { stock, error } = stockForSize(product, item.variant);
+      if (error) {
+        res.status(400);
+        throw new Error(error);
+      }
+
+      if (quantity > stock) {
         res.status(400);
-        throw new Error(`Only ${product.inventory.stock} items available in stock`);
+        throw new Error(`Only ${stock} items available in stock`);
       }
     }
 
@@ -335,13 +358,20 @@ const mergeCarts = asyncHandler(async (req, res) => {
           continue;
         }
 
+        const { variant, stock, error } = stockForSize(product, guestItem.variant || guestItem.size);
+        if (error) {
+          mergeResults.skipped++;
+          continue;
+        }
+
         const existingItem = userCart.items.find(item => 
-          item.product.toString() === guestItem.product.toString()
+          item.product.toString() === guestItem.product.toString() &&
+          (item.variant || null) === (variant?.size || null)
         );
 
         if (existingItem) {
           const newQuantity = existingItem.quantity + guestItem.quantity;
-          if (newQuantity <= product.inventory.stock) {
+          if (newQuantity <= stock) {
             existingItem.quantity = newQuantity;
             mergeResults.updated++;
             mergedItems = true;
@@ -349,13 +379,14 @@ const mergeCarts = asyncHandler(async (req, res) => {
             mergeResults.skipped++;
           }
         } else {
-          if (guestItem.quantity <= product.inventory.stock) {
+          if (guestItem.quantity <= stock) {
             userCart.items.push({
               product: guestItem.product,
               name: guestItem.name,
               image: guestItem.image,
-              price: guestItem.price,
+              price: variant?.price || guestItem.price,
               quantity: guestItem.quantity,
+              variant: variant?.size,
               addedAt: new Date()
             });
             mergeResults.added++;
@@ -2,11 +2,45 @@ import asyncHandler from 'express-async-handler';
 import Coupon from '../models/Coupon.js';
 import { logActivity } from '../utils/activityLogger.js';
 
+// Rule fields staff can set; anything not sent is left as it is
+const RULE_FIELDS = [
+    'discountType', 'discountAmount', 'buyQuantity', 'getQuantity', 'getDiscountPercent',
+    'startDate', 'expiryDate', 'usageLimit', 'perCustomerLimit', 'firstOrderOnly',
+    'minOrderAmount', 'products', 'categories', 'excludeSaleItems', 'isActive'
+];
+
+const applyRuleFields = (coupon, body) => {
+    for (const field of RULE_FIELDS) {
+        if (body[field] !== undefined) coupon[field] = body[field];
+    }
+    if (body.startDate === '') coupon.startDate = null;
+    if (Array.isArray(body.categories)) {
+        coupon.categories = body.categories.map(category => String(category).trim()).filter(Boolean);
+    }
+};
+
+// Why a coupon's settings don't add up, or null
+const ruleError = (coupon) => {
+    if (['fixed', 'percentage'].includes(coupon.discountType) && !(coupon.discountAmount > 0)) {
+        return 'Please enter the discount amount';
+    }
+    if (coupon.discountType === 'percentage' && coupon.discountAmount > 100) {
+        return 'A percentage discount cannot be more than 100%';
+    }
+    if (coupon.discountType === 'buy_x_get_y' && !(coupon.buyQuantity >= 1 && coupon.getQuantity >= 1)) {
+        return 'Buy X get Y coupons need both quantities';
+    }
+    if (coupon.startDate && coupon.expiryDate && coupon.startDate > coupon.expiryDate) {
+        return 'The start date must be before the expiry date';
+    }
+    return null;
+};
+
 // @desc    Get all coupons
 // @route   GET /api/admin/coupons
 // @access  Private/Admin
 const getCoupons = asyncHandler(async (req, res) => {
-    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    const coupons = await Coupon.find().populate('products', 'name').sort({ createdAt: -1 });
     res.json({
         success: true,
         data: coupons
@@ -17,9 +51,9 @@ const getCoupons = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/coupons
 // @access  Private/Admin
 const createCoupon = asyncHandler(async (req, res) => {
-    const { code, discountType, discountAmount, expiryDate, usageLimit, minOrderAmount } = req.body;
+    const { code, discountType, expiryDate } = req.body;
 
-    if (!code || !discountType || !discountAmount || !expiryDate) {
+    if (!code || !discountType || !expiryDate) {
         res.status(400);
         throw new Error('Please provide all required fields');
     }
@@ -30,15 +64,18 @@ const createCoupon = asyncHandler(async (req, res) => {
         throw new Error('Coupon code already exists');
     }
 
-    const coupon = await Coupon.create({
-        code: code.toUpperCase(),
-        discountType,
-        discountAmount,
-        expiryDate,
-        usageLimit: usageLimit || 100,
-        minOrderAmount: minOrderAmount || 0,
-        isActive: true
-    });
+    const coupon = new Coupon({ code: code.toUpperCase() });
+    applyRuleFields(coupon, req.body);
+    coupon.usageLimit = req.body.usageLimit || 100;
+    coupon.minOrderAmount = req.body.minOrderAmount || 0;
+    coupon.isActive = true;
+
+    const problem = ruleError(coupon);
+    if (problem) {
+        res.status(400);
+        throw new Error(problem);
+    }
+    await coupon.save();
 
     logActivity(req.user._id, 'COUPON_CREATE', `Created coupon: ${coupon.code}`);
 
@@ -60,16 +97,14 @@ const updateCoupon = asyncHandler(async (req, res) => {
         throw new Error('Coupon not found');
     }
 
-    const { code, discountType, discountAmount, expiryDate, usageLimit, minOrderAmount, isActive } = req.body;
-
-    if (code) coupon.code = code.toUpperCase();
-    if (discountType) coupon.discountType = discountType;
-    if (discountAmount !== undefined) coupon.discountAmount = discountAmount;
-    if (expiryDate) coupon.expiryDate = expiryDate;
-    if (usageLimit !== undefined) coupon.usageLimit = usageLimit;
-    if (minOrderAmount !== undefined) coupon.minOrderAmount = minOrderAmount;
-    if (isActive !== undefined) coupon.isActive = isActive;
+    if (req.body.code) coupon.code = req.body.code.toUpperCase();
+    applyRuleFields(coupon, req.body);
 
+    const problem = ruleError(coupon);
+    if (problem) {
+        res.status(400);
+        throw new Error(problem);
+    }
     const updatedCoupon = await coupon.save();
 
     logActivity(req.user._id, 'COUPON_UPDATE', `Updated coupon: ${updatedCoupon.code}`);
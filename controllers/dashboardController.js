@@ -3,6 +3,7 @@ import User from '../models/User.js';
 import Address from '../models/Address.js';
 import PaymentMethod from '../models/PaymentMethod.js';
 import Order from '../models/Order.js';
+import { getLoyaltySummary } from '../services/loyaltyService.js';
 
 // @desc    Get dashboard data
 // @route   GET /api/dashboard/data
@@ -15,7 +16,8 @@ const getDashboardData = asyncHandler(async (req, res) => {
     addresses,
     paymentMethods,
     recentOrders,
-    ordersCount
+    ordersCount,
+    loyalty
   ] = await Promise.all([
     User.findById(userId),
     Address.find({ user: userId }).sort({ isDefault: -1, createdAt: -1 }),
@@ -24,7 +26,8 @@ const getDashboardData = asyncHandler(async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('items.product', 'name images'),
-    Order.countDocuments({ user: userId })
+    Order.countDocuments({ user: userId }),
+    getLoyaltySummary(userId)
   ]);
 
   if (!user) {
@@ -50,8 +53,8 @@ const getDashboardData = asyncHandler(async (req, res) => {
       recentOrders: recentOrders || [],
       stats: {
         totalOrders: ordersCount,
-        loyaltyPoints: user.loyalty?.points || 0,
-        loyaltyTier: user.loyalty?.tier || 'Bronze'
+        loyaltyPoints: loyalty.points,
+        loyaltyTier: loyalty.tier.name
       }
     }
   });
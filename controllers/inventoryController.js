@@ -0,0 +1,174 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement, { STOCK_MOVEMENT_REASONS } from '../models/StockMovement.js';
+
+const variantKey = (productId, size) => `${productId}:${size ?? ''}`;
+
+// Current stock per variant, one row per size (or one per product without sizes)
+const currentVariants = (product) => (
+  product.sizes?.length
+    ? product.sizes.map(s => ({ size: s.size, stock: s.stock || 0 }))
+    : [{ size: null, stock: product.inventory?.stock || 0 }]
+);
+
+// @desc    Stock movement history for one product
+// @route   GET /api/admin/products/:id/stock-movements
+// @access  Private/Admin
+const getProductStockMovements = asyncHandler(async (req, res) => {
+  const { size, reason, page = 1, limit = 50 } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid product ID');
+  }
+
+  const product = await Product.findById(req.params.id).select('name sizes inventory').lean();
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  if (reason && !STOCK_MOVEMENT_REASONS.includes(reason)) {
+    res.status(400);
+    throw new Error(`Invalid reason. Use one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`);
+  }
+
+  const filter = { product: product._id };
+  if (size) filter.size = size;
+  if (reason) filter.reason = reason;
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  const [movements, total, sums] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('performedBy', 'firstName lastName email')
+      .populate('order', 'orderNumber')
+      .lean(),
+    StockMovement.countDocuments(filter),
+    StockMovement.aggregate([
+      { $match: { product: product._id } },
+      { $group: { _id: '$size', ledgerStock: { $sum: '$quantity' } } }
+    ])
+  ]);
+
+  const ledgerBySize = new Map(sums.map(s => [s._id ?? null, s.ledgerStock]));
+  const balances = currentVariants(product).map(v => {
+    const ledgerStock = ledgerBySize.get(v.size) || 0;
+    return {
+      size: v.size,
+      currentStock: v.stock,
+      ledgerStock,
+      difference: v.stock - ledgerStock,
+      inSync: v.stock === ledgerStock
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      product: { _id: product._id, name: product.name },
+      balances,
+      movements,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+});
+
+// @desc    Compare every product's stock with its ledger sum
+// @route   GET /api/admin/inventory/reconciliation
+// @access  Private/Admin
+const getStockReconciliation = asyncHandler(async (req, res) => {
+  const showAll = req.query.all === 'true';
+
+  const [products, sums] = await Promise.all([
+    Product.find().select('name category sizes inventory isActive').lean(),
+    StockMovement.aggregate([
+      {
+        $group: {
+          _id: { product: '$product', size: '$size' },
+          ledgerStock: { $sum: '$quantity' },
+          movements: { $sum: 1 },
+          lastMovementAt: { $max: '$createdAt' }
+        }
+      }
+    ])
+  ]);
+
+  const ledger = new Map(sums.map(s => [variantKey(s._id.product, s._id.size ?? null), s]));
+  const rows = [];
+
+  for (const product of products) {
+    for (const v of currentVariants(product)) {
+      const key = variantKey(product._id, v.size);
+      const entry = ledger.get(key);
+      ledger.delete(key);
+
+      const ledgerStock = entry?.ledgerStock || 0;
+      rows.push({
+        productId: product._id,
+        productName: product.name,
+        category: product.category,
+        isActive: product.isActive,
+        size: v.size,
+        currentStock: v.stock,
+        ledgerStock,
+        difference: v.stock - ledgerStock,
+        movements: entry?.movements || 0,
+        lastMovementAt: entry?.lastMovementAt || null,
+        inSync: v.stock === ledgerStock
+      });
+    }
+  }
+
+  // Ledger balances left over belong to sizes that no longer exist on the product
+  const productsById = new Map(products.map(p => [p._id.toString(), p]));
+  for (const entry of ledger.values()) {
+    const product = productsById.get(entry._id.product.toString());
+    if (!entry.ledgerStock || !product) continue;
+    rows.push({
+      productId: product._id,
+      productName: product.name,
+      category: product.category,
+      isActive: product.isActive,
+      size: entry._id.size ?? null,
+      currentStock: 0,
+      ledgerStock: entry.ledgerStock,
+      difference: -entry.ledgerStock,
+      movements: entry.movements,
+      lastMovementAt: entry.lastMovementAt,
+      inSync: false
+    });
+  }
+
+  const mismatched = rows.filter(r => !r.inSync);
+  const mismatchedProducts = new Set(mismatched.map(r => r.productId.toString()));
+
+  res.json({
+    success: true,
+    data: {
+      summary: {
+        variantsChecked: rows.length,
+        mismatchedVariants: mismatched.length,
+        mismatchedProducts: mismatchedProducts.size,
+        netDifference: mismatched.reduce((sum, r) => sum + r.difference, 0)
+      },
+      items: (showAll ? rows : mismatched)
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+    }
+  });
+});
+
+export {
+  getProductStockMovements,
+  getStockReconciliation
+};
@@ -0,0 +1,22 @@
+import asyncHandler from 'express-async-handler';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import { getLoyaltySummary } from '../services/loyaltyService.js';
+
+// @desc    Points balance, tier and points history
+// @route   GET /api/loyalty
+// @access  Private
+const getMyLoyalty = asyncHandler(async (req, res) => {
+  const [summary, history] = await Promise.all([
+    getLoyaltySummary(req.user._id),
+    LoyaltyTransaction.find({ user: req.user._id })
+      .select('-remaining')
+      .populate('order', 'orderNumber')
+      .populate('product', 'name')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+  ]);
+
+  res.json({ success: true, data: { ...summary, history } });
+});
+
+export { getMyLoyalty };
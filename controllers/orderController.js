@@ -1,22 +1,36 @@
 // controllers/orderController.js - ENHANCED WITH SECURITY
 import asyncHandler from 'express-async-handler';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import User from '../models/User.js';
 import { calculateShipping } from '../utils/shippingCalculator.js';
 import mongoose from 'mongoose';
 import { v4 as uuidv4 } from 'uuid';
-import { sanitizeObject, sanitizeEmail, sanitizePhone, sanitizeAmount } from '../utils/inputSanitizer.js';
+import { sanitizeObject, sanitizeString, sanitizeEmail, sanitizePhone, sanitizeAmount } from '../utils/inputSanitizer.js';
 import sendEmail from '../utils/sendEmail.js';
-import { getOrderConfirmationEmail, getOrderStatusEmail } from '../utils/emailTemplates.js';
-import { sendLowStockAlert } from '../utils/adminNotificationService.js';
-import Coupon from '../models/Coupon.js';
-import Subscription from '../models/Subscription.js';
+import { getOrderConfirmationEmail } from '../utils/emailTemplates.js';
+import { transitionOrder } from '../utils/orderLifecycle.js';
+import { reserveOrderLine } from '../utils/stockReservation.js';
+import { recordManualPayment, planSplitPayment } from '../services/paymentService.js';
+import { redeemAtCheckout, issueOrderGiftCards } from '../services/storeCreditService.js';
+import { rewardReferral } from '../services/referralService.js';
+import { redeemPointsAtCheckout } from '../services/loyaltyService.js';
+import { findCoupon, applyCoupon, claimCouponUse, couponLinesForCart } from '../services/couponService.js';
+import { evaluatePromotions, assertCouponAllowed } from '../services/promotionService.js';
+import { SUBSCRIPTION_FREQUENCIES } from '../models/Subscription.js';
+import { createSubscriptionFromOrder } from '../services/subscriptionService.js';
+import { priceCheckout, verifyQuote } from '../services/checkoutQuoteService.js';
+import { issueOrderAccessToken, orderAccessTokenFrom, hasGuestAccess, guestOrderUrl } from '../services/guestCheckoutService.js';
 import AbandonedCheckout from '../models/AbandonedCheckout.js';
 
-// @desc    Create new order
+// Who a gift card line is for; the cards go to the buyer when no email is given
+const giftCardRecipientOf = (recipient = {}) => ({
+  email: sanitizeEmail(recipient.email || '') || undefined,
+  name: sanitizeString(recipient.name || '') || undefined,
+  message: sanitizeString(recipient.message || '').slice(0, 300) || undefined
+});
+
+// @desc    Create new order from a checkout quote (signed in, or as a guest with just contact details)
 // @route   POST /api/orders
-// @access  Private
+// @access  Public (optional login)
 const createOrder = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -24,19 +38,20 @@ const createOrder = asyncHandler(async (req, res) => {
   try {
     const {
       shippingAddress,
-      paymentMethod,
-      items,
-      subtotal,
-      shippingCost,
-      tax,
-      totalAmount,
+      quoteToken,
       notes,
-      couponCode,
-      isSubscription,
-      subscriptionFrequency
+      subscriptionFrequency,
+      depositAmount,
+      balancePaymentMethod,
+      giftCardCode,
+      useStoreCredit,
+      giftCardRecipient
     } = req.body;
 
-    const userId = req.user._id;
+    // Guests have no account, so nothing that needs one (points, store credit,
+    // subscriptions); they reach the order with an access token instead
+    const isGuest = !req.user;
+    const userId = req.user?._id || null;
 
     // ✅ RELAXED SECURITY: Allow Admins to place orders for testing flow
     /*
@@ -51,32 +66,45 @@ const createOrder = asyncHandler(async (req, res) => {
     }
     */
 
-    console.log('🛒 Creating order for user:', userId);
-    console.log('📦 Order items:', items?.length);
+    // ✅ SECURITY: The basket and every amount come from the signed checkout
+    // quote (POST /api/checkout/quote), never from the client
+    let quote;
+    try {
+      quote = verifyQuote(quoteToken, { userId });
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    const { items, paymentMethod, couponCode, isSubscription, loyaltyPoints } = quote;
+
+    console.log('🛒 Creating order for', isGuest ? 'guest' : `user: ${userId}`);
+    console.log('📦 Order items:', items.length);
 
     // ✅ SECURITY: Sanitize shipping address to prevent XSS
     const sanitizedAddress = sanitizeObject(shippingAddress);
     sanitizedAddress.email = sanitizeEmail(shippingAddress.email);
     sanitizedAddress.phone = sanitizePhone(shippingAddress.phone);
 
-    // Validate required fields
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      console.warn('⚠️ No items in order:', items);
+    if (!sanitizedAddress || !paymentMethod) {
+      console.warn('⚠️ Missing address or payment method:', { hasAddress: !!sanitizedAddress, paymentMethod });
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
-        message: 'Order items are required'
+        message: 'Shipping address and payment method are required'
       });
     }
 
-    if (!sanitizedAddress || !paymentMethod) {
-      console.warn('⚠️ Missing address or payment method:', { hasAddress: !!sanitizedAddress, paymentMethod });
+    if (isSubscription && !SUBSCRIPTION_FREQUENCIES.includes(subscriptionFrequency)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
-        message: 'Shipping address and payment method are required'
+        message: `Subscription frequency must be one of: ${SUBSCRIPTION_FREQUENCIES.join(', ')}`
       });
     }
 
@@ -90,121 +118,160 @@ const createOrder = asyncHandler(async (req, res) => {
       });
     }
 
+    if (isGuest && (isSubscription || loyaltyPoints || useStoreCredit)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Please sign in to subscribe or to use loyalty points and store credit'
+      });
+    }
+
+    // One quote places one order (a double-tapped checkout button, a resent request)
+    if (await Order.exists({ quoteId: quote.jti }).session(session)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: 'This order has already been placed. Please check your orders before trying again.'
+      });
+    }
+
     // ✅ SECURITY: Generate unique order number with UUID
     const uuid = uuidv4().split('-')[0].toUpperCase();
     const timestamp = Date.now().toString().slice(-8);
     const orderNumber = `ORD-${timestamp}-${uuid}`;
+    // Known up front so gift card / store credit history can point at it
+    const orderId = new mongoose.Types.ObjectId();
 
-    // Process order items and validate stock
-    let calculatedSubtotal = 0;
-    const orderItems = [];
-    const stockUpdates = [];
-
-    for (const item of items) {
-      // Validate item structure
-      if (!item.product || !item.name || !item.price || !item.quantity || !item.size) {
-        console.warn('⚠️ Invalid item data:', item);
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid item data. All item fields are required.'
-        });
-      }
-
-      const product = await Product.findById(item.product).session(session);
-
-      if (!product) {
-        console.warn('⚠️ Product not found:', { id: item.product, name: item.name });
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({
-          success: false,
-          message: `Product not found: ${item.name}`
-        });
-      }
-
-      // Check stock availability
-      if (product.inventory.stock < item.quantity) {
-        console.warn('⚠️ Stock failure:', { product: product.name, available: product.inventory.stock, requested: item.quantity });
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.inventory.stock}, Requested: ${item.quantity}`
-        });
-      }
-
-      const itemPrice = parseFloat(product.sizes.find(s => s.size === item.size)?.price || product.price || item.price);
-      const itemQuantity = parseInt(item.quantity);
-      const itemTotal = itemPrice * itemQuantity;
-      calculatedSubtotal += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        name: item.name,
-        price: itemPrice,
-        quantity: itemQuantity,
-        size: item.size,
-        image: item.image || product.images?.[0]?.url || '/default-product.jpg',
-        itemTotal: itemTotal
-      });
-
-      stockUpdates.push({
-        productId: product._id,
-        quantity: itemQuantity,
-        currentStock: product.inventory.stock
+    // Price the quoted basket again inside the transaction: stock, offers and
+    // the coupon are checked as of now, and the coupon use is claimed
+    let pricing;
+    try {
+      pricing = await priceCheckout({
+        items,
+        shippingAddress: sanitizedAddress,
+        couponCode,
+        isSubscription,
+        loyaltyPoints,
+        userId,
+        email: sanitizedAddress.email
+      }, session);
+      if (pricing.coupon) await claimCouponUse(pricing.coupon, session);
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
       });
     }
 
-    // ✅ DISCOUNT LOGIC
-    let discount = 0;
-    if (couponCode) {
-      const coupon = await Coupon.findOne({ code: couponCode.toUpperCase(), isActive: true });
-      if (coupon && coupon.isValid() && calculatedSubtotal >= coupon.minOrderAmount) {
-        if (coupon.discountType === 'percentage') {
-          discount = sanitizeAmount(calculatedSubtotal * (coupon.discountAmount / 100));
-        } else {
-          discount = sanitizeAmount(coupon.discountAmount);
-        }
-        // Increment use count
-        coupon.usedCount += 1;
-        await coupon.save({ session });
-      }
+    // Prevent charging anything but the total the customer was shown
+    if (pricing.total !== quote.total) {
+      await session.abortTransaction();
+      session.endSession();
+      console.warn(`⚠️ Quote out of date: Quoted=${quote.total}, Now=${pricing.total}`);
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed since you reviewed your order. Please check the new total and try again.'
+      });
     }
 
-    // Apply Subscription Discount (5%)
-    if (isSubscription) {
-      const subscriptionDiscount = sanitizeAmount(calculatedSubtotal * 0.05);
-      discount += subscriptionDiscount;
+    const { promotions, discount } = pricing;
+    const orderItems = pricing.lines.map(line => ({
+      product: line.product,
+      name: line.name,
+      price: line.price,
+      quantity: line.quantity,
+      size: line.size,
+      image: line.image,
+      itemTotal: line.itemTotal,
+      bundleComponents: line.bundleComponents,
+      isGiftCard: line.isGiftCard || undefined,
+      giftCardRecipient: line.isGiftCard ? giftCardRecipientOf(giftCardRecipient) : undefined
+    }));
+
+    // Loyalty points come off the goods (not gift cards) as their own discount line
+    let loyalty;
+    try {
+      loyalty = await redeemPointsAtCheckout({
+        user: userId,
+        points: pricing.loyalty.points,
+        subtotal: Math.max(0, pricing.goodsSubtotal - promotions.discount - discount),
+        order: orderId,
+        orderNumber
+      }, session);
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    const finalSubtotal = sanitizeAmount(calculatedSubtotal);
-    const finalShippingCost = sanitizeAmount(shippingCost);
-    const taxableAmount = Math.max(0, finalSubtotal - discount);
-    const finalTax = 0; // No VAT — tax disabled
-    const calculatedTotal = sanitizeAmount(taxableAmount + finalShippingCost);
-    const clientTotal = sanitizeAmount(totalAmount);
+    const finalSubtotal = pricing.subtotal;
+    const finalShippingCost = pricing.shippingCost;
+    const finalTax = pricing.tax;
+    const calculatedTotal = pricing.total;
 
-    console.log('💰 Validating order amounts:', {
-      itemsSubtotal: calculatedSubtotal,
+    console.log('💰 Order amounts:', {
+      itemsSubtotal: finalSubtotal,
+      promotionDiscount: promotions.discount,
       discount: discount,
+      loyaltyDiscount: loyalty.discount,
       shipping: finalShippingCost,
       total: calculatedTotal
     });
 
-    // Prevent price manipulation (tolerance: KES 2)
-    if (Math.abs(calculatedTotal - clientTotal) > 2.0) {
+    // Gift card first, then store credit, off what the customer still has to pay
+    let redemption;
+    try {
+      redemption = await redeemAtCheckout({
+        order: orderId,
+        orderNumber,
+        user: userId,
+        total: calculatedTotal,
+        giftCardCode,
+        // Their whole balance, up to what's left to pay
+        storeCredit: useStoreCredit ? calculatedTotal : 0
+      }, session);
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const finalTotal = redemption.amountDue;
+    const paidInFull = finalTotal <= 0;
+    const redeemedMethod = redemption.giftCardAmount > 0 ? 'gift_card' : 'store_credit';
+
+    // Cards go out once paid, so they can't wait on cash at the door
+    if (!paidInFull && orderItems.some(i => i.isGiftCard) && (paymentMethod === 'cod' || balancePaymentMethod === 'cod')) {
       await session.abortTransaction();
       session.endSession();
-      console.warn(`⚠️ Price mismatch: Client=${clientTotal}, Server=${calculatedTotal}, Discount=${discount}`);
       return res.status(400).json({
         success: false,
-        message: 'Order amount validation failed. Please refresh your cart.'
+        message: 'Gift cards are paid for online — please choose M-Pesa or card'
       });
     }
 
-    const finalTotal = calculatedTotal;
+    // Split payment: a deposit online now, the balance later or on delivery
+    let paymentPlan;
+    try {
+      paymentPlan = await planSplitPayment({ total: finalTotal, paymentMethod, depositAmount, balancePaymentMethod });
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     console.log('✅ Order amounts validated:', {
       subtotal: finalSubtotal,
@@ -212,10 +279,16 @@ const createOrder = asyncHandler(async (req, res) => {
       total: finalTotal
     });
 
+    const guestAccess = isGuest ? issueOrderAccessToken() : null;
+
     // Create order with granular status
     const order = new Order({
+      _id: orderId,
       orderNumber: orderNumber,
       user: userId,
+      isGuest,
+      guestAccessToken: guestAccess?.hash,
+      quoteId: quote.jti,
       items: orderItems,
       shippingAddress: {
         firstName: sanitizedAddress.firstName,
@@ -232,124 +305,78 @@ const createOrder = asyncHandler(async (req, res) => {
       shippingCost: finalShippingCost,
       tax: finalTax,
       discountAmount: discount,
+      promotions: promotions.applied.map(({ promotion, name, discount, freeShipping }) => ({ promotion, name, discount, freeShipping })),
+      promotionDiscount: promotions.discount,
+      loyaltyPointsRedeemed: loyalty.points,
+      loyaltyDiscount: loyalty.discount,
       total: finalTotal,
-      couponCode: couponCode ? couponCode.toUpperCase() : undefined,
+      couponCode: pricing.couponCode,
+      giftCard: redemption.giftCard?._id,
+      giftCardCode: redemption.giftCard?.code,
+      giftCardAmount: redemption.giftCardAmount,
+      storeCreditAmount: redemption.storeCreditAmount,
       isSubscription: isSubscription || false,
       subscriptionFrequency: subscriptionFrequency,
 
       // Metadata
-      paymentMethod: paymentMethod,
+      paymentMethod: paidInFull ? redeemedMethod : paymentMethod,
+      depositAmount: paymentPlan.depositAmount,
+      balancePaymentMethod: paymentPlan.balancePaymentMethod,
       notes: notes || '',
 
       // === NEW LIFECYCLE STATE ===
       orderStatus: 'open', // Default open
-      paymentStatus: paymentMethod === 'cod' ? 'pending' : 'paid', // If COD, pending. If not, assume paid for now (until webhook integration)
+      paymentStatus: paidInFull ? 'paid' : 'pending', // Online payments are collected next via POST /api/payments/initiate
       fulfillmentStatus: 'unfulfilled',
 
       // Initial History
       orderEvents: [
         {
           status: 'ORDER_CREATED',
-          note: 'Order placed by customer via checkout',
+          note: [
+            paymentPlan.depositAmount
+              ? `Order placed by customer via checkout — KES ${paymentPlan.depositAmount.toLocaleString()} deposit now, KES ${sanitizeAmount(finalTotal - paymentPlan.depositAmount).toLocaleString()} ${paymentPlan.balancePaymentMethod === 'cod' ? 'on delivery' : 'later'}`
+              : `Order placed by ${isGuest ? 'guest' : 'customer'} via checkout`,
+            promotions.applied.length > 0 && `Offers applied: ${promotions.applied.map(p => p.name).join(', ')}`,
+            loyalty.points > 0 && `${loyalty.points} loyalty points redeemed for KES ${loyalty.discount.toLocaleString()} off`,
+            redemption.giftCardAmount > 0 && `KES ${redemption.giftCardAmount.toLocaleString()} paid with gift card ${redemption.giftCard.code}`,
+            redemption.storeCreditAmount > 0 && `KES ${redemption.storeCreditAmount.toLocaleString()} paid with store credit`
+          ].filter(Boolean).join('. '),
           user: userId
         }
       ]
     });
 
-    // Log payment event if auto-paid (simulation for now)
-    if (paymentMethod !== 'cod') {
-      order.orderEvents.push({
-        status: 'PAYMENT_CONFIRMED',
-        note: `Payment simulated via ${paymentMethod}`,
-        user: userId
-      });
-    }
+    // COD is settled on delivery (and a fully redeemed order is already paid),
+    // so the reservation never expires
+    if (paymentMethod === 'cod' || paidInFull) order.expiresAt = null;
 
     console.log('📝 Saving order to database...');
 
     const savedOrder = await order.save({ session });
 
-    // ✅ SUBSCRIPTION LOGIC: Create Subscription if requested
+    // ✅ SUBSCRIPTION LOGIC: Repeat these coffees on the chosen schedule
     if (isSubscription) {
-      const nextBilling = new Date();
-      if (subscriptionFrequency === 'weekly') nextBilling.setDate(nextBilling.getDate() + 7);
-      else if (subscriptionFrequency === 'bi-weekly') nextBilling.setDate(nextBilling.getDate() + 14);
-      else nextBilling.setMonth(nextBilling.getMonth() + 1);
-
-      const subscription = new Subscription({
-        user: userId,
-        products: orderItems.map(item => ({
-          product: item.product,
-          quantity: item.quantity,
-          size: item.size,
-          price: item.price
-        })),
-        frequency: subscriptionFrequency,
-        nextBillingDate: nextBilling,
-        shippingAddress: order.shippingAddress,
-        paymentMethod: order.paymentMethod
-      });
-      await subscription.save({ session });
+      const subscription = await createSubscriptionFromOrder(savedOrder, { frequency: subscriptionFrequency }, session);
+      if (subscription) savedOrder.subscription = subscription._id;
     }
 
-    // Update product stock (Atomic Reservation)
-    for (const update of stockUpdates) {
-      // Find the product being updated
-      const baseProduct = await Product.findById(update.productId).session(session);
-
-      if (baseProduct.isBundle) {
-        // Decrement from kids if it's a bundle
-        for (const detail of baseProduct.bundleDetails) {
-          const totalToDecrement = detail.quantity * update.quantity;
-
-          const updatedChild = await Product.findOneAndUpdate(
-            { _id: detail.product, "inventory.stock": { $gte: totalToDecrement } },
-            { $inc: { "inventory.stock": -totalToDecrement } },
-            { session, new: true }
-          );
-
-          if (!updatedChild) {
-            throw new Error(`Insufficient stock for bundle component: ${detail.product}`);
-          }
-        }
-      } else {
-        // Standard Atomic Update for single product
-        const updatedProduct = await Product.findOneAndUpdate(
-          { _id: update.productId, "inventory.stock": { $gte: update.quantity } },
-          { $inc: { "inventory.stock": -update.quantity } },
-          { session, new: true }
-        );
-
-        if (!updatedProduct) {
-          throw new Error(`Insufficient stock for product: ${baseProduct.name}`);
-        }
-
-        // Automatic inStock sync
-        if (updatedProduct.inventory.stock <= 0) {
-          await Product.updateOne({ _id: update.productId }, { $set: { inStock: false } }, { session });
-        }
-
-        // Low Stock Alert
-        if (updatedProduct.inventory.stock <= updatedProduct.inventory.lowStockAlert) {
-          sendLowStockAlert(updatedProduct).catch(console.error);
-        }
-      }
+    // Update product stock (Atomic Reservation, per size)
+    for (const item of savedOrder.items) {
+      if (item.isGiftCard) continue;
+      await reserveOrderLine(item, { order: savedOrder._id, user: userId }, session);
     }
 
+    if (savedOrder.isModified()) await savedOrder.save({ session });
+
     await session.commitTransaction();
     session.endSession();
 
     console.log('✅ Order saved successfully:', savedOrder.orderNumber);
 
-    // ✅ LOYALTY POINTS: Award 1 point per 100 KES
-    try {
-      const pointsEarned = Math.floor(finalTotal / 100);
-      if (pointsEarned > 0) {
-        await User.findByIdAndUpdate(userId, { $inc: { loyaltyPoints: pointsEarned } }, { session });
-        console.log(`✨ Awarded ${pointsEarned} loyalty points to user ${userId}`);
-      }
-    } catch (loyaltyError) {
-      console.error('⚠️ Loyalty points error:', loyaltyError);
+    if (paidInFull) {
+      await issueOrderGiftCards(savedOrder._id);
+      await rewardReferral(savedOrder._id);
     }
 
     // Populate order for response
@@ -360,7 +387,9 @@ const createOrder = asyncHandler(async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Order placed successfully!',
-      data: populatedOrder
+      data: populatedOrder,
+      // Shown once: the guest's key to this order (also in the confirmation email)
+      accessToken: guestAccess?.token
     });
 
     // Send order confirmation email
@@ -393,7 +422,8 @@ const createOrder = asyncHandler(async (req, res) => {
         orderItems,
         finalTotal,
         savedOrder.trackingNumber,
-        logoUrl
+        logoUrl,
+        guestAccess ? guestOrderUrl(savedOrder, guestAccess.token) : undefined
       );
 
       sendEmail({
@@ -411,6 +441,14 @@ const createOrder = asyncHandler(async (req, res) => {
 
     console.error('❌ Order creation error:', error);
 
+    // The same quote placed twice at once — the first one won
+    if (error.code === 11000 && error.keyPattern?.quoteId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has already been placed. Please check your orders before trying again.'
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -651,145 +689,56 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     trackingNumber,
     adminNotes,
     location,
-    message
+    message,
+    paymentReference
   } = req.body;
 
-  const order = await Order.findById(req.params.id);
+  let order = await Order.findById(req.params.id);
 
   if (!order) {
     res.status(404);
     throw new Error('Order not found');
   }
 
-  // Track changes for history logging
-  const changes = [];
-
-  // Status Label Map for better UX
-  const STATUS_LABELS = {
-    unfulfilled: 'Confirmed',
-    packed: 'Processing',
-    shipped: 'Shipped',
-    delivered: 'Delivered',
-    returned: 'Returned'
-  };
-
-  // 1. Update Payment Status
-  if (paymentStatus && order.paymentStatus !== paymentStatus) {
-    order.paymentStatus = paymentStatus;
-    changes.push(`Payment status updated to ${paymentStatus}`);
-
-    // Auto-update event log
-    order.orderEvents.push({
-      status: 'PAYMENT_UPDATE',
-      note: `Payment status changed to ${paymentStatus} by admin`,
-      user: req.user._id
-    });
-  }
-
-  // 2. Update Fulfillment Status
-  if (fulfillmentStatus && order.fulfillmentStatus !== fulfillmentStatus) {
-    // Validation for tracking number
-    if (fulfillmentStatus === 'shipped' && !trackingNumber && !order.trackingNumber) {
-      res.status(400);
-      throw new Error('Tracking number is required when marking an order as shipped.');
+  // Marking an order paid by hand records its balance as a payment, so the
+  // ledger still adds up (part payments go through POST /api/admin/orders/:id/payments)
+  if (paymentStatus === 'paid' && order.paymentStatus !== 'paid') {
+    try {
+      await recordManualPayment(order, {
+        amount: order.balanceDue,
+        reference: paymentReference,
+        note: 'Marked paid by admin',
+        user: req.user._id
+      });
+    } catch (error) {
+      if (error.statusCode) res.status(error.statusCode);
+      throw error;
     }
-
-    order.fulfillmentStatus = fulfillmentStatus;
-    const fulfillmentLabel = STATUS_LABELS[fulfillmentStatus] || fulfillmentStatus;
-    changes.push(`Fulfillment status updated to ${fulfillmentLabel}`);
-
-    // Auto-update event log
-    order.orderEvents.push({
-      status: 'FULFILLMENT_UPDATE',
-      note: `Fulfillment status changed to ${fulfillmentLabel} by admin`,
-      user: req.user._id
-    });
-  }
-
-  // 3. Update Overall Order Status (Optional, often derived, but allow manual override)
-  if (orderStatus && order.orderStatus !== orderStatus) {
-    order.orderStatus = orderStatus;
-    changes.push(`Order status updated to ${orderStatus}`);
-
-    order.orderEvents.push({
-      status: 'ORDER_UPDATE',
-      note: `Order status changed to ${orderStatus} by admin`,
-      user: req.user._id
-    });
+    order = await Order.findById(order._id);
   }
 
-  // Update Metadata
-  if (trackingNumber) order.trackingNumber = trackingNumber;
-  if (adminNotes) order.notes = adminNotes; // Map adminNotes to notes or new field
-
-  // Legacy support: Update statusUpdatedAt if any change
-  if (changes.length > 0) {
-    order.statusUpdatedAt = new Date();
-  }
+  if (adminNotes) order.notes = adminNotes;
 
-  // Add to legacy trackingHistory for backward compatibility / frontend display
-  if (changes.length > 0) {
-    const rawFulfill = fulfillmentStatus || order.fulfillmentStatus;
-    const historyStatus = STATUS_LABELS[rawFulfill] || rawFulfill;
-
-    order.trackingHistory.push({
-      status: historyStatus.toLowerCase(), // Store lowercase for icon mapping
-      location: location || '',
-      message: message || changes.join('. '),
-      timestamp: new Date()
+  // Legal moves, guards, events, restock and the customer email live in the lifecycle
+  try {
+    await transitionOrder(order, { orderStatus, paymentStatus, fulfillmentStatus }, {
+      user: req.user._id,
+      trackingNumber,
+      location,
+      message
     });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
   }
 
-  const updatedOrder = await order.save();
-
   // Re-populate for frontend consistency
-  await updatedOrder.populate('user', 'firstName lastName email');
-
-  // SEND EMAIL NOTIFICATION (Only for significant fulfillment/payment changes)
-  if ((fulfillmentStatus && ['shipped', 'delivered', 'returned'].includes(fulfillmentStatus)) || message) {
-    try {
-      // Fetch store logo
-      let logoUrl;
-      try {
-        const { default: Settings } = await import('../models/Settings.js');
-        const settings = await Settings.getSettings();
-        logoUrl = settings?.store?.logo;
-      } catch (e) {
-        // ignore
-      }
-
-      // Determine effective status for email (use label)
-      const rawStatus = fulfillmentStatus || order.fulfillmentStatus;
-      const emailStatus = STATUS_LABELS[rawStatus] || rawStatus;
-
-      const emailHtml = getOrderStatusEmail(
-        updatedOrder.user.firstName,
-        updatedOrder.orderNumber,
-        emailStatus,
-        updatedOrder.trackingNumber,
-        message || `Your order is now ${emailStatus}.`,
-        logoUrl
-      );
-
-      // Dynamic subject based on status
-      const subject = `Order Update: ${emailStatus} - #${updatedOrder.orderNumber}`;
-
-      await sendEmail({
-        to: updatedOrder.user.email,
-        subject: subject,
-        html: emailHtml
-      });
-
-      console.log(`📧 Status update email sent to ${updatedOrder.user.email}`);
-    } catch (emailError) {
-      console.error('❌ Failed to send status update email:', emailError);
-    }
-  }
+  await order.populate('user', 'firstName lastName email');
 
   res.json({
     success: true,
     message: 'Order status updated successfully',
-    data: updatedOrder
+    data: order
   });
 });
 
@@ -873,8 +822,9 @@ const generateOrderInvoice = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if user owns the order or is admin
-  if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Check if user owns the order or is admin (guest orders have no user)
+  const isAdmin = req.user.role === 'admin' || req.user.role === 'super-admin';
+  if (!isAdmin && order.user?._id?.toString() !== req.user._id.toString()) {
     res.status(403);
     throw new Error('Not authorized to access this invoice');
   }
@@ -886,30 +836,80 @@ const generateOrderInvoice = asyncHandler(async (req, res) => {
   generateInvoice(order, res);
 });
 
-// @desc    Validate coupon code
-// @route   POST /api/orders/validate-coupon
-// @access  Private
-const validateCoupon = asyncHandler(async (req, res) => {
-  const { code, subtotal } = req.body;
-  if (!code) {
-    return res.status(400).json({ success: false, message: 'Coupon code is required' });
+// A guest order the request's access token opens (404 otherwise, so order
+// numbers can't be probed)
+const findGuestOrder = async (req, res) => {
+  const { id } = req.params;
+  const order = await Order.findOne(mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { orderNumber: id })
+    .select('+guestAccessToken')
+    .populate('user', 'firstName lastName email phone')
+    .populate('items.product', 'name images price category');
+
+  if (!hasGuestAccess(order, orderAccessTokenFrom(req))) {
+    res.status(404);
+    throw new Error('Order not found. Please use the link from your confirmation email.');
   }
 
-  const coupon = await Coupon.findOne({ code: code.toUpperCase(), isActive: true });
+  order.guestAccessToken = undefined;
+  return order;
+};
 
-  if (!coupon) {
-    return res.status(404).json({ success: false, message: 'Invalid coupon code' });
-  }
+// @desc    Get a guest order with its access token
+// @route   GET /api/orders/guest/:id
+// @access  Public (order access token)
+const getGuestOrder = asyncHandler(async (req, res) => {
+  const order = await findGuestOrder(req, res);
+
+  res.json({
+    success: true,
+    data: order
+  });
+});
+
+// @desc    PDF invoice for a guest order
+// @route   GET /api/orders/guest/:id/invoice
+// @access  Public (order access token)
+const generateGuestOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await findGuestOrder(req, res);
 
-  if (!coupon.isValid()) {
-    return res.status(400).json({ success: false, message: 'Coupon has expired or reached usage limit' });
+  const { default: generateInvoice } = await import('../utils/invoiceGenerator.js');
+  generateInvoice(order, res);
+});
+
+// @desc    Automatic promotions for a cart
+// @route   POST /api/orders/price-cart
+// @access  Public
+const priceCart = asyncHandler(async (req, res) => {
+  const { items } = req.body;
+  const lines = await couponLinesForCart(Array.isArray(items) ? items.slice(0, 100) : []);
+  const pricing = await evaluatePromotions(lines);
+
+  res.json({
+    success: true,
+    data: pricing
+  });
+});
+
+// @desc    Validate coupon code (guests send their checkout email for per-customer rules)
+// @route   POST /api/orders/validate-coupon
+// @access  Public (optional login)
+const validateCoupon = asyncHandler(async (req, res) => {
+  const { code, items } = req.body;
+  if (!code) {
+    return res.status(400).json({ success: false, message: 'Coupon code is required' });
   }
 
-  if (subtotal && subtotal < coupon.minOrderAmount) {
-    return res.status(400).json({
-      success: false,
-      message: `Minimum order amount for this coupon is KES ${coupon.minOrderAmount}`
-    });
+  // Same rules and pricing as createOrder, against the customer's cart
+  let coupon;
+  let applied;
+  try {
+    const lines = await couponLinesForCart(Array.isArray(items) ? items : []);
+    assertCouponAllowed(await evaluatePromotions(lines));
+    coupon = await findCoupon(code);
+    applied = await applyCoupon(coupon, { lines, userId: req.user?._id, email: sanitizeEmail(req.body.email || '') });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({ success: false, message: error.message });
   }
 
   res.json({
@@ -917,7 +917,8 @@ const validateCoupon = asyncHandler(async (req, res) => {
     data: {
       code: coupon.code,
       discountType: coupon.discountType,
-      discountAmount: coupon.discountAmount
+      discountAmount: coupon.discountAmount,
+      ...applied
     }
   });
 });
@@ -932,5 +933,8 @@ export {
   logAbandonedCheckout,
   getAbandonedCheckouts,
   generateOrderInvoice,
+  getGuestOrder,
+  generateGuestOrderInvoice,
+  priceCart,
   validateCoupon
 };
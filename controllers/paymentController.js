@@ -1,184 +1,152 @@
 import asyncHandler from 'express-async-handler';
 import Order from '../models/Order.js';
 import PaymentTransaction from '../models/PaymentTransaction.js';
-
-// @desc    Process Card Payment
-// @route   POST /api/payments/card
-// @access  Private
-export const processCardPayment = asyncHandler(async (req, res) => {
-  const { orderId, cardDetails } = req.body;
-
-  console.log(`💳 Processing Card Payment for Order: ${orderId}`);
-
-  // 1. Find the order
-  const order = await Order.findById(orderId);
-
+import { initiatePayment, refreshPaymentStatus, isSandboxMode, recordManualPayment, getReconciliationReport } from '../services/paymentService.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { orderAccessTokenFrom, hasGuestAccess } from '../services/guestCheckoutService.js';
+
+// The order's customer, an admin, or a guest holding the order's access token
+const canPayFor = (order, req) => req.user
+  ? order.user?.toString() === req.user._id.toString() || ['admin', 'super-admin'].includes(req.user.role)
+  : hasGuestAccess(order, orderAccessTokenFrom(req));
+
+// @desc    Start paying for an order (M-Pesa, Airtel, card) — in full, its deposit, or toward the balance
+// @route   POST /api/payments/initiate
+// @access  Private (or guest with the order's access token)
+export const startPayment = asyncHandler(async (req, res) => {
+  const { orderId, phoneNumber, card, scenario, amount, method } = req.body;
+
+  const order = await Order.findById(orderId).select('+guestAccessToken');
   if (!order) {
-    return res.status(404).json({ success: false, message: 'Order not found' });
+    res.status(404);
+    throw new Error('Order not found');
   }
-
-  // 2. Security Check: Prevent double payment
-  if (order.paymentStatus === 'paid') {
-    return res.status(400).json({ success: false, message: 'Order is already paid' });
+  if (!canPayFor(order, req)) {
+    res.status(403);
+    throw new Error('Not authorized to pay for this order');
   }
 
-  // 3. Simulate Payment Processing (In production, integrate with Stripe/Flutterwave here)
-  const isSuccessful = true; // Simulated success for dev
-  const transactionId = `STRP-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-
-  // 4. Create Transaction Record
-  const transaction = await PaymentTransaction.create({
-    order: order._id,
-    provider: 'STRIPE',
-    transactionId: transactionId,
-    amount: order.total,
-    currency: 'KES',
-    status: isSuccessful ? 'SUCCESS' : 'FAILED',
-    rawResponse: { simulation: true, method: 'card' },
-    metadata: {
-      cardBrand: cardDetails?.brand || 'visa',
-      last4: cardDetails?.cardNumber?.slice(-4) || 'XXXX'
-    }
-  });
+  console.log(`💳 Starting ${method || order.paymentMethod} payment for order #${order.orderNumber}`);
 
-  if (isSuccessful) {
-    order.paymentStatus = 'paid';
-    order.transactionId = transactionId;
-    order.orderEvents.push({
-      status: 'PAYMENT_CONFIRMED',
-      note: `Card payment successful via Stripe simulator. Transaction: ${transactionId}`,
-      user: req.user?._id
-    });
+  try {
+    const { transaction, result } = await initiatePayment(order, {
+      phoneNumber,
+      // Only what the sandbox needs to pick a scenario — never the full card
+      card: card?.last4 ? { last4: String(card.last4).slice(-4), brand: card.brand } : undefined,
+      scenario: isSandboxMode() ? scenario : undefined,
+      amount,
+      method
+    }, { user: req.user?._id });
 
-    await order.save();
-
-    console.log(`✅ Order ${order.orderNumber} PAID via Card. Transaction: ${transactionId}`);
-    return res.json({
+    res.status(201).json({
       success: true,
-      message: 'Card payment processed successfully',
-      data: { transactionId, transaction: transaction._id }
-    });
-  } else {
-    order.paymentStatus = 'failed';
-    order.orderEvents.push({
-      status: 'PAYMENT_FAILED',
-      note: 'Card payment failed at gateway simulation',
-      user: req.user?._id
+      message: result.message || 'Payment started',
+      data: {
+        reference: transaction.transactionId,
+        amount: transaction.amount,
+        status: result.status,
+        redirectUrl: result.redirectUrl,
+        sandbox: transaction.provider === 'SANDBOX'
+      }
     });
-    await order.save();
-    return res.status(400).json({ success: false, message: 'Card payment failed' });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
   }
 });
 
-// @desc    Process M-Pesa Express (STK Push)
-// @route   POST /api/payments/mpesa/stk
-// @access  Private
-export const processMpesaPayment = asyncHandler(async (req, res) => {
-  const { orderId, phoneNumber } = req.body;
-
-  console.log(`📱 Initiating M-Pesa STK Push for Order: ${orderId} to ${phoneNumber}`);
-
-  const order = await Order.findById(orderId);
-  if (!order) {
-    return res.status(404).json({ success: false, message: 'Order not found' });
+// @desc    Where a payment stands (asks the provider while it's still pending)
+// @route   GET /api/payments/:reference/status
+// @access  Private (or guest with the order's access token)
+export const getPaymentStatus = asyncHandler(async (req, res) => {
+  let transaction = await PaymentTransaction.findOne({ transactionId: req.params.reference, type: 'PAYMENT' });
+  const order = transaction && await Order.findById(transaction.order).select('user orderNumber paymentStatus +guestAccessToken');
+  if (!transaction || !order) {
+    res.status(404);
+    throw new Error('Payment not found');
+  }
+  if (!canPayFor(order, req)) {
+    res.status(403);
+    throw new Error('Not authorized to view this payment');
   }
 
-  // Simulate triggering STK Push
-  // In real implementation, call Daraja API here
-
-  // Create a PENDING transaction record
-  const transactionId = `MPESA-STK-${Date.now()}`;
-  await PaymentTransaction.create({
-    order: order._id,
-    provider: 'MPESA',
-    transactionId: transactionId,
-    amount: order.total,
-    currency: 'KES',
-    status: 'PENDING',
-    rawResponse: { simulation: true, method: 'stk_push' },
-    metadata: { phoneNumber }
-  });
-
-  order.orderEvents.push({
-    status: 'PAYMENT_INITIATED',
-    note: `M-Pesa STK Push initiated for ${phoneNumber}. Ext ID: ${transactionId}`,
-    user: req.user?._id
-  });
+  try {
+    transaction = await refreshPaymentStatus(transaction);
+  } catch (error) {
+    // The gateway being slow to answer isn't the customer's problem — keep polling
+    console.warn(`⚠️ Status check failed for ${transaction.transactionId}:`, error.message);
+  }
 
-  await order.save();
+  // Re-read: the refresh may have just paid (or failed) the order
+  const { paymentStatus } = await Order.findById(order._id).select('paymentStatus');
 
   res.json({
     success: true,
-    message: 'STK Push initiated successfully. Please check your phone.'
+    data: {
+      reference: transaction.transactionId,
+      status: transaction.status,
+      message: transaction.metadata?.resultMessage,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      paymentStatus
+    }
   });
 });
 
-// @desc    Simulate M-Pesa Webhook Callback
-// @route   POST /api/payments/mpesa/callback (Simulated)
-// @access  Public (Simulated Webhook)
-export const simulateMpesaWebhook = asyncHandler(async (req, res) => {
-  const { orderNumber, amount, transactionId, status } = req.body;
-
-  console.log('📡 Received Simulated M-Pesa Webhook:', req.body);
-
-  // 1. Find the order
-  const order = await Order.findOne({ orderNumber });
+// @desc    Record money received outside the gateways (Paybill, cash, bank) against an order
+// @route   POST /api/admin/orders/:id/payments
+// @access  Private/Admin
+export const recordOrderPayment = asyncHandler(async (req, res) => {
+  const { amount, reference, method, note } = req.body;
 
+  const order = await Order.findById(req.params.id);
   if (!order) {
-    console.error(`❌ Order not found for webhook: ${orderNumber}`);
-    return res.status(404).json({ message: 'Order not found' });
+    res.status(404);
+    throw new Error('Order not found');
   }
 
-  // 2. Update Transaction record if exists
-  const existingTx = await PaymentTransaction.findOne({ order: order._id, provider: 'MPESA' }).sort({ createdAt: -1 });
-  if (existingTx) {
-    existingTx.status = status === 'Success' ? 'SUCCESS' : 'FAILED';
-    existingTx.rawResponse = { ...existingTx.rawResponse, webhook: req.body };
-    if (transactionId) existingTx.transactionId = transactionId;
-    await existingTx.save();
-  } else if (status === 'Success') {
-    // Create new if none exists but successful
-    await PaymentTransaction.create({
-      order: order._id,
-      provider: 'MPESA',
-      transactionId: transactionId || `MPESA-WEB-${Date.now()}`,
-      amount: amount || order.total,
-      status: 'SUCCESS',
-      rawResponse: req.body
-    });
+  let outcome;
+  try {
+    outcome = await recordManualPayment(order, { amount, reference, method, note, user: req.user._id });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
   }
 
-  // 3. Update Order Status
-  if (status === 'Success') {
-    if (order.paymentStatus === 'paid') {
-      return res.json({ message: 'Order already paid, ignoring duplicate webhook' });
-    }
-
-    order.paymentStatus = 'paid';
-    order.transactionId = transactionId || `MPESA-${Date.now()}`;
+  const updated = await Order.findById(order._id).populate('user', 'firstName lastName email');
 
-    // Add Event Log
-    order.orderEvents.push({
-      status: 'PAYMENT_CONFIRMED',
-      note: `M-Pesa Payment Confirmed via Webhook. ID: ${order.transactionId}. Amount: ${amount}`,
-      user: null // System event
-    });
-
-    await order.save();
-    console.log(`✅ Order ${orderNumber} marked as PAID via M-Pesa simulation.`);
+  await logActivity(req, 'ORDER_PAYMENT_RECORDED', `Recorded KES ${Number(amount).toLocaleString()} on order #${order.orderNumber}`, order._id, {
+    reference: outcome.transaction?.transactionId,
+    method: outcome.transaction?.metadata?.method,
+    paymentStatus: updated.paymentStatus,
+    balanceDue: updated.balanceDue,
+    overpaidAmount: updated.overpaidAmount
+  });
 
-    return res.json({ success: true, message: 'Payment processed successfully' });
+  res.status(201).json({
+    success: true,
+    message: !outcome.applied
+      ? `Payment recorded but not applied: ${outcome.reason}`
+      : updated.paymentStatus === 'partially_paid'
+        ? `Part payment recorded — KES ${updated.balanceDue.toLocaleString()} still due`
+        : updated.overpaidAmount > 0
+          ? `Order paid — KES ${updated.overpaidAmount.toLocaleString()} overpaid, recorded as customer credit`
+          : 'Payment recorded — order is paid',
+    data: {
+      transaction: outcome.transaction,
+      order: updated
+    }
+  });
+});
 
-  } else {
-    // Payment Failed
-    order.paymentStatus = 'failed';
-    order.orderEvents.push({
-      status: 'PAYMENT_FAILED',
-      note: `M-Pesa Payment Failed via Webhook. Status: ${status}`,
-      user: null
-    });
-    await order.save();
+// @desc    Payments that don't match their orders (short, over, unapplied), plus part-paid balances
+// @route   GET /api/admin/reports/payment-reconciliation
+// @access  Private/Admin
+export const getPaymentReconciliation = asyncHandler(async (req, res) => {
+  const report = await getReconciliationReport({ from: req.query.from, to: req.query.to });
 
-    return res.json({ success: true, message: 'Payment failure recorded' });
-  }
-});
\ No newline at end of file
+  res.json({
+    success: true,
+    data: report
+  });
+});
@@ -1,6 +1,9 @@
 // controllers/productController.js
 import asyncHandler from 'express-async-handler';
 import Product from '../models/Product.js';
+import StockMovement, { MANUAL_STOCK_REASONS } from '../models/StockMovement.js';
+import { normalizeSizes, hasVariantStock, resolveStockVariant } from '../utils/variantInventory.js';
+import { getFreshnessPolicy, getFreshness, applyFreshness, saleableFilter } from '../utils/freshness.js';
 
 // @desc    Get all products
 // @route   GET /api/products
@@ -15,17 +18,18 @@ const getProducts = asyncHandler(async (req, res) => {
     limit = 12
   } = req.query;
 
-  let filter = { isActive: true };
+  const policy = await getFreshnessPolicy();
+  let filter = { isActive: true, ...saleableFilter(policy) };
 
   if (category && category !== 'all') {
     filter.category = category;
   }
 
   if (search) {
-    filter.$or = [
+    filter.$and = [{ $or: [
       { name: { $regex: search, $options: 'i' } },
       { description: { $regex: search, $options: 'i' } }
-    ];
+    ] }];
   }
 
   if (featured === 'true') {
@@ -52,7 +56,7 @@ const getProducts = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      products,
+      products: products.map(p => applyFreshness(p, policy)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -69,15 +73,17 @@ const getProducts = asyncHandler(async (req, res) => {
 // @access  Public
 const getProductById = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
+  const policy = await getFreshnessPolicy();
 
-  if (!product || !product.isActive) {
+  // Beans past the freshness limit are off sale, same as an inactive product
+  if (!product || !product.isActive || getFreshness(product, policy)?.stage === 'expired') {
     res.status(404);
     throw new Error('Product not found');
   }
 
   res.json({
     success: true,
-    data: product
+    data: applyFreshness(product, policy)
   });
 });
 
@@ -85,15 +91,17 @@ const getProductById = asyncHandler(async (req, res) => {
 // @route   GET /api/products/featured/products
 // @access  Public
 const getFeaturedProducts = asyncHandler(async (req, res) => {
+  const policy = await getFreshnessPolicy();
   const products = await Product.find({
     isFeatured: true,
     isActive: true,
-    inStock: true
-  }).limit(8);
+    inStock: true,
+    ...saleableFilter(policy)
+  }).limit(8).lean();
 
   res.json({
     success: true,
-    data: products
+    data: products.map(p => applyFreshness(p, policy))
   });
 });
 
@@ -104,15 +112,17 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
   const { category } = req.params;
   const { limit = 12 } = req.query;
 
+  const policy = await getFreshnessPolicy();
   const products = await Product.find({
     category,
     isActive: true,
-    inStock: true
-  }).limit(parseInt(limit));
+    inStock: true,
+    ...saleableFilter(policy)
+  }).limit(parseInt(limit)).lean();
 
   res.json({
     success: true,
-    data: products
+    data: products.map(p => applyFreshness(p, policy))
   });
 });
 
@@ -158,13 +168,24 @@ const createProduct = asyncHandler(async (req, res) => {
     url: file.path
   })) : [];
 
+  const parsedInventory = (typeof inventory === 'string' ? JSON.parse(inventory) : inventory) || {};
+  const stock = parseInt(parsedInventory.stock) || 0;
+  const lowStockAlert = parseInt(parsedInventory.lowStockAlert) || 5;
+
+  let normalizedSizes;
+  try {
+    normalizedSizes = normalizeSizes(parsedSizes, { lowStockAlert });
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+  // Legacy single-counter payloads: the whole stock belongs to the first size
+  if (!hasVariantStock(parsedSizes)) normalizedSizes[0].stock = stock;
+
   const product = new Product({
     name: name.trim(),
     description: description.trim(),
-    sizes: parsedSizes.map(size => ({
-      size: size.size,
-      price: parseFloat(size.price)
-    })),
+    sizes: normalizedSizes,
     images,
     category,
     roastLevel: category === 'coffee-beans' ? roastLevel : undefined,
@@ -174,10 +195,7 @@ const createProduct = asyncHandler(async (req, res) => {
         flavorNotes.split(',').map(note => note.trim()).filter(note => note) :
         flavorNotes) : [],
     badge: badge?.trim() || '',
-    inventory: {
-      stock: parseInt((typeof inventory === 'string' ? JSON.parse(inventory) : inventory)?.stock) || 0,
-      lowStockAlert: parseInt((typeof inventory === 'string' ? JSON.parse(inventory) : inventory)?.lowStockAlert) || 5
-    },
+    inventory: { stock, lowStockAlert },
     tags: tags ?
       (typeof tags === 'string' ?
         tags.split(',').map(tag => tag.trim()).filter(tag => tag) :
@@ -188,11 +206,13 @@ const createProduct = asyncHandler(async (req, res) => {
     isBundle: req.body.isBundle === 'true' || req.body.isBundle === true,
     bundleDetails: req.body.bundleDetails ? (typeof req.body.bundleDetails === 'string' ? JSON.parse(req.body.bundleDetails) : req.body.bundleDetails) : [],
     isSubscriptionAvailable: req.body.isSubscriptionAvailable === 'true' || req.body.isSubscriptionAvailable === true,
+    isGiftCard: req.body.isGiftCard === 'true' || req.body.isGiftCard === true,
     flavorProfiles: req.body.flavorProfiles ? (typeof req.body.flavorProfiles === 'string' ? JSON.parse(req.body.flavorProfiles) : req.body.flavorProfiles) : undefined,
     roastDate: req.body.roastDate || new Date()
   });
 
   const createdProduct = await product.save();
+  await StockMovement.recordChanges(createdProduct, [], { reason: 'opening_balance', user: req.user._id });
 
   res.status(201).json({
     success: true,
@@ -211,6 +231,7 @@ const updateProduct = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Product not found');
   }
+  const stockBefore = StockMovement.snapshot(product);
 
   const {
     name,
@@ -238,15 +259,17 @@ const updateProduct = asyncHandler(async (req, res) => {
   }
 
   // Update sizes
+  let sizesCarryStock = false;
   if (sizes) {
     let parsedSizes;
     try {
       parsedSizes = typeof sizes === 'string' ? JSON.parse(sizes) : sizes;
+      sizesCarryStock = Array.isArray(parsedSizes) && hasVariantStock(parsedSizes);
       if (Array.isArray(parsedSizes) && parsedSizes.length > 0) {
-        product.sizes = parsedSizes.map(size => ({
-          size: size.size,
-          price: parseFloat(size.price)
-        }));
+        product.sizes = normalizeSizes(parsedSizes, {
+          existingSizes: product.sizes,
+          lowStockAlert: product.inventory.lowStockAlert
+        });
       }
     } catch (error) {
       res.status(400);
@@ -254,13 +277,20 @@ const updateProduct = asyncHandler(async (req, res) => {
     }
   }
 
-  // Update inventory
+  // Update inventory — a bare stock figure only applies to single-size products
   if (inventory) {
     const parsedInventory = typeof inventory === 'string' ? JSON.parse(inventory) : inventory;
-    product.inventory = {
-      stock: parseInt(parsedInventory.stock) || product.inventory.stock,
-      lowStockAlert: parseInt(parsedInventory.lowStockAlert) || product.inventory.lowStockAlert
-    };
+    const newStock = parseInt(parsedInventory.stock);
+    product.inventory.lowStockAlert = parseInt(parsedInventory.lowStockAlert) || product.inventory.lowStockAlert;
+
+    if (!sizesCarryStock && !isNaN(newStock) && newStock !== product.inventory.stock) {
+      if (product.sizes.length > 1) {
+        res.status(400);
+        throw new Error('This product has several sizes. Please set stock per size.');
+      }
+      if (product.sizes.length === 1) product.sizes[0].stock = newStock;
+      else product.inventory.stock = newStock;
+    }
   }
 
   // Update arrays
@@ -286,6 +316,11 @@ const updateProduct = asyncHandler(async (req, res) => {
   }
 
   const updatedProduct = await product.save();
+  await StockMovement.recordChanges(updatedProduct, stockBefore, {
+    reason: 'manual_adjustment',
+    note: 'Product edit',
+    user: req.user._id
+  });
 
   res.json({
     success: true,
@@ -319,22 +354,38 @@ const deleteProduct = asyncHandler(async (req, res) => {
 // @route   PATCH /api/products/:id/stock
 // @access  Private/Admin
 const updateProductStock = asyncHandler(async (req, res) => {
-  const { stock } = req.body;
+  const { stock, size, reason = 'manual_adjustment', note, reference } = req.body;
 
-  const product = await Product.findByIdAndUpdate(
-    req.params.id,
-    {
-      'inventory.stock': parseInt(stock),
-      inStock: parseInt(stock) > 0
-    },
-    { new: true }
-  );
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     res.status(404);
     throw new Error('Product not found');
   }
 
+  const newStock = parseInt(stock);
+  if (isNaN(newStock) || newStock < 0) {
+    res.status(400);
+    throw new Error('Invalid stock value');
+  }
+
+  const { variant, error } = resolveStockVariant(product, size);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  if (!MANUAL_STOCK_REASONS.includes(reason)) {
+    res.status(400);
+    throw new Error(`Invalid reason. Use one of: ${MANUAL_STOCK_REASONS.join(', ')}`);
+  }
+  if (reason === 'damage' && newStock > (variant || product.inventory).stock) {
+    res.status(400);
+    throw new Error('Damaged stock can only reduce the count');
+  }
+
+  await product.updateStock(newStock, variant?.size, { reason, note, reference, user: req.user._id });
+
   res.json({
     success: true,
     message: 'Product stock updated successfully',
@@ -399,19 +450,17 @@ const deleteProductImage = asyncHandler(async (req, res) => {
 // @route   GET /api/products/slug/:slug
 // @access  Public
 const getProductBySlug = asyncHandler(async (req, res) => {
-  const product = await Product.findOne({ 'seo.slug': req.params.slug });
+  // Also try to find by ID if slug not found (fallback)
+  const product = await Product.findOne({ 'seo.slug': req.params.slug }) ||
+    await Product.findById(req.params.slug).catch(() => null);
+  const policy = await getFreshnessPolicy();
 
-  if (product) {
+  if (product && getFreshness(product, policy)?.stage !== 'expired') {
     res.json({
       success: true,
-      data: product
+      data: applyFreshness(product, policy)
     });
   } else {
-    // Also try to find by ID if slug not found (fallback)
-    const productById = await Product.findById(req.params.slug).catch(() => null);
-    if (productById) {
-      return res.json({ success: true, data: productById });
-    }
     res.status(404);
     throw new Error('Product not found');
   }
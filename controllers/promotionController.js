@@ -0,0 +1,169 @@
+import asyncHandler from 'express-async-handler';
+import Promotion from '../models/Promotion.js';
+import { describePromotion } from '../services/promotionService.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+// Fields staff can set; anything not sent is left as it is
+const PROMOTION_FIELDS = [
+    'name', 'description', 'isActive', 'startDate', 'endDate', 'products', 'categories',
+    'excludeSaleItems', 'minQuantity', 'minSubtotal', 'rewardType', 'rewardValue',
+    'freeProduct', 'freeQuantity', 'priority', 'stacking', 'allowCoupons'
+];
+
+const applyFields = (promotion, body) => {
+    for (const field of PROMOTION_FIELDS) {
+        if (body[field] !== undefined) promotion[field] = body[field];
+    }
+    // Empty form values mean "not set"
+    if (body.startDate === '') promotion.startDate = null;
+    if (body.endDate === '') promotion.endDate = null;
+    if (body.freeProduct === '') promotion.freeProduct = undefined;
+    if (Array.isArray(body.categories)) {
+        promotion.categories = body.categories.map(category => String(category).trim()).filter(Boolean);
+    }
+};
+
+// Why a promotion's settings don't add up, or null
+const ruleError = (promotion) => {
+    if (!promotion.name?.trim()) return 'Please give the promotion a name';
+    if (['percentage', 'fixed'].includes(promotion.rewardType) && !(promotion.rewardValue > 0)) {
+        return 'Please enter the discount amount';
+    }
+    if (promotion.rewardType === 'percentage' && promotion.rewardValue > 100) {
+        return 'A percentage discount cannot be more than 100%';
+    }
+    if (promotion.rewardType === 'free_item' && !promotion.freeProduct) {
+        return 'Choose the product that is given free';
+    }
+    if (promotion.startDate && promotion.endDate && promotion.startDate > promotion.endDate) {
+        return 'The start date must be before the end date';
+    }
+    return null;
+};
+
+const withSummary = (promotion) => ({ ...promotion.toObject(), summary: describePromotion(promotion) });
+
+// @desc    Get all promotions
+// @route   GET /api/admin/promotions
+// @access  Private/Admin
+const getPromotions = asyncHandler(async (req, res) => {
+    const promotions = await Promotion.find()
+        .populate('products', 'name')
+        .populate('freeProduct', 'name')
+        .sort({ isActive: -1, priority: -1, createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: promotions.map(withSummary)
+    });
+});
+
+// @desc    Create a promotion
+// @route   POST /api/admin/promotions
+// @access  Private/Admin
+const createPromotion = asyncHandler(async (req, res) => {
+    if (!req.body.name || !req.body.rewardType) {
+        res.status(400);
+        throw new Error('Please provide a name and a reward');
+    }
+
+    const promotion = new Promotion();
+    applyFields(promotion, req.body);
+
+    const problem = ruleError(promotion);
+    if (problem) {
+        res.status(400);
+        throw new Error(problem);
+    }
+    await promotion.save();
+
+    logActivity(req, 'PROMOTION_CREATE', promotion.name, promotion._id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Promotion created successfully',
+        data: promotion
+    });
+});
+
+// @desc    Update a promotion
+// @route   PUT /api/admin/promotions/:id
+// @access  Private/Admin
+const updatePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+        res.status(404);
+        throw new Error('Promotion not found');
+    }
+
+    applyFields(promotion, req.body);
+
+    const problem = ruleError(promotion);
+    if (problem) {
+        res.status(400);
+        throw new Error(problem);
+    }
+    await promotion.save();
+
+    logActivity(req, 'PROMOTION_UPDATE', promotion.name, promotion._id);
+
+    res.json({
+        success: true,
+        message: 'Promotion updated successfully',
+        data: promotion
+    });
+});
+
+// @desc    Toggle promotion status
+// @route   PATCH /api/admin/promotions/:id/toggle
+// @access  Private/Admin
+const togglePromotionStatus = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+        res.status(404);
+        throw new Error('Promotion not found');
+    }
+
+    promotion.isActive = !promotion.isActive;
+    await promotion.save();
+
+    logActivity(req, 'PROMOTION_TOGGLE', promotion.name, promotion._id, { isActive: promotion.isActive });
+
+    res.json({
+        success: true,
+        message: `Promotion ${promotion.isActive ? 'activated' : 'deactivated'} successfully`,
+        data: promotion
+    });
+});
+
+// @desc    Delete a promotion
+// @route   DELETE /api/admin/promotions/:id
+// @access  Private/Admin
+const deletePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+        res.status(404);
+        throw new Error('Promotion not found');
+    }
+
+    const name = promotion.name;
+    await promotion.deleteOne();
+
+    logActivity(req, 'PROMOTION_DELETE', name, promotion._id);
+
+    res.json({
+        success: true,
+        message: 'Promotion deleted successfully'
+    });
+});
+
+export {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    togglePromotionStatus,
+    deletePromotion
+};
@@ -0,0 +1,406 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Product from '../models/Product.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'supplies', 'leadTimeDays', 'notes', 'isActive'];
+
+const pickSupplierFields = (body) => SUPPLIER_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+}, {});
+
+// Validate PO lines against the catalogue; each line targets one size's stock pool
+const buildPurchaseOrderItems = async (items, res) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        res.status(400);
+        throw new Error('Add at least one item to the purchase order');
+    }
+
+    const built = [];
+    for (const [index, item] of items.entries()) {
+        if (!mongoose.Types.ObjectId.isValid(item.product)) {
+            res.status(400);
+            throw new Error(`Item ${index + 1}: invalid product`);
+        }
+
+        const product = await Product.findById(item.product).select('name sizes');
+        if (!product) {
+            res.status(400);
+            throw new Error(`Item ${index + 1}: product not found`);
+        }
+
+        let size = null;
+        if (product.sizes.length > 0) {
+            const variant = item.size
+                ? product.getVariant(item.size)
+                : product.sizes.length === 1 ? product.sizes[0] : null;
+            if (!variant) {
+                res.status(400);
+                throw new Error(item.size
+                    ? `${product.name} has no size ${item.size}`
+                    : `${product.name} has several sizes. Please choose one.`);
+            }
+            size = variant.size;
+        }
+
+        const quantityOrdered = parseInt(item.quantityOrdered);
+        const unitCost = parseFloat(item.unitCost);
+        if (isNaN(quantityOrdered) || quantityOrdered < 1) {
+            res.status(400);
+            throw new Error(`Item ${index + 1}: quantity must be at least 1`);
+        }
+        if (isNaN(unitCost) || unitCost < 0) {
+            res.status(400);
+            throw new Error(`Item ${index + 1}: invalid unit cost`);
+        }
+
+        built.push({ product: product._id, productName: product.name, size, quantityOrdered, unitCost });
+    }
+    return built;
+};
+
+// ==================== SUPPLIERS ====================
+
+// @desc    Get suppliers
+// @route   GET /api/admin/suppliers
+// @access  Private/Admin
+const getSuppliers = asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.json({
+        success: true,
+        data: suppliers
+    });
+});
+
+// @desc    Create a supplier
+// @route   POST /api/admin/suppliers
+// @access  Private/Admin
+const createSupplier = asyncHandler(async (req, res) => {
+    if (!req.body.name?.trim()) {
+        res.status(400);
+        throw new Error('Supplier name is required');
+    }
+
+    const exists = await Supplier.findOne({ name: req.body.name.trim() });
+    if (exists) {
+        res.status(400);
+        throw new Error('A supplier with this name already exists');
+    }
+
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+    logActivity(req, 'SUPPLIER_CREATE', supplier.name, supplier._id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Supplier created successfully',
+        data: supplier
+    });
+});
+
+// @desc    Update a supplier
+// @route   PUT /api/admin/suppliers/:id
+// @access  Private/Admin
+const updateSupplier = asyncHandler(async (req, res) => {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+        res.status(404);
+        throw new Error('Supplier not found');
+    }
+
+    supplier.set(pickSupplierFields(req.body));
+    const updated = await supplier.save();
+    logActivity(req, 'SUPPLIER_UPDATE', updated.name, updated._id);
+
+    res.json({
+        success: true,
+        message: 'Supplier updated successfully',
+        data: updated
+    });
+});
+
+// @desc    Delete a supplier (only if no purchase orders reference it)
+// @route   DELETE /api/admin/suppliers/:id
+// @access  Private/Admin
+const deleteSupplier = asyncHandler(async (req, res) => {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+        res.status(404);
+        throw new Error('Supplier not found');
+    }
+
+    const orderCount = await PurchaseOrder.countDocuments({ supplier: supplier._id });
+    if (orderCount > 0) {
+        res.status(400);
+        throw new Error(`${supplier.name} has ${orderCount} purchase order(s). Deactivate the supplier instead.`);
+    }
+
+    await supplier.deleteOne();
+    logActivity(req, 'SUPPLIER_DELETE', supplier.name, supplier._id);
+
+    res.json({
+        success: true,
+        message: 'Supplier deleted successfully'
+    });
+});
+
+// ==================== PURCHASE ORDERS ====================
+
+// @desc    Get purchase orders
+// @route   GET /api/admin/purchase-orders
+// @access  Private/Admin
+const getPurchaseOrders = asyncHandler(async (req, res) => {
+    const { status, supplier } = req.query;
+    const filter = {};
+    if (status && status !== 'all') filter.status = status;
+    if (supplier) filter.supplier = supplier;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+        .populate('supplier', 'name contactName email phone')
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: purchaseOrders
+    });
+});
+
+// @desc    Get one purchase order
+// @route   GET /api/admin/purchase-orders/:id
+// @access  Private/Admin
+const getPurchaseOrder = asyncHandler(async (req, res) => {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+        .populate('supplier')
+        .populate('createdBy', 'firstName lastName')
+        .populate('receipts.receivedBy', 'firstName lastName');
+
+    if (!purchaseOrder) {
+        res.status(404);
+        throw new Error('Purchase order not found');
+    }
+
+    res.json({
+        success: true,
+        data: purchaseOrder
+    });
+});
+
+// @desc    Create a draft purchase order
+// @route   POST /api/admin/purchase-orders
+// @access  Private/Admin
+const createPurchaseOrder = asyncHandler(async (req, res) => {
+    const { supplier: supplierId, items, expectedDate, notes } = req.body;
+
+    const supplier = mongoose.Types.ObjectId.isValid(supplierId) && await Supplier.findById(supplierId);
+    if (!supplier || !supplier.isActive) {
+        res.status(400);
+        throw new Error('Please choose an active supplier');
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+        supplier: supplier._id,
+        items: await buildPurchaseOrderItems(items, res),
+        expectedDate: expectedDate || undefined,
+        notes,
+        createdBy: req.user._id
+    });
+
+    logActivity(req, 'PURCHASE_ORDER_CREATE', `${purchaseOrder.poNumber} (${supplier.name})`, purchaseOrder._id);
+
+    await purchaseOrder.populate('supplier', 'name contactName email phone');
+    res.status(201).json({
+        success: true,
+        message: `Purchase order ${purchaseOrder.poNumber} created`,
+        data: purchaseOrder
+    });
+});
+
+// @desc    Edit a draft purchase order
+// @route   PUT /api/admin/purchase-orders/:id
+// @access  Private/Admin
+const updatePurchaseOrder = asyncHandler(async (req, res) => {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+        res.status(404);
+        throw new Error('Purchase order not found');
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+        res.status(400);
+        throw new Error('Only draft purchase orders can be edited');
+    }
+
+    const { supplier: supplierId, items, expectedDate, notes } = req.body;
+
+    if (supplierId && supplierId !== purchaseOrder.supplier.toString()) {
+        const supplier = mongoose.Types.ObjectId.isValid(supplierId) && await Supplier.findById(supplierId);
+        if (!supplier || !supplier.isActive) {
+            res.status(400);
+            throw new Error('Please choose an active supplier');
+        }
+        purchaseOrder.supplier = supplier._id;
+    }
+    if (items) purchaseOrder.items = await buildPurchaseOrderItems(items, res);
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate || undefined;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    const updated = await purchaseOrder.save();
+    await updated.populate('supplier', 'name contactName email phone');
+
+    res.json({
+        success: true,
+        message: 'Purchase order updated',
+        data: updated
+    });
+});
+
+// @desc    Place (draft → ordered) or cancel a purchase order
+// @route   PATCH /api/admin/purchase-orders/:id/status
+// @access  Private/Admin
+const updatePurchaseOrderStatus = asyncHandler(async (req, res) => {
+    const { status } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+        res.status(404);
+        throw new Error('Purchase order not found');
+    }
+
+    // Receiving statuses are driven by receipts, never set by hand
+    const allowed = {
+        ordered: ['draft'],
+        cancelled: ['draft', 'ordered']
+    };
+
+    if (!allowed[status]) {
+        res.status(400);
+        throw new Error('Status can only be changed to ordered or cancelled');
+    }
+    if (!allowed[status].includes(purchaseOrder.status)) {
+        res.status(400);
+        throw new Error(`Cannot move a ${purchaseOrder.status.replace('_', ' ')} purchase order to ${status}`);
+    }
+
+    purchaseOrder.status = status;
+    if (status === 'ordered') purchaseOrder.orderedAt = new Date();
+    if (status === 'cancelled') purchaseOrder.cancelledAt = new Date();
+
+    const updated = await purchaseOrder.save();
+    await updated.populate('supplier', 'name contactName email phone');
+    logActivity(req, 'PURCHASE_ORDER_STATUS', `${updated.poNumber} → ${status}`, updated._id);
+
+    res.json({
+        success: true,
+        message: `Purchase order ${updated.poNumber} marked ${status}`,
+        data: updated
+    });
+});
+
+// @desc    Receive goods against a purchase order (full or partial)
+// @route   POST /api/admin/purchase-orders/:id/receive
+// @access  Private/Admin
+const receivePurchaseOrder = asyncHandler(async (req, res) => {
+    const { lines, note } = req.body;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        res.status(400);
+        throw new Error('Enter the quantities received');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+        if (!purchaseOrder) {
+            res.status(404);
+            throw new Error('Purchase order not found');
+        }
+
+        if (!['ordered', 'partially_received'].includes(purchaseOrder.status)) {
+            res.status(400);
+            throw new Error(`Cannot receive against a ${purchaseOrder.status.replace('_', ' ')} purchase order`);
+        }
+
+        const receiptLines = [];
+        for (const line of lines) {
+            const quantity = parseInt(line.quantity) || 0;
+            if (quantity === 0) continue;
+
+            const item = purchaseOrder.items.id(line.itemId);
+            if (!item) {
+                res.status(400);
+                throw new Error('Purchase order line not found');
+            }
+            if (quantity < 0) {
+                res.status(400);
+                throw new Error(`Invalid quantity for ${item.productName}`);
+            }
+            if (quantity > item.quantityOutstanding) {
+                res.status(400);
+                throw new Error(`${item.productName}${item.size ? ` (${item.size})` : ''}: only ${item.quantityOutstanding} outstanding`);
+            }
+
+            // Goes through the same atomic stock path (and ledger) as every other stock change
+            const product = await Product.findById(item.product).select('sizes').session(session);
+            if (!product || (item.size && !product.getVariant(item.size))) {
+                res.status(400);
+                throw new Error(`${item.productName}${item.size ? ` (${item.size})` : ''} is no longer in the catalogue`);
+            }
+
+            await Product.releaseVariantStock(item.product, item.size, quantity, session, {
+                reason: 'purchase_receipt',
+                reference: purchaseOrder.poNumber,
+                user: req.user._id,
+                note
+            });
+
+            item.quantityReceived += quantity;
+            receiptLines.push({ item: item._id, quantity });
+        }
+
+        if (receiptLines.length === 0) {
+            res.status(400);
+            throw new Error('Enter the quantities received');
+        }
+
+        purchaseOrder.receipts.push({ receivedBy: req.user._id, lines: receiptLines, note });
+        purchaseOrder.syncReceivingStatus();
+        await purchaseOrder.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+
+        const units = receiptLines.reduce((sum, l) => sum + l.quantity, 0);
+        console.log(`📦 Received ${units} units against ${purchaseOrder.poNumber} (${purchaseOrder.status})`);
+        logActivity(req, 'PURCHASE_ORDER_RECEIVE', `${purchaseOrder.poNumber}: ${units} units`, purchaseOrder._id, { lines: receiptLines });
+
+        await purchaseOrder.populate('supplier', 'name contactName email phone');
+        res.json({
+            success: true,
+            message: `Received ${units} units — ${purchaseOrder.status === 'received' ? 'order complete' : 'partially received'}`,
+            data: purchaseOrder
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+    }
+});
+
+export {
+    getSuppliers,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier,
+    getPurchaseOrders,
+    getPurchaseOrder,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    updatePurchaseOrderStatus,
+    receivePurchaseOrder
+};
@@ -0,0 +1,123 @@
+import asyncHandler from 'express-async-handler';
+import Referral from '../models/Referral.js';
+import { ensureReferralCode, getReferralRules } from '../services/referralService.js';
+import { getLoyaltyRules } from '../services/loyaltyService.js';
+
+// @desc    The customer's invite code, what it earns and the friends who used it
+// @route   GET /api/referrals
+// @access  Private
+const getMyReferrals = asyncHandler(async (req, res) => {
+  const [code, rules, loyaltyRules, referrals] = await Promise.all([
+    ensureReferralCode(req.user),
+    getReferralRules(),
+    getLoyaltyRules(),
+    Referral.find({ referrer: req.user._id })
+      .populate('referee', 'firstName')
+      .sort({ createdAt: -1 })
+      .limit(100)
+  ]);
+
+  const rewarded = referrals.filter(r => r.status === 'rewarded');
+
+  res.json({
+    success: true,
+    data: {
+      enabled: !!rules.enabled,
+      code,
+      rewardType: rules.rewardType,
+      referrerReward: rules.referrerReward,
+      refereeReward: rules.refereeReward,
+      minOrderAmount: rules.minOrderAmount,
+      referralPoints: loyaltyRules.enabled ? loyaltyRules.referralPoints : 0,
+      stats: {
+        signedUp: referrals.length,
+        pending: referrals.filter(r => ['pending', 'qualifying'].includes(r.status)).length,
+        rewarded: rewarded.length,
+        earned: rewarded.reduce((sum, r) => sum + (r.referrerReward?.amount || 0), 0)
+      },
+      // Friends are shown by first name only
+      referrals: referrals.map(r => ({
+        _id: r._id,
+        friend: r.referee?.firstName || 'A friend',
+        status: r.status === 'qualifying' ? 'pending' : r.status,
+        reward: r.referrerReward?.amount || 0,
+        createdAt: r.createdAt,
+        rewardedAt: r.rewardedAt
+      }))
+    }
+  });
+});
+
+// @desc    Referral program report: signups, conversions, rewards and top referrers
+// @route   GET /api/admin/reports/referrals
+// @access  Private/Admin
+const getReferralsReport = asyncHandler(async (req, res) => {
+  const referrals = await Referral.find()
+    .populate('referrer', 'firstName lastName email')
+    .populate('referee', 'firstName lastName email')
+    .populate('order', 'orderNumber total')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const count = (status) => referrals.filter(r => r.status === status).length;
+  const rewarded = referrals.filter(r => r.status === 'rewarded');
+  const rewardCost = (r) => (r.referrerReward?.amount || 0) + (r.refereeReward?.amount || 0);
+
+  // Group by referrer
+  const referrerMap = {};
+  for (const r of referrals) {
+    if (!r.referrer) continue;
+    const id = r.referrer._id.toString();
+    if (!referrerMap[id]) {
+      referrerMap[id] = {
+        name: `${r.referrer.firstName} ${r.referrer.lastName}`,
+        email: r.referrer.email,
+        code: r.code,
+        signups: 0,
+        rewarded: 0,
+        rejected: 0,
+        revenue: 0
+      };
+    }
+    referrerMap[id].signups += 1;
+    if (r.status === 'rewarded') {
+      referrerMap[id].rewarded += 1;
+      referrerMap[id].revenue += Number(r.order?.total) || 0;
+    }
+    if (r.status === 'rejected') referrerMap[id].rejected += 1;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      summary: {
+        totalReferrals: referrals.length,
+        pending: count('pending') + count('qualifying'),
+        rewarded: rewarded.length,
+        rejected: count('rejected'),
+        conversionRate: referrals.length ? (rewarded.length / referrals.length) * 100 : 0,
+        rewardsIssued: rewarded.reduce((sum, r) => sum + rewardCost(r), 0),
+        firstOrderRevenue: rewarded.reduce((sum, r) => sum + (Number(r.order?.total) || 0), 0)
+      },
+      topReferrers: Object.values(referrerMap)
+        .sort((a, b) => b.rewarded - a.rewarded || b.signups - a.signups)
+        .slice(0, 20),
+      referrals: referrals.slice(0, 50).map(r => ({
+        _id: r._id,
+        referrer: r.referrer ? `${r.referrer.firstName} ${r.referrer.lastName}` : '—',
+        referee: r.referee ? `${r.referee.firstName} ${r.referee.lastName}` : '—',
+        refereeEmail: r.referee?.email,
+        code: r.code,
+        status: r.status,
+        rejectionReason: r.rejectionReason,
+        orderNumber: r.order?.orderNumber,
+        orderTotal: Number(r.order?.total) || 0,
+        rewardCost: rewardCost(r),
+        date: r.createdAt,
+        rewardedAt: r.rewardedAt
+      }))
+    }
+  });
+});
+
+export { getMyReferrals, getReferralsReport };
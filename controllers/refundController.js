@@ -0,0 +1,90 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+import { issueRefund, sendCreditNote, roundMoney, receivedAmountOf } from '../utils/refunds.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { sendRefundToProvider } from '../services/paymentService.js';
+
+// @desc    List refunds issued against an order
+// @route   GET /api/admin/orders/:id/refunds
+// @access  Private/Admin
+const getOrderRefunds = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).select('orderNumber total amountPaid giftCardAmount storeCreditAmount refundedAmount paymentStatus');
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const refunds = await Refund.find({ order: order._id })
+    .populate('processedBy', 'firstName lastName')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      refunds,
+      refundedAmount: order.refundedAmount || 0,
+      refundableAmount: roundMoney(receivedAmountOf(order) - (order.refundedAmount || 0))
+    }
+  });
+});
+
+// @desc    Refund an order in full, or some of its lines
+// @route   POST /api/admin/orders/:id/refunds
+// @access  Private/Admin
+const createRefund = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email').session(session);
+    if (!order) {
+      res.status(404);
+      throw new Error('Order not found');
+    }
+
+    const { refund, restocked, restockSkipped } = await issueRefund(order, {
+      type: req.body.type,
+      lines: req.body.lines,
+      refundShipping: req.body.refundShipping,
+      amount: req.body.amount,
+      reason: req.body.reason,
+      note: req.body.note,
+      restock: req.body.restock,
+      providerReference: req.body.providerReference,
+      user: req.user._id
+    }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await sendCreditNote(order, refund);
+    await sendRefundToProvider(order, refund);
+
+    await logActivity(req, 'ORDER_REFUND', `Refunded KES ${refund.amount.toLocaleString()} on order #${order.orderNumber} (${refund.refundNumber})`, order._id, {
+      type: refund.type,
+      reason: refund.reason,
+      restocked
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Refund ${refund.refundNumber} of KES ${refund.amount.toLocaleString()} recorded${restockSkipped ? ' — stock was already returned when the order was cancelled' : ''}`,
+      data: {
+        refund,
+        order
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+});
+
+export {
+  getOrderRefunds,
+  createRefund
+};
@@ -3,6 +3,9 @@ import asyncHandler from 'express-async-handler';
 import Order from '../models/Order.js';
 import moment from 'moment';
 
+// Who placed an order: the account, or the contact details of a guest order
+const customerOf = (order) => order.user || order.shippingAddress || {};
+
 // @desc    Generate order receipt PDF
 // @route   GET /api/reports/orders/:id/receipt
 // @access  Private/Admin
@@ -21,9 +24,9 @@ const generateOrderReceipt = asyncHandler(async (req, res) => {
       RERENDET COFFEE RECEIPT
       Order: ${order.orderNumber}
       Date: ${moment(order.createdAt).format('DD/MM/YYYY HH:mm')}
-      Customer: ${order.user.firstName} ${order.user.lastName}
-      Email: ${order.user.email}
-      Phone: ${order.user.phone}
+      Customer: ${customerOf(order).firstName} ${customerOf(order).lastName}
+      Email: ${customerOf(order).email}
+      Phone: ${customerOf(order).phone}
       
       ITEMS:
       ${order.items.map(item => `
@@ -80,7 +83,7 @@ const generateMonthlyReport = asyncHandler(async (req, res) => {
     const csvContent = [
       'Order Number,Customer,Amount,Status,Date',
       ...orders.map(order => 
-        `"${order.orderNumber}","${order.user.firstName} ${order.user.lastName}","${order.total}","${order.status}","${moment(order.createdAt).format('DD/MM/YYYY')}"`
+        `"${order.orderNumber}","${customerOf(order).firstName} ${customerOf(order).lastName}","${order.total}","${order.status}","${moment(order.createdAt).format('DD/MM/YYYY')}"`
       )
     ].join('\n');
 
@@ -238,8 +241,8 @@ const exportOrdersToCSV = asyncHandler(async (req, res) => {
 
   const csvData = orders.map(order => [
     order.orderNumber,
-    `${order.user.firstName} ${order.user.lastName}`,
-    order.user.email,
+    `${customerOf(order).firstName} ${customerOf(order).lastName}`,
+    customerOf(order).email,
     order.items.map(item => `${item.name} (x${item.quantity})`).join('; '),
     order.subtotal,
     order.shippingCost,
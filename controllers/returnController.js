@@ -0,0 +1,449 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Settings from '../models/Settings.js';
+import ReturnRequest, { RETURN_REASONS, OPEN_RETURN_STATUSES } from '../models/ReturnRequest.js';
+import sendEmail from '../utils/sendEmail.js';
+import { getReturnUpdateEmail } from '../utils/emailTemplates.js';
+import { issueRefund, sendCreditNote, REFUNDABLE_PAYMENT } from '../utils/refunds.js';
+import { restockOrderLine } from '../utils/stockReservation.js';
+import { getTransitionError } from '../utils/orderLifecycle.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { sendRefundToProvider } from '../services/paymentService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders delivered before deliveredAt existed fall back to the tracking history
+const deliveredDateOf = (order) => {
+  if (order.deliveredAt) return order.deliveredAt;
+  const entry = order.trackingHistory?.slice().reverse().find(h => h.status === 'delivered');
+  return entry?.timestamp || order.updatedAt;
+};
+
+const returnWindowDays = (policies, category) => {
+  const override = policies?.categoryReturnWindows?.find(w => w.category === category);
+  return override?.days ?? policies?.returnWindowDays ?? 14;
+};
+
+const generateReturnCode = () => {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Excluded I, O, 0, 1 for clarity
+  let code = '';
+  for (let i = 0; i < 6; i++) code += chars.charAt(Math.floor(Math.random() * chars.length));
+  return `RMA-${code}`;
+};
+
+/**
+ * Per-line return eligibility for a delivered order: window end and how many
+ * units can still be requested (minus refunded units and open requests).
+ */
+const getReturnEligibility = async (order) => {
+  const settings = await Settings.getSettings();
+  const policies = settings.policies;
+
+  if (policies?.returnsEnabled === false) {
+    return { eligible: false, message: 'Returns are not currently accepted', items: [] };
+  }
+  if (order.orderStatus === 'cancelled' || order.fulfillmentStatus !== 'delivered') {
+    return { eligible: false, message: 'Returns can be requested once an order has been delivered', items: [] };
+  }
+
+  const deliveredAt = new Date(deliveredDateOf(order));
+  const [products, openReturns] = await Promise.all([
+    Product.find({ _id: { $in: order.items.map(i => i.product) } }).select('category').lean(),
+    ReturnRequest.find({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } }).select('items status refund').lean()
+  ]);
+  const categoryOf = Object.fromEntries(products.map(p => [p._id.toString(), p.category]));
+
+  const items = order.items.map(item => {
+    const windowEndsAt = new Date(deliveredAt.getTime() + returnWindowDays(policies, categoryOf[item.product?.toString()]) * DAY_MS);
+    // Refunded returns are already counted in refundedQuantity
+    const requested = openReturns
+      .filter(r => !r.refund)
+      .flatMap(r => r.items)
+      .filter(i => i.item.toString() === item._id.toString())
+      .reduce((sum, i) => sum + i.quantity, 0);
+    const returnableQuantity = windowEndsAt >= new Date()
+      ? Math.max(0, item.quantity - (item.refundedQuantity || 0) - requested)
+      : 0;
+
+    return {
+      item: item._id,
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      returnableQuantity,
+      windowEndsAt
+    };
+  });
+
+  const eligible = items.some(i => i.returnableQuantity > 0);
+  return {
+    eligible,
+    message: eligible ? null : 'The return window for this order has closed',
+    deliveredAt,
+    items
+  };
+};
+
+const notifyCustomer = async (returnRequest, order, message) => {
+  const email = order.shippingAddress?.email || returnRequest.user?.email;
+  if (!email) return;
+  try {
+    const settings = await Settings.getSettings();
+    await sendEmail({
+      to: email,
+      subject: `Return ${returnRequest.rmaNumber}: ${returnRequest.status} - Order #${order.orderNumber}`,
+      html: getReturnUpdateEmail(order.shippingAddress?.firstName || returnRequest.user?.firstName || 'Customer', {
+        rmaNumber: returnRequest.rmaNumber,
+        orderNumber: order.orderNumber,
+        status: returnRequest.status,
+        returnCode: returnRequest.status === 'approved' ? returnRequest.returnCode : null,
+        message
+      }, settings?.store?.logo)
+    });
+  } catch (err) {
+    console.error('❌ Return Email Error:', err.message);
+  }
+};
+
+// @desc    Return eligibility and existing requests for one of my orders
+// @route   GET /api/orders/:id/returns
+// @access  Private
+const getOrderReturnOptions = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const [eligibility, returns] = await Promise.all([
+    getReturnEligibility(order),
+    ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...eligibility,
+      reasons: RETURN_REASONS,
+      returns
+    }
+  });
+});
+
+// @desc    Request a return for delivered items
+// @route   POST /api/orders/:id/returns
+// @access  Private
+const createReturnRequest = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  // Multipart form: items arrive as a JSON string
+  let items = req.body.items;
+  try {
+    items = typeof items === 'string' ? JSON.parse(items) : items;
+  } catch {
+    res.status(400);
+    throw new Error('Invalid items');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400);
+    throw new Error('Choose at least one item to return');
+  }
+
+  if (!RETURN_REASONS.includes(req.body.reason)) {
+    res.status(400);
+    throw new Error('Please choose a reason for the return');
+  }
+
+  const eligibility = await getReturnEligibility(order);
+  if (!eligibility.eligible) {
+    res.status(400);
+    throw new Error(eligibility.message);
+  }
+
+  const returnItems = items.map(line => {
+    const option = eligibility.items.find(i => i.item.toString() === line.item);
+    const quantity = parseInt(line.quantity);
+    if (!option || isNaN(quantity) || quantity < 1 || quantity > option.returnableQuantity) {
+      res.status(400);
+      throw new Error(option
+        ? `${option.name} (${option.size}): you can return up to ${option.returnableQuantity}`
+        : 'One of the items is not part of this order');
+    }
+    const item = order.items.id(line.item);
+    return { item: item._id, product: item.product, name: item.name, size: item.size, quantity };
+  });
+
+  const returnRequest = await ReturnRequest.create({
+    order: order._id,
+    user: req.user._id,
+    items: returnItems,
+    reason: req.body.reason,
+    details: req.body.details,
+    photos: (req.files || []).map(file => ({ public_id: file.filename, url: file.path }))
+  });
+
+  order.orderEvents.push({
+    status: 'RETURN_REQUESTED',
+    note: `Customer requested return ${returnRequest.rmaNumber} (${returnRequest.reason.replace(/_/g, ' ')})`,
+    user: req.user._id
+  });
+  await order.save();
+
+  res.status(201).json({
+    success: true,
+    message: `Return ${returnRequest.rmaNumber} requested. We'll email you once it has been reviewed.`,
+    data: returnRequest
+  });
+});
+
+// @desc    My return requests
+// @route   GET /api/orders/returns
+// @access  Private
+const getMyReturns = asyncHandler(async (req, res) => {
+  const returns = await ReturnRequest.find({ user: req.user._id })
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: returns
+  });
+});
+
+// @desc    Get return requests
+// @route   GET /api/admin/returns
+// @access  Private/Admin
+const getReturnRequests = asyncHandler(async (req, res) => {
+  const { status, order, page = 1, limit = 20 } = req.query;
+  const filter = {};
+  if (status && status !== 'all') filter.status = status;
+  // One order's returns, for the order drawer in Orders Management
+  if (order) {
+    if (!mongoose.Types.ObjectId.isValid(order)) {
+      res.status(400);
+      throw new Error('Invalid order ID');
+    }
+    filter.order = order;
+  }
+
+  const [returns, total, counts] = await Promise.all([
+    ReturnRequest.find(filter)
+      .populate('order', 'orderNumber total paymentStatus paymentMethod')
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    ReturnRequest.countDocuments(filter),
+    ReturnRequest.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      returns,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Approve a return — issues the return code
+// @route   PATCH /api/admin/returns/:id/approve
+// @access  Private/Admin
+const approveReturnRequest = asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id).populate('user', 'firstName email');
+  if (!returnRequest) {
+    res.status(404);
+    throw new Error('Return request not found');
+  }
+  if (returnRequest.status !== 'requested') {
+    res.status(400);
+    throw new Error(`This return has already been ${returnRequest.status}`);
+  }
+
+  returnRequest.status = 'approved';
+  returnRequest.returnCode = generateReturnCode();
+  returnRequest.adminNote = req.body.adminNote;
+  returnRequest.reviewedBy = req.user._id;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save();
+
+  const order = await Order.findById(returnRequest.order);
+  order.orderEvents.push({
+    status: 'RETURN_APPROVED',
+    note: `Return ${returnRequest.rmaNumber} approved — code ${returnRequest.returnCode}`,
+    user: req.user._id
+  });
+  await order.save();
+
+  await notifyCustomer(returnRequest, order, req.body.adminNote ||
+    'Please pack the items securely, write your return code on the parcel and send it back to us. Your refund is processed once it arrives.');
+  await logActivity(req, 'RETURN_APPROVE', `${returnRequest.rmaNumber} for order #${order.orderNumber}`, returnRequest._id);
+
+  res.json({
+    success: true,
+    message: `Return approved — code ${returnRequest.returnCode}`,
+    data: returnRequest
+  });
+});
+
+// @desc    Reject a return
+// @route   PATCH /api/admin/returns/:id/reject
+// @access  Private/Admin
+const rejectReturnRequest = asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id).populate('user', 'firstName email');
+  if (!returnRequest) {
+    res.status(404);
+    throw new Error('Return request not found');
+  }
+  if (!['requested', 'approved'].includes(returnRequest.status)) {
+    res.status(400);
+    throw new Error(`This return has already been ${returnRequest.status}`);
+  }
+  if (!req.body.reason?.trim()) {
+    res.status(400);
+    throw new Error('Please give the customer a reason');
+  }
+
+  returnRequest.status = 'rejected';
+  returnRequest.rejectionReason = req.body.reason.trim();
+  returnRequest.reviewedBy = req.user._id;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save();
+
+  const order = await Order.findById(returnRequest.order);
+  order.orderEvents.push({
+    status: 'RETURN_REJECTED',
+    note: `Return ${returnRequest.rmaNumber} rejected: ${returnRequest.rejectionReason}`,
+    user: req.user._id
+  });
+  await order.save();
+
+  await notifyCustomer(returnRequest, order, returnRequest.rejectionReason);
+  await logActivity(req, 'RETURN_REJECT', `${returnRequest.rmaNumber} for order #${order.orderNumber}`, returnRequest._id, { reason: returnRequest.rejectionReason });
+
+  res.json({
+    success: true,
+    message: 'Return rejected',
+    data: returnRequest
+  });
+});
+
+// @desc    Mark an approved return as received — restocks and refunds it
+// @route   POST /api/admin/returns/:id/receive
+// @access  Private/Admin
+const receiveReturnRequest = asyncHandler(async (req, res) => {
+  const { restock = true, refund = true, refundShipping = false, amount, note } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id).populate('user', 'firstName email').session(session);
+    if (!returnRequest) {
+      res.status(404);
+      throw new Error('Return request not found');
+    }
+    if (returnRequest.status !== 'approved') {
+      res.status(400);
+      throw new Error(returnRequest.status === 'requested'
+        ? 'Approve the return before receiving it'
+        : `This return has already been ${returnRequest.status}`);
+    }
+
+    const order = await Order.findById(returnRequest.order).populate('user', 'firstName lastName email').session(session);
+    const shouldRefund = refund !== false && refund !== 'false';
+    const shouldRestock = restock !== false && restock !== 'false';
+
+    let issued = null;
+    if (shouldRefund) {
+      if (!REFUNDABLE_PAYMENT.includes(order.paymentStatus)) {
+        res.status(400);
+        throw new Error(`Order #${order.orderNumber} has no payment to refund (${order.paymentStatus}). Receive it without a refund instead.`);
+      }
+      issued = await issueRefund(order, {
+        type: 'partial',
+        lines: returnRequest.items.map(i => ({ item: i.item, quantity: i.quantity })),
+        refundShipping,
+        amount,
+        reason: `Return ${returnRequest.rmaNumber} (${returnRequest.reason.replace(/_/g, ' ')})`,
+        note,
+        restock: shouldRestock,
+        user: req.user._id,
+        returnRequest: returnRequest._id
+      }, session);
+    } else if (shouldRestock) {
+      for (const line of returnRequest.items) {
+        const item = order.items.id(line.item);
+        await restockOrderLine(item, line.quantity, { reason: 'return', order: order._id, user: req.user._id }, session);
+        item.restockedQuantity = (item.restockedQuantity || 0) + line.quantity;
+      }
+    }
+
+    returnRequest.status = 'received';
+    returnRequest.receivedBy = req.user._id;
+    returnRequest.receivedAt = new Date();
+    returnRequest.restocked = issued ? issued.restocked : shouldRestock;
+    returnRequest.refund = issued?.refund._id;
+    await returnRequest.save({ session });
+
+    // The whole order has come back once every unit is refunded
+    if (order.items.every(i => (i.refundedQuantity || 0) >= i.quantity) &&
+      !getTransitionError(order, { fulfillmentStatus: 'returned' }, { source: 'refund' })) {
+      order.fulfillmentStatus = 'returned';
+    }
+    order.orderEvents.push({
+      status: 'RETURN_RECEIVED',
+      note: `Return ${returnRequest.rmaNumber} received${returnRequest.restocked ? ', items restocked' : ''}${issued ? `, refund ${issued.refund.refundNumber}` : ''}`,
+      user: req.user._id
+    });
+    await order.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    if (issued) {
+      await sendCreditNote(order, issued.refund);
+      await sendRefundToProvider(order, issued.refund);
+    }
+    await notifyCustomer(returnRequest, order, issued
+      ? `We've received your return and refunded KES ${issued.refund.amount.toLocaleString()} — your credit note is on its way.`
+      : 'We\'ve received your return. Thank you!');
+    await logActivity(req, 'RETURN_RECEIVE', `${returnRequest.rmaNumber} for order #${order.orderNumber}`, returnRequest._id, {
+      refund: issued?.refund.refundNumber,
+      restocked: returnRequest.restocked
+    });
+
+    res.json({
+      success: true,
+      message: `Return ${returnRequest.rmaNumber} received${issued ? ` and KES ${issued.refund.amount.toLocaleString()} refunded` : ''}`,
+      data: returnRequest
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+});
+
+export {
+  getOrderReturnOptions,
+  createReturnRequest,
+  getMyReturns,
+  getReturnRequests,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest
+};
@@ -2,6 +2,7 @@ import asyncHandler from 'express-async-handler';
 import Review from '../models/Review.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import { awardReviewPoints } from '../services/loyaltyService.js';
 
 // @desc    Add a product review
 // @route   POST /api/reviews/:productId
@@ -31,7 +32,7 @@ const createProductReview = asyncHandler(async (req, res) => {
     const hasOrdered = await Order.findOne({
         user: req.user._id,
         'items.product': productId,
-        status: 'delivered'
+        fulfillmentStatus: 'delivered'
     });
 
     const review = await Review.create({
@@ -50,9 +51,12 @@ const createProductReview = asyncHandler(async (req, res) => {
 
     await product.save();
 
+    // Loyalty bonus for reviewing something they bought
+    const bonus = review.isVerifiedPurchase ? await awardReviewPoints(req.user._id, product._id) : null;
+
     res.status(201).json({
         success: true,
-        message: 'Review added successfully',
+        message: bonus ? `Review added — you earned ${bonus.points} loyalty points` : 'Review added successfully',
         data: review
     });
 });
@@ -0,0 +1,282 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import RoastBatch from '../models/RoastBatch.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+// @desc    Get roast batches
+// @route   GET /api/admin/roast-batches
+// @access  Private/Admin
+const getRoastBatches = asyncHandler(async (req, res) => {
+    const { product, status, greenLot } = req.query;
+    const filter = {};
+    if (product) filter.product = product;
+    if (status && status !== 'all') filter.status = status;
+    if (greenLot) filter.greenLot = greenLot;
+
+    const batches = await RoastBatch.find(filter)
+        .populate('supplier', 'name')
+        .sort({ roastDate: -1 });
+
+    res.json({
+        success: true,
+        data: batches
+    });
+});
+
+// @desc    Get one roast batch
+// @route   GET /api/admin/roast-batches/:id
+// @access  Private/Admin
+const getRoastBatch = asyncHandler(async (req, res) => {
+    const batch = await RoastBatch.findById(req.params.id)
+        .populate('supplier', 'name contactName email phone')
+        .populate('purchaseOrder', 'poNumber')
+        .populate('createdBy', 'firstName lastName');
+
+    if (!batch) {
+        res.status(404);
+        throw new Error('Roast batch not found');
+    }
+
+    res.json({
+        success: true,
+        data: batch
+    });
+});
+
+// @desc    Record a roast batch; its bags are added to the product's stock
+// @route   POST /api/admin/roast-batches
+// @access  Private/Admin
+const createRoastBatch = asyncHandler(async (req, res) => {
+    const {
+        product: productId,
+        size,
+        greenLot,
+        supplier,
+        purchaseOrder,
+        origin,
+        roastProfile,
+        roastDate,
+        quantityProduced,
+        notes,
+        addToStock = true // false when tagging bags that are already counted in stock
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+        res.status(400);
+        throw new Error('Invalid product');
+    }
+
+    const quantity = parseInt(quantityProduced);
+    if (isNaN(quantity) || quantity < 1) {
+        res.status(400);
+        throw new Error('Quantity produced must be at least 1');
+    }
+
+    if (!greenLot?.trim()) {
+        res.status(400);
+        throw new Error('Green lot reference is required');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const product = await Product.findById(productId).session(session);
+        if (!product) {
+            res.status(404);
+            throw new Error('Product not found');
+        }
+
+        let variant = null;
+        if (product.sizes.length > 0) {
+            variant = size ? product.getVariant(size) : product.sizes.length === 1 ? product.sizes[0] : null;
+            if (!variant) {
+                res.status(400);
+                throw new Error(size ? `${product.name} has no size ${size}` : `${product.name} has several sizes. Please choose one.`);
+            }
+        }
+
+        const roastedOn = roastDate ? new Date(roastDate) : new Date();
+        const [batch] = await RoastBatch.create([{
+            product: product._id,
+            productName: product.name,
+            size: variant ? variant.size : null,
+            greenLot: greenLot.trim(),
+            supplier: supplier || undefined,
+            purchaseOrder: purchaseOrder || undefined,
+            origin: origin || product.origin,
+            roastProfile: { level: product.roastLevel, ...roastProfile },
+            roastDate: roastedOn,
+            quantityProduced: quantity,
+            quantityRemaining: quantity,
+            notes,
+            createdBy: req.user._id
+        }], { session });
+
+        if (addToStock !== false && addToStock !== 'false') {
+            await Product.releaseVariantStock(product._id, batch.size, quantity, session, {
+                reason: 'roast_batch',
+                reference: batch.batchNumber,
+                user: req.user._id
+            });
+        }
+
+        // The shop's roast date follows the batch that ships next (oldest first)
+        await RoastBatch.syncProductRoastDate(product._id, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        logActivity(req, 'ROAST_BATCH_CREATE', `${batch.batchNumber} — ${product.name}${batch.size ? ` (${batch.size})` : ''}`, batch._id);
+
+        res.status(201).json({
+            success: true,
+            message: `Roast batch ${batch.batchNumber} recorded`,
+            data: batch
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        session.endSession();
+        throw error;
+    }
+});
+
+// @desc    Update batch details (quantities are driven by orders, not edited)
+// @route   PUT /api/admin/roast-batches/:id
+// @access  Private/Admin
+const updateRoastBatch = asyncHandler(async (req, res) => {
+    const batch = await RoastBatch.findById(req.params.id);
+    if (!batch) {
+        res.status(404);
+        throw new Error('Roast batch not found');
+    }
+
+    const { greenLot, supplier, origin, roastProfile, notes } = req.body;
+    if (greenLot !== undefined) batch.greenLot = greenLot;
+    if (supplier !== undefined) batch.supplier = supplier || undefined;
+    if (origin !== undefined) batch.origin = origin;
+    if (roastProfile) {
+        Object.entries(roastProfile).forEach(([key, value]) => batch.set(`roastProfile.${key}`, value));
+    }
+    if (notes !== undefined) batch.notes = notes;
+
+    const updated = await batch.save();
+
+    res.json({
+        success: true,
+        message: 'Roast batch updated',
+        data: updated
+    });
+});
+
+// @desc    Recall a batch — it stops being allocated to new orders
+// @route   PATCH /api/admin/roast-batches/:id/recall
+// @access  Private/Admin
+const recallRoastBatch = asyncHandler(async (req, res) => {
+    const batch = await RoastBatch.findById(req.params.id);
+    if (!batch) {
+        res.status(404);
+        throw new Error('Roast batch not found');
+    }
+
+    if (batch.status === 'recalled') {
+        res.status(400);
+        throw new Error('This batch has already been recalled');
+    }
+
+    if (!req.body.reason?.trim()) {
+        res.status(400);
+        throw new Error('Please give a reason for the recall');
+    }
+
+    batch.status = 'recalled';
+    batch.recalledAt = new Date();
+    batch.recallReason = req.body.reason.trim();
+    await batch.save();
+    // A recalled batch no longer ships, so the next one's date is shown
+    await RoastBatch.syncProductRoastDate(batch.product);
+
+    logActivity(req, 'ROAST_BATCH_RECALL', batch.batchNumber, batch._id, { reason: batch.recallReason });
+
+    res.json({
+        success: true,
+        message: `Batch ${batch.batchNumber} recalled. ${batch.quantityRemaining} unsold bags remain in stock — write them off as damage once pulled.`,
+        data: batch
+    });
+});
+
+// @desc    Which customers received this batch
+// @route   GET /api/admin/roast-batches/:id/customers
+// @access  Private/Admin
+const getBatchCustomers = asyncHandler(async (req, res) => {
+    const batch = await RoastBatch.findById(req.params.id).lean();
+    if (!batch) {
+        res.status(404);
+        throw new Error('Roast batch not found');
+    }
+
+    const orders = await Order.find({ 'items.batchAllocations.batch': batch._id })
+        .populate('user', 'firstName lastName email phone')
+        .select('orderNumber user shippingAddress items orderStatus fulfillmentStatus createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const customers = orders.map(order => {
+        const quantity = order.items
+            .flatMap(i => i.batchAllocations || [])
+            .filter(a => a.batch?.toString() === batch._id.toString())
+            .reduce((sum, a) => sum + a.quantity, 0);
+
+        return {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            orderedAt: order.createdAt,
+            orderStatus: order.orderStatus,
+            fulfillmentStatus: order.fulfillmentStatus,
+            quantity,
+            customer: {
+                name: `${order.shippingAddress?.firstName || order.user?.firstName || ''} ${order.shippingAddress?.lastName || order.user?.lastName || ''}`.trim(),
+                email: order.shippingAddress?.email || order.user?.email,
+                phone: order.shippingAddress?.phone || order.user?.phone
+            }
+        };
+    });
+
+    // Cancelled orders never left the building; shipped ones are what a recall must chase
+    const affected = customers.filter(c => c.orderStatus !== 'cancelled');
+
+    res.json({
+        success: true,
+        data: {
+            batch: {
+                _id: batch._id,
+                batchNumber: batch.batchNumber,
+                productName: batch.productName,
+                size: batch.size,
+                greenLot: batch.greenLot,
+                roastDate: batch.roastDate,
+                status: batch.status
+            },
+            summary: {
+                orders: affected.length,
+                customers: new Set(affected.map(c => c.customer.email)).size,
+                unitsSold: affected.reduce((sum, c) => sum + c.quantity, 0),
+                unitsShipped: affected
+                    .filter(c => ['shipped', 'delivered'].includes(c.fulfillmentStatus))
+                    .reduce((sum, c) => sum + c.quantity, 0)
+            },
+            customers
+        }
+    });
+});
+
+export {
+    getRoastBatches,
+    getRoastBatch,
+    createRoastBatch,
+    updateRoastBatch,
+    recallRoastBatch,
+    getBatchCustomers
+};
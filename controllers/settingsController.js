@@ -221,10 +221,12 @@ const getPublicSettings = asyncHandler(async (req, res) => {
         currencySymbol: settings.payment.currencySymbol,
         freeShippingThreshold: settings.payment.freeShippingThreshold,
         shippingPrice: settings.payment.shippingPrice,
-        paymentMethods: settings.payment.paymentMethods
+        paymentMethods: settings.payment.paymentMethods,
+        deposits: settings.payment.deposits
       },
       seo: settings.seo,
       policies: settings.policies,
+      loyalty: settings.loyalty,
       maintenance: settings.maintenance,
       about: settings.about
     };
@@ -0,0 +1,234 @@
+import asyncHandler from 'express-async-handler';
+import Order from '../models/Order.js';
+import { transitionOrder } from '../utils/orderLifecycle.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+// Units of a line not yet packed into any parcel (refunded units never ship)
+const unallocatedQuantity = (order, item) => {
+  const allocated = order.shipments
+    .flatMap(p => p.items)
+    .filter(i => i.item.toString() === item._id.toString())
+    .reduce((sum, i) => sum + i.quantity, 0);
+  return item.quantity - (item.refundedQuantity || 0) - allocated;
+};
+
+// <orderNumber>-P<n>, never reusing the number of a deleted parcel
+const nextShipmentNumber = (order) => {
+  const highest = order.shipments.reduce((max, p) => {
+    const n = parseInt(p.shipmentNumber?.split('-P').pop());
+    return isNaN(n) ? max : Math.max(max, n);
+  }, 0);
+  return `${order.orderNumber}-P${highest + 1}`;
+};
+
+const parcelSummary = (shipment) => shipment.items.map(i => `${i.name} (${i.size}) x${i.quantity}`).join(', ');
+
+const loadOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id).populate('user', 'firstName lastName email');
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  return order;
+};
+
+// Re-derive the order's fulfillment from its parcels and save through the lifecycle
+const syncFulfillment = async (req, res, order, { location, message } = {}) => {
+  const fulfillmentStatus = order.shipmentFulfillmentStatus();
+  try {
+    await transitionOrder(order, fulfillmentStatus ? { fulfillmentStatus } : {}, {
+      user: req.user._id,
+      source: 'shipment',
+      location,
+      message
+    });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+};
+
+// Moving a parcel along: pending → shipped → delivered
+const applyShipmentStatus = (res, shipment, status, { trackingNumber, location, message }) => {
+  const allowed = { pending: ['shipped'], shipped: ['delivered'], delivered: [] };
+  if (!allowed[shipment.status].includes(status)) {
+    res.status(400);
+    throw new Error(`Parcel ${shipment.shipmentNumber} can't move from ${shipment.status} to ${status}`);
+  }
+  if (status === 'shipped' && !(trackingNumber || shipment.trackingNumber)) {
+    res.status(400);
+    throw new Error('Tracking number is required when shipping a parcel.');
+  }
+
+  shipment.status = status;
+  if (status === 'shipped') shipment.shippedAt = new Date();
+  if (status === 'delivered') shipment.deliveredAt = new Date();
+  shipment.trackingHistory.push({
+    status,
+    location: location || '',
+    message: message || (status === 'shipped' ? 'Parcel handed to the courier' : 'Parcel delivered'),
+    timestamp: new Date()
+  });
+};
+
+const customerMessage = (shipment, status) => status === 'shipped'
+  ? `Parcel ${shipment.shipmentNumber} (${parcelSummary(shipment)}) is on its way${shipment.carrier ? ` with ${shipment.carrier}` : ''}. Tracking number: ${shipment.trackingNumber}.`
+  : `Parcel ${shipment.shipmentNumber} (${parcelSummary(shipment)}) has been delivered.`;
+
+// @desc    Pack some of an order's items into a new parcel (optionally shipping it now)
+// @route   POST /api/admin/orders/:id/shipments
+// @access  Private/Admin
+const createShipment = asyncHandler(async (req, res) => {
+  const { items = [], carrier, trackingNumber, ship = false, location, message } = req.body;
+  const order = await loadOrder(req, res);
+
+  if (order.orderStatus === 'cancelled') {
+    res.status(400);
+    throw new Error('Cancelled orders can\'t be shipped');
+  }
+  if (!order.shipments.length && ['shipped', 'delivered', 'returned'].includes(order.fulfillmentStatus)) {
+    res.status(400);
+    throw new Error(`Order #${order.orderNumber} already went out as a single parcel`);
+  }
+
+  const lines = items
+    .map(line => ({ ...line, quantity: parseInt(line.quantity) }))
+    .filter(line => line.quantity > 0);
+  if (lines.length === 0) {
+    res.status(400);
+    throw new Error('Choose the items going in this parcel');
+  }
+
+  const shipmentItems = lines.map(line => {
+    const item = order.items.id(line.item);
+    if (!item) {
+      res.status(400);
+      throw new Error(`Order line ${line.item} not found`);
+    }
+    const available = unallocatedQuantity(order, item);
+    if (line.quantity > available) {
+      res.status(400);
+      throw new Error(`${item.name} (${item.size}): only ${available} unit(s) left to ship`);
+    }
+    return { item: item._id, name: item.name, size: item.size, quantity: line.quantity };
+  });
+
+  order.shipments.push({
+    shipmentNumber: nextShipmentNumber(order),
+    items: shipmentItems,
+    carrier,
+    trackingNumber,
+    createdBy: req.user._id,
+    trackingHistory: [{ status: 'pending', message: 'Parcel packed', timestamp: new Date() }]
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+
+  const shipNow = ship === true || ship === 'true';
+  if (shipNow) applyShipmentStatus(res, shipment, 'shipped', { trackingNumber, location });
+
+  order.orderEvents.push({
+    status: 'SHIPMENT_CREATED',
+    note: `Parcel ${shipment.shipmentNumber} ${shipNow ? 'shipped' : 'packed'}: ${parcelSummary(shipment)}`,
+    user: req.user._id
+  });
+
+  await syncFulfillment(req, res, order, {
+    location,
+    message: shipNow ? message || customerMessage(shipment, 'shipped') : message
+  });
+  await logActivity(req, 'SHIPMENT_CREATE', `Parcel ${shipment.shipmentNumber} for order #${order.orderNumber}`, order._id, {
+    items: parcelSummary(shipment),
+    shipped: shipNow
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Parcel ${shipment.shipmentNumber} ${shipNow ? 'shipped' : 'created'}`,
+    data: order
+  });
+});
+
+// @desc    Update a parcel — courier details, tracking events or status
+// @route   PATCH /api/admin/orders/:id/shipments/:shipmentId
+// @access  Private/Admin
+const updateShipment = asyncHandler(async (req, res) => {
+  const { status, carrier, trackingNumber, location, message } = req.body;
+  const order = await loadOrder(req, res);
+
+  const shipment = order.shipments.id(req.params.shipmentId);
+  if (!shipment) {
+    res.status(404);
+    throw new Error('Parcel not found');
+  }
+
+  if (carrier !== undefined) shipment.carrier = carrier;
+  if (trackingNumber) shipment.trackingNumber = trackingNumber;
+
+  const statusChanged = status && status !== shipment.status;
+  if (statusChanged) {
+    applyShipmentStatus(res, shipment, status, { trackingNumber, location, message });
+    order.orderEvents.push({
+      status: 'SHIPMENT_UPDATE',
+      note: `Parcel ${shipment.shipmentNumber} ${status}`,
+      user: req.user._id
+    });
+  } else if (location || message) {
+    // A courier checkpoint without a status change
+    shipment.trackingHistory.push({ status: shipment.status, location: location || '', message: message || '', timestamp: new Date() });
+  }
+
+  await syncFulfillment(req, res, order, {
+    location,
+    message: statusChanged ? message || customerMessage(shipment, status) : message
+  });
+  await logActivity(req, 'SHIPMENT_UPDATE', `Parcel ${shipment.shipmentNumber} for order #${order.orderNumber}`, order._id, {
+    status: shipment.status,
+    trackingNumber: shipment.trackingNumber
+  });
+
+  res.json({
+    success: true,
+    message: `Parcel ${shipment.shipmentNumber} updated`,
+    data: order
+  });
+});
+
+// @desc    Unpack a parcel that hasn't shipped yet
+// @route   DELETE /api/admin/orders/:id/shipments/:shipmentId
+// @access  Private/Admin
+const deleteShipment = asyncHandler(async (req, res) => {
+  const order = await loadOrder(req, res);
+
+  const shipment = order.shipments.id(req.params.shipmentId);
+  if (!shipment) {
+    res.status(404);
+    throw new Error('Parcel not found');
+  }
+  if (shipment.status !== 'pending') {
+    res.status(400);
+    throw new Error(`Parcel ${shipment.shipmentNumber} has already ${shipment.status === 'shipped' ? 'shipped' : 'been delivered'}`);
+  }
+
+  const { shipmentNumber } = shipment;
+  order.shipments.pull(shipment._id);
+  order.orderEvents.push({
+    status: 'SHIPMENT_DELETED',
+    note: `Parcel ${shipmentNumber} unpacked`,
+    user: req.user._id
+  });
+
+  await syncFulfillment(req, res, order);
+  await logActivity(req, 'SHIPMENT_DELETE', `Parcel ${shipmentNumber} for order #${order.orderNumber}`, order._id);
+
+  res.json({
+    success: true,
+    message: `Parcel ${shipmentNumber} removed`,
+    data: order
+  });
+});
+
+export {
+  createShipment,
+  updateShipment,
+  deleteShipment
+};
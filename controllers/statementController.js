@@ -0,0 +1,143 @@
+import asyncHandler from 'express-async-handler';
+import MpesaStatement from '../models/MpesaStatement.js';
+import { importStatement, assignStatementLine } from '../services/statementImportService.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+const populateLines = (query) => query
+  .populate('importedBy', 'firstName lastName')
+  .populate('lines.order', 'orderNumber total amountPaid paymentStatus');
+
+// @desc    Import an M-Pesa statement CSV and match its payments to orders
+// @route   POST /api/admin/payments/statements
+// @access  Private/Admin
+const uploadStatement = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error('Please attach the statement CSV');
+  }
+
+  let statement;
+  try {
+    statement = await importStatement(req.file.buffer.toString('utf8'), {
+      fileName: req.file.originalname,
+      user: req.user._id
+    });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+
+  const { counts } = statement;
+  await logActivity(req, 'STATEMENT_IMPORT', `Imported M-Pesa statement ${statement.fileName}`, statement._id, counts);
+
+  res.status(201).json({
+    success: true,
+    message: `${counts.matched} of ${statement.lines.length} payments matched${counts.unmatched ? ` — ${counts.unmatched} need assigning` : ''}${counts.duplicate ? `, ${counts.duplicate} already recorded` : ''}`,
+    data: await populateLines(MpesaStatement.findById(statement._id))
+  });
+});
+
+// @desc    Recent statement imports
+// @route   GET /api/admin/payments/statements
+// @access  Private/Admin
+const getStatements = asyncHandler(async (req, res) => {
+  const statements = await MpesaStatement.find()
+    .populate('importedBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(parseInt(req.query.limit) || 20);
+
+  res.json({
+    success: true,
+    data: statements.map(s => ({
+      _id: s._id,
+      fileName: s.fileName,
+      importedBy: s.importedBy,
+      createdAt: s.createdAt,
+      lineCount: s.lines.length,
+      counts: s.counts
+    }))
+  });
+});
+
+// @desc    One import with its lines
+// @route   GET /api/admin/payments/statements/:id
+// @access  Private/Admin
+const getStatement = asyncHandler(async (req, res) => {
+  const statement = await populateLines(MpesaStatement.findById(req.params.id));
+  if (!statement) {
+    res.status(404);
+    throw new Error('Statement not found');
+  }
+
+  res.json({ success: true, data: statement });
+});
+
+// @desc    Apply an unmatched statement payment to an order
+// @route   POST /api/admin/payments/statements/:id/lines/:lineId/assign
+// @access  Private/Admin
+const assignLine = asyncHandler(async (req, res) => {
+  const statement = await MpesaStatement.findById(req.params.id);
+  if (!statement) {
+    res.status(404);
+    throw new Error('Statement not found');
+  }
+  if (!req.body.order) {
+    res.status(400);
+    throw new Error('Choose the order this payment belongs to');
+  }
+
+  let line;
+  try {
+    ({ line } = await assignStatementLine(statement, req.params.lineId, req.body.order, { user: req.user._id }));
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+
+  await logActivity(req, 'STATEMENT_LINE_ASSIGNED', `Assigned M-Pesa payment ${line.receipt} to an order`, line.order, {
+    amount: line.amount,
+    statement: statement._id
+  });
+
+  res.json({
+    success: true,
+    message: line.note || `${line.receipt} recorded against the order`,
+    data: await populateLines(MpesaStatement.findById(statement._id))
+  });
+});
+
+// @desc    Set aside a statement payment that isn't for an order (e.g. a supplier refund)
+// @route   PATCH /api/admin/payments/statements/:id/lines/:lineId/ignore
+// @access  Private/Admin
+const ignoreLine = asyncHandler(async (req, res) => {
+  const statement = await MpesaStatement.findById(req.params.id);
+  const line = statement?.lines.id(req.params.lineId);
+  if (!line) {
+    res.status(404);
+    throw new Error('Statement line not found');
+  }
+  if (line.status !== 'unmatched') {
+    res.status(400);
+    throw new Error(`This line is already ${line.status}`);
+  }
+
+  line.status = 'ignored';
+  line.note = req.body.note || 'Not an order payment';
+  line.resolvedBy = req.user._id;
+  line.resolvedAt = new Date();
+  await statement.save();
+
+  res.json({
+    success: true,
+    message: `${line.receipt} set aside`,
+    data: await populateLines(MpesaStatement.findById(statement._id))
+  });
+});
+
+export {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  assignLine,
+  ignoreLine
+};
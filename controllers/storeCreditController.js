@@ -0,0 +1,295 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import GiftCard from '../models/GiftCard.js';
+import CreditTransaction, { MANUAL_CREDIT_TYPES } from '../models/CreditTransaction.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import {
+  adjustStoreCredit,
+  issueGiftCard,
+  sendGiftCard,
+  findRedeemableGiftCard
+} from '../services/storeCreditService.js';
+import { sanitizeEmail, sanitizeString } from '../utils/inputSanitizer.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+// What a customer sees of a card: never another customer's history
+const customerCardView = (card) => ({
+  _id: card._id,
+  code: card.code,
+  balance: card.balance,
+  initialBalance: card.initialBalance,
+  expiresAt: card.expiresAt,
+  status: card.status,
+  isExpired: card.isExpired,
+  recipientEmail: card.recipientEmail,
+  recipientName: card.recipientName,
+  createdAt: card.createdAt
+});
+
+// @desc    Store credit balance, its history and the customer's gift cards
+// @route   GET /api/wallet
+// @access  Private
+const getMyWallet = asyncHandler(async (req, res) => {
+  const [user, history, giftCards] = await Promise.all([
+    User.findById(req.user._id).select('storeCredit email'),
+    CreditTransaction.find({ user: req.user._id })
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50),
+    // Cards they bought, and cards sent to them
+    GiftCard.find({ $or: [{ purchaser: req.user._id }, { recipientEmail: req.user.email }] })
+      .sort({ createdAt: -1 })
+      .limit(50)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      storeCredit: user?.storeCredit || 0,
+      history,
+      giftCards: giftCards.map(card => ({
+        ...customerCardView(card),
+        received: card.recipientEmail === req.user.email
+      }))
+    }
+  });
+});
+
+// @desc    Check a gift card's balance before using it at checkout
+// @route   POST /api/wallet/gift-cards/check
+// @access  Private
+const checkGiftCard = asyncHandler(async (req, res) => {
+  if (!req.body.code) {
+    res.status(400);
+    throw new Error('Enter the gift card code');
+  }
+
+  let card;
+  try {
+    card = await findRedeemableGiftCard(req.body.code);
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    data: { code: card.code, balance: card.balance, expiresAt: card.expiresAt }
+  });
+});
+
+// @desc    All gift cards, newest first
+// @route   GET /api/admin/gift-cards
+// @access  Private/Admin
+const getGiftCards = asyncHandler(async (req, res) => {
+  const { search, status } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 25;
+
+  const filter = {};
+  if (status === 'active' || status === 'disabled') filter.status = status;
+  if (search) {
+    const term = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [
+      { code: { $regex: term, $options: 'i' } },
+      { recipientEmail: { $regex: term, $options: 'i' } }
+    ];
+  }
+
+  const [cards, total, outstanding] = await Promise.all([
+    GiftCard.find(filter)
+      .populate('purchaser', 'firstName lastName email')
+      .populate('issuedBy', 'firstName lastName')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    GiftCard.countDocuments(filter),
+    // Unspent value still owed to card holders
+    GiftCard.aggregate([
+      { $match: { status: 'active', $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] } },
+      { $group: { _id: null, balance: { $sum: '$balance' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.json({
+    success: true,
+    data: cards,
+    summary: { outstandingBalance: outstanding[0]?.balance || 0, activeCards: outstanding[0]?.count || 0 },
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+});
+
+// @desc    Issue a gift card by hand (goodwill, prizes, corporate orders) and email it
+// @route   POST /api/admin/gift-cards
+// @access  Private/Admin
+const createGiftCard = asyncHandler(async (req, res) => {
+  const { amount, recipientEmail, recipientName, message, expiresAt, note } = req.body;
+
+  const email = sanitizeEmail(recipientEmail || '');
+  if (recipientEmail && !email) {
+    res.status(400);
+    throw new Error('Please enter a valid recipient email');
+  }
+
+  let card;
+  try {
+    card = await issueGiftCard({
+      amount,
+      recipientEmail: email || undefined,
+      recipientName: sanitizeString(recipientName || '') || undefined,
+      message: sanitizeString(message || '').slice(0, 300) || undefined,
+      // Blank = the standard validity; 'never' = no expiry
+      expiresAt: expiresAt === 'never' ? null : expiresAt ? new Date(expiresAt) : undefined,
+      issuedBy: req.user._id,
+      note: note || 'Issued by staff'
+    });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+
+  if (card.recipientEmail) await sendGiftCard(card);
+  await logActivity(req, 'GIFT_CARD_ISSUED', `Issued KES ${card.balance} gift card ${card.code}`, card._id, {
+    recipientEmail: card.recipientEmail
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Gift card ${card.code} issued${card.recipientEmail ? ` and sent to ${card.recipientEmail}` : ''}`,
+    data: card
+  });
+});
+
+// @desc    Disable a gift card (lost, refunded, fraud) or switch it back on
+// @route   PATCH /api/admin/gift-cards/:id/status
+// @access  Private/Admin
+const updateGiftCardStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  if (!['active', 'disabled'].includes(status)) {
+    res.status(400);
+    throw new Error('Status must be active or disabled');
+  }
+
+  const card = await GiftCard.findByIdAndUpdate(req.params.id, { status }, { new: true });
+  if (!card) {
+    res.status(404);
+    throw new Error('Gift card not found');
+  }
+
+  await logActivity(req, 'GIFT_CARD_STATUS', `${status === 'active' ? 'Enabled' : 'Disabled'} gift card ${card.code}`, card._id, {
+    balance: card.balance
+  });
+
+  res.json({ success: true, message: `Gift card ${card.code} ${status === 'active' ? 'enabled' : 'disabled'}`, data: card });
+});
+
+// @desc    A customer's store credit balance and ledger
+// @route   GET /api/admin/users/:id/store-credit
+// @access  Private/Admin
+const getUserStoreCredit = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('firstName lastName email storeCredit');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const history = await CreditTransaction.find({ user: user._id })
+    .populate('order', 'orderNumber')
+    .populate('performedBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  res.json({ success: true, data: { user, storeCredit: user.storeCredit || 0, history } });
+});
+
+// @desc    Credit (or correct) a customer's store credit — e.g. after a complaint,
+//          or to hand back an overpayment
+// @route   POST /api/admin/users/:id/store-credit
+// @access  Private/Admin
+const adjustUserStoreCredit = asyncHandler(async (req, res) => {
+  const { amount, type = 'issued', order: orderRef, note } = req.body;
+  const value = parseFloat(amount);
+
+  if (!MANUAL_CREDIT_TYPES.includes(type)) {
+    res.status(400);
+    throw new Error(`Type must be one of: ${MANUAL_CREDIT_TYPES.join(', ')}`);
+  }
+  if (!value || (type !== 'adjusted' && value < 0)) {
+    res.status(400);
+    throw new Error('Enter the amount of credit to give');
+  }
+  if (!note?.trim()) {
+    res.status(400);
+    throw new Error('Please give a reason for the credit');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let result;
+  let order;
+  try {
+    if (orderRef) {
+      order = await Order.findOne(/^[0-9a-f]{24}$/i.test(orderRef) ? { _id: orderRef } : { orderNumber: orderRef.trim().toUpperCase() })
+        .session(session);
+      if (!order || order.user.toString() !== req.params.id) {
+        res.status(404);
+        throw new Error(`Order ${orderRef} not found for this customer`);
+      }
+    }
+
+    // An overpayment is paid out once: as credit here, or as a refund
+    if (type === 'overpayment') {
+      if (!order || value > (order.overpaidAmount || 0)) {
+        res.status(400);
+        throw new Error(`Overpayment credit must come from an order and can't exceed what was overpaid (KES ${order?.overpaidAmount || 0})`);
+      }
+      order.overpaidAmount = Math.round((order.overpaidAmount - value) * 100) / 100;
+      order.orderEvents.push({
+        status: 'OVERPAYMENT_CREDITED',
+        note: `KES ${value.toLocaleString()} overpayment moved to the customer's store credit`,
+        user: req.user._id
+      });
+      await order.save({ session });
+    }
+
+    result = await adjustStoreCredit(req.params.id, value, {
+      type,
+      order: order?._id,
+      note: sanitizeString(note),
+      user: req.user._id
+    }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+
+  await logActivity(req, 'STORE_CREDIT_ADJUSTED', `${value > 0 ? 'Credited' : 'Debited'} KES ${Math.abs(value)} store credit`, req.params.id, {
+    type,
+    order: order?.orderNumber,
+    balance: result.balance
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Store credit is now KES ${result.balance.toLocaleString()}`,
+    data: { storeCredit: result.balance, entry: result.entry }
+  });
+});
+
+export {
+  getMyWallet,
+  checkGiftCard,
+  getGiftCards,
+  createGiftCard,
+  updateGiftCardStatus,
+  getUserStoreCredit,
+  adjustUserStoreCredit
+};
@@ -0,0 +1,312 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Subscription, { SUBSCRIPTION_FREQUENCIES, ROAST_LEVELS } from '../models/Subscription.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import Product from '../models/Product.js';
+import {
+  subscribeToPlan,
+  updatePreferences,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextDelivery,
+  changeFrequency,
+  changeProducts,
+  cancelSubscription
+} from '../services/subscriptionService.js';
+
+const PRODUCT_FIELDS = 'name slug images price sizes subscriptionDiscount isActive';
+const PLAN_FIELDS = 'name description image bagCount size price frequencies';
+
+// A subscription as the customer sees it, with what the next delivery costs
+// (a curated box is its locked box price)
+const withEstimate = (subscription) => {
+  const data = subscription.toObject();
+  const goods = data.plan
+    ? data.planPrice ?? data.plan.price ?? 0
+    : data.products.reduce((sum, line) => sum + (line.price || 0) * line.quantity, 0);
+  const discount = data.plan ? 0 : data.products.reduce((sum, line) =>
+    sum + (line.price || 0) * line.quantity * (line.product?.subscriptionDiscount ?? data.discount ?? 0) / 100, 0);
+
+  return {
+    ...data,
+    events: data.events.slice(-10).reverse(),
+    estimate: {
+      subtotal: Math.round(goods * 100) / 100,
+      discount: Math.round(discount * 100) / 100
+    }
+  };
+};
+
+// The customer's own subscription, or a 404
+const findMine = async (req, res) => {
+  const subscription = mongoose.isValidObjectId(req.params.id)
+    ? await Subscription.findOne({ _id: req.params.id, user: req.user._id })
+    : null;
+  if (!subscription) {
+    res.status(404);
+    throw new Error('Subscription not found');
+  }
+  return subscription;
+};
+
+// Run a self-service change and answer with the updated subscription
+const respondWith = async (res, change, message) => {
+  let subscription;
+  try {
+    subscription = await change();
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+  await subscription.populate([
+    { path: 'products.product', select: PRODUCT_FIELDS },
+    { path: 'plan', select: PLAN_FIELDS }
+  ]);
+  res.json({ success: true, message, data: withEstimate(subscription) });
+};
+
+// @desc    The customer's subscriptions, newest first
+// @route   GET /api/subscriptions
+// @access  Private
+const getMySubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await Subscription.find({ user: req.user._id })
+    .populate('products.product', PRODUCT_FIELDS)
+    .populate('plan', PLAN_FIELDS)
+    .populate('lastRenewalOrder', 'orderNumber total paymentStatus orderStatus createdAt')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: subscriptions.map(withEstimate)
+  });
+});
+
+// @desc    Coffees that can go in a subscription, and the frequencies on offer
+// @route   GET /api/subscriptions/options
+// @access  Private
+const getSubscriptionOptions = asyncHandler(async (req, res) => {
+  const products = await Product.find({ isActive: true, isGiftCard: { $ne: true } })
+    .select('name slug images price sizes subscriptionDiscount category')
+    .sort({ name: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: {
+      frequencies: SUBSCRIPTION_FREQUENCIES,
+      roastLevels: ROAST_LEVELS,
+      products: products.map(product => ({
+        _id: product._id,
+        name: product.name,
+        image: product.images?.[0]?.url,
+        category: product.category,
+        subscriptionDiscount: product.subscriptionDiscount,
+        sizes: product.sizes?.length
+          ? product.sizes.map(variant => ({ size: variant.size, price: variant.price }))
+          : [{ size: 'Standard', price: product.price }]
+      }))
+    }
+  });
+});
+
+// @desc    Curated plans customers can subscribe to, with this month's note
+// @route   GET /api/subscriptions/plans
+// @access  Public
+const getAvailablePlans = asyncHandler(async (req, res) => {
+  const plans = await SubscriptionPlan.find({ isActive: true }).sort({ price: 1 });
+  const period = SubscriptionPlan.periodOf();
+
+  res.json({
+    success: true,
+    data: plans.map(plan => ({
+      _id: plan._id,
+      name: plan.name,
+      description: plan.description,
+      image: plan.image,
+      bagCount: plan.bagCount,
+      size: plan.size,
+      price: plan.price,
+      frequencies: plan.frequencies,
+      // The coffees stay a surprise; only the curator's note is shown
+      monthNote: plan.cycleFor(period)?.note
+    }))
+  });
+});
+
+// @desc    Subscribe to a curated plan
+// @route   POST /api/subscriptions/plans/:planId
+// @access  Private
+const subscribe = asyncHandler(async (req, res) => {
+  const plan = mongoose.isValidObjectId(req.params.planId) ? await SubscriptionPlan.findById(req.params.planId) : null;
+
+  let subscription;
+  try {
+    subscription = await subscribeToPlan(req.user, plan, {
+      frequency: req.body.frequency,
+      paymentMethod: req.body.paymentMethod,
+      preferences: req.body.preferences
+    });
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+  await subscription.populate('plan', PLAN_FIELDS);
+
+  res.status(201).json({
+    success: true,
+    message: `Subscribed to ${plan.name}. Your first box is on its way soon.`,
+    data: withEstimate(subscription)
+  });
+});
+
+// @desc    Set roast levels and flavours to leave out
+// @route   PUT /api/subscriptions/:id/preferences
+// @access  Private
+const updateMyPreferences = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => updatePreferences(subscription, req.body, req.user._id), 'Preferences saved');
+});
+
+// @desc    Pause deliveries (optionally until a date)
+// @route   PUT /api/subscriptions/:id/pause
+// @access  Private
+const pause = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => pauseSubscription(subscription, { until: req.body.until }, req.user._id), 'Subscription paused');
+});
+
+// @desc    Resume a paused subscription
+// @route   PUT /api/subscriptions/:id/resume
+// @access  Private
+const resume = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => resumeSubscription(subscription, req.user._id), 'Subscription resumed');
+});
+
+// @desc    Skip the next delivery
+// @route   POST /api/subscriptions/:id/skip
+// @access  Private
+const skip = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => skipNextDelivery(subscription, req.user._id), 'Next delivery skipped');
+});
+
+// @desc    Change how often deliveries come
+// @route   PUT /api/subscriptions/:id/frequency
+// @access  Private
+const updateFrequency = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => changeFrequency(subscription, req.body.frequency, req.user._id), 'Delivery frequency updated');
+});
+
+// @desc    Swap the coffees in a subscription
+// @route   PUT /api/subscriptions/:id/products
+// @access  Private
+const updateProducts = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => changeProducts(subscription, req.body.products, req.user._id), 'Subscription coffees updated');
+});
+
+// @desc    Cancel a subscription
+// @route   PUT /api/subscriptions/:id/cancel
+// @access  Private
+const cancel = asyncHandler(async (req, res) => {
+  const subscription = await findMine(req, res);
+  await respondWith(res, () => cancelSubscription(subscription, { reason: req.body.reason }, req.user._id), 'Subscription cancelled');
+});
+
+// @desc    Subscriptions at risk: renewals failing or unpaid, recent suspensions and recoveries
+// @route   GET /api/admin/reports/subscriptions-at-risk
+// @access  Private/Admin
+const getSubscriptionsAtRiskReport = asyncHandler(async (req, res) => {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const [atRisk, suspended, statusCounts, recentEvents] = await Promise.all([
+    Subscription.find({ status: { $in: ['active', 'paused'] }, dunning: { $ne: null } })
+      .populate('user', 'firstName lastName email')
+      .populate('dunning.order', 'orderNumber total paymentStatus orderStatus')
+      .sort({ 'dunning.nextAttemptAt': 1 })
+      .lean(),
+    Subscription.find({ status: 'suspended' })
+      .populate('user', 'firstName lastName email')
+      .sort({ suspendedAt: -1 })
+      .limit(50)
+      .lean(),
+    Subscription.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Subscription.aggregate([
+      { $unwind: '$events' },
+      { $match: { 'events.type': { $in: ['recovered', 'suspended', 'substituted'] }, 'events.at': { $gte: since } } },
+      { $group: { _id: '$events.type', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byStatus = Object.fromEntries(statusCounts.map(s => [s._id, s.count]));
+  const last30 = Object.fromEntries(recentEvents.map(e => [e._id, e.count]));
+  const customerOf = (s) => ({
+    name: s.user ? `${s.user.firstName} ${s.user.lastName}` : `${s.shippingAddress?.firstName || ''} ${s.shippingAddress?.lastName || ''}`.trim(),
+    email: s.user?.email || s.shippingAddress?.email
+  });
+  // What the next delivery is worth when it hasn't been ordered yet
+  const deliveryValue = (s) => s.products.reduce((sum, line) => sum + (line.price || 0) * line.quantity, 0);
+
+  const rows = atRisk.map(s => ({
+    _id: s._id,
+    ...customerOf(s),
+    frequency: s.frequency,
+    status: s.status,
+    stage: s.dunning.stage,
+    attempts: s.dunning.attempts,
+    startedAt: s.dunning.startedAt,
+    nextAttemptAt: s.dunning.nextAttemptAt,
+    reason: s.dunning.stage === 'payment'
+      ? `Order #${s.dunning.order?.orderNumber || '—'} ${s.dunning.order?.paymentStatus === 'failed' ? 'payment failed' : 'not paid'}`
+      : s.dunning.lastError,
+    orderNumber: s.dunning.order?.orderNumber,
+    value: s.dunning.stage === 'payment' ? Number(s.dunning.order?.total) || 0 : deliveryValue(s)
+  }));
+
+  const recovered = last30.recovered || 0;
+  const lost = last30.suspended || 0;
+
+  res.json({
+    success: true,
+    data: {
+      summary: {
+        active: byStatus.active || 0,
+        paused: byStatus.paused || 0,
+        suspended: byStatus.suspended || 0,
+        awaitingPayment: rows.filter(r => r.stage === 'payment').length,
+        failingRenewal: rows.filter(r => r.stage === 'renewal').length,
+        revenueAtRisk: rows.reduce((sum, r) => sum + r.value, 0),
+        recovered30d: recovered,
+        suspended30d: lost,
+        substitutions30d: last30.substituted || 0,
+        recoveryRate: recovered + lost ? (recovered / (recovered + lost)) * 100 : 0
+      },
+      atRisk: rows,
+      suspended: suspended.map(s => ({
+        _id: s._id,
+        ...customerOf(s),
+        frequency: s.frequency,
+        suspendedAt: s.suspendedAt,
+        reason: s.suspensionReason,
+        value: deliveryValue(s)
+      }))
+    }
+  });
+});
+
+export {
+  getMySubscriptions,
+  getSubscriptionOptions,
+  getAvailablePlans,
+  subscribe,
+  updateMyPreferences,
+  pause,
+  resume,
+  skip,
+  updateFrequency,
+  updateProducts,
+  cancel,
+  getSubscriptionsAtRiskReport
+};
@@ -0,0 +1,266 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import Subscription from '../models/Subscription.js';
+import Product from '../models/Product.js';
+import { selectCuratedCoffees } from '../services/subscriptionService.js';
+import { getFreshnessPolicy, getFreshness } from '../utils/freshness.js';
+import { logActivity } from '../utils/activityLogger.js';
+
+// Fields staff can set; anything not sent is left as it is
+const PLAN_FIELDS = ['name', 'description', 'image', 'isActive', 'category', 'bagCount', 'size', 'price', 'frequencies'];
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// The month after a YYYY-MM period
+const nextPeriod = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return SubscriptionPlan.periodOf(new Date(year, month, 1));
+};
+
+const findPlan = async (req, res) => {
+    const plan = mongoose.isValidObjectId(req.params.id) ? await SubscriptionPlan.findById(req.params.id) : null;
+    if (!plan) {
+        res.status(404);
+        throw new Error('Subscription plan not found');
+    }
+    return plan;
+};
+
+// A cycle's picks, who they cover and how many bags of each are needed
+const curationFor = async (plan, period) => {
+    const cycle = plan.cycleFor(period);
+    const policy = await getFreshnessPolicy();
+
+    const [candidates, subscribers] = await Promise.all([
+        Product.find({ category: plan.category, isActive: true, isGiftCard: { $ne: true }, isBundle: { $ne: true } })
+            .sort({ name: 1 }),
+        Subscription.find({ plan: plan._id, status: { $in: ['active', 'paused'] } })
+            .populate('user', 'firstName lastName email')
+    ]);
+
+    const byId = new Map(candidates.map(product => [product._id.toString(), product]));
+    const picks = (cycle?.products || []).map(id => byId.get(id.toString())).filter(Boolean);
+
+    const demand = {};
+    const uncovered = [];
+    for (const subscription of subscribers) {
+        const coffees = selectCuratedCoffees(plan, picks, subscription.preferences, policy);
+        if (!coffees.length) {
+            uncovered.push({
+                _id: subscription._id,
+                name: subscription.user ? `${subscription.user.firstName} ${subscription.user.lastName}` : subscription.shippingAddress?.firstName,
+                email: subscription.user?.email || subscription.shippingAddress?.email,
+                excludedRoasts: subscription.preferences?.excludedRoasts || [],
+                excludedFlavors: subscription.preferences?.excludedFlavors || []
+            });
+            continue;
+        }
+        for (const coffee of coffees) {
+            const id = coffee._id.toString();
+            demand[id] = (demand[id] || 0) + 1;
+        }
+    }
+
+    return {
+        period,
+        note: cycle?.note || '',
+        updatedAt: cycle?.updatedAt,
+        products: picks.map(product => product._id),
+        coverage: {
+            subscribers: subscribers.length,
+            covered: subscribers.length - uncovered.length,
+            uncovered
+        },
+        // Every coffee that could go in the box, with what this cycle needs of it
+        candidates: candidates
+            .filter(product => !product.sizes?.length || product.getVariant(plan.size))
+            .map(product => ({
+                _id: product._id,
+                name: product.name,
+                roastLevel: product.roastLevel,
+                flavorNotes: product.flavorNotes,
+                origin: product.origin,
+                stock: product.getVariant(plan.size)?.stock ?? product.inventory?.stock ?? 0,
+                freshness: getFreshness(product, policy)?.stage,
+                bagsNeeded: demand[product._id.toString()] || 0
+            }))
+    };
+};
+
+// @desc    Get all subscription plans
+// @route   GET /api/admin/subscription-plans
+// @access  Private/Admin
+const getSubscriptionPlans = asyncHandler(async (req, res) => {
+    const plans = await SubscriptionPlan.find().sort({ isActive: -1, createdAt: -1 });
+    const counts = await Subscription.aggregate([
+        { $match: { plan: { $in: plans.map(plan => plan._id) }, status: { $in: ['active', 'paused'] } } },
+        { $group: { _id: '$plan', count: { $sum: 1 } } }
+    ]);
+    const subscribersByPlan = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+
+    const current = SubscriptionPlan.periodOf();
+    const upcoming = nextPeriod(current);
+    const isCurated = (plan, period) => !!plan.cycleFor(period)?.products.length;
+
+    res.json({
+        success: true,
+        data: plans.map(plan => ({
+            ...plan.toObject(),
+            cycles: undefined,
+            subscribers: subscribersByPlan[plan._id.toString()] || 0,
+            curation: {
+                current: { period: current, curated: isCurated(plan, current) },
+                next: { period: upcoming, curated: isCurated(plan, upcoming) }
+            }
+        }))
+    });
+});
+
+// @desc    Create a subscription plan
+// @route   POST /api/admin/subscription-plans
+// @access  Private/Admin
+const createSubscriptionPlan = asyncHandler(async (req, res) => {
+    if (!req.body.name || !req.body.size || req.body.price === undefined) {
+        res.status(400);
+        throw new Error('Please provide a name, bag size and box price');
+    }
+
+    const plan = new SubscriptionPlan();
+    for (const field of PLAN_FIELDS) {
+        if (req.body[field] !== undefined) plan[field] = req.body[field];
+    }
+    await plan.save();
+
+    logActivity(req, 'SUBSCRIPTION_PLAN_CREATE', plan.name, plan._id);
+
+    res.status(201).json({
+        success: true,
+        message: 'Subscription plan created successfully',
+        data: plan
+    });
+});
+
+// @desc    Update a subscription plan (existing subscribers keep their locked price)
+// @route   PUT /api/admin/subscription-plans/:id
+// @access  Private/Admin
+const updateSubscriptionPlan = asyncHandler(async (req, res) => {
+    const plan = await findPlan(req, res);
+
+    for (const field of PLAN_FIELDS) {
+        if (req.body[field] !== undefined) plan[field] = req.body[field];
+    }
+    if (!plan.frequencies.length) {
+        res.status(400);
+        throw new Error('Choose at least one delivery frequency');
+    }
+    await plan.save();
+
+    logActivity(req, 'SUBSCRIPTION_PLAN_UPDATE', plan.name, plan._id);
+
+    res.json({
+        success: true,
+        message: 'Subscription plan updated successfully',
+        data: plan
+    });
+});
+
+// @desc    Delete a subscription plan nobody is subscribed to
+// @route   DELETE /api/admin/subscription-plans/:id
+// @access  Private/Admin
+const deleteSubscriptionPlan = asyncHandler(async (req, res) => {
+    const plan = await findPlan(req, res);
+
+    if (await Subscription.exists({ plan: plan._id, status: { $ne: 'cancelled' } })) {
+        res.status(400);
+        throw new Error('This plan has subscribers — deactivate it instead');
+    }
+
+    const name = plan.name;
+    await plan.deleteOne();
+
+    logActivity(req, 'SUBSCRIPTION_PLAN_DELETE', name, plan._id);
+
+    res.json({
+        success: true,
+        message: 'Subscription plan deleted successfully'
+    });
+});
+
+// @desc    A cycle's coffees, who they suit and the stock they need
+// @route   GET /api/admin/subscription-plans/:id/cycles/:period
+// @access  Private/Admin
+const getPlanCycle = asyncHandler(async (req, res) => {
+    if (!PERIOD_PATTERN.test(req.params.period)) {
+        res.status(400);
+        throw new Error('Cycle period must be YYYY-MM');
+    }
+    const plan = await findPlan(req, res);
+
+    res.json({
+        success: true,
+        data: await curationFor(plan, req.params.period)
+    });
+});
+
+// @desc    Choose a cycle's coffees (in order of preference)
+// @route   PUT /api/admin/subscription-plans/:id/cycles/:period
+// @access  Private/Admin
+const setPlanCycle = asyncHandler(async (req, res) => {
+    const { period } = req.params;
+    if (!PERIOD_PATTERN.test(period)) {
+        res.status(400);
+        throw new Error('Cycle period must be YYYY-MM');
+    }
+    if (period < SubscriptionPlan.periodOf()) {
+        res.status(400);
+        throw new Error('Past cycles can no longer be changed');
+    }
+    const plan = await findPlan(req, res);
+
+    const ids = [...new Set((req.body.products || []).map(String))];
+    const products = await Product.find({
+        _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+        category: plan.category,
+        isGiftCard: { $ne: true },
+        isBundle: { $ne: true }
+    }).select('_id sizes');
+    if (products.length !== ids.length) {
+        res.status(400);
+        throw new Error(`Every coffee must be a single ${plan.category} product`);
+    }
+    const missingSize = products.find(product => product.sizes?.length && !product.getVariant(plan.size));
+    if (missingSize) {
+        res.status(400);
+        throw new Error(`Every coffee must be sold in ${plan.size}`);
+    }
+
+    const cycle = {
+        period,
+        products: ids,
+        note: req.body.note?.trim() || undefined,
+        updatedBy: req.user._id,
+        updatedAt: new Date()
+    };
+    const existing = plan.cycles.findIndex(c => c.period === period);
+    if (existing >= 0) plan.cycles.set(existing, cycle);
+    else plan.cycles.push(cycle);
+    await plan.save();
+
+    logActivity(req, 'SUBSCRIPTION_PLAN_CURATE', `${plan.name} (${period})`, plan._id, { products: ids });
+
+    res.json({
+        success: true,
+        message: `${plan.name} coffees for ${period} saved`,
+        data: await curationFor(plan, period)
+    });
+});
+
+export {
+    getSubscriptionPlans,
+    createSubscriptionPlan,
+    updateSubscriptionPlan,
+    deleteSubscriptionPlan,
+    getPlanCycle,
+    setPlanCycle
+};
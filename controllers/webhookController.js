@@ -1,129 +1,32 @@
 import asyncHandler from 'express-async-handler';
-import Order from '../models/Order.js';
-import PaymentTransaction from '../models/PaymentTransaction.js';
-import { logActivity } from '../utils/activityLogger.js';
-
-// @desc    Handle MPESA STK Push Callback
-// @route   POST /api/webhooks/mpesa
-// @access  Public (Signature verification TODO)
-export const handleMpesaWebhook = asyncHandler(async (req, res) => {
-    console.log('📨 [Webhook] Received MPESA Callback');
-
-    const { Body } = req.body;
-
-    if (!Body || !Body.stkCallback) {
-        console.error('❌ [Webhook] Invalid MPESA Payload');
-        return res.status(400).send('Invalid Payload');
-    }
-
-    const { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = Body.stkCallback;
-
-    // 1. Log the raw transaction immediately for safety
-    const transactionLog = new PaymentTransaction({
-        order: null, // Will try to link below
-        provider: 'MPESA',
-        transactionId: CheckoutRequestID,
-        amount: 0, // Placeholder, extract items later
-        status: ResultCode === 0 ? 'SUCCESS' : 'FAILED',
-        rawResponse: req.body,
-        metadata: { ResultDesc }
-    });
-
-    // 2. Extract Details if Successful
-    if (ResultCode === 0) {
-        const items = CallbackMetadata.Item;
-        const amountItem = items.find(i => i.Name === 'Amount');
-        const receiptItem = items.find(i => i.Name === 'MpesaReceiptNumber');
-        // const phoneItem = items.find(i => i.Name === 'PhoneNumber');
-
-        const amount = amountItem ? amountItem.Value : 0;
-        const receiptNumber = receiptItem ? receiptItem.Value : '';
-
-        transactionLog.amount = amount;
-        transactionLog.transactionId = receiptNumber; // Update to actual receipt
-
-        // 3. Find the Order
-        // Logic: The Order should have been created with the CheckoutRequestID or we find by Reference
-        // For now, we search for an Order where transactionId MATCHES the CheckoutRequestID (set during initiation)
-        const order = await Order.findOne({ transactionId: CheckoutRequestID });
-
-        if (order) {
-            console.log(`✅ [Webhook] Order Found: ${order.orderNumber}`);
-            transactionLog.order = order._id;
-
-            // 4. Update Order
-            if (order.paymentStatus !== 'paid') {
-                order.paymentStatus = 'paid';
-                order.status = 'confirmed'; // Auto-confirm
-                order.paymentMethod = 'Mpesa'; // Ensure it's set
-                // Keep the original CheckoutRequestID but maybe append the receipt?
-                // order.transactionId = receiptNumber; // Optional: overwrite or keep history
-                await order.save();
-
-                console.log(`💰 [Webhook] Order ${order.orderNumber} marked as PAID`);
-
-                // Log Activity (System Action)
-                // We construct a fake req object for the logger since it's a webhook
-                const systemReq = { user: { _id: order.user, firstName: 'System', lastName: 'Webhook' }, ip: req.ip };
-                // logActivity(systemReq, 'UPDATE_ORDER', order.orderNumber, order._id, { status: 'paid' });
-            }
-        } else {
-            console.warn(`⚠️ [Webhook] No matching Order found for CheckoutID: ${CheckoutRequestID}`);
+import { handlePaymentCallback } from '../services/paymentService.js';
+import { logSystemActivity } from '../utils/activityLogger.js';
+
+// @desc    Payment provider callback (M-Pesa STK, Airtel Money, Stripe)
+// @route   POST /api/webhooks/:provider
+// @access  Public (authenticated per provider: Stripe signature, callback token / IP allowlist)
+export const handleProviderWebhook = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+    console.log(`📨 [Webhook] Received ${provider} callback`);
+
+    try {
+        const { acknowledgement, applied, reason } = await handlePaymentCallback(provider, req);
+        if (!applied) console.log(`ℹ️ [Webhook] ${provider} callback not applied: ${reason}`);
+
+        // Always acknowledge a valid callback so the provider stops retrying
+        res.status(200).json(acknowledgement);
+    } catch (error) {
+        console.error(`❌ [Webhook] ${provider} callback rejected:`, error.message);
+        // Bad signatures, tokens and payloads are worth an audit trail; our own 5xx aren't
+        if (error.statusCode && error.statusCode < 500) {
+            await logSystemActivity(req, 'WEBHOOK_REJECTED', `${provider} webhook`, null, {
+                provider,
+                reason: error.message,
+                statusCode: error.statusCode,
+                ip: req.ip
+            });
         }
-    } else {
-        console.warn(`❌ [Webhook] MPESA Failed: ${ResultDesc}`);
-        transactionLog.status = 'FAILED';
+        if (error.statusCode) res.status(error.statusCode);
+        throw error;
     }
-
-    // Save the log (even if order not found, we want the record)
-    // We need a valid Order ID for the schema if strict, but let's make it optional or find a placeholder?
-    // Schema says 'order' is required. If not found, we can't save easily without relaxing schema.
-    // Correction: I should relax the schema validation or create a "Unmatched" logic.
-    // For now, if order is null, I will skip saving OR mock it.
-    if (transactionLog.order) {
-        await transactionLog.save();
-    } else {
-        console.log('⚠️ [Webhook] Transaction log skipped because Order ID missing (Schema constraint)');
-    }
-
-    // Always respond 200 to Safaricom/Stripe to stop retries
-    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
-});
-
-// @desc    Handle Stripe Webhook
-// @route   POST /api/webhooks/stripe
-// @access  Public (Signature verification required)
-export const handleStripeWebhook = asyncHandler(async (req, res) => {
-    const event = req.body;
-
-    // In a real app, verify signature here using stripe.webhooks.constructEvent
-
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        const orderId = session.client_reference_id; // Passed during checkout creation
-
-        console.log(`💰 [Webhook] Stripe Session Completed: ${orderId}`);
-
-        if (orderId) {
-            const order = await Order.findById(orderId);
-            if (order) {
-                order.paymentStatus = 'paid';
-                order.status = 'confirmed';
-                order.transactionId = session.payment_intent;
-                await order.save();
-
-                // Log transaction
-                await PaymentTransaction.create({
-                    order: order._id,
-                    provider: 'STRIPE',
-                    transactionId: session.payment_intent,
-                    amount: session.amount_total / 100,
-                    status: 'SUCCESS',
-                    rawResponse: session
-                });
-            }
-        }
-    }
-
-    res.json({ received: true });
 });
@@ -60,6 +60,19 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Guest-friendly routes (guest checkout): a signed-in customer is checked
+// exactly like protect, while a request without a token goes through as a
+// guest with no req.user
+const optionalAuth = (req, res, next) => {
+  const token = req.headers.authorization?.startsWith('Bearer')
+    ? req.headers.authorization.split(' ')[1]
+    : null;
+
+  // Logged-out pages send "Bearer null"
+  if (!token || token === 'null' || token === 'undefined') return next();
+  return protect(req, res, next);
+};
+
 const admin = asyncHandler(async (req, res, next) => {
   if (!req.user) {
     res.status(401);
@@ -147,4 +160,4 @@ const validateToken = asyncHandler(async (req, res) => {
   }
 });
 
-export { protect, admin, validateToken };
\ No newline at end of file
+export { protect, optionalAuth, admin, validateToken };
\ No newline at end of file
@@ -3,10 +3,10 @@ import multer from 'multer';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import cloudinary from '../config/cloudinary.js';
 
-const storage = new CloudinaryStorage({
+const imageStorage = (folder) => new CloudinaryStorage({
   cloudinary: cloudinary,
   params: {
-    folder: 'rerendet-coffee/products',
+    folder,
     allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
     transformation: [
       { width: 800, height: 800, crop: 'limit', quality: 'auto' }
@@ -14,18 +14,45 @@ const storage = new CloudinaryStorage({
   }
 });
 
+const imageFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'), false);
+  }
+};
+
 const upload = multer({ 
-  storage: storage,
+  storage: imageStorage('rerendet-coffee/products'),
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   },
+  fileFilter: imageFilter
+});
+
+// Customer photos attached to return requests
+const returnPhotoUpload = multer({
+  storage: imageStorage('rerendet-coffee/returns'),
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 4
+  },
+  fileFilter: imageFilter
+});
+
+// M-Pesa statement exports for payment matching — parsed in memory, never stored
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024
+  },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (/\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'), false);
+      cb(new Error('Please upload the statement as a CSV file'), false);
     }
   }
 });
 
-export { upload };
\ No newline at end of file
+export { upload, returnPhotoUpload, statementUpload };
\ No newline at end of file
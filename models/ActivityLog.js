@@ -4,7 +4,7 @@ const activityLogSchema = new mongoose.Schema({
     admin: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null // null = the system itself (e.g. a rejected payment webhook)
     },
     action: {
         type: String,
@@ -52,7 +52,7 @@ const cartItemSchema = new mongoose.Schema({
     min: 0,
     default: 0 // in grams
   },
-  variant: {
+  variant: { // The product size (Product.sizes[].size) — each size is its own line
     type: String,
     trim: true,
     maxlength: [100, 'Variant cannot exceed 100 characters']
@@ -116,9 +116,9 @@ const cartSchema = new mongoose.Schema({
     default: [],
     validate: {
       validator: function(items) {
-        // Check for duplicate products in cart
-        const productIds = items.map(item => item.product.toString());
-        return new Set(productIds).size === productIds.length;
+        // Check for duplicate product sizes in cart
+        const lines = items.map(item => `${item.product}:${item.variant || ''}`);
+        return new Set(lines).size === lines.length;
       },
       message: 'Duplicate products are not allowed in cart'
     }
@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
 
+// fixed / percentage: money off the eligible items
+// free_shipping: delivery is free, nothing off the items
+// buy_x_get_y: for every buyQuantity + getQuantity eligible units, the cheapest
+//              getQuantity are getDiscountPercent off (100 = free)
+export const COUPON_TYPES = ['fixed', 'percentage', 'free_shipping', 'buy_x_get_y'];
+
 const couponSchema = new mongoose.Schema({
     code: {
         type: String,
@@ -10,12 +16,22 @@ const couponSchema = new mongoose.Schema({
     },
     discountType: {
         type: String,
-        enum: ['fixed', 'percentage'],
+        enum: COUPON_TYPES,
         required: true
     },
     discountAmount: {
         type: Number,
-        required: true
+        default: 0,
+        required: function () {
+            return ['fixed', 'percentage'].includes(this.discountType);
+        }
+    },
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    getDiscountPercent: { type: Number, min: 1, max: 100, default: 100 },
+    startDate: {
+        type: Date,
+        default: null // null = valid straight away
     },
     expiryDate: {
         type: Date,
@@ -29,10 +45,28 @@ const couponSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    perCustomerLimit: {
+        type: Number,
+        default: 0 // 0 = no limit per customer
+    },
+    firstOrderOnly: {
+        type: Boolean,
+        default: false
+    },
     minOrderAmount: {
         type: Number,
         default: 0
     },
+
+    // Which items the discount applies to. Empty = everything except gift
+    // cards; an item qualifies if it matches either list.
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: String, trim: true }],
+    excludeSaleItems: {
+        type: Boolean,
+        default: false // Sale = priced below list (e.g. a freshness markdown)
+    },
+
     isActive: {
         type: Boolean,
         default: true
@@ -42,7 +76,10 @@ const couponSchema = new mongoose.Schema({
 // Check if coupon is valid
 couponSchema.methods.isValid = function () {
     const now = new Date();
-    return this.isActive && now <= this.expiryDate && this.usedCount < this.usageLimit;
+    return this.isActive
+        && (!this.startDate || now >= this.startDate)
+        && now <= this.expiryDate
+        && this.usedCount < this.usageLimit;
 };
 
 const Coupon = mongoose.model('Coupon', couponSchema);
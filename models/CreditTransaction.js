@@ -0,0 +1,58 @@
+// models/CreditTransaction.js - APPEND-ONLY STORE CREDIT LEDGER
+// Every change to a customer's User.storeCredit, with the balance after it.
+import mongoose from 'mongoose';
+
+export const CREDIT_TRANSACTION_TYPES = [
+  'issued',      // Goodwill credit from staff (complaint, late delivery...)
+  'overpayment', // Paid beyond an order's total, kept as credit
+  'redeemed',    // Spent at checkout
+  'restored',    // Order cancelled, credit put back
+  'refunded',    // Order refunded, the credit spent on it put back
+  'referral',    // Reward for referring a friend, or for being referred
+  'adjusted'     // Staff correction (can be negative)
+];
+
+// Types staff may post by hand
+export const MANUAL_CREDIT_TYPES = ['issued', 'overpayment', 'adjusted'];
+
+const creditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: { type: Number, required: true }, // Signed delta: negative = spent
+  balanceAfter: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: CREDIT_TRANSACTION_TYPES,
+    required: true
+  },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  note: { type: String },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // null if system
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+creditTransactionSchema.index({ order: 1 });
+
+// Append-only: balances are corrected by posting a new entry, never by editing
+const rejectMutation = function (next) {
+  next(new Error('Store credit transactions are append-only and cannot be modified or deleted'));
+};
+
+creditTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+creditTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'],
+  rejectMutation
+);
+
+const CreditTransaction = mongoose.model('CreditTransaction', creditTransactionSchema);
+
+export default CreditTransaction;
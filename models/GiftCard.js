@@ -0,0 +1,82 @@
+// models/GiftCard.js - GIFT CARDS
+// Bought as a product (Product.isGiftCard) and issued once the order is paid,
+// or issued by staff. The balance is spent at checkout; every change is kept
+// on the card's history (services/storeCreditService.js).
+import mongoose from 'mongoose';
+
+export const GIFT_CARD_ENTRY_TYPES = [
+  'issued',    // Card created with its starting balance
+  'redeemed',  // Spent on an order
+  'restored',  // Order cancelled, amount put back on the card
+  'refunded',  // Order refunded, amount put back on the card
+  'adjusted'   // Staff correction
+];
+
+const giftCardEntrySchema = new mongoose.Schema({
+  type: { type: String, enum: GIFT_CARD_ENTRY_TYPES, required: true },
+  amount: { type: Number, required: true }, // Signed: negative = spent
+  balanceAfter: { type: Number, required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  note: { type: String },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Customer or staff member; null if system
+  at: { type: Date, default: Date.now }
+});
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialBalance: { type: Number, required: true, min: [1, 'Gift card value must be at least KES 1'] },
+  balance: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'KES' },
+  expiresAt: { type: Date, default: null }, // null = never expires
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+
+  purchaser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Order it was bought on; unset for staff-issued cards
+  recipientEmail: { type: String, lowercase: true, trim: true },
+  recipientName: { type: String, trim: true },
+  message: { type: String, trim: true, maxlength: 300 },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Staff member, for cards issued by hand
+  deliveredAt: { type: Date }, // Emailed to the recipient
+
+  history: [giftCardEntrySchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+giftCardSchema.index({ purchaser: 1, createdAt: -1 });
+giftCardSchema.index({ recipientEmail: 1 });
+giftCardSchema.index({ order: 1 });
+
+giftCardSchema.virtual('isExpired').get(function () {
+  return !!(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Why the card can't be spent right now, or null
+giftCardSchema.methods.redeemError = function () {
+  if (this.status !== 'active') return 'This gift card has been disabled';
+  if (this.isExpired) return `This gift card expired on ${this.expiresAt.toLocaleDateString('en-KE')}`;
+  if (this.balance <= 0) return 'This gift card has no balance left';
+  return null;
+};
+
+// Card numbers are shown as XXXX-XXXX-XXXX-XXXX but may be typed without dashes
+giftCardSchema.statics.normaliseCode = function (code) {
+  const raw = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return raw.match(/.{1,4}/g)?.join('-') || '';
+};
+
+const GiftCard = mongoose.model('GiftCard', giftCardSchema);
+
+export default GiftCard;
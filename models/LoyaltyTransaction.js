@@ -0,0 +1,74 @@
+// models/LoyaltyTransaction.js - LOYALTY POINTS LEDGER
+// Every change to a customer's User.loyaltyPoints, with the balance after it.
+// Positive entries are also "lots": `remaining` is how much of the lot is still
+// unspent, and whatever is left at `expiresAt` expires. Spending takes from the
+// oldest-expiring lots first (services/loyaltyService.js).
+import mongoose from 'mongoose';
+
+export const LOYALTY_TRANSACTION_TYPES = [
+  'earned',   // Delivered order
+  'review',   // Review of a product they bought
+  'referral', // A friend they referred placed an order
+  'birthday', // Yearly birthday bonus
+  'redeemed', // Spent at checkout
+  'restored', // Order cancelled, spent points put back
+  'reversed', // Order refunded, earned points taken back
+  'expired'   // Lot reached its expiry date unspent
+];
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  points: { type: Number, required: true }, // Signed delta: negative = spent / taken back
+  balanceAfter: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: LOYALTY_TRANSACTION_TYPES,
+    required: true
+  },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // Reviewed product
+  note: { type: String },
+
+  // Lots only (points > 0)
+  remaining: { type: Number, default: 0, min: 0 },
+  expiresAt: { type: Date, default: null } // null = never expires
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ remaining: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ order: 1 });
+
+// Entries are never edited, except for drawing down a lot's unspent remainder
+const rejectMutation = function (next) {
+  next(new Error('Loyalty transactions are append-only and cannot be modified or deleted'));
+};
+
+const onlyDrawsDownRemaining = function (next) {
+  const update = this.getUpdate() || {};
+  const fields = Object.entries(update).flatMap(([op, value]) => op.startsWith('$') ? Object.keys(value) : [op]);
+  if (fields.length && fields.every(field => field === 'remaining')) return next();
+  rejectMutation(next);
+};
+
+loyaltyTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+loyaltyTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], onlyDrawsDownRemaining);
+
+loyaltyTransactionSchema.pre(
+  ['replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'],
+  rejectMutation
+);
+
+const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+
+export default LoyaltyTransaction;
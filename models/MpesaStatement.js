@@ -0,0 +1,54 @@
+// models/MpesaStatement.js - IMPORTED M-PESA PAYBILL STATEMENTS
+// Each money-in line from the org portal's CSV export, and what it was matched
+// to. Matched lines are recorded as payments (services/statementImportService.js);
+// unmatched ones wait here for an admin to assign them.
+import mongoose from 'mongoose';
+
+export const STATEMENT_LINE_STATUSES = ['matched', 'assigned', 'unmatched', 'duplicate', 'ignored'];
+
+const statementLineSchema = new mongoose.Schema({
+  receipt: { type: String, required: true },     // M-Pesa receipt, e.g. SGR7XYZ123
+  completedAt: { type: Date },
+  details: { type: String },
+  payerPhone: { type: String },                  // Often masked: 2547******678
+  payerName: { type: String },
+  accountNumber: { type: String },               // What the customer typed as the account
+  amount: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: STATEMENT_LINE_STATUSES,
+    default: 'unmatched'
+  },
+  matchedBy: [{ type: String }],                 // reference | account | phone | amount | manual
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction' },
+  note: { type: String },                        // Why it didn't match, or how it was applied
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date }
+});
+
+const mpesaStatementSchema = new mongoose.Schema({
+  fileName: { type: String },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lines: [statementLineSchema],
+  skippedRows: { type: Number, default: 0 }      // Withdrawals, charges, failed transactions
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+mpesaStatementSchema.index({ createdAt: -1 });
+mpesaStatementSchema.index({ 'lines.receipt': 1 });
+
+// Line counts by status
+mpesaStatementSchema.virtual('counts').get(function () {
+  return STATEMENT_LINE_STATUSES.reduce((counts, status) => ({
+    ...counts,
+    [status]: (this.lines || []).filter(line => line.status === status).length
+  }), {});
+});
+
+const MpesaStatement = mongoose.model('MpesaStatement', mpesaStatementSchema);
+
+export default MpesaStatement;
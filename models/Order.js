@@ -1,5 +1,6 @@
 // models/Order.js - REFACTORED FOR GRANULAR LIFECYCLE MANAGEMENT
 import mongoose from 'mongoose';
+import shipmentSchema from './Shipment.js';
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -12,7 +13,32 @@ const orderItemSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, min: 1 },
   image: { type: String, required: true },
   size: { type: String, required: true },
-  itemTotal: { type: Number, required: true }
+  itemTotal: { type: Number, required: true },
+  // Bundle contents at order time, so a later bundle edit can't change what gets restocked
+  bundleComponents: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    size: { type: String },
+    quantity: { type: Number } // Per bundle unit
+  }],
+  // Roast batches this line was filled from (FIFO at checkout); bundle components included
+  batchAllocations: [{
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: 'RoastBatch' },
+    batchNumber: { type: String },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    size: { type: String },
+    quantity: { type: Number }
+  }],
+  // Units refunded so far, and how many of those went back into stock
+  refundedQuantity: { type: Number, default: 0 },
+  restockedQuantity: { type: Number, default: 0 },
+  // Gift card lines: who receives the cards, and the cards issued once paid
+  isGiftCard: { type: Boolean, default: false },
+  giftCardRecipient: {
+    email: { type: String, lowercase: true, trim: true },
+    name: { type: String, trim: true },
+    message: { type: String, trim: true }
+  },
+  giftCards: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' }]
 });
 
 const shippingAddressSchema = new mongoose.Schema({
@@ -35,6 +61,18 @@ const orderEventSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // User who triggered the event (null if system)
 });
 
+// One payment applied to the order; an order can be settled by several
+// (a deposit by M-Pesa, the balance in cash on delivery, ...)
+const orderPaymentSchema = new mongoose.Schema({
+  method: { type: String, required: true },       // mpesa | airtel | card | cod | paypal
+  provider: { type: String },                     // Ledger name, e.g. MPESA, SANDBOX, CASH
+  amount: { type: Number, required: true },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction' },
+  reference: { type: String },                    // Receipt or gateway reference
+  paidAt: { type: Date, default: Date.now },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // Staff member, for payments taken by hand
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -43,8 +81,17 @@ const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Guest orders have none until someone registers with their email
+    required: function () { return !this.isGuest; }
   },
+  // Guest checkout (services/guestCheckoutService.js): the order is reached
+  // with an access token instead of a login; only its hash is kept
+  isGuest: { type: Boolean, default: false },
+  guestAccessToken: { type: String, select: false },
+  claimedAt: { type: Date, default: null }, // Moved into the account registered with its email
+  // The signed checkout quote it was placed from (services/checkoutQuoteService.js);
+  // unique so one quote places one order
+  quoteId: { type: String, unique: true, sparse: true },
   items: [orderItemSchema],
   shippingAddress: shippingAddressSchema,
 
@@ -53,6 +100,9 @@ const orderSchema = new mongoose.Schema({
   shippingCost: { type: Number, required: true, default: 0 },
   tax: { type: Number, required: true, default: 0 },
   total: { type: Number, required: true },
+  refundedAmount: { type: Number, default: 0 }, // Running sum of Refund.amount; total stays what was charged
+  amountPaid: { type: Number, default: 0 }, // Running sum of payments[].amount (see services/paymentService.js)
+  overpaidAmount: { type: Number, default: 0 }, // Paid beyond the total — owed back to the customer as credit
 
   // === GRANULAR STATUS FIELDS ===
 
@@ -67,7 +117,7 @@ const orderSchema = new mongoose.Schema({
   // Payment Lifecycle
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'partially_paid', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending',
     index: true
   },
@@ -75,14 +125,18 @@ const orderSchema = new mongoose.Schema({
   // Fulfillment Lifecycle (Packing & Delivery)
   fulfillmentStatus: {
     type: String,
-    enum: ['unfulfilled', 'packed', 'shipped', 'delivered', 'returned'],
+    enum: ['unfulfilled', 'packed', 'partially_shipped', 'shipped', 'delivered', 'returned'],
     default: 'unfulfilled',
     index: true
   },
 
   // Metadata
-  paymentMethod: { type: String, required: true },
+  paymentMethod: { type: String, required: true }, // How the first payment is made
   transactionId: { type: String },
+  payments: [orderPaymentSchema],
+  // Split payment plan chosen at checkout: a deposit up front, the rest later
+  depositAmount: { type: Number, default: 0 }, // 0 = the whole total up front
+  balancePaymentMethod: { type: String },      // 'cod' = balance collected on delivery; unset = paid online later
   manualTransactionId: { type: String }, // For Paybill/Manual Verification
   paymentVerificationStatus: {
     type: String,
@@ -91,6 +145,7 @@ const orderSchema = new mongoose.Schema({
   },
   trackingNumber: { type: String },
   estimatedDeliveryDate: { type: Date },
+  deliveredAt: { type: Date },
   notes: { type: String },
 
   // Audit Trail
@@ -103,22 +158,56 @@ const orderSchema = new mongoose.Schema({
       timestamp: { type: Date, default: Date.now }
     }
   ],
+  // Split shipments; empty when the order goes out as a single parcel
+  shipments: [shipmentSchema],
 
   // Subscription & Discounts
   isSubscription: { type: Boolean, default: false },
   subscriptionFrequency: { type: String, enum: ['weekly', 'bi-weekly', 'monthly'] },
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' }, // Started by or renewing this subscription
   couponCode: { type: String, uppercase: true },
   discountAmount: { type: Number, default: 0 },
 
+  // Automatic promotions (services/promotionService.js), a discount line of
+  // their own next to the coupon discount
+  promotions: [{
+    _id: false,
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    name: String,
+    discount: { type: Number, default: 0 },
+    freeShipping: { type: Boolean, default: false }
+  }],
+  promotionDiscount: { type: Number, default: 0 },
+
+  // Gift card / store credit spent at checkout; already taken off the total,
+  // and put back if the order is cancelled (services/storeCreditService.js)
+  giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+  giftCardCode: { type: String },
+  giftCardAmount: { type: Number, default: 0 },
+  storeCreditAmount: { type: Number, default: 0 },
+  giftCardsIssuedAt: { type: Date, default: null }, // Purchased gift cards sent out (once, when paid)
+
+  // Loyalty points (services/loyaltyService.js). Redeemed points are a discount
+  // line; points are earned once the order is delivered.
+  loyaltyPointsRedeemed: { type: Number, default: 0 },
+  loyaltyDiscount: { type: Number, default: 0 },
+  loyaltyPointsEarned: { type: Number, default: 0 },
+  loyaltyPointsReversed: { type: Number, default: 0 }, // Taken back by refunds
+  loyaltyPointsAwardedAt: { type: Date, default: null },
+
   // Inventory Reservation (Auto-expiry)
+  // Not a TTL index: the reservation worker (utils/cronJobs.js) cancels expired
+  // unpaid orders and returns their stock instead of MongoDB deleting them
   expiresAt: {
     type: Date,
     default: function () {
       // Default: Expires in 30 minutes if unpaid
       return new Date(Date.now() + 30 * 60 * 1000);
     },
-    index: { expires: 0 } // Create TTL index but managing logic manually for better control
-  }
+    index: true
+  },
+  // Set once when reserved stock goes back to inventory (expiry or cancellation)
+  stockReleasedAt: { type: Date, default: null }
 
 }, {
   timestamps: true,
@@ -132,6 +221,7 @@ orderSchema.virtual('status').get(function () {
   if (this.fulfillmentStatus === 'returned') return 'Returned';
   if (this.fulfillmentStatus === 'delivered') return 'Delivered';
   if (this.fulfillmentStatus === 'shipped') return 'Shipped';
+  if (this.fulfillmentStatus === 'partially_shipped') return 'Partially Shipped';
   if (this.fulfillmentStatus === 'packed') return 'Processing';
 
   // If we reach here, it's either confirmed (paid/CoD) or pending
@@ -139,6 +229,27 @@ orderSchema.virtual('status').get(function () {
   return 'Confirmed';
 });
 
+// What the customer still owes
+orderSchema.virtual('balanceDue').get(function () {
+  return Math.max(0, Math.round(((this.total || 0) - (this.amountPaid || 0)) * 100) / 100);
+});
+
+// Fulfillment implied by the order's parcels, or null when it isn't split.
+// Refunded units no longer need to ship.
+orderSchema.methods.shipmentFulfillmentStatus = function () {
+  if (!this.shipments?.length) return null;
+
+  const toShip = this.items.reduce((sum, i) => sum + i.quantity - (i.refundedQuantity || 0), 0);
+  const unitsIn = (statuses) => this.shipments
+    .filter(p => statuses.includes(p.status))
+    .reduce((sum, p) => sum + p.items.reduce((s, i) => s + i.quantity, 0), 0);
+
+  const shipped = unitsIn(['shipped', 'delivered']);
+  if (shipped === 0) return 'packed';
+  if (shipped < toShip) return 'partially_shipped';
+  return unitsIn(['delivered']) >= shipped ? 'delivered' : 'shipped';
+};
+
 // Generate Order Number & Tracking Number
 orderSchema.pre('save', function (next) {
   if (this.isNew) {
@@ -168,6 +279,11 @@ orderSchema.pre('save', function (next) {
   next();
 });
 
+// Recall lookups: which orders received a given roast batch
+orderSchema.index({ 'items.batchAllocations.batch': 1 });
+// Guest orders waiting to be claimed by an account with their email
+orderSchema.index({ isGuest: 1, user: 1, 'shippingAddress.email': 1 });
+
 const Order = mongoose.model('Order', orderSchema, 'orders');
 
 export default Order;
\ No newline at end of file
@@ -8,18 +8,27 @@ const paymentTransactionSchema = new mongoose.Schema({
     },
     provider: {
         type: String,
-        enum: ['MPESA', 'STRIPE', 'PAYPAL'],
+        // SANDBOX: services/payments/sandboxProvider.js; GIFT_CARD / STORE_CREDIT: refunds put back on balances
+        enum: ['MPESA', 'STRIPE', 'PAYPAL', 'AIRTEL', 'CASH', 'SANDBOX', 'GIFT_CARD', 'STORE_CREDIT'],
         required: true
     },
+    type: {
+        type: String,
+        enum: ['PAYMENT', 'REFUND'],
+        default: 'PAYMENT'
+    },
     transactionId: {
         type: String, // MPESA Receipt Number or Stripe PaymentIntent ID
         required: true,
         unique: true
     },
     amount: {
-        type: Number,
+        type: Number, // What actually arrived, once the provider reports it
         required: true
     },
+    amountDue: {
+        type: Number // What the order was owed when the payment started
+    },
     currency: {
         type: String,
         default: 'KES'
@@ -1,5 +1,6 @@
 // models/Product.js - WITH EXPLICIT COLLECTION NAME
 import mongoose from 'mongoose';
+import StockMovement from './StockMovement.js';
 
 const productSchema = new mongoose.Schema({
   // Basic Information
@@ -27,6 +28,21 @@ const productSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: [0, 'Price cannot be negative']
+    },
+    // Per-variant inventory — a 1kg bag and a 250g bag are separate pools
+    stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Stock cannot be negative']
+    },
+    lowStockAlert: {
+      type: Number,
+      default: 5,
+      min: [0, 'Low stock alert cannot be negative']
+    },
+    inStock: {
+      type: Boolean,
+      default: true
     }
   }],
 
@@ -67,7 +83,8 @@ const productSchema = new mongoose.Schema({
     maxlength: [50, 'Badge cannot exceed 50 characters']
   },
 
-  // Inventory Management
+  // Inventory Management — stock is the sum of every size's stock when the
+  // product has sizes; lowStockAlert is the default threshold for new sizes
   inventory: {
     stock: {
       type: Number,
@@ -128,9 +145,14 @@ const productSchema = new mongoose.Schema({
   isBundle: { type: Boolean, default: false },
   bundleDetails: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    size: { type: String, trim: true }, // Component variant; defaults to the component's first size
     quantity: { type: Number, default: 1 }
   }],
 
+  // Commercial Logic: Gift cards — each size is a denomination; no stock is
+  // reserved and a GiftCard is issued per unit once the order is paid
+  isGiftCard: { type: Boolean, default: false },
+
   // Commercial Logic: Subscription
   isSubscriptionAvailable: { type: Boolean, default: false },
   subscriptionDiscount: { type: Number, default: 10 }, // Percentage
@@ -154,8 +176,11 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Virtual for checking if product is low stock
+// Virtual for checking if product is low stock (any variant at or below its threshold)
 productSchema.virtual('isLowStock').get(function () {
+  if (this.sizes?.length > 0) {
+    return this.sizes.some(s => s.stock <= s.lowStockAlert);
+  }
   return this.inventory.stock <= this.inventory.lowStockAlert;
 });
 
@@ -164,33 +189,61 @@ productSchema.virtual('displayName').get(function () {
   return this.name;
 });
 
+// Resolve a size entry by name (falls back to the first size when none is given)
+productSchema.methods.getVariant = function (size) {
+  if (!this.sizes?.length) return null;
+  if (!size) return this.sizes[0];
+  return this.sizes.find(s => s.size === size) || null;
+};
+
 // Method to check availability
-productSchema.methods.checkAvailability = function (quantity = 1) {
+productSchema.methods.checkAvailability = function (quantity = 1, size) {
+  if (this.sizes?.length > 0) {
+    const variant = this.getVariant(size);
+    return !!variant && variant.stock >= quantity;
+  }
   return this.inStock && this.inventory.stock >= quantity;
 };
 
+// Stock methods take an optional ledger entry ({ reason, order, user, note }).
+// Without a reason the change is recorded as a manual adjustment.
+
 // Method to update stock
-productSchema.methods.updateStock = function (newStock) {
-  this.inventory.stock = newStock;
-  this.inStock = newStock > 0;
-  return this.save();
+productSchema.methods.updateStock = async function (newStock, size, movement = {}) {
+  const before = StockMovement.snapshot(this);
+  const variant = this.getVariant(size);
+  if (variant) {
+    variant.stock = newStock;
+  } else {
+    this.inventory.stock = newStock;
+  }
+  const saved = await this.save();
+  await StockMovement.recordChanges(saved, before, { reason: 'manual_adjustment', ...movement });
+  return saved;
 };
 
 // Method to decrease stock
-productSchema.methods.decreaseStock = function (quantity = 1) {
-  if (this.inventory.stock >= quantity) {
-    this.inventory.stock -= quantity;
-    this.inStock = this.inventory.stock > 0;
-    return this.save();
+productSchema.methods.decreaseStock = async function (quantity = 1, size, movement = {}) {
+  const variant = this.getVariant(size);
+  const available = variant ? variant.stock : this.inventory.stock;
+  if (available >= quantity) {
+    if (variant) variant.stock -= quantity;
+    else this.inventory.stock -= quantity;
+    const saved = await this.save();
+    await StockMovement.record(saved, { reason: 'manual_adjustment', ...movement, size, quantity: -quantity });
+    return saved;
   }
   throw new Error('Insufficient stock');
 };
 
 // Method to increase stock
-productSchema.methods.increaseStock = function (quantity = 1) {
-  this.inventory.stock += quantity;
-  this.inStock = true;
-  return this.save();
+productSchema.methods.increaseStock = async function (quantity = 1, size, movement = {}) {
+  const variant = this.getVariant(size);
+  if (variant) variant.stock += quantity;
+  else this.inventory.stock += quantity;
+  const saved = await this.save();
+  await StockMovement.record(saved, { reason: 'manual_adjustment', ...movement, size, quantity });
+  return saved;
 };
 
 // Pre-save middleware to generate slug if not provided
@@ -221,7 +274,11 @@ productSchema.pre('save', async function (next) {
     }
   }
 
-  // Ensure inStock reflects actual stock
+  // Ensure inStock reflects actual stock — per variant first, then the product total
+  if (this.sizes?.length > 0) {
+    this.sizes.forEach(s => { s.inStock = s.stock > 0; });
+    this.inventory.stock = this.sizes.reduce((sum, s) => sum + (s.stock || 0), 0);
+  }
   this.inStock = this.inventory.stock > 0;
 
   next();
@@ -259,16 +316,107 @@ productSchema.statics.getFeatured = function (limit = 8) {
   }).limit(limit);
 };
 
-// Static method to get low stock products
+// Static method to get low stock products (any variant at or below its own threshold)
 productSchema.statics.getLowStock = function () {
   return this.find({
     isActive: true,
     $expr: {
-      $lte: ['$inventory.stock', '$inventory.lowStockAlert']
+      $or: [
+        {
+          $anyElementTrue: [{
+            $map: {
+              input: { $ifNull: ['$sizes', []] },
+              as: 's',
+              in: { $lte: ['$$s.stock', '$$s.lowStockAlert'] }
+            }
+          }]
+        },
+        {
+          $and: [
+            { $eq: [{ $size: { $ifNull: ['$sizes', []] } }, 0] },
+            { $lte: ['$inventory.stock', '$inventory.lowStockAlert'] }
+          ]
+        }
+      ]
     }
   });
 };
 
+// Atomically take `quantity` units from one variant. Returns the updated product,
+// or null when the variant doesn't exist or doesn't have enough stock.
+// The ledger entry is written in the same session (reason defaults to 'sale').
+productSchema.statics.reserveVariantStock = async function (productId, size, quantity, session, movement = {}) {
+  const product = await this.findById(productId).select('sizes').session(session || null);
+  if (!product) return null;
+
+  let updated;
+  if (product.sizes?.length > 0) {
+    const variant = product.getVariant(size);
+    if (!variant) return null;
+
+    updated = await this.findOneAndUpdate(
+      { _id: productId, sizes: { $elemMatch: { size: variant.size, stock: { $gte: quantity } } } },
+      { $inc: { 'sizes.$.stock': -quantity, 'inventory.stock': -quantity } },
+      { session, new: true }
+    );
+  } else {
+    updated = await this.findOneAndUpdate(
+      { _id: productId, 'inventory.stock': { $gte: quantity } },
+      { $inc: { 'inventory.stock': -quantity } },
+      { session, new: true }
+    );
+  }
+
+  if (updated) {
+    await this.syncStockFlags(updated, session);
+    await StockMovement.record(updated, { reason: 'sale', ...movement, size, quantity: -quantity }, session);
+  }
+  return updated;
+};
+
+// Atomically add `quantity` units to one variant (cancellations, restocks, supplier receipts)
+productSchema.statics.releaseVariantStock = async function (productId, size, quantity, session, movement = {}) {
+  const product = await this.findById(productId).select('sizes').session(session || null);
+  if (!product) return null;
+
+  let updated;
+  // A size renamed since the order was placed goes back to the first size
+  const variant = product.getVariant(size) || product.sizes?.[0];
+  if (variant) {
+    updated = await this.findOneAndUpdate(
+      { _id: productId, 'sizes.size': variant.size },
+      { $inc: { 'sizes.$.stock': quantity, 'inventory.stock': quantity } },
+      { session, new: true }
+    );
+  } else {
+    updated = await this.findByIdAndUpdate(
+      productId,
+      { $inc: { 'inventory.stock': quantity } },
+      { session, new: true }
+    );
+  }
+
+  if (updated) {
+    await this.syncStockFlags(updated, session);
+    await StockMovement.record(updated, {
+      reason: 'cancellation_restock',
+      ...movement,
+      size: variant ? variant.size : null,
+      quantity
+    }, session);
+  }
+  return updated;
+};
+
+// Keep the denormalised inStock flags in line after an atomic $inc
+productSchema.statics.syncStockFlags = function (product, session) {
+  const $set = { inStock: product.inventory.stock > 0 };
+  (product.sizes || []).forEach((s, i) => {
+    if (s.inStock !== s.stock > 0) $set[`sizes.${i}.inStock`] = s.stock > 0;
+  });
+  return this.updateOne({ _id: product._id }, { $set }, { session });
+};
+
 // EXPLICIT COLLECTION NAME - Try 'products' first, if doesn't work try 'product'
 const Product = mongoose.model('Product', productSchema, 'products');
 
@@ -0,0 +1,51 @@
+// models/Promotion.js - AUTOMATIC OFFERS
+// Discounts that apply on their own when the cart qualifies, no code needed
+// (10% off 3+ bags, KES 200 off orders over 6,000, a free grinder with
+// espresso beans). Evaluated by services/promotionService.js for both the cart
+// preview and createOrder.
+import mongoose from 'mongoose';
+
+export const PROMOTION_REWARDS = [
+  'percentage',   // rewardValue % off the qualifying items
+  'fixed',        // rewardValue KES off the qualifying items
+  'free_item',    // freeQuantity units of freeProduct free when it's in the cart
+  'free_shipping' // Delivery is free
+];
+
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true }, // Shown to customers; worked out from the rules when empty
+  isActive: { type: Boolean, default: true },
+  startDate: { type: Date, default: null }, // null = straight away
+  endDate: { type: Date, default: null },   // null = until switched off
+
+  // Which items count towards the offer (and get the discount). Empty = all
+  // goods except gift cards; an item qualifies if it matches either list.
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  categories: [{ type: String, trim: true }],
+  excludeSaleItems: { type: Boolean, default: false },
+
+  // What the qualifying items must add up to
+  minQuantity: { type: Number, default: 0, min: 0 },
+  minSubtotal: { type: Number, default: 0, min: 0 },
+
+  rewardType: { type: String, enum: PROMOTION_REWARDS, required: true },
+  rewardValue: { type: Number, default: 0, min: 0 },
+  freeProduct: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  freeQuantity: { type: Number, default: 1, min: 1 },
+
+  // Higher priority is looked at first. A stackable offer combines with the
+  // others; an exclusive one only applies on its own — if nothing higher has
+  // applied — and stops anything lower from applying.
+  priority: { type: Number, default: 0 },
+  stacking: { type: String, enum: ['stackable', 'exclusive'], default: 'stackable' },
+  allowCoupons: { type: Boolean, default: true } // false = no coupon on an order this applies to
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,99 @@
+// models/PurchaseOrder.js - SUPPLIER PURCHASE ORDERS & RECEIVING
+import mongoose from 'mongoose';
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String, required: true }, // Snapshot for the PO document
+  size: { type: String, default: null }, // null for products without sizes
+  quantityOrdered: { type: Number, required: true, min: 1 },
+  quantityReceived: { type: Number, default: 0, min: 0 },
+  unitCost: { type: Number, required: true, min: 0 }
+});
+
+purchaseOrderItemSchema.virtual('quantityOutstanding').get(function () {
+  return Math.max(0, this.quantityOrdered - this.quantityReceived);
+});
+
+const receiptSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lines: [{
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // purchaseOrderItem _id
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  note: { type: String }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: { type: String, unique: true },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft'
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: [items => items.length > 0, 'A purchase order needs at least one item']
+  },
+  receipts: [receiptSchema],
+  expectedDate: { type: Date },
+  orderedAt: { type: Date },
+  receivedAt: { type: Date },
+  cancelledAt: { type: Date },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+purchaseOrderSchema.virtual('totalCost').get(function () {
+  return (this.items || []).reduce((sum, i) => sum + i.quantityOrdered * i.unitCost, 0);
+});
+
+purchaseOrderSchema.virtual('receivedCost').get(function () {
+  return (this.items || []).reduce((sum, i) => sum + i.quantityReceived * i.unitCost, 0);
+});
+
+// Status follows what has actually arrived; draft/cancelled are set explicitly
+purchaseOrderSchema.methods.syncReceivingStatus = function () {
+  const received = this.items.reduce((sum, i) => sum + i.quantityReceived, 0);
+  const complete = this.items.every(i => i.quantityReceived >= i.quantityOrdered);
+
+  if (complete) {
+    this.status = 'received';
+    this.receivedAt = this.receivedAt || new Date();
+  } else if (received > 0) {
+    this.status = 'partially_received';
+  }
+  return this.status;
+};
+
+// Generate PO Number
+purchaseOrderSchema.pre('save', function (next) {
+  if (this.isNew && !this.poNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.poNumber = `PO-${timestamp}-${random}`;
+  }
+  next();
+});
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+export default PurchaseOrder;
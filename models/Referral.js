@@ -0,0 +1,55 @@
+// models/Referral.js - WHO REFERRED WHOM
+// Created when a friend signs up through a customer's invite code. Both sides
+// are rewarded once the friend's first order is paid, unless it looks like the
+// customer referred themselves (services/referralService.js).
+import mongoose from 'mongoose';
+
+export const REFERRAL_STATUSES = [
+  'pending',    // Signed up, no paid order yet
+  'qualifying', // First paid order being checked and rewarded
+  'rewarded',   // Both sides rewarded
+  'rejected'    // Failed a fraud check or the order minimum
+];
+
+const referralRewardSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['store_credit', 'coupon'] },
+  amount: { type: Number, default: 0 },
+  couponCode: { type: String } // Coupon rewards only
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true // A customer can only be referred once
+  },
+  code: { type: String, required: true, uppercase: true },
+  signupMethod: { type: String, enum: ['email', 'google'], default: 'email' },
+  status: {
+    type: String,
+    enum: REFERRAL_STATUSES,
+    default: 'pending'
+  },
+  rejectionReason: { type: String },
+
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // The referee's first paid order
+  referrerReward: referralRewardSchema,
+  refereeReward: referralRewardSchema,
+  referrerPoints: { type: Number, default: 0 }, // Loyalty points on top of the reward
+  rewardedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+referralSchema.index({ referrer: 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+const Referral = mongoose.model('Referral', referralSchema);
+
+export default Referral;
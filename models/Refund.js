@@ -0,0 +1,58 @@
+// models/Refund.js - ORDER REFUNDS / CREDIT NOTES
+import mongoose from 'mongoose';
+
+const refundLineSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order line item _id
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  name: { type: String },
+  size: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true },
+  amount: { type: Number, required: true }, // After the order's discount is spread across lines
+  restocked: { type: Boolean, default: false }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  refundNumber: { type: String, unique: true },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' }, // Set when a received return triggered it
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  lines: [refundLineSchema],
+  shippingAmount: { type: Number, default: 0 },
+  amount: { type: Number, required: true, min: [0.01, 'Refund amount must be positive'] },
+  // Parts of `amount` put back on the gift card / store credit the order was paid with;
+  // the rest goes back through the payment provider
+  giftCardAmount: { type: Number, default: 0 },
+  storeCreditAmount: { type: Number, default: 0 },
+  currency: { type: String, default: 'KES' },
+  reason: { type: String, required: [true, 'Refund reason is required'], trim: true },
+  note: { type: String },
+  // Receipt from the provider when the money was sent back (e.g. M-Pesa reversal code)
+  providerReference: { type: String, trim: true },
+  paymentTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction' },
+  creditNoteSentAt: { type: Date },
+  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// Generate Refund Number: RF-<timestamp>-<random>
+refundSchema.pre('save', function (next) {
+  if (this.isNew && !this.refundNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.refundNumber = `RF-${timestamp}-${random}`;
+  }
+  next();
+});
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
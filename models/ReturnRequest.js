@@ -0,0 +1,77 @@
+// models/ReturnRequest.js - RETURN MERCHANDISE AUTHORIZATION (RMA)
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'quality', 'changed_mind', 'other'];
+
+// Requests still holding units of an order line (they can't be requested twice)
+export const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+const returnItemSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order line item _id
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  name: { type: String },
+  size: { type: String },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: { type: String, unique: true },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'Choose at least one item to return']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Please choose a reason for the return']
+  },
+  details: { type: String, maxlength: [1000, 'Details cannot exceed 1000 characters'] },
+  photos: [{
+    public_id: String,
+    url: String
+  }],
+
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received'],
+    default: 'requested',
+    index: true
+  },
+  // Issued on approval — the customer writes it on the parcel
+  returnCode: { type: String, unique: true, sparse: true },
+  adminNote: { type: String },
+  rejectionReason: { type: String },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: { type: Date },
+  restocked: { type: Boolean, default: false },
+  refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' }
+}, { timestamps: true });
+
+// Generate RMA Number: RR-<timestamp>-<random>
+returnRequestSchema.pre('save', function (next) {
+  if (this.isNew && !this.rmaNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.rmaNumber = `RR-${timestamp}-${random}`;
+  }
+  next();
+});
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
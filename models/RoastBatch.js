@@ -0,0 +1,147 @@
+// models/RoastBatch.js - ROAST BATCH / LOT TRACEABILITY
+import mongoose from 'mongoose';
+
+const roastBatchSchema = new mongoose.Schema({
+  batchNumber: { type: String, unique: true },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String }, // Snapshot for recall reports
+  size: { type: String, default: null }, // Bag size this batch was packed into (null = no sizes)
+
+  // Green coffee source
+  greenLot: { type: String, required: [true, 'Green lot reference is required'], trim: true },
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+  purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' },
+  origin: { type: String, trim: true },
+
+  // Roast
+  roastProfile: {
+    level: {
+      type: String,
+      enum: ['light', 'medium-light', 'medium', 'medium-dark', 'dark', 'espresso']
+    },
+    name: { type: String, trim: true },      // e.g. "Filter v3"
+    durationMinutes: { type: Number, min: 0 },
+    dropTemperature: { type: Number },       // °C
+    notes: { type: String }
+  },
+  roastDate: { type: Date, required: true },
+
+  // Units (bags) packed from this roast; remaining is drawn down FIFO by orders
+  quantityProduced: { type: Number, required: true, min: 1 },
+  quantityRemaining: { type: Number, required: true, min: 0 },
+
+  status: {
+    type: String,
+    enum: ['active', 'depleted', 'recalled'],
+    default: 'active'
+  },
+  recalledAt: { type: Date },
+  recallReason: { type: String },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+roastBatchSchema.index({ product: 1, size: 1, status: 1, roastDate: 1 });
+roastBatchSchema.index({ greenLot: 1 });
+
+// Generate Batch Number: RB-<yymmdd>-<random>
+roastBatchSchema.pre('save', function (next) {
+  if (this.isNew && !this.batchNumber) {
+    const day = (this.roastDate || new Date()).toISOString().slice(2, 10).replace(/-/g, '');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    this.batchNumber = `RB-${day}-${random}`;
+  }
+  if (this.status !== 'recalled') {
+    this.status = this.quantityRemaining > 0 ? 'active' : 'depleted';
+  }
+  next();
+});
+
+/**
+ * Allocate `quantity` units of one product/size to roast batches, oldest roast
+ * first. Returns the allocations made; if batches run out (e.g. stock that
+ * predates batch tracking) the remainder is simply left unallocated.
+ */
+roastBatchSchema.statics.allocateFIFO = async function (productId, size, quantity, session) {
+  const allocations = [];
+  let needed = quantity;
+
+  while (needed > 0) {
+    const batch = await this.findOne({
+      product: productId,
+      size: size ?? null,
+      status: 'active',
+      quantityRemaining: { $gt: 0 }
+    })
+      .sort({ roastDate: 1, createdAt: 1 })
+      .session(session || null);
+
+    if (!batch) break;
+
+    const take = Math.min(needed, batch.quantityRemaining);
+    const updated = await this.findOneAndUpdate(
+      { _id: batch._id, status: 'active', quantityRemaining: { $gte: take } },
+      { $inc: { quantityRemaining: -take } },
+      { session, new: true }
+    );
+    if (!updated) continue; // Lost a race for this batch — look again
+
+    if (updated.quantityRemaining === 0) {
+      await this.updateOne({ _id: updated._id, status: 'active' }, { $set: { status: 'depleted' } }, { session });
+      await this.syncProductRoastDate(productId, session);
+    }
+
+    allocations.push({
+      batch: updated._id,
+      batchNumber: updated.batchNumber,
+      product: updated.product,
+      size: updated.size,
+      quantity: take
+    });
+    needed -= take;
+  }
+
+  return allocations;
+};
+
+// Put allocated units back on their batches (cancellations, expired reservations)
+roastBatchSchema.statics.returnAllocations = async function (allocations = [], session) {
+  for (const allocation of allocations) {
+    const batch = await this.findByIdAndUpdate(
+      allocation.batch,
+      { $inc: { quantityRemaining: allocation.quantity } },
+      { session, new: true }
+    );
+    if (batch?.status === 'depleted') {
+      await this.updateOne({ _id: batch._id }, { $set: { status: 'active' } }, { session });
+      await this.syncProductRoastDate(batch.product, session);
+    }
+  }
+};
+
+/**
+ * Point the product's roast date (the storefront's "roasted on" and the
+ * freshness stage) at the beans the next order will get: the oldest batch
+ * with bags left, which is what allocateFIFO ships first. A product with no
+ * batches left keeps its date.
+ *
+ * @returns {Promise<Date|null>} The date set, or null
+ */
+roastBatchSchema.statics.syncProductRoastDate = async function (productId, session) {
+  const next = await this.findOne({ product: productId, status: 'active', quantityRemaining: { $gt: 0 } })
+    .sort({ roastDate: 1, createdAt: 1 })
+    .select('roastDate')
+    .session(session || null);
+  if (!next) return null;
+
+  await mongoose.model('Product').updateOne({ _id: productId }, { $set: { roastDate: next.roastDate } }, { session });
+  return next.roastDate;
+};
+
+const RoastBatch = mongoose.model('RoastBatch', roastBatchSchema);
+
+export default RoastBatch;
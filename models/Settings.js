@@ -46,9 +46,59 @@ const settingsSchema = new mongoose.Schema({
       mpesa: { type: Boolean, default: true },
       card: { type: Boolean, default: true },
       cashOnDelivery: { type: Boolean, default: true }
+    },
+    // Split payments: pay part online at checkout, the balance later or on delivery
+    deposits: {
+      enabled: { type: Boolean, default: false },
+      minimumPercent: { type: Number, default: 50, min: 1, max: 99 }
+    }
+  },
+
+  // Freshness policy — applied to the storefront by utils/freshness.js
+  freshness: {
+    enabled: { type: Boolean, default: false }, // Opt-in: older stock would be marked down or pulled
+    categories: { type: [String], default: ['coffee-beans'] }, // Categories with a roast date that matters
+    bestWithinDays: { type: Number, default: 30, min: 1 },     // Shown as "best before" window; markdown starts after it
+    markdownPercent: { type: Number, default: 15, min: 0, max: 90 },
+    pullAfterDays: { type: Number, default: 60, min: 1 }        // Hidden from the shop and blocked at checkout
+  },
+
+  // Loyalty points — earning and spending rules (services/loyaltyService.js)
+  loyalty: {
+    enabled: { type: Boolean, default: true },
+    kshPerPoint: { type: Number, default: 100, min: 1 },  // 1 point per KSh 100 spent on delivered orders
+    reviewPoints: { type: Number, default: 20, min: 0 },   // Review of a product they bought
+    referralPoints: { type: Number, default: 100, min: 0 },
+    birthdayPoints: { type: Number, default: 50, min: 0 },
+    pointValue: { type: Number, default: 1, min: 0 },      // KSh off per point redeemed
+    minRedeemPoints: { type: Number, default: 100, min: 0 },
+    maxRedeemPercent: { type: Number, default: 50, min: 1, max: 100 }, // Of the order subtotal
+    expiryMonths: { type: Number, default: 12, min: 0 },   // 0 = points never expire
+    // Tiers go by lifetime points; the multiplier scales points earned on orders
+    tiers: {
+      type: [{
+        name: { type: String, trim: true, required: true },
+        minPoints: { type: Number, min: 0, required: true },
+        multiplier: { type: Number, min: 0, default: 1 }
+      }],
+      default: [
+        { name: 'Bronze', minPoints: 0, multiplier: 1 },
+        { name: 'Silver', minPoints: 1000, multiplier: 1.25 },
+        { name: 'Gold', minPoints: 5000, multiplier: 1.5 }
+      ]
     }
   },
 
+  // Referrals: both sides are rewarded once the friend's first order is paid
+  referrals: {
+    enabled: { type: Boolean, default: true },
+    rewardType: { type: String, enum: ['store_credit', 'coupon'], default: 'store_credit' },
+    referrerReward: { type: Number, default: 300, min: 0 }, // KSh to the customer who shared the link
+    refereeReward: { type: Number, default: 200, min: 0 },  // KSh to the friend who signed up
+    minOrderAmount: { type: Number, default: 1000, min: 0 }, // First paid order must reach this
+    couponValidityDays: { type: Number, default: 60, min: 1 }
+  },
+
   // Email Settings
   email: {
     enabled: { type: Boolean, default: true },
@@ -140,7 +190,14 @@ const settingsSchema = new mongoose.Schema({
     privacyPolicy: { type: String, default: '' },
     termsConditions: { type: String, default: '' },
     refundPolicy: { type: String, default: '' },
-    shippingPolicy: { type: String, default: '' }
+    shippingPolicy: { type: String, default: '' },
+    // Returns (RMA) — days after delivery a customer may request a return
+    returnsEnabled: { type: Boolean, default: true },
+    returnWindowDays: { type: Number, default: 14, min: 0 },
+    categoryReturnWindows: [{                 // Overrides, e.g. opened coffee beans: 7 days
+      category: { type: String, trim: true },
+      days: { type: Number, min: 0 }
+    }]
   },
 
   // Maintenance Settings (Enterprise Super Gate)
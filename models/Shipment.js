@@ -0,0 +1,41 @@
+// models/Shipment.js - PARCELS (embedded in Order.shipments)
+// One order can leave in several parcels, e.g. when a bag is backordered.
+// The order's fulfillmentStatus is derived from these (see Order.shipmentFulfillmentStatus).
+import mongoose from 'mongoose';
+
+export const SHIPMENT_STATUSES = ['pending', 'shipped', 'delivered'];
+
+const shipmentItemSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order line item _id
+  name: { type: String },
+  size: { type: String },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  shipmentNumber: { type: String }, // <orderNumber>-P1, -P2, ...
+  items: {
+    type: [shipmentItemSchema],
+    validate: [items => items.length > 0, 'A parcel needs at least one item']
+  },
+  carrier: { type: String, trim: true },
+  trackingNumber: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'pending'
+  },
+  trackingHistory: [
+    {
+      status: String,
+      location: String,
+      message: String,
+      timestamp: { type: Date, default: Date.now }
+    }
+  ],
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+export default shipmentSchema;
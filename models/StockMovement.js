@@ -0,0 +1,129 @@
+// models/StockMovement.js - APPEND-ONLY INVENTORY LEDGER
+import mongoose from 'mongoose';
+
+export const STOCK_MOVEMENT_REASONS = [
+  'opening_balance',      // First stock figure for a product/size (creation or ledger seed)
+  'sale',                 // Reserved by an order
+  'cancellation_restock', // Order cancelled, units put back
+  'reservation_expired',  // Unpaid order timed out, units put back
+  'return',               // Customer return received back into stock
+  'purchase_receipt',     // Delivered by a supplier against a purchase order
+  'roast_batch',          // Bags packed from a new roast batch
+  'manual_adjustment',    // Admin +/- or product edit
+  'damage',               // Written off (broken bags, spoiled beans)
+  'stock_take'            // Physical count correction
+];
+
+// Reasons an admin may give for a hand-entered stock change
+export const MANUAL_STOCK_REASONS = ['manual_adjustment', 'damage', 'stock_take', 'return'];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: { type: String }, // Snapshot, survives product renames/deletes
+  size: { type: String, default: null }, // null for products without sizes
+  quantity: { type: Number, required: true }, // Signed delta: negative = out, positive = in
+  balanceAfter: { type: Number }, // Variant stock right after this movement
+  reason: {
+    type: String,
+    enum: STOCK_MOVEMENT_REASONS,
+    required: true
+  },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  reference: { type: String }, // Free-form external reference (PO number, count sheet...)
+  note: { type: String },
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // null if system
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, size: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+
+// Append-only: entries are corrected by posting a new movement, never by editing
+const rejectMutation = function (next) {
+  next(new Error('Stock movements are append-only and cannot be modified or deleted'));
+};
+
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'],
+  rejectMutation
+);
+
+// Record one movement against a product (document state *after* the change)
+stockMovementSchema.statics.record = async function (product, {
+  size,
+  quantity,
+  reason,
+  order,
+  reference,
+  note,
+  user
+}, session) {
+  if (!quantity) return null;
+
+  const variant = product.sizes?.length ? product.getVariant(size) : null;
+  const [movement] = await this.create([{
+    product: product._id,
+    productName: product.name,
+    size: variant ? variant.size : null,
+    quantity,
+    balanceAfter: variant ? variant.stock : product.inventory?.stock,
+    reason,
+    order,
+    reference,
+    note,
+    performedBy: user
+  }], { session });
+
+  return movement;
+};
+
+// Per-variant stock figures, used to diff a product before/after an edit
+stockMovementSchema.statics.snapshot = function (product) {
+  if (!product?.sizes?.length) return [{ size: null, stock: product?.inventory?.stock || 0 }];
+  return product.sizes.map(s => ({ size: s.size, stock: s.stock || 0 }));
+};
+
+// Record every variant whose stock differs from `before` (a snapshot()).
+// Removed sizes are written down to zero so the ledger still balances.
+stockMovementSchema.statics.recordChanges = async function (product, before, movement, session) {
+  const previous = new Map((before || []).map(s => [s.size, s.stock]));
+  const entries = [];
+
+  for (const { size, stock } of this.snapshot(product)) {
+    const delta = stock - (previous.get(size) || 0);
+    previous.delete(size);
+    if (delta) entries.push(await this.record(product, { ...movement, size, quantity: delta }, session));
+  }
+
+  for (const [size, stock] of previous) {
+    if (!stock) continue;
+    const [removed] = await this.create([{
+      product: product._id,
+      productName: product.name,
+      size,
+      quantity: -stock,
+      balanceAfter: 0,
+      reason: movement.reason,
+      note: size ? `Size ${size} removed from product` : 'Stock moved onto sizes',
+      performedBy: movement.user
+    }], { session });
+    entries.push(removed);
+  }
+
+  return entries;
+};
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
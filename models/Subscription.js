@@ -1,5 +1,36 @@
 import mongoose from 'mongoose';
 
+export const SUBSCRIPTION_FREQUENCIES = ['weekly', 'bi-weekly', 'monthly'];
+export const ROAST_LEVELS = ['light', 'medium-light', 'medium', 'medium-dark', 'dark', 'espresso'];
+
+// What happened to a subscription and when, newest last
+const subscriptionEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: [
+            'created', 'renewed', 'renewal_failed', 'substituted', 'payment_reminder', 'recovered', 'suspended',
+            'paused', 'resumed', 'skipped', 'frequency_changed', 'products_changed', 'preferences_changed', 'cancelled'
+        ],
+        required: true
+    },
+    note: String,
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // null = the renewal worker
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A renewal that hasn't gone through yet: either the order couldn't be placed
+// ('renewal') or it was placed and isn't paid ('payment'). Retried on a
+// schedule; the subscription is suspended after the last retry.
+const dunningSchema = new mongoose.Schema({
+    stage: { type: String, enum: ['renewal', 'payment'], required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // The unpaid renewal order
+    attempts: { type: Number, default: 0 }, // Retries made so far
+    startedAt: { type: Date, default: Date.now },
+    nextAttemptAt: { type: Date, required: true },
+    lastError: String
+}, { _id: false });
+
 const subscriptionSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -19,9 +50,19 @@ const subscriptionSchema = new mongoose.Schema({
         size: String,
         price: Number // Locked price at time of subscription
     }],
+
+    // Curated plans ("coffee of the month"): the coffees are picked each cycle
+    // by the roastery instead of fixed in `products`
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: 'SubscriptionPlan', default: null },
+    planPrice: Number, // Locked box price at time of subscription
+    // Coffees the customer doesn't want picked for them (or sent as a substitute)
+    preferences: {
+        excludedRoasts: [{ type: String, enum: ROAST_LEVELS }],
+        excludedFlavors: [{ type: String, trim: true, lowercase: true }]
+    },
     frequency: {
         type: String,
-        enum: ['weekly', 'bi-weekly', 'monthly'],
+        enum: SUBSCRIPTION_FREQUENCIES,
         default: 'monthly'
     },
     discount: {
@@ -30,7 +71,7 @@ const subscriptionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'paused', 'cancelled'],
+        enum: ['active', 'paused', 'suspended', 'cancelled'],
         default: 'active'
     },
     nextBillingDate: {
@@ -40,6 +81,10 @@ const subscriptionSchema = new mongoose.Schema({
     lastBillingDate: {
         type: Date
     },
+    pausedUntil: {
+        type: Date,
+        default: null // null = paused until the customer resumes
+    },
     shippingAddress: {
         type: Object,
         required: true
@@ -47,8 +92,36 @@ const subscriptionSchema = new mongoose.Schema({
     paymentMethod: {
         type: String,
         default: 'mpesa'
-    }
+    },
+
+    // Renewals (services/subscriptionService.js)
+    originOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // The checkout order it started from
+    lastRenewalOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    renewalCount: { type: Number, default: 0 },
+    lastRenewalAttemptAt: { type: Date, default: null },
+    lastRenewalError: { type: String },
+    dunning: { type: dunningSchema, default: null },
+    suspendedAt: { type: Date },
+    suspensionReason: { type: String },
+
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String },
+    events: [subscriptionEventSchema]
 }, { timestamps: true });
 
+subscriptionSchema.index({ status: 1, nextBillingDate: 1 });
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ 'dunning.stage': 1, 'dunning.nextAttemptAt': 1 });
+subscriptionSchema.index({ plan: 1, status: 1 });
+
+// The delivery after `from` for a frequency
+subscriptionSchema.statics.calculateNextDate = function (frequency, from = new Date()) {
+    const next = new Date(from);
+    if (frequency === 'weekly') next.setDate(next.getDate() + 7);
+    else if (frequency === 'bi-weekly') next.setDate(next.getDate() + 14);
+    else next.setMonth(next.getMonth() + 1);
+    return next;
+};
+
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
 export default Subscription;
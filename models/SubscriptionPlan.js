@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { SUBSCRIPTION_FREQUENCIES } from './Subscription.js';
+
+// One month's picks for a curated plan. Coffees are listed in order of
+// preference: each subscriber gets the first ones that suit their exclusions,
+// so listing more than the plan's bag count gives alternates.
+const planCycleSchema = new mongoose.Schema({
+    period: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Cycle period must be YYYY-MM']
+    },
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    note: { type: String, trim: true }, // Shown to subscribers, e.g. tasting notes for the month
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const subscriptionPlanSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Plan name is required'],
+        trim: true
+    },
+    description: { type: String, trim: true },
+    image: { type: String },
+    isActive: { type: Boolean, default: true },
+
+    // What's in each box: bagCount bags of `size` from `category`
+    category: { type: String, default: 'coffee-beans', trim: true },
+    bagCount: { type: Number, default: 2, min: [1, 'A box needs at least one bag'], max: [6, 'A box can have up to 6 bags'] },
+    size: { type: String, required: [true, 'Bag size is required'], trim: true },
+    price: { type: Number, required: [true, 'Box price is required'], min: [0, 'Price cannot be negative'] },
+    frequencies: {
+        type: [{ type: String, enum: SUBSCRIPTION_FREQUENCIES }],
+        default: ['monthly']
+    },
+
+    cycles: [planCycleSchema]
+}, { timestamps: true });
+
+// The cycle a date falls in (calendar month, store time)
+subscriptionPlanSchema.statics.periodOf = function (date = new Date()) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+subscriptionPlanSchema.methods.cycleFor = function (period) {
+    return this.cycles.find(cycle => cycle.period === period) || null;
+};
+
+const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+export default SubscriptionPlan;
@@ -0,0 +1,29 @@
+// models/Supplier.js - GREEN BEAN & PACKAGING SUPPLIERS
+import mongoose from 'mongoose';
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    unique: true
+  },
+  contactName: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true },
+  address: { type: String, trim: true },
+  supplies: {
+    type: [String],
+    enum: ['green-beans', 'packaging', 'equipment', 'other'],
+    default: ['green-beans']
+  },
+  leadTimeDays: { type: Number, min: 0, default: 7 },
+  notes: { type: String },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+supplierSchema.index({ isActive: 1, name: 1 });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+export default Supplier;
@@ -43,10 +43,37 @@ const userSchema = new mongoose.Schema({
     enum: ['customer', 'admin'],
     default: 'customer'
   },
+  // Spendable points balance; only changed through services/loyaltyService.js
+  // so every change lands on the LoyaltyTransaction ledger
   loyaltyPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Every point ever earned (spending and expiry don't lower it) — sets the tier
+  loyaltyLifetimePoints: {
     type: Number,
     default: 0
   },
+  // Spendable at checkout; only changed through services/storeCreditService.js
+  // so every change lands on the CreditTransaction ledger
+  storeCredit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shared in invite links (?ref=CODE); created the first time they ask for it
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   role: {
     type: String,
     enum: ['customer', 'admin', 'super-admin'],
@@ -0,0 +1,55 @@
+// models/WebhookEvent.js - PROVIDER CALLBACKS ALREADY HANDLED
+// Gateways retry callbacks and anyone can replay a captured one, so each event
+// is claimed once by (provider, eventId) before it can touch an order.
+import mongoose from 'mongoose';
+
+// A claim this old that never finished is assumed to have died with its process
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },   // mpesa | airtel | stripe | sandbox
+  eventId: { type: String, required: true },    // The provider's id for the event
+  reference: { type: String },                  // PaymentTransaction.transactionId
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  outcome: { type: String },                    // applied, duplicate, unknown_reference, error message...
+  attempts: { type: Number, default: 0 }
+}, { timestamps: true });
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// Providers stop retrying long before this
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Claim an event for processing. Events that failed earlier (or whose claim went
+ * stale) can be claimed again; anything else has been seen already.
+ *
+ * @returns {Promise<Document|null>} The claimed event, or null for a replay
+ */
+webhookEventSchema.statics.claim = async function (provider, eventId, reference) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', reference }, $inc: { attempts: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collided with the unique index: someone already has this event
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -3,7 +3,7 @@ import express from 'express';
 import asyncHandler from 'express-async-handler';
 import { protect, admin } from '../middleware/authMiddleware.js';
 import { adminAuth } from '../middleware/adminAuth.js';
-import { upload } from '../middleware/uploadMiddleware.js';
+import { upload, statementUpload } from '../middleware/uploadMiddleware.js';
 import {
   getDashboardStats,
   getOrders,
@@ -47,6 +47,75 @@ import {
   deleteCoupon
 } from '../controllers/couponController.js';
 
+import {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  togglePromotionStatus,
+  deletePromotion
+} from '../controllers/promotionController.js';
+
+import {
+  getProductStockMovements,
+  getStockReconciliation
+} from '../controllers/inventoryController.js';
+
+import {
+  getSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder
+} from '../controllers/purchasingController.js';
+
+import {
+  getRoastBatches,
+  getRoastBatch,
+  createRoastBatch,
+  updateRoastBatch,
+  recallRoastBatch,
+  getBatchCustomers
+} from '../controllers/roastBatchController.js';
+
+import { getOrderRefunds, createRefund } from '../controllers/refundController.js';
+import { createShipment, updateShipment, deleteShipment } from '../controllers/shipmentController.js';
+import { recordOrderPayment, getPaymentReconciliation } from '../controllers/paymentController.js';
+import {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  assignLine,
+  ignoreLine
+} from '../controllers/statementController.js';
+import {
+  getGiftCards,
+  createGiftCard,
+  updateGiftCardStatus,
+  getUserStoreCredit,
+  adjustUserStoreCredit
+} from '../controllers/storeCreditController.js';
+import { getReferralsReport } from '../controllers/referralController.js';
+import { getSubscriptionsAtRiskReport } from '../controllers/subscriptionController.js';
+import {
+  getSubscriptionPlans,
+  createSubscriptionPlan,
+  updateSubscriptionPlan,
+  deleteSubscriptionPlan,
+  getPlanCycle,
+  setPlanCycle
+} from '../controllers/subscriptionPlanController.js';
+import {
+  getReturnRequests,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest
+} from '../controllers/returnController.js';
+
 const router = express.Router();
 
 // All routes require authentication and admin privileges
@@ -67,6 +136,25 @@ router.get('/orders/status', adminAuth(['orders:manage']), checkNewOrders);
 router.get('/orders', adminAuth(['orders:manage']), getOrders);
 router.get('/orders/:id', adminAuth(['orders:manage']), getOrderDetail);
 router.put('/orders/:id/status', adminAuth(['orders:update_status']), updateOrderStatus);
+router.get('/orders/:id/refunds', adminAuth(['orders:manage']), getOrderRefunds);
+router.post('/orders/:id/refunds', adminAuth(['orders:manage']), createRefund);
+router.post('/orders/:id/payments', adminAuth(['orders:manage']), recordOrderPayment);
+router.post('/orders/:id/shipments', adminAuth(['orders:update_status']), createShipment);
+router.patch('/orders/:id/shipments/:shipmentId', adminAuth(['orders:update_status']), updateShipment);
+router.delete('/orders/:id/shipments/:shipmentId', adminAuth(['orders:update_status']), deleteShipment);
+
+// ==================== RETURNS (RMA) ====================
+router.get('/returns', adminAuth(['orders:manage']), getReturnRequests);
+router.patch('/returns/:id/approve', adminAuth(['orders:manage']), approveReturnRequest);
+router.patch('/returns/:id/reject', adminAuth(['orders:manage']), rejectReturnRequest);
+router.post('/returns/:id/receive', adminAuth(['orders:manage']), receiveReturnRequest);
+
+// ==================== M-PESA STATEMENT IMPORT ====================
+router.get('/payments/statements', adminAuth(['orders:manage']), getStatements);
+router.post('/payments/statements', adminAuth(['orders:manage']), statementUpload.single('statement'), uploadStatement);
+router.get('/payments/statements/:id', adminAuth(['orders:manage']), getStatement);
+router.post('/payments/statements/:id/lines/:lineId/assign', adminAuth(['orders:manage']), assignLine);
+router.patch('/payments/statements/:id/lines/:lineId/ignore', adminAuth(['orders:manage']), ignoreLine);
 
 // ==================== PRODUCT MANAGEMENT ====================
 router.get('/products', adminAuth(['products:manage']), getProducts);
@@ -75,12 +163,38 @@ router.put('/products/:id', adminAuth(['products:manage']), upload.array('images
 router.patch('/products/:id/stock', adminAuth(['products:manage']), updateProductStock);
 router.delete('/products/:id', adminAuth(['products:manage']), deleteProduct);
 
+// ==================== INVENTORY LEDGER ====================
+router.get('/products/:id/stock-movements', adminAuth(['products:manage']), getProductStockMovements);
+router.get('/inventory/reconciliation', adminAuth(['products:manage']), getStockReconciliation);
+
+// ==================== PURCHASING ====================
+router.get('/suppliers', adminAuth(['products:manage']), getSuppliers);
+router.post('/suppliers', adminAuth(['products:manage']), createSupplier);
+router.put('/suppliers/:id', adminAuth(['products:manage']), updateSupplier);
+router.delete('/suppliers/:id', adminAuth(['products:manage']), deleteSupplier);
+router.get('/purchase-orders', adminAuth(['products:manage']), getPurchaseOrders);
+router.post('/purchase-orders', adminAuth(['products:manage']), createPurchaseOrder);
+router.get('/purchase-orders/:id', adminAuth(['products:manage']), getPurchaseOrder);
+router.put('/purchase-orders/:id', adminAuth(['products:manage']), updatePurchaseOrder);
+router.patch('/purchase-orders/:id/status', adminAuth(['products:manage']), updatePurchaseOrderStatus);
+router.post('/purchase-orders/:id/receive', adminAuth(['products:manage']), receivePurchaseOrder);
+
+// ==================== ROAST BATCHES ====================
+router.get('/roast-batches', adminAuth(['products:manage']), getRoastBatches);
+router.post('/roast-batches', adminAuth(['products:manage']), createRoastBatch);
+router.get('/roast-batches/:id', adminAuth(['products:manage']), getRoastBatch);
+router.put('/roast-batches/:id', adminAuth(['products:manage']), updateRoastBatch);
+router.patch('/roast-batches/:id/recall', adminAuth(['products:manage']), recallRoastBatch);
+router.get('/roast-batches/:id/customers', adminAuth(['products:manage', 'orders:manage']), getBatchCustomers);
+
 // ==================== USER MANAGEMENT ====================
 router.get('/users', adminAuth(['users:view']), getUsers);
 router.put('/users/:id/role', adminAuth(['users:manage']), updateUserRole);
 router.put('/users/:id/status', adminAuth(['users:manage']), toggleUserStatus);
 router.delete('/users/:id', adminAuth(['users:manage']), deleteUser);
 router.patch('/users/:id/security-reset', adminAuth(['users:manage']), resetUserSecurity);
+router.get('/users/:id/store-credit', adminAuth(['users:view']), getUserStoreCredit);
+router.post('/users/:id/store-credit', adminAuth(['users:manage']), adjustUserStoreCredit);
 
 // ==================== CONTACT MANAGEMENT ====================
 router.get('/contacts', adminAuth(['contacts:manage']), getContacts);
@@ -104,9 +218,12 @@ router.get('/logs', adminAuth(['logs:view']), getActivityLogs);
 // ==================== EXTENDED REPORTS ====================
 router.get('/reports/abandoned-carts', adminAuth(['analytics:view']), getAbandonedCartsReport);
 router.get('/reports/payments', adminAuth(['analytics:view']), getPaymentsReport);
+router.get('/reports/payment-reconciliation', adminAuth(['analytics:view']), getPaymentReconciliation);
 router.get('/reports/customers', adminAuth(['analytics:view']), getCustomersReport);
 router.get('/reports/inventory', adminAuth(['analytics:view']), getInventoryReport);
 router.get('/reports/coupons', adminAuth(['analytics:view']), getCouponsReport);
+router.get('/reports/referrals', adminAuth(['analytics:view']), getReferralsReport);
+router.get('/reports/subscriptions-at-risk', adminAuth(['analytics:view']), getSubscriptionsAtRiskReport);
 
 // ==================== COUPON MANAGEMENT ====================
 router.get('/coupons', adminAuth(['marketing:manage']), getCoupons);
@@ -115,6 +232,26 @@ router.put('/coupons/:id', adminAuth(['marketing:manage']), updateCoupon);
 router.patch('/coupons/:id/toggle', adminAuth(['marketing:manage']), toggleCouponStatus);
 router.delete('/coupons/:id', adminAuth(['marketing:manage']), deleteCoupon);
 
+// ==================== AUTOMATIC PROMOTIONS ====================
+router.get('/promotions', adminAuth(['marketing:manage']), getPromotions);
+router.post('/promotions', adminAuth(['marketing:manage']), createPromotion);
+router.put('/promotions/:id', adminAuth(['marketing:manage']), updatePromotion);
+router.patch('/promotions/:id/toggle', adminAuth(['marketing:manage']), togglePromotionStatus);
+router.delete('/promotions/:id', adminAuth(['marketing:manage']), deletePromotion);
+
+// ==================== CURATED SUBSCRIPTION PLANS ====================
+router.get('/subscription-plans', adminAuth(['products:manage']), getSubscriptionPlans);
+router.post('/subscription-plans', adminAuth(['products:manage']), createSubscriptionPlan);
+router.put('/subscription-plans/:id', adminAuth(['products:manage']), updateSubscriptionPlan);
+router.delete('/subscription-plans/:id', adminAuth(['products:manage']), deleteSubscriptionPlan);
+router.get('/subscription-plans/:id/cycles/:period', adminAuth(['products:manage']), getPlanCycle);
+router.put('/subscription-plans/:id/cycles/:period', adminAuth(['products:manage']), setPlanCycle);
+
+// ==================== GIFT CARDS ====================
+router.get('/gift-cards', adminAuth(['marketing:manage']), getGiftCards);
+router.post('/gift-cards', adminAuth(['marketing:manage']), createGiftCard);
+router.patch('/gift-cards/:id/status', adminAuth(['marketing:manage']), updateGiftCardStatus);
+
 // ==================== CSV EXPORTS ====================
 router.get('/export/orders', adminAuth(['analytics:view']), exportOrdersCSV);
 router.get('/export/customers', adminAuth(['analytics:view']), exportCustomersCSV);
@@ -1,18 +1,10 @@
-// routes/checkout.js
-const express = require('express');
-const router = express.Router();
-const { protect } = require('../middleware/auth');
-const {
-  createOrder,
-  getUserOrders,
-  getOrderById
-} = require('../controllers/checkoutController');
+import express from 'express';
+import { getCheckoutQuote } from '../controllers/checkoutController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
 
-router.route('/')
-  .post(protect, createOrder)
-  .get(protect, getUserOrders);
+const router = express.Router();
 
-router.route('/:id')
-  .get(protect, getOrderById);
+// Signed checkout quotes (services/checkoutQuoteService.js) — signed in or as a guest
+router.post('/quote', optionalAuth, getCheckoutQuote);
 
-module.exports = router;
\ No newline at end of file
+export default router;
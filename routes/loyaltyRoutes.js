@@ -0,0 +1,10 @@
+import express from 'express';
+import { getMyLoyalty } from '../controllers/loyaltyController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Loyalty points (services/loyaltyService.js)
+router.get('/', protect, getMyLoyalty);
+
+export default router;
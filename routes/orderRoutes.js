@@ -8,28 +8,43 @@ import {
   updateOrderStatus,
   calculateShippingCost,
   generateOrderInvoice,
+  getGuestOrder,
+  generateGuestOrderInvoice,
+  priceCart,
   validateCoupon,
   logAbandonedCheckout,
   getAbandonedCheckouts
 } from '../controllers/orderController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getOrderReturnOptions,
+  createReturnRequest,
+  getMyReturns
+} from '../controllers/returnController.js';
+import { protect, optionalAuth, admin } from '../middleware/authMiddleware.js';
 import { checkoutLimiter } from '../middleware/checkoutRateLimit.js';
+import { returnPhotoUpload } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/shipping-cost', calculateShippingCost);
+router.post('/price-cart', priceCart); // Automatic promotions for the cart
+
+// Checkout — signed in or as a guest (services/guestCheckoutService.js)
+router.post('/validate-coupon', optionalAuth, validateCoupon);
+router.post('/', optionalAuth, checkoutLimiter, createOrder);
+router.get('/guest/:id', getGuestOrder); // Access token in X-Order-Token or ?token=
+router.get('/guest/:id/invoice', generateGuestOrderInvoice);
 
 // Protected routes
 router.use(protect);
 
 
 
-// Customer routes - Apply rate limiting to checkout
-router.post('/validate-coupon', validateCoupon);
+// Customer routes
 router.post('/abandoned', logAbandonedCheckout);
-router.post('/', checkoutLimiter, createOrder);
 router.get('/my', getUserOrders);
+router.get('/returns', getMyReturns);
 
 // Admin routes — MUST be before /:id to avoid being swallowed by the wildcard
 router.get('/abandoned', admin, getAbandonedCheckouts);
@@ -39,5 +54,7 @@ router.put('/:id/status', admin, updateOrderStatus);
 // /:id routes LAST — wildcard must not swallow named routes above
 router.get('/:id', getOrderById);
 router.get('/:id/invoice', generateOrderInvoice);
+router.get('/:id/returns', getOrderReturnOptions);
+router.post('/:id/returns', returnPhotoUpload.array('photos', 4), createReturnRequest);
 
 export default router;
\ No newline at end of file
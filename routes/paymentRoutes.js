@@ -1,18 +1,16 @@
 import express from 'express';
 import {
-    simulateMpesaWebhook,
-    processCardPayment,
-    processMpesaPayment
+    startPayment,
+    getPaymentStatus
 } from '../controllers/paymentController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Public webhook (called by simulated provider)
-router.post('/mpesa/callback', simulateMpesaWebhook);
+// Provider callbacks land on /api/webhooks/:provider
 
-// Protected payment routes (called by frontend)
-router.post('/card', protect, processCardPayment);
-router.post('/mpesa/stk', protect, processMpesaPayment);
+// Payment routes (called by frontend) — guests send their order access token
+router.post('/initiate', optionalAuth, startPayment);
+router.get('/:reference/status', optionalAuth, getPaymentStatus);
 
 export default router;
\ No newline at end of file
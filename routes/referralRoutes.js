@@ -0,0 +1,10 @@
+import express from 'express';
+import { getMyReferrals } from '../controllers/referralController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Referral program (services/referralService.js)
+router.get('/', protect, getMyReferrals);
+
+export default router;
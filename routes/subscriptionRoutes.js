@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getMySubscriptions,
+  getSubscriptionOptions,
+  getAvailablePlans,
+  subscribe,
+  updateMyPreferences,
+  pause,
+  resume,
+  skip,
+  updateFrequency,
+  updateProducts,
+  cancel
+} from '../controllers/subscriptionController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Coffee subscriptions — customer self-service (services/subscriptionService.js)
+router.get('/plans', getAvailablePlans);
+
+router.use(protect);
+
+router.get('/', getMySubscriptions);
+router.get('/options', getSubscriptionOptions);
+router.post('/plans/:planId', subscribe);
+router.put('/:id/preferences', updateMyPreferences);
+router.put('/:id/pause', pause);
+router.put('/:id/resume', resume);
+router.post('/:id/skip', skip);
+router.put('/:id/frequency', updateFrequency);
+router.put('/:id/products', updateProducts);
+router.put('/:id/cancel', cancel);
+
+export default router;
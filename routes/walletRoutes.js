@@ -0,0 +1,11 @@
+import express from 'express';
+import { getMyWallet, checkGiftCard } from '../controllers/storeCreditController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Store credit and gift cards (services/storeCreditService.js)
+router.get('/', protect, getMyWallet);
+router.post('/gift-cards/check', protect, checkGiftCard);
+
+export default router;
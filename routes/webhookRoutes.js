@@ -1,12 +1,9 @@
 import express from 'express';
-import { handleMpesaWebhook, handleStripeWebhook } from '../controllers/webhookController.js';
+import { handleProviderWebhook } from '../controllers/webhookController.js';
 
 const router = express.Router();
 
-// MPESA STK Push Callback
-router.post('/mpesa', handleMpesaWebhook);
+// MPESA STK Push (/mpesa), Airtel Money (/airtel) and Stripe (/stripe) callbacks
+router.post('/:provider', handleProviderWebhook);
 
-// Stripe Webhook
-router.post('/stripe', handleStripeWebhook);
-
-export default router;
+export default router;
\ No newline at end of file
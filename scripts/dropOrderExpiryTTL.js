@@ -0,0 +1,33 @@
+// scripts/dropOrderExpiryTTL.js
+// One-off: Order.expiresAt used to carry a TTL index, so MongoDB silently deleted
+// unpaid orders (and their reserved stock) after 30 minutes. The reservation
+// worker now cancels and restocks them instead; drop the old TTL index so the
+// plain index from the schema can be built on next start.
+import dotenv from 'dotenv';
+dotenv.config();
+import mongoose from 'mongoose';
+
+const dropTTL = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to DB');
+
+        const collection = mongoose.connection.collection('orders');
+        const indexes = await collection.listIndexes().toArray();
+        const ttl = indexes.find(idx => idx.key?.expiresAt && idx.expireAfterSeconds !== undefined);
+
+        if (!ttl) {
+            console.log('No TTL index on orders.expiresAt — nothing to do');
+        } else {
+            await collection.dropIndex(ttl.name);
+            console.log(`Dropped TTL index ${ttl.name}`);
+        }
+
+        process.exit(0);
+    } catch (err) {
+        console.error(err);
+        process.exit(1);
+    }
+};
+
+dropTTL();
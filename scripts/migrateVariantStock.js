@@ -0,0 +1,47 @@
+// scripts/migrateVariantStock.js
+// One-off: move the legacy shared inventory.stock counter onto each product's sizes.
+// The old pool is split evenly across sizes (remainder to the first size) so every
+// size stays purchasable; review the split in the admin afterwards.
+import dotenv from 'dotenv';
+dotenv.config();
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+const migrate = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to DB');
+
+        // Raw documents — mongoose defaults would otherwise report a missing size stock as 0
+        const products = await Product.collection.find({
+            'sizes.0': { $exists: true },
+            'sizes.stock': { $exists: false }
+        }).toArray();
+        console.log(`Found ${products.length} products without per-size stock`);
+
+        for (const raw of products) {
+            const legacyStock = raw.inventory?.stock || 0;
+            const lowStockAlert = raw.inventory?.lowStockAlert ?? 5;
+            const share = Math.floor(legacyStock / raw.sizes.length);
+            const remainder = legacyStock - share * raw.sizes.length;
+
+            const sizes = raw.sizes.map((s, i) => ({
+                ...s,
+                stock: share + (i === 0 ? remainder : 0),
+                lowStockAlert,
+                inStock: share + (i === 0 ? remainder : 0) > 0
+            }));
+
+            await Product.collection.updateOne({ _id: raw._id }, { $set: { sizes } });
+            console.log(`${raw.name}: ${legacyStock} units → ${sizes.map(s => `${s.size}=${s.stock}`).join(', ')}`);
+        }
+
+        console.log('Migration complete!');
+        process.exit(0);
+    } catch (err) {
+        console.error(err);
+        process.exit(1);
+    }
+};
+
+migrate();
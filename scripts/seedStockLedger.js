@@ -0,0 +1,44 @@
+// scripts/seedStockLedger.js
+// One-off: give every product that has no ledger history an opening_balance
+// movement for its current stock, so reconciliation starts from today's figures.
+// Run after migrate:variant-stock. Products that already have movements are left
+// alone — a mismatch there is a real discrepancy and should stay visible.
+import dotenv from 'dotenv';
+dotenv.config();
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+
+const seed = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to DB');
+
+        const withHistory = new Set(
+            (await StockMovement.distinct('product')).map(id => id.toString())
+        );
+        const products = await Product.find();
+        let seeded = 0;
+
+        for (const product of products) {
+            if (withHistory.has(product._id.toString())) continue;
+
+            const entries = await StockMovement.recordChanges(product, [], {
+                reason: 'opening_balance',
+                note: 'Ledger seeded from existing stock'
+            });
+            if (entries.length) {
+                seeded++;
+                console.log(`${product.name}: ${entries.map(e => `${e.size || 'stock'}=${e.quantity}`).join(', ')}`);
+            }
+        }
+
+        console.log(`Seeded opening balances for ${seeded} products`);
+        process.exit(0);
+    } catch (err) {
+        console.error(err);
+        process.exit(1);
+    }
+};
+
+seed();
@@ -11,6 +11,10 @@ if (missingEnvVars.length > 0) {
   console.error('Please check your .env file');
   process.exit(1);
 }
+// Checkout answers 503 until quotes have their own signing key (services/checkoutQuoteService.js)
+if (!process.env.CHECKOUT_QUOTE_SECRET) {
+  console.warn('⚠️ CHECKOUT_QUOTE_SECRET is not set — checkout is unavailable until it is');
+}
 
 // CACHE BUSTER: 2026-04-22 - Connection fix
 console.log(`🚀 [BACKEND] Starting server on port ${process.env.PORT}`);
@@ -43,8 +47,13 @@ import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import productRoutes from './routes/productRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import checkoutRoutes from './routes/checkoutRoutes.js';
 import cartRoutes from './routes/cartRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
+import walletRoutes from './routes/walletRoutes.js';
+import loyaltyRoutes from './routes/loyaltyRoutes.js';
+import referralRoutes from './routes/referralRoutes.js';
+import subscriptionRoutes from './routes/subscriptionRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
@@ -207,7 +216,13 @@ app.use((req, res, next) => {
 });
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Sanitization
@@ -238,8 +253,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/checkout', checkoutRoutes); // Signed checkout quotes for placing orders
 app.use('/api/cart', cartRoutes);
-app.use('/api/payments', paymentRoutes); // Mount simulated payment webhook
+app.use('/api/payments', paymentRoutes); // Checkout payments (services/paymentService.js)
+app.use('/api/wallet', walletRoutes); // Store credit & gift cards
+app.use('/api/loyalty', loyaltyRoutes); // Loyalty points & tiers
+app.use('/api/referrals', referralRoutes); // Refer-a-friend invites & rewards
+app.use('/api/subscriptions', subscriptionRoutes); // Coffee subscriptions self-service
 app.use('/api/admin', adminRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportRoutes);
@@ -0,0 +1,229 @@
+// services/checkoutQuoteService.js
+// Checkout pricing happens here and only here. A quote prices the cart —
+// line prices, offers, coupon, points, delivery and tax — and is signed, so
+// createOrder can take the customer's basket from it instead of from the
+// client. When an order is placed the cart is priced again in its
+// transaction; if anything moved since the quote, the customer reviews the
+// new figures before paying them.
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import Product from '../models/Product.js';
+import { calculateShipping } from '../utils/shippingCalculator.js';
+import { getFreshnessPolicy, getFreshness, freshnessPrice } from '../utils/freshness.js';
+import { findCoupon, applyCoupon } from './couponService.js';
+import { evaluatePromotions, assertCouponAllowed } from './promotionService.js';
+import { pricePointsRedemption, redeemablePoints } from './loyaltyService.js';
+import { CHECKOUT_PAYMENT_METHODS } from './paymentService.js';
+
+// Long enough to fill in the delivery form, short enough for prices to hold
+const QUOTE_TTL_MINUTES = 15;
+
+const MAX_LINES = 100;
+
+const SUBSCRIPTION_DISCOUNT_PERCENT = 5;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Rejections carry a status code for the controller to respond with
+const quoteError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Read when used: this module loads before server.js has read .env. A key of
+// its own — never JWT_SECRET or a built-in fallback, so a quote can't pass for
+// a login token (or the other way round) and nobody can sign their own total
+const quoteSecret = () => {
+  const secret = process.env.CHECKOUT_QUOTE_SECRET;
+  if (!secret) throw quoteError('Checkout is unavailable right now. Please try again later.', 503);
+  return secret;
+};
+
+/**
+ * Price a checkout from what the customer chose. Every amount comes from the
+ * catalogue and the store's rules. Throws (with a status code) when the cart
+ * can't be bought as it is: unknown items, stock, stale beans, a coupon that
+ * doesn't apply.
+ *
+ * @param {Object} options
+ * @param {Array} options.items - [{ product, size, quantity }]
+ * @param {Object} [options.shippingAddress] - { country, county }, for delivery
+ * @param {String} [options.couponCode]
+ * @param {Boolean} [options.isSubscription] - Subscribe & save discount
+ * @param {Number} [options.loyaltyPoints] - Exact points to spend
+ * @param {Boolean} [options.usePoints] - Spend as many points as allowed instead
+ * @param {ObjectId} [options.userId] - Customer (null for guests)
+ * @param {String} [options.email] - Guests' email, for per-customer coupon rules
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} { lines, promotions, coupon, couponCode, discount, loyalty,
+ *   redeemablePoints, subtotal, goodsSubtotal, shippingRate, shippingCost, freeShipping, tax, total }
+ */
+export const priceCheckout = async ({
+  items,
+  shippingAddress = {},
+  couponCode,
+  isSubscription = false,
+  loyaltyPoints,
+  usePoints = false,
+  userId = null,
+  email
+}, session = null) => {
+  if (!Array.isArray(items) || items.length === 0) throw quoteError('Order items are required');
+  if (items.length > MAX_LINES) throw quoteError(`An order can have at most ${MAX_LINES} lines`);
+
+  const freshnessPolicy = await getFreshnessPolicy();
+  const products = await Product.find({ _id: { $in: items.map(item => item.product).filter(Boolean) } }).session(session);
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!item.product || !item.size || !(quantity > 0)) {
+      throw quoteError('Invalid item data. Product, size and quantity are required.');
+    }
+
+    const product = byId.get(String(item.product));
+    if (!product) throw quoteError('A product in your cart is no longer available. Please remove it from your cart.');
+
+    // Each size is its own stock pool
+    const variant = product.getVariant(item.size);
+    if (product.sizes?.length > 0 && !variant) {
+      throw quoteError(`${product.name} is not available in size ${item.size}`);
+    }
+
+    // Gift cards are issued on payment, not taken from stock
+    const availableStock = variant ? variant.stock : product.inventory.stock;
+    if (!product.isGiftCard && availableStock < quantity) {
+      throw quoteError(`Insufficient stock for ${product.name} (${item.size}). Available: ${availableStock}, Requested: ${quantity}`);
+    }
+
+    // Stale beans are off sale; aging ones carry the storefront markdown
+    const freshness = product.isGiftCard ? null : getFreshness(product, freshnessPolicy);
+    if (freshness?.stage === 'expired') {
+      throw quoteError(`${product.name} is no longer available (${freshness.label.toLowerCase()}). Please remove it from your cart.`);
+    }
+
+    const listPrice = parseFloat(variant?.price || product.price) || 0;
+    const price = freshnessPrice(listPrice, freshness);
+    lines.push({
+      product: product._id,
+      name: product.name,
+      category: product.category,
+      size: item.size,
+      quantity,
+      price,
+      listPrice,
+      itemTotal: roundMoney(price * quantity),
+      image: product.images?.[0]?.url || '/default-product.jpg',
+      isGiftCard: !!product.isGiftCard,
+      bundleComponents: product.isBundle
+        ? product.bundleDetails.map(d => ({ product: d.product, size: d.size, quantity: d.quantity }))
+        : undefined
+    });
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.itemTotal, 0));
+  const goodsSubtotal = roundMoney(lines.filter(line => !line.isGiftCard).reduce((sum, line) => sum + line.itemTotal, 0));
+
+  // Automatic promotions — same engine as the cart preview, no code needed
+  const promotions = await evaluatePromotions(lines, { session });
+
+  // A coupon that can't be used is refused with the reason
+  let coupon = null;
+  let discount = 0;
+  let freeShipping = promotions.freeShipping;
+  if (couponCode) {
+    assertCouponAllowed(promotions);
+    coupon = await findCoupon(couponCode, session);
+    const applied = await applyCoupon(coupon, { lines, userId, email, session });
+    // Never more than what the promotions left of the goods
+    discount = roundMoney(Math.min(applied.discount, Math.max(0, goodsSubtotal - promotions.discount)));
+    freeShipping = freeShipping || applied.freeShipping;
+  }
+
+  // Gift cards aren't part of a subscription, so they don't earn its discount
+  if (isSubscription) {
+    discount = roundMoney(discount + goodsSubtotal * SUBSCRIPTION_DISCOUNT_PERCENT / 100);
+  }
+
+  // Points come off the goods (not gift cards) as their own discount line
+  const pointsSubtotal = Math.max(0, goodsSubtotal - promotions.discount - discount);
+  const redeemable = userId ? await redeemablePoints(userId, pointsSubtotal) : { points: 0, discount: 0 };
+  const loyalty = usePoints ? redeemable : await pricePointsRedemption({ points: loyaltyPoints, subtotal: pointsSubtotal });
+
+  const shippingRate = calculateShipping(shippingAddress);
+  const shippingCost = freeShipping ? 0 : shippingRate;
+  const taxableAmount = Math.max(0, subtotal - promotions.discount - discount - loyalty.discount);
+  const tax = 0; // No VAT — tax disabled
+
+  return {
+    lines,
+    promotions,
+    coupon,
+    couponCode: coupon?.code,
+    discount,
+    loyalty,
+    redeemablePoints: redeemable,
+    subtotal,
+    goodsSubtotal,
+    shippingRate,
+    shippingCost,
+    freeShipping: !!freeShipping,
+    tax,
+    total: roundMoney(taxableAmount + shippingCost + tax)
+  };
+};
+
+/**
+ * Sign what was priced so createOrder can rebuild the same checkout. Only
+ * the customer's choices and the total they were shown go in; prices are
+ * looked up again when the order is placed.
+ *
+ * @param {Object} pricing - From priceCheckout
+ * @param {Object} options - { userId, paymentMethod, isSubscription }
+ * @returns {{ token: String, expiresAt: Date }}
+ */
+export const signQuote = (pricing, { userId = null, paymentMethod, isSubscription = false }) => {
+  if (!CHECKOUT_PAYMENT_METHODS.includes(paymentMethod)) throw quoteError('Please choose a supported payment method');
+
+  const token = jwt.sign(
+    {
+      type: 'checkout_quote',
+      user: userId ? String(userId) : null,
+      items: pricing.lines.map(({ product, size, quantity }) => ({ product: String(product), size, quantity })),
+      couponCode: pricing.couponCode || null,
+      isSubscription: !!isSubscription,
+      loyaltyPoints: pricing.loyalty.points,
+      paymentMethod,
+      total: pricing.total
+    },
+    quoteSecret(),
+    { expiresIn: `${QUOTE_TTL_MINUTES}m`, jwtid: uuidv4() }
+  );
+  return { token, expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000) };
+};
+
+/**
+ * Check a quote token and that it belongs to whoever is placing the order.
+ *
+ * @param {String} token
+ * @param {Object} options - { userId } (null for guests)
+ * @returns {Object} The signed quote: { jti, user, items, couponCode, isSubscription, loyaltyPoints, paymentMethod, total }
+ */
+export const verifyQuote = (token, { userId = null } = {}) => {
+  if (!token) throw quoteError('Your checkout needs a price quote — please refresh your cart and try again');
+
+  const secret = quoteSecret();
+  let quote;
+  try {
+    quote = jwt.verify(token, secret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw quoteError('Your checkout quote has expired — please review your order and try again', 409);
+    }
+    throw quoteError('Invalid checkout quote');
+  }
+
+  if (quote.type !== 'checkout_quote') throw quoteError('Invalid checkout quote');
+  if (quote.user !== (userId ? String(userId) : null)) {
+    throw quoteError('This quote was made for a different account — please review your order and try again', 409);
+  }
+  return quote;
+};
@@ -0,0 +1,186 @@
+// services/couponService.js
+// Coupon rules: who may use a coupon, which items it covers and what it takes
+// off. validateCoupon (cart preview) and createOrder (the real thing) both go
+// through applyCoupon, so the customer sees the same discount — or the same
+// reason it doesn't apply — in both places.
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { getFreshness, getFreshnessPolicy, freshnessPrice } from '../utils/freshness.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const kes = (amount) => `KES ${Number(amount || 0).toLocaleString()}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Rejections carry a status code for the controller to respond with
+const couponError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * One-line summary of what a coupon gives, e.g. "Buy 2, get 1 free".
+ */
+export const describeCoupon = (coupon) => {
+  switch (coupon.discountType) {
+    case 'percentage': return `${coupon.discountAmount}% off`;
+    case 'fixed': return `${kes(coupon.discountAmount)} off`;
+    case 'free_shipping': return 'Free delivery';
+    case 'buy_x_get_y': return `Buy ${coupon.buyQuantity}, get ${coupon.getQuantity} ${coupon.getDiscountPercent >= 100 ? 'free' : `${coupon.getDiscountPercent}% off`}`;
+    default: return coupon.discountType;
+  }
+};
+
+/**
+ * Price cart items the way createOrder will (list price, freshness markdown),
+ * for previewing a coupon before the order is placed.
+ *
+ * @param {Array} items - [{ product, size, quantity }]
+ * @returns {Promise<Array>} Coupon lines: [{ product, category, price, listPrice, quantity, isGiftCard }]
+ */
+export const couponLinesForCart = async (items = []) => {
+  const policy = await getFreshnessPolicy();
+  const products = await Product.find({ _id: { $in: items.map(item => item.product).filter(Boolean) } });
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  return items.flatMap(item => {
+    const product = byId.get(String(item.product));
+    if (!product) return [];
+    const listPrice = parseFloat(product.getVariant(item.size)?.price || product.price) || 0;
+    const freshness = product.isGiftCard ? null : getFreshness(product, policy);
+    return [{
+      product: product._id,
+      category: product.category,
+      price: freshnessPrice(listPrice, freshness),
+      listPrice,
+      quantity: parseInt(item.quantity) || 0,
+      isGiftCard: !!product.isGiftCard
+    }];
+  });
+};
+
+/**
+ * Find an active coupon by the code the customer typed.
+ */
+export const findCoupon = async (code, session = null) => {
+  const coupon = await Coupon.findOne({ code: String(code || '').trim().toUpperCase() }).session(session);
+  if (!coupon || !coupon.isActive) throw couponError('Invalid coupon code', 404);
+  return coupon;
+};
+
+// Orders that count as the customer's: signed-in customers by account,
+// guests by email. Cancelled orders don't count.
+const customerOrders = ({ userId, email }) => ({
+  ...(userId ? { user: userId } : { 'shippingAddress.email': String(email || '').toLowerCase() }),
+  orderStatus: { $ne: 'cancelled' }
+});
+
+/**
+ * Check a coupon against a customer and their cart and work out the discount.
+ * Throws with the reason when it can't be used.
+ *
+ * @param {Document} coupon
+ * @param {Object} options
+ * @param {Array} options.lines - Priced items: [{ product, category, price, listPrice, quantity, isGiftCard }]
+ * @param {ObjectId} [options.userId] - Customer (or `email` for guests)
+ * @param {String} [options.email]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{ discount: Number, freeShipping: Boolean, eligibleSubtotal: Number, description: String }>}
+ */
+export const applyCoupon = async (coupon, { lines, userId, email, session = null }) => {
+  const now = new Date();
+  if (!coupon.isActive) throw couponError('This coupon is no longer active');
+  if (coupon.startDate && now < coupon.startDate) throw couponError(`This coupon can be used from ${formatDate(coupon.startDate)}`);
+  if (now > coupon.expiryDate) throw couponError(`This coupon expired on ${formatDate(coupon.expiryDate)}`);
+  if (coupon.usedCount >= coupon.usageLimit) throw couponError('This coupon has reached its usage limit');
+
+  if (coupon.firstOrderOnly || coupon.perCustomerLimit > 0) {
+    if (!userId && !email) throw couponError('Sign in to use this coupon', 401);
+    const filter = customerOrders({ userId, email });
+
+    if (coupon.firstOrderOnly && await Order.exists(filter).session(session)) {
+      throw couponError('This coupon is only valid on your first order');
+    }
+    if (coupon.perCustomerLimit > 0) {
+      const uses = await Order.countDocuments({ ...filter, couponCode: coupon.code }).session(session);
+      if (uses >= coupon.perCustomerLimit) {
+        throw couponError(coupon.perCustomerLimit === 1
+          ? "You've already used this coupon"
+          : `This coupon can be used ${coupon.perCustomerLimit} times per customer, and you've used it ${uses} times`);
+      }
+    }
+  }
+
+  const goods = lines.filter(line => !line.isGiftCard && line.quantity > 0);
+  const goodsSubtotal = goods.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (goodsSubtotal < coupon.minOrderAmount) {
+    throw couponError(`Spend ${kes(coupon.minOrderAmount - goodsSubtotal)} more to use this coupon (minimum order ${kes(coupon.minOrderAmount)})`);
+  }
+
+  // Which items the discount covers
+  const productIds = (coupon.products || []).map(id => id.toString());
+  const categories = coupon.categories || [];
+  const restricted = productIds.length > 0 || categories.length > 0;
+  const matching = goods.filter(line => !restricted
+    || productIds.includes(line.product.toString())
+    || categories.includes(line.category));
+  const eligible = coupon.excludeSaleItems ? matching.filter(line => line.price >= line.listPrice) : matching;
+
+  if (coupon.discountType !== 'free_shipping' && eligible.length === 0) {
+    if (matching.length > 0) throw couponError("This coupon can't be used on sale items");
+    if (restricted) {
+      const onlyFor = [
+        ...categories.map(category => category.replace(/-/g, ' ')),
+        ...(productIds.length ? [`${productIds.length === 1 ? 'a selected product' : 'selected products'}`] : [])
+      ];
+      throw couponError(`This coupon only applies to ${onlyFor.join(' or ')}, and none are in your cart`);
+    }
+    throw couponError("This coupon doesn't apply to anything in your cart");
+  }
+
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  let discount = 0;
+
+  switch (coupon.discountType) {
+    case 'percentage':
+      discount = eligibleSubtotal * Math.min(coupon.discountAmount, 100) / 100;
+      break;
+    case 'fixed':
+      discount = Math.min(coupon.discountAmount, eligibleSubtotal);
+      break;
+    case 'buy_x_get_y': {
+      // The cheapest units in each full group are the discounted ones
+      const units = eligible.flatMap(line => Array(line.quantity).fill(line.price)).sort((a, b) => b - a);
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const groups = Math.floor(units.length / groupSize);
+      if (!groups) {
+        throw couponError(`Add ${groupSize - units.length} more qualifying item${groupSize - units.length === 1 ? '' : 's'} to get this offer (${describeCoupon(coupon)})`);
+      }
+      const discounted = units.slice(units.length - groups * coupon.getQuantity);
+      discount = discounted.reduce((sum, price) => sum + price, 0) * (coupon.getDiscountPercent || 100) / 100;
+      break;
+    }
+    default:
+      break;
+  }
+
+  return {
+    discount: roundMoney(discount),
+    freeShipping: coupon.discountType === 'free_shipping',
+    eligibleSubtotal,
+    description: describeCoupon(coupon)
+  };
+};
+
+/**
+ * Count a use of the coupon for a placed order. Only lands while it's under
+ * its usage limit, so the last use can't be taken twice.
+ */
+export const claimCouponUse = async (coupon, session = null) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, isActive: true, $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!claimed) throw couponError('This coupon has reached its usage limit');
+  return claimed;
+};
@@ -0,0 +1,75 @@
+// services/guestCheckoutService.js
+// Guest checkout: an order placed without an account carries a secret access
+// token that stands in for a login on its tracking, receipt and payment
+// pages. Only the token's hash is stored. When someone registers with the
+// order's email, their guest orders move into the new account.
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import { generateRandomToken, hashToken } from '../utils/tokenUtils.js';
+import { awardOrderPoints } from './loyaltyService.js';
+
+/**
+ * A new order access token. The raw token goes to the guest (checkout
+ * response and confirmation email); the hash is saved on the order.
+ *
+ * @returns {{ token: String, hash: String }}
+ */
+export const issueOrderAccessToken = () => {
+  const token = generateRandomToken(24);
+  return { token, hash: hashToken(token) };
+};
+
+// The token a guest sends: a header from the app, ?token= from email links
+export const orderAccessTokenFrom = (req) => req.get('x-order-token') || req.query.token || null;
+
+/**
+ * Whether a token opens this order. The order must be loaded with
+ * `+guestAccessToken`.
+ */
+export const hasGuestAccess = (order, token) => {
+  if (!order?.guestAccessToken || !token) return false;
+  const given = Buffer.from(hashToken(String(token)));
+  const stored = Buffer.from(order.guestAccessToken);
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+};
+
+// Where a guest follows their order (also works once they have an account)
+export const guestOrderUrl = (order, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/order-tracking/${order._id}?token=${token}`;
+
+/**
+ * Move guest orders placed with this user's email into their account. Called
+ * whenever the email is proven theirs (verified signup, sign-in, Google), so
+ * guest checkouts by existing customers are picked up on their next login.
+ * Delivered orders earn the loyalty points they would have as a member.
+ *
+ * @param {Document} user
+ * @returns {Promise<Number>} How many orders were claimed
+ */
+export const claimGuestOrders = async (user) => {
+  try {
+    const email = String(user.email || '').toLowerCase();
+    const orders = await Order.find({ isGuest: true, user: null, 'shippingAddress.email': email })
+      .select('_id fulfillmentStatus');
+    if (!orders.length) return 0;
+
+    await Order.updateMany(
+      { _id: { $in: orders.map(order => order._id) }, user: null },
+      {
+        $set: { user: user._id, claimedAt: new Date() },
+        $push: { orderEvents: { status: 'ORDER_CLAIMED', note: `Guest order added to the account registered with ${email}`, user: user._id } }
+      }
+    );
+
+    for (const order of orders) {
+      if (order.fulfillmentStatus === 'delivered') await awardOrderPoints(order._id);
+    }
+
+    console.log(`🔗 Claimed ${orders.length} guest order(s) for ${email}`);
+    return orders.length;
+  } catch (error) {
+    // Never blocks signing up; the orders stay reachable by their links
+    console.error(`❌ [Guest Checkout] Failed to claim orders for ${user.email}:`, error.message);
+    return 0;
+  }
+};
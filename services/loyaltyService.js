@@ -0,0 +1,418 @@
+// services/loyaltyService.js
+// Loyalty points: earning them (delivered orders, reviews, referrals,
+// birthdays), spending them at checkout, and expiring what's left unspent.
+// Balances only move through here so each change lands on the
+// LoyaltyTransaction ledger. The rules live in Settings.loyalty.
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+
+// Entries that count towards the lifetime total (and so the tier)
+const LIFETIME_TYPES = ['earned', 'review', 'referral', 'birthday', 'reversed'];
+
+const EXPIRY_BATCH_SIZE = 200;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Validation failures carry a status code for the controller to respond with
+const loyaltyError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Current loyalty rules from Settings (plain object).
+ */
+export const getLoyaltyRules = async () => {
+  const settings = await Settings.getSettings();
+  const rules = settings.toObject().loyalty || {};
+  return {
+    ...rules,
+    tiers: [...(rules.tiers || [])].sort((a, b) => a.minPoints - b.minPoints)
+  };
+};
+
+/**
+ * The tier a lifetime points total falls in, and the one after it.
+ *
+ * @param {Number} lifetimePoints
+ * @param {Array} tiers - [{ name, minPoints, multiplier }], lowest first
+ * @returns {{ name: String, minPoints: Number, multiplier: Number, next: Object|null }}
+ */
+export const tierFor = (lifetimePoints, tiers = []) => {
+  const index = tiers.reduce((found, tier, i) => lifetimePoints >= tier.minPoints ? i : found, 0);
+  const tier = tiers[index] || { name: 'Member', minPoints: 0, multiplier: 1 };
+  const next = tiers[index + 1];
+  return {
+    name: tier.name,
+    minPoints: tier.minPoints,
+    multiplier: tier.multiplier || 1,
+    next: next ? { name: next.name, minPoints: next.minPoints, pointsToGo: next.minPoints - lifetimePoints } : null
+  };
+};
+
+const expiryDate = (rules) => {
+  if (!rules.expiryMonths) return null;
+  const expiry = new Date();
+  expiry.setMonth(expiry.getMonth() + rules.expiryMonths);
+  return expiry;
+};
+
+// Take spent points off the lots that expire soonest. Points from before the
+// ledger have no lot, so whatever the lots don't cover simply never expired.
+const drawDownLots = async (userId, points, session) => {
+  const lots = await LoyaltyTransaction.find({ user: userId, remaining: { $gt: 0 } }).session(session);
+  lots.sort((a, b) => (a.expiresAt?.getTime() ?? Infinity) - (b.expiresAt?.getTime() ?? Infinity) || a.createdAt - b.createdAt);
+
+  let left = points;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, lot.remaining);
+    await LoyaltyTransaction.updateOne({ _id: lot._id }, { $inc: { remaining: -take } }, { session });
+    left -= take;
+  }
+};
+
+/**
+ * Post a change to a customer's points. Debits only land if the balance
+ * covers them; credits open a lot that expires per the rules.
+ *
+ * @param {ObjectId} userId
+ * @param {Number} points - Signed: negative spends points
+ * @param {Object} entry - { type, order, product, note, expiresAt }
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document>} The ledger entry
+ */
+const postPoints = async (userId, points, { type, order, product, note, expiresAt = null }, session = null) => {
+  const delta = Math.round(points);
+  if (!delta) throw loyaltyError('Enter a number of points other than zero');
+
+  const account = await User.findOneAndUpdate(
+    { _id: userId, ...(delta < 0 && { loyaltyPoints: { $gte: -delta } }) },
+    { $inc: { loyaltyPoints: delta, ...(LIFETIME_TYPES.includes(type) && { loyaltyLifetimePoints: delta }) } },
+    { new: true, session }
+  ).select('loyaltyPoints');
+
+  if (!account) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    throw exists ? loyaltyError('Not enough loyalty points for this') : loyaltyError('Customer not found', 404);
+  }
+
+  if (delta < 0 && type !== 'expired') await drawDownLots(userId, -delta, session);
+
+  const [entry] = await LoyaltyTransaction.create([{
+    user: userId,
+    points: delta,
+    balanceAfter: account.loyaltyPoints,
+    type,
+    order,
+    product,
+    note,
+    remaining: delta > 0 ? delta : 0,
+    expiresAt: delta > 0 ? expiresAt : null
+  }], { session });
+
+  console.log(`⭐ [Loyalty] ${delta > 0 ? '+' : ''}${delta} points for user ${userId} (${type}) — balance ${account.loyaltyPoints}`);
+  return entry;
+};
+
+/**
+ * Give a customer bonus points (review, referral, birthday). Does nothing
+ * while the programme is switched off.
+ *
+ * @param {ObjectId} userId
+ * @param {Number} points
+ * @param {Object} entry - { type, order, product, note }
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>} The ledger entry
+ */
+export const awardPoints = async (userId, points, entry, session = null) => {
+  const rules = await getLoyaltyRules();
+  if (!rules.enabled || !(points > 0)) return null;
+  return postPoints(userId, points, { ...entry, expiresAt: expiryDate(rules) }, session);
+};
+
+/**
+ * Points for reviewing a product the customer bought — once per product,
+ * however often the review is deleted and written again. Never throws.
+ */
+export const awardReviewPoints = async (userId, productId) => {
+  try {
+    const rules = await getLoyaltyRules();
+    if (!rules.enabled || !rules.reviewPoints) return null;
+    if (await LoyaltyTransaction.exists({ user: userId, type: 'review', product: productId })) return null;
+    return await postPoints(userId, rules.reviewPoints, {
+      type: 'review',
+      product: productId,
+      note: 'Thanks for your review',
+      expiresAt: expiryDate(rules)
+    });
+  } catch (error) {
+    console.error(`❌ [Loyalty] Failed to award review points to ${userId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Points for a delivered order: one per `kshPerPoint` spent on goods (gift
+ * cards, refunded units and discounts excluded), scaled by the customer's
+ * tier. The order is claimed first, so repeated delivery updates never award
+ * twice. Never throws.
+ *
+ * @param {ObjectId} orderId
+ * @returns {Promise<Number>} Points awarded
+ */
+export const awardOrderPoints = async (orderId) => {
+  let order;
+  try {
+    const rules = await getLoyaltyRules();
+    if (!rules.enabled) return 0;
+
+    order = await Order.findOneAndUpdate(
+      { _id: orderId, loyaltyPointsAwardedAt: null, fulfillmentStatus: 'delivered', user: { $ne: null } },
+      { $set: { loyaltyPointsAwardedAt: new Date() } },
+      { new: true }
+    );
+    if (!order) return 0;
+
+    const goods = order.items
+      .filter(item => !item.isGiftCard)
+      .reduce((sum, item) => sum + item.price * (item.quantity - (item.refundedQuantity || 0)), 0);
+    const spent = Math.max(0, goods - (order.discountAmount || 0) - (order.promotionDiscount || 0) - (order.loyaltyDiscount || 0));
+
+    const customer = await User.findById(order.user).select('loyaltyLifetimePoints');
+    const tier = tierFor(customer?.loyaltyLifetimePoints || 0, rules.tiers);
+    const points = Math.floor(spent / rules.kshPerPoint * tier.multiplier);
+    if (points <= 0) return 0;
+
+    await postPoints(order.user, points, {
+      type: 'earned',
+      order: order._id,
+      note: `Order #${order.orderNumber} delivered${tier.multiplier !== 1 ? ` (${tier.name} ×${tier.multiplier})` : ''}`,
+      expiresAt: expiryDate(rules)
+    });
+    await Order.updateOne({ _id: order._id }, {
+      $set: { loyaltyPointsEarned: points },
+      $push: { orderEvents: { status: 'LOYALTY_POINTS_EARNED', note: `${points} loyalty points earned` } }
+    });
+    return points;
+  } catch (error) {
+    console.error(`❌ [Loyalty] Failed to award points for order ${orderId}:`, error.message);
+    // Let the next delivery update try again
+    if (order) await Order.updateOne({ _id: order._id, loyaltyPointsEarned: 0 }, { $set: { loyaltyPointsAwardedAt: null } }).catch(() => { });
+    return 0;
+  }
+};
+
+/**
+ * Most points a customer may spend against `subtotal` under the rules.
+ */
+export const maxRedeemablePoints = (subtotal, rules) => {
+  if (!rules.enabled || !rules.pointValue) return 0;
+  return Math.max(0, Math.floor(subtotal * (rules.maxRedeemPercent / 100) / rules.pointValue));
+};
+
+/**
+ * Check points against the rules and work out what they take off, without
+ * spending them (checkout quotes price with this; the order spends them).
+ *
+ * @param {Object} options - { points, subtotal } as for redeemPointsAtCheckout
+ * @returns {Promise<{ points: Number, discount: Number }>}
+ */
+export const pricePointsRedemption = async ({ points, subtotal }) => {
+  const wanted = parseInt(points) || 0;
+  if (wanted <= 0) return { points: 0, discount: 0 };
+
+  const rules = await getLoyaltyRules();
+  if (!rules.enabled || !rules.pointValue) throw loyaltyError('Loyalty points can\'t be redeemed right now');
+  if (wanted < rules.minRedeemPoints) throw loyaltyError(`Redeem at least ${rules.minRedeemPoints} points at a time`);
+
+  const max = maxRedeemablePoints(subtotal, rules);
+  if (wanted > max) {
+    throw loyaltyError(`Points can pay for up to ${rules.maxRedeemPercent}% of your order — ${max} points at most`);
+  }
+
+  return { points: wanted, discount: roundMoney(wanted * rules.pointValue) };
+};
+
+/**
+ * The most points a customer can spend against `subtotal` right now (their
+ * balance, capped by the rules), or none if that's under the minimum.
+ *
+ * @returns {Promise<{ points: Number, discount: Number }>}
+ */
+export const redeemablePoints = async (userId, subtotal) => {
+  const [rules, user] = await Promise.all([
+    getLoyaltyRules(),
+    User.findById(userId).select('loyaltyPoints')
+  ]);
+  const points = Math.min(user?.loyaltyPoints || 0, maxRedeemablePoints(subtotal, rules));
+  if (!rules.enabled || points <= 0 || points < rules.minRedeemPoints) return { points: 0, discount: 0 };
+  return { points, discount: roundMoney(points * rules.pointValue) };
+};
+
+/**
+ * Spend points at checkout as a discount line. Runs in the checkout
+ * transaction, so an order that fails spends nothing.
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.user - Customer
+ * @param {Number} options.points - Points they chose to spend
+ * @param {Number} options.subtotal - What points may be spent against (goods after discounts)
+ * @param {ObjectId} options.order - _id the order will be saved with
+ * @param {String} options.orderNumber
+ * @param {ClientSession} session
+ * @returns {Promise<{ points: Number, discount: Number }>}
+ */
+export const redeemPointsAtCheckout = async ({ user, points, subtotal, order, orderNumber }, session) => {
+  const redemption = await pricePointsRedemption({ points, subtotal });
+  if (!redemption.points) return redemption;
+
+  await postPoints(user, -redemption.points, { type: 'redeemed', order, note: `Spent on order #${orderNumber}` }, session);
+  return redemption;
+};
+
+/**
+ * Give back the points an order spent. Called from the order's stock
+ * release, which runs exactly once per order.
+ *
+ * @returns {Promise<String[]>} What was put back, for the order event
+ */
+export const restoreOrderPoints = async (order, session = null) => {
+  if (!(order.loyaltyPointsRedeemed > 0)) return [];
+
+  const rules = await getLoyaltyRules();
+  await postPoints(order.user, order.loyaltyPointsRedeemed, {
+    type: 'restored',
+    order: order._id,
+    note: `Order #${order.orderNumber} cancelled`,
+    expiresAt: expiryDate(rules)
+  }, session);
+  return [`${order.loyaltyPointsRedeemed} loyalty points returned`];
+};
+
+/**
+ * Take back the share of an order's earned points that a refund covers.
+ * Points the customer has already spent stay spent. Updates the order;
+ * the caller saves it.
+ *
+ * @param {Document} order
+ * @param {Number} amount - Refunded now
+ * @param {Number} paid - What the customer paid for the order
+ * @param {ClientSession} session
+ * @returns {Promise<Number>} Points taken back
+ */
+export const reverseRefundedPoints = async (order, amount, paid, session) => {
+  const outstanding = (order.loyaltyPointsEarned || 0) - (order.loyaltyPointsReversed || 0);
+  if (outstanding <= 0 || paid <= 0) return 0;
+
+  const share = Math.min(outstanding, Math.ceil(order.loyaltyPointsEarned * Math.min(1, amount / paid)));
+  order.loyaltyPointsReversed = (order.loyaltyPointsReversed || 0) + share;
+
+  const account = await User.findById(order.user).select('loyaltyPoints').session(session);
+  const points = Math.min(share, account?.loyaltyPoints || 0);
+  if (points > 0) {
+    await postPoints(order.user, -points, {
+      type: 'reversed',
+      order: order._id,
+      note: `Order #${order.orderNumber} refunded`
+    }, session);
+  }
+  return points;
+};
+
+/**
+ * Birthday bonus for everyone whose birthday is today, once a year. Never throws.
+ */
+export const awardBirthdayPoints = async () => {
+  try {
+    const rules = await getLoyaltyRules();
+    if (!rules.enabled || !rules.birthdayPoints) return 0;
+
+    const today = new Date();
+    const yearStart = new Date(today.getFullYear(), 0, 1);
+    const celebrants = await User.find({
+      dateOfBirth: { $ne: null },
+      $expr: {
+        $and: [
+          { $eq: [{ $month: '$dateOfBirth' }, today.getMonth() + 1] },
+          { $eq: [{ $dayOfMonth: '$dateOfBirth' }, today.getDate()] }
+        ]
+      }
+    }).select('_id');
+
+    let awarded = 0;
+    for (const { _id } of celebrants) {
+      if (await LoyaltyTransaction.exists({ user: _id, type: 'birthday', createdAt: { $gte: yearStart } })) continue;
+      await postPoints(_id, rules.birthdayPoints, {
+        type: 'birthday',
+        note: 'Happy birthday from Rerendet Coffee',
+        expiresAt: expiryDate(rules)
+      });
+      awarded++;
+    }
+
+    if (awarded) console.log(`🎂 [Loyalty] Birthday points for ${awarded} customer(s)`);
+    return awarded;
+  } catch (error) {
+    console.error('❌ [Loyalty] Birthday points failed:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Expire whatever is left of lots past their expiry date. Never throws.
+ */
+export const expireLoyaltyPoints = async () => {
+  try {
+    const lots = await LoyaltyTransaction.find({ remaining: { $gt: 0 }, expiresAt: { $ne: null, $lte: new Date() } })
+      .limit(EXPIRY_BATCH_SIZE);
+
+    let expired = 0;
+    for (const lot of lots) {
+      // Claim the remainder so a checkout spending it at the same time can't double-count
+      const claimed = await LoyaltyTransaction.findOneAndUpdate(
+        { _id: lot._id, remaining: lot.remaining },
+        { $set: { remaining: 0 } }
+      );
+      if (!claimed) continue;
+
+      const account = await User.findById(lot.user).select('loyaltyPoints');
+      const points = Math.min(lot.remaining, account?.loyaltyPoints || 0);
+      if (points <= 0) continue;
+
+      await postPoints(lot.user, -points, {
+        type: 'expired',
+        note: `Points earned ${lot.createdAt.toLocaleDateString('en-KE')} expired`
+      });
+      expired += points;
+    }
+
+    if (expired) console.log(`⌛ [Loyalty] Expired ${expired} unspent points`);
+    return expired;
+  } catch (error) {
+    console.error('❌ [Loyalty] Points expiry failed:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * A customer's points, tier and what expires next, for the account pages.
+ */
+export const getLoyaltySummary = async (userId) => {
+  const [rules, user, expiring] = await Promise.all([
+    getLoyaltyRules(),
+    User.findById(userId).select('loyaltyPoints loyaltyLifetimePoints'),
+    LoyaltyTransaction.findOne({ user: userId, remaining: { $gt: 0 }, expiresAt: { $ne: null } }).sort({ expiresAt: 1 })
+  ]);
+
+  const lifetimePoints = user?.loyaltyLifetimePoints || 0;
+  return {
+    enabled: !!rules.enabled,
+    points: user?.loyaltyPoints || 0,
+    lifetimePoints,
+    tier: tierFor(lifetimePoints, rules.tiers),
+    pointValue: rules.pointValue,
+    minRedeemPoints: rules.minRedeemPoints,
+    maxRedeemPercent: rules.maxRedeemPercent,
+    nextExpiry: expiring ? { points: expiring.remaining, expiresAt: expiring.expiresAt } : null
+  };
+};
@@ -0,0 +1,607 @@
+// services/paymentService.js
+// The one code path for taking and returning money. Picks the provider for an
+// order, records every attempt as a PaymentTransaction, and applies results —
+// from callbacks, status polling or the sandbox — through the order lifecycle.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import Refund from '../models/Refund.js';
+import Settings from '../models/Settings.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { getTransitionError, transitionOrder } from '../utils/orderLifecycle.js';
+import { paymentError } from './payments/paymentProvider.js';
+import { issueOrderGiftCards } from './storeCreditService.js';
+import { rewardReferral } from './referralService.js';
+import mpesaProvider from './payments/mpesaProvider.js';
+import airtelProvider from './payments/airtelProvider.js';
+import cardProvider from './payments/cardProvider.js';
+import sandboxProvider from './payments/sandboxProvider.js';
+
+const PROVIDERS_BY_METHOD = {
+  mpesa: mpesaProvider,
+  airtel: airtelProvider,
+  airtel_money: airtelProvider,
+  card: cardProvider
+};
+
+// What a customer can pay with at checkout: an online provider or cash on delivery
+export const CHECKOUT_PAYMENT_METHODS = [...Object.keys(PROVIDERS_BY_METHOD), 'cod'];
+
+// Callback URLs name the provider: /api/webhooks/:provider
+const PROVIDERS_BY_NAME = {
+  mpesa: mpesaProvider,
+  airtel: airtelProvider,
+  stripe: cardProvider,
+  sandbox: sandboxProvider
+};
+
+const PROVIDERS = [mpesaProvider, airtelProvider, cardProvider, sandboxProvider];
+
+const FINAL_STATUSES = ['SUCCESS', 'FAILED', 'CANCELLED'];
+
+// Ledger names for payments staff record by hand
+const MANUAL_LEDGER_BY_METHOD = {
+  mpesa: 'MPESA',
+  airtel: 'AIRTEL',
+  airtel_money: 'AIRTEL',
+  card: 'STRIPE',
+  paypal: 'PAYPAL',
+  cod: 'CASH'
+};
+
+// Gateways round to whole shillings, so differences under KES 1 aren't a mismatch
+export const PAYMENT_TOLERANCE = 1;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const kes = (value) => `KES ${roundMoney(value).toLocaleString()}`;
+
+// Opt-in only (PAYMENT_SANDBOX=true): a live store that forgot an env var must
+// never take sandbox "payments"
+export const isSandboxMode = () => process.env.PAYMENT_SANDBOX === 'true';
+
+// Payment status implied by what has been paid against the total
+export const paymentStatusForAmount = (total, amountPaid) => {
+  if (!(amountPaid > 0)) return 'pending';
+  return roundMoney(total - amountPaid) > PAYMENT_TOLERANCE ? 'partially_paid' : 'paid';
+};
+
+export const getPaymentProvider = (method) => {
+  if (!PROVIDERS_BY_METHOD[method]) throw paymentError(`Online payment isn't available for "${method}"`);
+  return isSandboxMode() ? sandboxProvider : PROVIDERS_BY_METHOD[method];
+};
+
+export const getProviderByName = (name) => {
+  const provider = PROVIDERS_BY_NAME[name];
+  // Nobody gets to post sandbox "payments" to a live store
+  if (!provider || (provider === sandboxProvider && !isSandboxMode())) throw paymentError(`Unknown payment provider "${name}"`, 404);
+  return provider;
+};
+
+const providerForTransaction = (transaction) => PROVIDERS.find(p => p.ledgerName === transaction.provider);
+
+/**
+ * Record a provider result against its transaction and move the order.
+ * Safe to call more than once for the same result: a settled transaction is
+ * only ever upgraded to SUCCESS, and a paid order is never paid twice.
+ *
+ * A success is added to order.payments and order.amountPaid, and the payment
+ * status follows the sum: short of the total the order is partially_paid with
+ * a balance due; past it the order is paid and the excess is recorded as the
+ * customer's credit (order.overpaidAmount). Gift cards bought on the order
+ * are issued once it is paid.
+ *
+ * @param {Object} result - PaymentResult from a provider
+ * @param {Object} [options]
+ * @param {String} [options.actor] - Shown in order events, e.g. 'M-Pesa callback'
+ * @param {ObjectId} [options.user] - Staff member, for payments recorded by hand
+ * @returns {Promise<{ transaction?: Document, order?: Document, applied: Boolean, reason?: String }>}
+ */
+export const applyPaymentResult = async (result, { actor = 'payment provider', user = null } = {}) => {
+  if (!result || !FINAL_STATUSES.includes(result.status)) return { applied: false, reason: 'pending' };
+
+  // Claim the transaction atomically, so a callback racing a status poll (or a
+  // gateway retry) is applied once. SUCCESS is final; failures can still turn
+  // into a late success.
+  const transaction = await PaymentTransaction.findOneAndUpdate(
+    { transactionId: result.reference, type: 'PAYMENT', status: { $nin: ['SUCCESS', result.status] } },
+    {
+      $set: {
+        status: result.status,
+        ...(result.amount != null && { amount: result.amount }),
+        ...(result.receipt && { 'metadata.receipt': result.receipt }),
+        ...(result.message && { 'metadata.resultMessage': result.message }),
+        'metadata.result': result.raw
+      }
+    },
+    { new: true }
+  );
+  if (!transaction) {
+    const known = await PaymentTransaction.exists({ transactionId: result.reference, type: 'PAYMENT' });
+    if (known) {
+      console.log(`ℹ️ [Payments] Duplicate ${result.status} for ${result.reference} ignored`);
+      return { applied: false, reason: 'duplicate' };
+    }
+    console.warn(`⚠️ [Payments] No transaction for reference ${result.reference}`);
+    return { applied: false, reason: 'unknown_reference' };
+  }
+
+  let order = await Order.findById(transaction.order);
+  if (!order) return { transaction, applied: false, reason: 'order_missing' };
+
+  if (result.status === 'SUCCESS') {
+    // Money arrived but the order can't take it (already paid by another attempt,
+    // cancelled after its reservation expired, ...) — flag it for a refund
+    const blocked = order.paymentStatus === 'paid'
+      ? 'order was already paid by another attempt'
+      : order.orderStatus === 'cancelled'
+        ? 'order was cancelled before the payment arrived'
+        : order.paymentStatus !== 'partially_paid' && getTransitionError(order, { paymentStatus: 'paid' }, { source: 'payment' });
+    if (blocked) {
+      order.orderEvents.push({
+        status: 'PAYMENT_UNAPPLIED',
+        note: `${transaction.provider} payment ${result.receipt || result.reference} of ${kes(transaction.amount)} not applied: ${blocked}. Refund the customer.`,
+        user
+      });
+      await order.save();
+      console.warn(`⚠️ [Payments] #${order.orderNumber}: payment ${result.reference} not applied — ${blocked}`);
+      return { transaction, order, applied: false, reason: blocked };
+    }
+
+    // $inc and $push together, so two payments landing at once both count
+    const received = roundMoney(transaction.amount);
+    const receipt = result.receipt || result.reference;
+    order = await Order.findByIdAndUpdate(order._id, {
+      $inc: { amountPaid: received },
+      $push: {
+        payments: {
+          method: transaction.metadata?.method || order.paymentMethod,
+          provider: transaction.provider,
+          amount: received,
+          transaction: transaction._id,
+          reference: receipt,
+          paidAt: new Date(),
+          recordedBy: user
+        }
+      }
+    }, { new: true });
+    order.amountPaid = roundMoney(order.amountPaid);
+    const balance = roundMoney(order.total - order.amountPaid);
+
+    if (paymentStatusForAmount(order.total, order.amountPaid) === 'partially_paid') {
+      const note = `Part payment of ${kes(received)} confirmed by ${actor}. Receipt: ${receipt}. Paid ${kes(order.amountPaid)} of ${kes(order.total)} — ${kes(balance)} still due`;
+      if (order.paymentStatus === 'partially_paid') {
+        order.orderEvents.push({ status: 'PAYMENT_PARTIAL', note, user });
+        await order.save();
+      } else {
+        await transitionOrder(order, { paymentStatus: 'partially_paid' }, { source: 'payment', user, actor, note, notify: false });
+      }
+      console.log(`💰 [Payments] Order #${order.orderNumber} part paid — KES ${balance} due`);
+      return { transaction, order, applied: true, partial: true };
+    }
+
+    if (-balance > PAYMENT_TOLERANCE) {
+      order.overpaidAmount = roundMoney(-balance);
+      order.orderEvents.push({
+        status: 'OVERPAYMENT_CREDIT',
+        note: `Customer paid ${kes(order.amountPaid)} against a total of ${kes(order.total)}. ${kes(order.overpaidAmount)} recorded as credit owed to the customer.`,
+        user
+      });
+      console.warn(`⚠️ [Payments] Order #${order.orderNumber} overpaid by KES ${order.overpaidAmount}`);
+    }
+
+    order.transactionId = receipt;
+    await transitionOrder(order, { paymentStatus: 'paid' }, {
+      source: 'payment',
+      user,
+      actor,
+      note: `Payment confirmed by ${actor}. Receipt: ${receipt}. Amount: ${kes(received)}`
+    });
+    console.log(`💰 [Payments] Order #${order.orderNumber} marked as PAID`);
+    await issueOrderGiftCards(order._id);
+    await rewardReferral(order._id);
+    return { transaction, order, applied: true };
+  }
+
+  // A failure only counts while the order is still waiting on this payment
+  // (a failed top-up leaves a part-paid order as it was)
+  const blocked = order.paymentStatus !== 'pending'
+    ? `order is ${order.paymentStatus}`
+    : getTransitionError(order, { paymentStatus: 'failed' }, { source: 'payment' });
+  if (blocked) return { transaction, order, applied: false, reason: blocked };
+
+  await transitionOrder(order, { paymentStatus: 'failed' }, {
+    source: 'payment',
+    actor,
+    note: `Payment ${result.status === 'CANCELLED' ? 'cancelled' : 'failed'} (${actor}): ${result.message || result.status}`,
+    notify: false
+  });
+  return { transaction, order, applied: true };
+};
+
+/**
+ * Check a split payment asked for at checkout: a deposit paid online now, the
+ * balance online later or in cash on delivery. Deposits must be switched on
+ * and cover the store's minimum share of the total.
+ *
+ * @param {Object} plan - { total, paymentMethod, depositAmount, balancePaymentMethod }
+ * @returns {Promise<{ depositAmount: Number, balancePaymentMethod?: String }>}
+ */
+export const planSplitPayment = async ({ total, paymentMethod, depositAmount, balancePaymentMethod }) => {
+  const deposit = roundMoney(parseFloat(depositAmount) || 0);
+  if (deposit <= 0 || deposit >= total) return { depositAmount: 0 };
+
+  const { payment } = await Settings.getSettings();
+  if (!payment?.deposits?.enabled) throw paymentError('Paying a deposit isn\'t available right now — please pay the full amount');
+  if (paymentMethod === 'cod') throw paymentError('Deposits are paid online — choose M-Pesa or card for the deposit');
+
+  const minimum = Math.ceil(total * (payment.deposits.minimumPercent || 50) / 100);
+  if (deposit < minimum) throw paymentError(`The deposit must be at least ${kes(minimum)} (${payment.deposits.minimumPercent}% of the total)`);
+
+  if (balancePaymentMethod === 'cod' && !payment.paymentMethods?.cashOnDelivery) {
+    throw paymentError('Cash on delivery isn\'t available — the balance will need to be paid online');
+  }
+  if (balancePaymentMethod && balancePaymentMethod !== 'cod' && !PROVIDERS_BY_METHOD[balancePaymentMethod]) {
+    throw paymentError(`Unknown payment method "${balancePaymentMethod}"`);
+  }
+
+  return { depositAmount: deposit, balancePaymentMethod: balancePaymentMethod || undefined };
+};
+
+/**
+ * What the next online payment on an order should be for. The first payment
+ * on a split order is its deposit; after that, anything up to the balance.
+ *
+ * @param {Document} order
+ * @param {Number} [requested] - Amount the customer asked to pay
+ * @returns {Number}
+ */
+export const nextPaymentAmount = (order, requested) => {
+  const firstPayment = !(order.amountPaid > 0);
+  const minimum = firstPayment ? (order.depositAmount || order.balanceDue) : 1;
+  if (requested == null || requested === '') return firstPayment && order.depositAmount ? order.depositAmount : order.balanceDue;
+
+  const amount = roundMoney(parseFloat(requested));
+  if (isNaN(amount) || amount <= 0) throw paymentError('Payment amount must be a positive number');
+  if (amount > order.balanceDue + PAYMENT_TOLERANCE) throw paymentError(`Only ${kes(order.balanceDue)} is due on this order`);
+  if (amount < minimum - PAYMENT_TOLERANCE) {
+    throw paymentError(order.depositAmount && firstPayment
+      ? `The deposit on this order is ${kes(order.depositAmount)}`
+      : `Please pay the full ${kes(order.balanceDue)}`);
+  }
+  return Math.min(amount, order.balanceDue);
+};
+
+/**
+ * Start collecting payment for an unpaid order — its full total, its deposit,
+ * or (part of) the balance of a part-paid one.
+ *
+ * @param {Document} order
+ * @param {Object} [details] - { phoneNumber, card: { last4, brand }, scenario, amount, method }
+ * @param {Object} [context] - { user }
+ * @returns {Promise<{ transaction: Document, result: Object }>}
+ */
+export const initiatePayment = async (order, details = {}, { user } = {}) => {
+  if (order.paymentStatus === 'paid') throw paymentError('Order is already paid');
+  if (order.orderStatus === 'cancelled') throw paymentError(`Order #${order.orderNumber} was cancelled — please place a new order`);
+
+  // The balance of a split order can go through a different method than the deposit
+  const topUp = order.paymentStatus === 'partially_paid';
+  const method = details.method ||
+    (topUp && order.balancePaymentMethod && order.balancePaymentMethod !== 'cod' ? order.balancePaymentMethod : order.paymentMethod);
+  if (method === 'cod') throw paymentError('Cash on delivery is paid when the order arrives');
+
+  const provider = getPaymentProvider(method);
+  const amount = nextPaymentAmount(order, details.amount);
+
+  // A failed attempt goes back to pending for the retry
+  const blocked = !topUp && getTransitionError(order, { paymentStatus: 'pending' }, { source: 'payment' });
+  if (blocked) throw paymentError(blocked);
+
+  const result = await provider.initiate(order, { ...details, amount, method });
+
+  const transaction = await PaymentTransaction.create({
+    order: order._id,
+    provider: provider.ledgerName,
+    transactionId: result.reference,
+    amount,
+    amountDue: amount,
+    currency: 'KES',
+    status: 'PENDING', // An immediate answer is applied below, like any other result
+    rawResponse: result.raw,
+    metadata: {
+      method,
+      phoneNumber: details.phoneNumber,
+      last4: details.card?.last4,
+      scenario: result.scenario,
+      initiatedBy: user
+    }
+  });
+
+  order.orderEvents.push({
+    status: 'PAYMENT_INITIATED',
+    note: `${provider.name} payment of ${kes(amount)} started for ${method}${topUp ? ' (balance due)' : amount < order.total ? ' (deposit)' : ''}. Reference: ${result.reference}`,
+    user
+  });
+  if (topUp) await order.save();
+  else await transitionOrder(order, { paymentStatus: 'pending' }, { source: 'payment', user, actor: 'checkout', notify: false });
+
+  if (FINAL_STATUSES.includes(result.status)) {
+    await applyPaymentResult(result, { actor: provider.name });
+  }
+
+  // The sandbox "gateway" calls back like a real one would, through the same handler
+  for (const callback of result.simulatedCallbacks || []) {
+    setTimeout(() => {
+      handlePaymentCallback('sandbox', callback)
+        .catch(err => console.error('❌ [Sandbox] Callback failed:', err.message));
+    }, result.callbackDelayMs);
+  }
+
+  return { transaction, result };
+};
+
+/**
+ * Verify and apply a provider callback. Each provider event is applied at most
+ * once; retries and replays are acknowledged without touching the order.
+ *
+ * @param {String} providerName - mpesa | airtel | stripe | sandbox
+ * @param {Request} req
+ * @returns {Promise<{ acknowledgement: Object, applied: Boolean, reason?: String }>}
+ */
+export const handlePaymentCallback = async (providerName, req) => {
+  const provider = getProviderByName(providerName);
+  const result = provider.verifyCallback(req);
+  if (!result) return { acknowledgement: provider.acknowledge(), applied: false, reason: 'ignored_event' };
+
+  const eventId = result.eventId || `${result.reference}:${result.status}`;
+  const event = await WebhookEvent.claim(providerName, eventId, result.reference);
+  if (!event) return { acknowledgement: provider.acknowledge(), applied: false, reason: 'duplicate_event' };
+
+  let outcome;
+  try {
+    outcome = await applyPaymentResult(result, { actor: `${provider.name} callback` });
+  } catch (error) {
+    // Let the provider's retry have another go
+    await WebhookEvent.updateOne({ _id: event._id }, { status: 'failed', outcome: error.message });
+    throw error;
+  }
+  await WebhookEvent.updateOne({ _id: event._id }, {
+    status: 'processed',
+    outcome: outcome.applied ? 'applied' : outcome.reason
+  });
+
+  return { acknowledgement: provider.acknowledge(), applied: outcome.applied, reason: outcome.reason };
+};
+
+/**
+ * Ask the provider about a still-pending transaction and apply the answer.
+ *
+ * @param {Document} transaction
+ * @returns {Promise<Document>} The transaction, updated if the payment settled
+ */
+export const refreshPaymentStatus = async (transaction) => {
+  if (transaction.status !== 'PENDING') return transaction;
+
+  const provider = providerForTransaction(transaction);
+  if (!provider) return transaction;
+
+  const result = await provider.queryStatus(transaction);
+  if (!FINAL_STATUSES.includes(result.status)) return transaction;
+
+  const outcome = await applyPaymentResult(result, { actor: `${provider.name} status check` });
+  return outcome.transaction || transaction;
+};
+
+/**
+ * Record money staff received outside the gateways (Paybill, cash on delivery,
+ * bank transfer) and apply it like any other payment, short or over included.
+ *
+ * @param {Document} order
+ * @param {Object} payment
+ * @param {Number} payment.amount - What was actually received
+ * @param {String} [payment.reference] - M-Pesa receipt, bank reference, ...
+ * @param {String} [payment.method] - How it was paid; defaults to how the order
+ *   expects its next payment (e.g. 'cod' for the balance of a split order)
+ * @param {String} [payment.note]
+ * @param {ObjectId} payment.user - Staff member recording it
+ * @returns {Promise<{ transaction: Document, order: Document, applied: Boolean, reason?: String }>}
+ */
+export const recordManualPayment = async (order, { amount, reference, method, note, user }) => {
+  const received = roundMoney(parseFloat(amount));
+  if (isNaN(received) || received <= 0) throw paymentError('Amount received must be a positive number');
+  if (order.paymentStatus === 'paid') throw paymentError('Order is already paid');
+  if (order.orderStatus === 'cancelled') throw paymentError(`Order #${order.orderNumber} is cancelled — reopen it before recording a payment`);
+  if (!['pending', 'failed', 'partially_paid'].includes(order.paymentStatus)) {
+    throw paymentError(`Can't record a payment on an order that is ${order.paymentStatus}`);
+  }
+
+  const paidWith = method ||
+    (order.paymentStatus === 'partially_paid' && order.balancePaymentMethod) ||
+    order.paymentMethod;
+  if (method && !MANUAL_LEDGER_BY_METHOD[method]) throw paymentError(`Unknown payment method "${method}"`);
+  const transactionId = reference?.trim().toUpperCase() ||
+    `MAN-${order.orderNumber}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  if (await PaymentTransaction.exists({ transactionId })) {
+    throw paymentError(`Payment ${transactionId} has already been recorded`, 409);
+  }
+
+  await PaymentTransaction.create({
+    order: order._id,
+    provider: MANUAL_LEDGER_BY_METHOD[paidWith] || 'CASH',
+    transactionId,
+    amount: received,
+    amountDue: order.balanceDue,
+    currency: 'KES',
+    status: 'PENDING',
+    metadata: { method: paidWith, manual: true, recordedBy: user, note }
+  });
+
+  const outcome = await applyPaymentResult({
+    reference: transactionId,
+    status: 'SUCCESS',
+    amount: received,
+    receipt: reference?.trim() ? transactionId : undefined,
+    message: note
+  }, { actor: 'admin', user });
+
+  // Paybill orders carry the code the customer gave us; this is its verification
+  if (outcome.applied && reference && order.manualTransactionId?.toUpperCase() === transactionId) {
+    await Order.updateOne({ _id: order._id }, { paymentVerificationStatus: 'verified' });
+  }
+  return outcome;
+};
+
+/**
+ * Every successful payment that doesn't line up with its order: paid more or
+ * less than was due, never applied (order unpaid or cancelled, or already paid
+ * by another attempt), or an order whose ledger doesn't add up to amountPaid.
+ *
+ * @param {Object} [filters] - { from, to } on the payment date
+ * @returns {Promise<{ summary: Object, mismatches: Array, outstanding: Array }>}
+ */
+export const getReconciliationReport = async ({ from, to } = {}) => {
+  const filter = { type: 'PAYMENT', status: 'SUCCESS' };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const payments = await PaymentTransaction.find(filter)
+    .populate('order', 'orderNumber total amountPaid overpaidAmount paymentStatus orderStatus paymentMethod')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // Everything each order has received, not just inside the date range
+  const orderIds = [...new Set(payments.filter(p => p.order).map(p => p.order._id.toString()))];
+  const ledger = await PaymentTransaction.aggregate([
+    { $match: { type: 'PAYMENT', status: 'SUCCESS', order: { $in: orderIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$order', received: { $sum: '$amount' } } }
+  ]);
+  const receivedByOrder = Object.fromEntries(ledger.map(l => [l._id.toString(), roundMoney(l.received)]));
+
+  const mismatches = [];
+  for (const payment of payments) {
+    const { order } = payment;
+    const issues = [];
+
+    if (!order) {
+      issues.push('order_missing');
+    } else {
+      const due = payment.amountDue ?? order.total;
+      if (payment.amount < due - PAYMENT_TOLERANCE) issues.push('underpaid');
+      if (payment.amount > due + PAYMENT_TOLERANCE) issues.push('overpaid');
+      if (['pending', 'failed'].includes(order.paymentStatus) || order.orderStatus === 'cancelled') issues.push('not_applied');
+      // Orders paid before amountPaid existed have 0 there; they can only be checked against the total
+      const applied = order.amountPaid || (['pending', 'failed'].includes(order.paymentStatus) ? 0 : order.total);
+      if (Math.abs(receivedByOrder[order._id.toString()] - applied) > PAYMENT_TOLERANCE) issues.push('ledger_mismatch');
+    }
+    if (!issues.length) continue;
+
+    mismatches.push({
+      transactionId: payment.transactionId,
+      provider: payment.provider,
+      manual: !!payment.metadata?.manual,
+      amount: payment.amount,
+      amountDue: payment.amountDue ?? order?.total ?? null,
+      difference: order ? roundMoney(payment.amount - (payment.amountDue ?? order.total)) : null,
+      receipt: payment.metadata?.receipt,
+      date: payment.createdAt,
+      order: order && {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total,
+        amountPaid: order.amountPaid || 0,
+        received: receivedByOrder[order._id.toString()],
+        paymentStatus: order.paymentStatus,
+        orderStatus: order.orderStatus
+      },
+      issues
+    });
+  }
+
+  // Part-paid orders still waiting on their balance
+  const outstanding = (await Order.find({ paymentStatus: 'partially_paid', orderStatus: { $ne: 'cancelled' } })
+    .select('orderNumber total amountPaid paymentMethod balancePaymentMethod createdAt')
+    .sort({ createdAt: -1 })
+    .lean())
+    .map(o => ({ ...o, balanceDue: roundMoney(o.total - o.amountPaid) }));
+
+  const countOf = (issue) => mismatches.filter(m => m.issues.includes(issue)).length;
+  const sumOf = (issue) => roundMoney(mismatches
+    .filter(m => m.issues.includes(issue))
+    .reduce((sum, m) => sum + Math.abs(m.difference || 0), 0));
+
+  return {
+    summary: {
+      paymentsChecked: payments.length,
+      mismatched: mismatches.length,
+      underpaid: countOf('underpaid'),
+      underpaidAmount: sumOf('underpaid'),
+      overpaid: countOf('overpaid'),
+      overpaidAmount: sumOf('overpaid'),
+      notApplied: countOf('not_applied'),
+      ledgerMismatch: countOf('ledger_mismatch'),
+      orderMissing: countOf('order_missing'),
+      outstandingOrders: outstanding.length,
+      outstandingBalance: roundMoney(outstanding.reduce((sum, o) => sum + o.balanceDue, 0))
+    },
+    mismatches,
+    outstanding
+  };
+};
+
+/**
+ * Send a recorded refund back through the provider that took the payment.
+ * Runs after the refund is committed and never throws: when the provider
+ * can't do it, the order gets an event telling staff to refund by hand.
+ *
+ * @param {Document} order
+ * @param {Document} refund
+ */
+export const sendRefundToProvider = async (order, refund) => {
+  // A provider reference means staff already sent the money themselves
+  if (refund.providerReference) return;
+
+  // Whatever went back on the gift card or store credit is already settled
+  const amount = roundMoney(refund.amount - (refund.giftCardAmount || 0) - (refund.storeCreditAmount || 0));
+  if (amount <= 0) return;
+
+  const note = (status, text) => Order.updateOne({ _id: order._id }, {
+    $push: { orderEvents: { status, note: `Refund ${refund.refundNumber}: ${text}`, timestamp: new Date() } }
+  });
+
+  try {
+    // Payments staff recorded by hand go back the same way
+    // Split orders can have several; prefer the latest that covers the refund
+    const payments = await PaymentTransaction.find({
+      order: order._id, type: 'PAYMENT', status: 'SUCCESS', 'metadata.manual': { $ne: true }
+    }).sort({ createdAt: -1 });
+    const payment = payments.find(p => p.amount >= amount) || payments[0];
+    const provider = payment && providerForTransaction(payment);
+    if (!provider) {
+      await note('REFUND_MANUAL', `no online payment on record — send KES ${amount.toLocaleString()} back by hand`);
+      return;
+    }
+
+    const result = await provider.refund(payment, amount, { reason: refund.reason });
+    if (result.status === 'MANUAL') {
+      await note('REFUND_MANUAL', result.message);
+      return;
+    }
+
+    await Refund.updateOne({ _id: refund._id }, { providerReference: result.reference });
+    await PaymentTransaction.updateOne({ _id: refund.paymentTransaction }, {
+      $set: {
+        'metadata.providerReference': result.reference,
+        'metadata.providerStatus': result.status
+      }
+    });
+    await note('REFUND_SENT', `KES ${amount.toLocaleString()} sent back via ${provider.name} (${result.reference}, ${result.status.toLowerCase()})`);
+    console.log(`💸 [Payments] Refund ${refund.refundNumber} sent via ${provider.name}`);
+  } catch (error) {
+    console.error(`❌ [Payments] Refund ${refund.refundNumber} failed at the provider:`, error.message);
+    await note('REFUND_PROVIDER_FAILED', `${error.message} — send the money back by hand`).catch(() => {});
+  }
+};
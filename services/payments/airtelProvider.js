@@ -0,0 +1,144 @@
+// services/payments/airtelProvider.js
+// Airtel Money collections through the Airtel Africa open API.
+import axios from 'axios';
+import crypto from 'crypto';
+import PaymentProvider, { paymentError, gatewayError, formatMsisdn, checkCallbackSource, envList } from './paymentProvider.js';
+
+const AIRTEL_CONFIG = {
+  clientId: process.env.AIRTEL_CLIENT_ID,
+  clientSecret: process.env.AIRTEL_CLIENT_SECRET,
+  country: process.env.AIRTEL_COUNTRY || 'KE',
+  currency: process.env.AIRTEL_CURRENCY || 'KES',
+  environment: process.env.AIRTEL_ENVIRONMENT || 'sandbox', // sandbox or production
+  // Set the callback URL in the Airtel portal to /api/webhooks/airtel?token=<AIRTEL_CALLBACK_TOKEN>
+  callbackToken: process.env.AIRTEL_CALLBACK_TOKEN,
+  callbackIps: envList(process.env.AIRTEL_CALLBACK_IPS)
+};
+
+const BASE_URL = AIRTEL_CONFIG.environment === 'production'
+  ? 'https://openapi.airtel.africa'
+  : 'https://openapiuat.airtel.africa';
+
+// TS = transaction success, TF = transaction failed, anything else is in flight
+const STATUS_BY_CODE = { TS: 'SUCCESS', TF: 'FAILED', TA: 'PENDING', TIP: 'PENDING' };
+
+class AirtelProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'Airtel Money', ledgerName: 'AIRTEL' });
+  }
+
+  async accessToken() {
+    try {
+      const { data } = await axios.post(`${BASE_URL}/auth/oauth2/token`, {
+        client_id: AIRTEL_CONFIG.clientId,
+        client_secret: AIRTEL_CONFIG.clientSecret,
+        grant_type: 'client_credentials'
+      });
+      return data.access_token;
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+
+  async headers() {
+    return {
+      'X-Country': AIRTEL_CONFIG.country,
+      'X-Currency': AIRTEL_CONFIG.currency,
+      Authorization: `Bearer ${await this.accessToken()}`
+    };
+  }
+
+  async initiate(order, { phoneNumber, amount = order.total } = {}) {
+    if (!phoneNumber) throw paymentError('Phone number is required for Airtel Money');
+
+    // Airtel echoes our id back in the callback, so it doubles as the reference
+    const reference = `RCD${order.orderNumber}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+    try {
+      const { data } = await axios.post(`${BASE_URL}/merchant/v1/payments/`, {
+        reference: `Order ${order.orderNumber}`,
+        subscriber: {
+          country: AIRTEL_CONFIG.country,
+          currency: AIRTEL_CONFIG.currency,
+          msisdn: formatMsisdn(phoneNumber).slice(3) // Airtel wants the number without the country code
+        },
+        transaction: {
+          amount: Math.round(amount),
+          country: AIRTEL_CONFIG.country,
+          currency: AIRTEL_CONFIG.currency,
+          id: reference
+        }
+      }, { headers: await this.headers() });
+
+      return {
+        reference,
+        status: data.status?.success === false ? 'FAILED' : 'PENDING',
+        message: data.status?.message || 'Check your phone to complete the payment',
+        raw: data
+      };
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+
+  verifyCallback(req) {
+    checkCallbackSource(req, { name: this.name, token: AIRTEL_CONFIG.callbackToken, allowedIps: AIRTEL_CONFIG.callbackIps });
+
+    const transaction = req.body?.transaction;
+    const code = transaction?.status_code || transaction?.status;
+    if (typeof transaction?.id !== 'string' || !STATUS_BY_CODE[code]) {
+      throw paymentError('Invalid Airtel Money callback payload');
+    }
+
+    return {
+      eventId: `${transaction.id}:${code}`,
+      reference: transaction.id,
+      status: STATUS_BY_CODE[code],
+      receipt: transaction.airtel_money_id,
+      message: transaction.message,
+      raw: req.body
+    };
+  }
+
+  async queryStatus(transaction) {
+    try {
+      const { data } = await axios.get(`${BASE_URL}/standard/v1/payments/${transaction.transactionId}`, {
+        headers: await this.headers()
+      });
+      const result = data.data?.transaction || {};
+      return {
+        reference: transaction.transactionId,
+        status: STATUS_BY_CODE[result.status] || 'PENDING',
+        receipt: result.airtel_money_id,
+        message: result.message,
+        raw: data
+      };
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+
+  // Airtel only reverses whole transactions; partial refunds go through the portal
+  async refund(transaction, amount) {
+    const airtelMoneyId = transaction.metadata?.receipt;
+    if (!airtelMoneyId || amount < transaction.amount) return super.refund(transaction, amount);
+
+    try {
+      const { data } = await axios.post(`${BASE_URL}/standard/v1/payments/refund`, {
+        transaction: { airtel_money_id: airtelMoneyId }
+      }, { headers: await this.headers() });
+
+      const result = data.data?.transaction || {};
+      return {
+        reference: result.airtel_money_id || airtelMoneyId,
+        status: STATUS_BY_CODE[result.status] || 'PENDING',
+        message: data.status?.message,
+        raw: data
+      };
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+}
+
+export default new AirtelProvider();
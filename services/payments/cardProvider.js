@@ -0,0 +1,125 @@
+// services/payments/cardProvider.js
+// Card payments through Stripe Checkout. Card details are entered on Stripe's
+// hosted page, so they never touch this server.
+import axios from 'axios';
+import PaymentProvider, { paymentError, gatewayError, verifySignedPayload } from './paymentProvider.js';
+
+const stripe = axios.create({
+  baseURL: 'https://api.stripe.com/v1',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+});
+
+// Stripe takes form-encoded bodies with bracketed keys
+const formBody = (fields) => new URLSearchParams(
+  Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+).toString();
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}` });
+
+// Checkout Session → payment result
+const sessionResult = (session) => ({
+  reference: session.id,
+  status: session.payment_status === 'paid'
+    ? 'SUCCESS'
+    : session.status === 'expired' ? 'CANCELLED' : 'PENDING',
+  amount: session.amount_total != null ? session.amount_total / 100 : undefined,
+  receipt: session.payment_intent,
+  raw: session
+});
+
+class CardProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'Card', ledgerName: 'STRIPE' });
+  }
+
+  async initiate(order, { amount = order.total } = {}) {
+    if (!process.env.STRIPE_SECRET_KEY) throw paymentError('Card payments are not configured', 503);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    try {
+      const { data: session } = await stripe.post('/checkout/sessions', formBody({
+        mode: 'payment',
+        client_reference_id: order._id.toString(),
+        customer_email: order.shippingAddress?.email,
+        'line_items[0][quantity]': 1,
+        'line_items[0][price_data][currency]': 'kes',
+        'line_items[0][price_data][unit_amount]': Math.round(amount * 100),
+        'line_items[0][price_data][product_data][name]': `Rerendet Coffee order #${order.orderNumber}`,
+        'metadata[orderNumber]': order.orderNumber,
+        success_url: `${frontendUrl}/order-confirmation/${order._id}`,
+        cancel_url: `${frontendUrl}/checkout`
+      }), { headers: authHeaders() });
+
+      return {
+        ...sessionResult(session),
+        redirectUrl: session.url,
+        message: 'Continue to the secure card page to pay'
+      };
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+
+  verifyCallback(req) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const payload = req.rawBody?.toString('utf8');
+    if (!secret) throw paymentError('STRIPE_WEBHOOK_SECRET is not configured — refusing unsigned webhooks', 401);
+    verifySignedPayload(req.headers['stripe-signature'], payload, secret, { name: 'Stripe' });
+
+    // Read the event from the signed bytes, not the sanitised req.body
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw paymentError('Invalid Stripe webhook payload');
+    }
+    if (!event?.id || !event.type || !event.data?.object) throw paymentError('Invalid Stripe webhook payload');
+
+    if (['checkout.session.completed', 'checkout.session.async_payment_succeeded'].includes(event.type)) {
+      return { ...sessionResult(event.data.object), eventId: event.id };
+    }
+    if (['checkout.session.async_payment_failed', 'checkout.session.expired'].includes(event.type)) {
+      return {
+        ...sessionResult(event.data.object),
+        eventId: event.id,
+        status: event.type === 'checkout.session.expired' ? 'CANCELLED' : 'FAILED',
+        message: event.type === 'checkout.session.expired' ? 'Card checkout expired' : 'Card payment failed'
+      };
+    }
+    return null; // Other Stripe events aren't payment results
+  }
+
+  async queryStatus(transaction) {
+    try {
+      const { data: session } = await stripe.get(`/checkout/sessions/${transaction.transactionId}`, {
+        headers: authHeaders()
+      });
+      return sessionResult(session);
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+
+  async refund(transaction, amount, { reason } = {}) {
+    const paymentIntent = transaction.metadata?.receipt;
+    if (!paymentIntent) return super.refund(transaction, amount);
+
+    try {
+      const { data: refund } = await stripe.post('/refunds', formBody({
+        payment_intent: paymentIntent,
+        amount: Math.round(amount * 100),
+        'metadata[reason]': reason
+      }), { headers: authHeaders() });
+
+      return {
+        reference: refund.id,
+        status: refund.status === 'succeeded' ? 'SUCCESS' : refund.status === 'failed' ? 'FAILED' : 'PENDING',
+        raw: refund
+      };
+    } catch (error) {
+      throw gatewayError(this.name, error);
+    }
+  }
+}
+
+export default new CardProvider();
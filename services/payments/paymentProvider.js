@@ -0,0 +1,171 @@
+// services/payments/paymentProvider.js
+// The contract every payment gateway implements. Checkout, callbacks, status
+// polling and refunds only reach a gateway through these methods (see
+// services/paymentService.js), so adding one touches nothing else.
+import crypto from 'crypto';
+
+/**
+ * What a provider reports about a payment attempt.
+ *
+ * @typedef {Object} PaymentResult
+ * @property {String} reference - Provider's id for the attempt (CheckoutRequestID, session id, ...)
+ * @property {String} status - 'PENDING' | 'SUCCESS' | 'FAILED' | 'CANCELLED'
+ * @property {Number} [amount] - Amount the customer actually paid
+ * @property {String} [receipt] - Customer-facing receipt, e.g. the M-Pesa receipt number
+ * @property {String} [message] - Why it failed, or what the customer should do next
+ * @property {String} [redirectUrl] - Hosted payment page the customer has to visit
+ * @property {String} [eventId] - Callbacks only: the provider's id for this event (idempotency key)
+ * @property {Array} [simulatedCallbacks] - Sandbox only: signed callback requests to deliver after `callbackDelayMs`
+ * @property {Object} [raw] - Provider payload, kept on the transaction for debugging
+ */
+
+// Provider failures carry a status code for the controller to respond with
+export const paymentError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Gateway HTTP errors → a 502 with the gateway's own message where it sent one
+export const gatewayError = (name, error) => {
+  const data = error.response?.data;
+  console.error(`❌ ${name} request failed:`, data || error.message);
+  const detail = data?.errorMessage || data?.error?.message || data?.status?.message || error.message;
+  return paymentError(`${name}: ${detail}`, 502);
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a ?? ''));
+  const right = Buffer.from(String(b ?? ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const clientIp = (req) => String(req.ip || req.connection?.remoteAddress || '').replace(/^::ffff:/, '');
+
+// Comma-separated env list → array
+export const envList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Checks for gateways that don't sign their callbacks (M-Pesa, Airtel): a
+ * shared secret in the callback URL's query string and, optionally, the
+ * gateway's published source addresses. Without a configured secret every
+ * callback is refused — there is no unauthenticated mode.
+ *
+ * @param {Request} req
+ * @param {Object} options - { name, token, allowedIps }
+ */
+export const checkCallbackSource = (req, { name, token, allowedIps = [] }) => {
+  if (!token) throw paymentError(`${name} callback secret is not configured — refusing unauthenticated callbacks`, 401);
+  if (!safeEqual(req.query?.token, token)) throw paymentError(`${name} callback token missing or wrong`, 401);
+
+  const ip = clientIp(req);
+  if (allowedIps.length && !allowedIps.includes(ip)) {
+    throw paymentError(`${name} callback from unexpected address ${ip || 'unknown'}`, 403);
+  }
+};
+
+// Stripe-style signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<payload>">
+export const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verify a Stripe-style signature header against the raw request body. Old
+ * timestamps are refused so a captured callback can't be replayed later.
+ *
+ * @param {String} header
+ * @param {String} payload - Raw body, exactly as received
+ * @param {String} secret
+ * @param {Object} options - { name, toleranceSeconds }
+ */
+export const verifySignedPayload = (header, payload, secret, { name, toleranceSeconds = 300 }) => {
+  if (!header) throw paymentError(`${name} signature header missing`, 401);
+  if (payload == null) throw paymentError(`${name} raw body unavailable for signature check`, 400);
+
+  const parts = header.split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) throw paymentError(`${name} signature header malformed`, 401);
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    throw paymentError(`${name} signature timestamp outside the ${toleranceSeconds}s tolerance`, 401);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  if (!signatures.some(signature => safeEqual(signature, expected))) {
+    throw paymentError(`${name} signature mismatch`, 401);
+  }
+};
+
+// 07XX / +2547XX / 2547XX → 2547XX
+export const formatMsisdn = (phone = '') => {
+  let cleaned = String(phone).replace(/\D/g, '');
+  if (cleaned.startsWith('0')) cleaned = `254${cleaned.substring(1)}`;
+  else if (!cleaned.startsWith('254')) cleaned = `254${cleaned}`;
+  return cleaned;
+};
+
+export default class PaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {String} options.name - Shown in order events and errors
+   * @param {String} options.ledgerName - PaymentTransaction.provider value
+   */
+  constructor({ name, ledgerName }) {
+    this.name = name;
+    this.ledgerName = ledgerName;
+  }
+
+  /**
+   * Ask the gateway to collect `details.amount` (what the order still owes).
+   *
+   * @param {Document} order
+   * @param {Object} details - { amount, phoneNumber?, card?, scenario? } from the checkout
+   * @returns {Promise<PaymentResult>}
+   */
+  async initiate(order, details) {
+    throw paymentError(`${this.name} can't take payments`, 501);
+  }
+
+  /**
+   * Authenticate a callback request, validate its payload and translate it.
+   * Throws (with a 4xx statusCode) when the callback must be rejected.
+   *
+   * @param {Request} req - req.rawBody holds the unparsed body for signature checks
+   * @returns {PaymentResult|null} null for events that aren't payment results
+   */
+  verifyCallback(req) {
+    throw paymentError(`${this.name} doesn't send callbacks`, 404);
+  }
+
+  /**
+   * Body to answer a callback with, so the gateway stops retrying.
+   */
+  acknowledge() {
+    return { received: true };
+  }
+
+  /**
+   * Ask the gateway where a pending payment stands.
+   *
+   * @param {Document} transaction - The PENDING PaymentTransaction
+   * @returns {Promise<PaymentResult>}
+   */
+  async queryStatus(transaction) {
+    return { reference: transaction.transactionId, status: 'PENDING' };
+  }
+
+  /**
+   * Send money back for a settled payment. Gateways without a refund API
+   * return MANUAL and the refund is made from their portal.
+   *
+   * @param {Document} transaction - The SUCCESS PaymentTransaction being refunded
+   * @param {Number} amount
+   * @param {Object} [options] - { reason }
+   * @returns {Promise<PaymentResult>} status 'SUCCESS' | 'PENDING' | 'MANUAL'
+   */
+  async refund(transaction, amount) {
+    return {
+      reference: null,
+      status: 'MANUAL',
+      message: `Send the money back from the ${this.name} portal`
+    };
+  }
+}
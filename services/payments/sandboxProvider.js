@@ -0,0 +1,100 @@
+// services/payments/sandboxProvider.js
+// Local stand-in for every gateway: no network, no credentials, and the outcome
+// is decided by the input so checkout can be exercised end to end. Its
+// callbacks go through the same handler as real ones (paymentService).
+//
+// Pick a scenario with `scenario` or, like a gateway's test numbers, by what
+// the phone or card number ends in:
+//   ...0002  failure    — the callback reports a failed payment
+//   ...0003  timeout    — no callback ever arrives; the reservation expires
+//   ...0004  duplicate  — a successful callback delivered twice
+//   anything else       — success
+import crypto from 'crypto';
+import PaymentProvider, { paymentError, signPayload, verifySignedPayload } from './paymentProvider.js';
+
+export const SANDBOX_SCENARIOS = ['success', 'failure', 'timeout', 'duplicate'];
+
+const SCENARIO_BY_SUFFIX = {
+  '0002': 'failure',
+  '0003': 'timeout',
+  '0004': 'duplicate'
+};
+
+const CALLBACK_DELAY_MS = parseInt(process.env.PAYMENT_SANDBOX_DELAY_MS) || 3000;
+
+// Sandbox callbacks are signed like Stripe's so they exercise the same checks.
+// Without a configured secret only this process can sign them.
+const CALLBACK_SECRET = process.env.PAYMENT_SANDBOX_SECRET || crypto.randomBytes(32).toString('hex');
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+
+// A callback request as the webhook route would receive it
+const signedRequest = (body) => {
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody: Buffer.from(rawBody), headers: { [SIGNATURE_HEADER]: signPayload(rawBody, CALLBACK_SECRET) } };
+};
+
+const resolveScenario = ({ scenario, phoneNumber, card } = {}) => {
+  if (SANDBOX_SCENARIOS.includes(scenario)) return scenario;
+  const digits = String(card?.last4 || phoneNumber || '').replace(/\D/g, '');
+  return SCENARIO_BY_SUFFIX[digits.slice(-4)] || 'success';
+};
+
+// What the "gateway" finally says for a scenario (timeouts never say anything)
+const outcome = (reference, scenario, amount) => scenario === 'failure'
+  ? { reference, status: 'FAILED', message: 'Insufficient funds (sandbox)' }
+  : { reference, status: 'SUCCESS', amount, receipt: `SBX${reference.slice(-8)}`, message: 'Payment received (sandbox)' };
+
+class SandboxProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'Sandbox', ledgerName: 'SANDBOX' });
+  }
+
+  async initiate(order, details = {}) {
+    const scenario = resolveScenario(details);
+    const reference = `SBX-${order.orderNumber}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const callback = signedRequest({ ...outcome(reference, scenario, details.amount ?? order.total), scenario });
+
+    console.log(`🧪 [Sandbox] ${details.method || order.paymentMethod} payment for #${order.orderNumber}: ${scenario}`);
+
+    return {
+      reference,
+      status: 'PENDING',
+      message: 'Sandbox payment started — no money will move',
+      scenario,
+      simulatedCallbacks: scenario === 'timeout' ? [] : scenario === 'duplicate' ? [callback, callback] : [callback],
+      callbackDelayMs: CALLBACK_DELAY_MS,
+      raw: { sandbox: true, scenario }
+    };
+  }
+
+  verifyCallback(req) {
+    const payload = req.rawBody?.toString('utf8');
+    verifySignedPayload(req.headers?.[SIGNATURE_HEADER], payload, CALLBACK_SECRET, { name: this.name });
+
+    const body = JSON.parse(payload);
+    const { reference, status, scenario } = body;
+    if (!reference || !['SUCCESS', 'FAILED'].includes(status)) throw paymentError('Invalid sandbox callback payload');
+
+    // The duplicate scenario re-sends this exact event, like a gateway retrying
+    return { ...body, eventId: `${reference}:${status}`, raw: { sandbox: true, scenario } };
+  }
+
+  async queryStatus(transaction) {
+    const scenario = transaction.metadata?.scenario || 'success';
+    const settled = Date.now() - new Date(transaction.createdAt).getTime() >= CALLBACK_DELAY_MS;
+    if (scenario === 'timeout' || !settled) return { reference: transaction.transactionId, status: 'PENDING' };
+
+    return outcome(transaction.transactionId, scenario, transaction.amount);
+  }
+
+  async refund(transaction, amount) {
+    return {
+      reference: `SBX-RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      status: 'SUCCESS',
+      message: `Sandbox refund of KES ${amount.toLocaleString()}`,
+      raw: { sandbox: true }
+    };
+  }
+}
+
+export default new SandboxProvider();
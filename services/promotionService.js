@@ -0,0 +1,164 @@
+// services/promotionService.js
+// Pricing engine for automatic promotions: which active offers a cart
+// qualifies for, in priority order and within their stacking rules, and what
+// they take off. The cart preview (POST /api/orders/price-cart) and createOrder
+// both call evaluatePromotions on the same priced lines, so what the customer
+// sees in the cart is what the order charges.
+import Promotion from '../models/Promotion.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const kes = (amount) => `KES ${Number(amount || 0).toLocaleString()}`;
+
+const lineTotal = (lines) => lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// What the offer gives, without its conditions: "10% off", "a free Grinder"
+const rewardText = (promotion) => {
+  switch (promotion.rewardType) {
+    case 'percentage': return `${promotion.rewardValue}% off`;
+    case 'fixed': return `${kes(promotion.rewardValue)} off`;
+    case 'free_item': return `${promotion.freeQuantity > 1 ? `${promotion.freeQuantity} free` : 'a free'} ${promotion.freeProduct?.name || 'gift'}`;
+    case 'free_shipping': return 'free delivery';
+    default: return promotion.rewardType;
+  }
+};
+
+/**
+ * Customer-facing summary of an offer, e.g. "10% off when you buy 3+".
+ * Staff can write their own in `description`.
+ */
+export const describePromotion = (promotion) => {
+  if (promotion.description) return promotion.description;
+  const conditions = [
+    promotion.minQuantity > 1 && `when you buy ${promotion.minQuantity}+`,
+    promotion.minSubtotal > 0 && `on orders over ${kes(promotion.minSubtotal)}`
+  ].filter(Boolean).join(' ');
+  const text = `${rewardText(promotion)}${conditions ? ` ${conditions}` : ''}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Whether one offer applies to the cart's goods, and for how much. When it
+// doesn't, `hint` says what would unlock it if the customer is close.
+const evaluateOne = (promotion, goods) => {
+  const productIds = (promotion.products || []).map(idOf);
+  const categories = promotion.categories || [];
+  const restricted = productIds.length > 0 || categories.length > 0;
+  const freeId = promotion.rewardType === 'free_item' ? idOf(promotion.freeProduct) : null;
+
+  // The free item itself never counts towards earning it
+  const qualifying = goods.filter(line =>
+    (!restricted || productIds.includes(idOf(line.product)) || categories.includes(line.category))
+    && idOf(line.product) !== freeId
+    && !(promotion.excludeSaleItems && line.price < line.listPrice));
+
+  const quantity = qualifying.reduce((sum, line) => sum + line.quantity, 0);
+  const subtotal = lineTotal(qualifying);
+  const missingQuantity = Math.max(promotion.minQuantity || 0, 1) - quantity;
+  const missingSpend = (promotion.minSubtotal || 0) - subtotal;
+
+  if (missingQuantity > 0 || missingSpend > 0) {
+    // Only nudge customers who already have something that counts
+    if (quantity === 0 && (restricted || goods.length === 0)) return { qualifies: false };
+    const hint = missingQuantity > 0
+      ? `Add ${missingQuantity} more ${restricted ? 'qualifying ' : ''}item${missingQuantity === 1 ? '' : 's'} to get ${rewardText(promotion)}`
+      : `Spend ${kes(missingSpend)} more to get ${rewardText(promotion)}`;
+    return { qualifies: false, hint };
+  }
+
+  switch (promotion.rewardType) {
+    case 'percentage':
+      return { qualifies: true, discount: subtotal * Math.min(promotion.rewardValue, 100) / 100 };
+    case 'fixed':
+      return { qualifies: true, discount: Math.min(promotion.rewardValue, subtotal) };
+    case 'free_item': {
+      // The cheapest units of the free product in the cart are the free ones
+      const units = goods
+        .filter(line => idOf(line.product) === freeId)
+        .flatMap(line => Array(line.quantity).fill(line.price))
+        .sort((a, b) => a - b)
+        .slice(0, promotion.freeQuantity || 1);
+      if (units.length === 0) {
+        return { qualifies: false, hint: `Add ${promotion.freeProduct?.name || 'the gift'} to your cart — it's free with this order` };
+      }
+      return { qualifies: true, discount: units.reduce((sum, price) => sum + price, 0) };
+    }
+    case 'free_shipping':
+      return { qualifies: true, discount: 0, freeShipping: true };
+    default:
+      return { qualifies: false };
+  }
+};
+
+/**
+ * Work out the automatic promotions for a cart.
+ *
+ * Offers are looked at from the highest priority down. Stackable offers all
+ * apply; an exclusive one applies only if nothing has yet, and then nothing
+ * after it does. Together they never take off more than the goods cost.
+ *
+ * @param {Array} lines - Priced items: [{ product, category, price, listPrice, quantity, isGiftCard }]
+ * @param {Object} [options] - { session }
+ * @returns {Promise<{ discount: Number, freeShipping: Boolean, applied: Array, hints: Array, couponBlockedBy: String|null }>}
+ */
+export const evaluatePromotions = async (lines, { session = null } = {}) => {
+  const now = new Date();
+  const promotions = await Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+    ]
+  })
+    .populate('freeProduct', 'name')
+    .sort({ priority: -1, createdAt: 1 })
+    .session(session);
+
+  const goods = lines.filter(line => !line.isGiftCard && line.quantity > 0);
+  let remaining = roundMoney(lineTotal(goods));
+  const applied = [];
+  const hints = [];
+
+  for (const promotion of promotions) {
+    const result = evaluateOne(promotion, goods);
+    if (!result.qualifies) {
+      if (result.hint && hints.length < 2) {
+        hints.push({ promotion: promotion._id, name: promotion.name, message: result.hint });
+      }
+      continue;
+    }
+    if (promotion.stacking === 'exclusive' && applied.length > 0) continue;
+
+    const discount = roundMoney(Math.min(result.discount, remaining));
+    remaining = roundMoney(remaining - discount);
+    applied.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      description: describePromotion(promotion),
+      discount,
+      freeShipping: !!result.freeShipping,
+      allowCoupons: promotion.allowCoupons !== false
+    });
+    if (promotion.stacking === 'exclusive') break;
+  }
+
+  return {
+    discount: roundMoney(applied.reduce((sum, promotion) => sum + promotion.discount, 0)),
+    freeShipping: applied.some(promotion => promotion.freeShipping),
+    applied,
+    hints,
+    couponBlockedBy: applied.find(promotion => !promotion.allowCoupons)?.name || null
+  };
+};
+
+/**
+ * Refuse a coupon on a cart whose offers don't combine with coupons.
+ *
+ * @param {Object} pricing - Result of evaluatePromotions
+ */
+export const assertCouponAllowed = (pricing) => {
+  if (pricing?.couponBlockedBy) {
+    throw Object.assign(new Error(`Coupons can't be combined with the ${pricing.couponBlockedBy} offer`), { statusCode: 400 });
+  }
+};
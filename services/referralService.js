@@ -0,0 +1,269 @@
+// services/referralService.js
+// Referral program: customers' invite codes, tying a signup to the customer
+// who shared the code, and rewarding both of them once the friend's first
+// qualifying order is paid. Rewards are store credit or a single-use coupon
+// (Settings.referrals), plus loyalty points for the referrer.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Referral from '../models/Referral.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Coupon from '../models/Coupon.js';
+import Settings from '../models/Settings.js';
+import sendEmail from '../utils/sendEmail.js';
+import { getReferralRewardEmail } from '../utils/emailTemplates.js';
+import { adjustStoreCredit } from './storeCreditService.js';
+import { awardPoints, getLoyaltyRules } from './loyaltyService.js';
+
+// No 0/O or 1/I, so codes read back over the phone without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const randomCode = (length) => Array.from(crypto.randomBytes(length), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+// Last 9 digits, so 0712..., 254712... and +254 712... are the same line
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-9) || null;
+
+const addressKey = ({ address, town, city } = {}) => {
+  const street = String(address || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return street ? `${street}|${String(town || city || '').toLowerCase().replace(/[^a-z0-9]/g, '')}` : null;
+};
+
+/**
+ * Current referral rules from Settings (plain object).
+ */
+export const getReferralRules = async () => {
+  const settings = await Settings.getSettings();
+  return settings.toObject().referrals || {};
+};
+
+/**
+ * A customer's invite code, created the first time it's asked for: up to six
+ * letters of their first name and four random characters (JANE-7K3Q).
+ *
+ * @param {Document} user
+ * @returns {Promise<String>}
+ */
+export const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  const prefix = (user.firstName || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 6) || 'FRIEND';
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referralCode: null },
+        { $set: { referralCode: `${prefix}-${randomCode(4)}` } },
+        { new: true }
+      ).select('referralCode');
+      if (updated) return updated.referralCode;
+      // Given one by a parallel request
+      return (await User.findById(user._id).select('referralCode')).referralCode;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Code taken — roll again
+    }
+  }
+  throw new Error('Could not create a referral code, please try again');
+};
+
+// Phone numbers and delivery addresses the referrer has used: their profile
+// and every order they've placed
+const referrerFingerprint = async (referrerId) => {
+  const [referrer, orders] = await Promise.all([
+    User.findById(referrerId).select('phone shippingInfo wallet'),
+    Order.find({ user: referrerId }).select('shippingAddress').lean()
+  ]);
+
+  const phones = [referrer?.phone, referrer?.shippingInfo?.phone, referrer?.wallet?.mpesaPhone, ...orders.map(o => o.shippingAddress?.phone)];
+  const addresses = [referrer?.shippingInfo, ...orders.map(o => o.shippingAddress)];
+  return {
+    phones: new Set(phones.map(phoneKey).filter(Boolean)),
+    addresses: new Set(addresses.map(address => addressKey(address || {})).filter(Boolean))
+  };
+};
+
+// Why a referral shouldn't pay out: a friend who shares the referrer's phone
+// or delivery address is most likely the referrer with a second account
+const findRejection = async (referral, order) => {
+  const [{ phones, addresses }, referee] = await Promise.all([
+    referrerFingerprint(referral.referrer),
+    User.findById(referral.referee).select('phone')
+  ]);
+
+  if ([referee?.phone, order.shippingAddress?.phone].some(phone => phoneKey(phone) && phones.has(phoneKey(phone)))) {
+    return "Uses the referrer's phone number";
+  }
+  if (addresses.has(addressKey(order.shippingAddress || {}))) {
+    return "Delivers to the referrer's address";
+  }
+  return null;
+};
+
+/**
+ * Record that a new customer signed up with someone's invite code. Unknown
+ * codes are ignored, and so is a signup that can't be attributed for any
+ * other reason. Never throws — a bad code must not block a signup.
+ *
+ * @param {Document} user - The new customer
+ * @param {String} code - Invite code they signed up with
+ * @param {Object} [options] - { method: 'email' | 'google' }
+ * @returns {Promise<Document|null>} The referral
+ */
+export const attributeReferral = async (user, code, { method = 'email' } = {}) => {
+  if (!code || typeof code !== 'string') return null;
+
+  try {
+    const rules = await getReferralRules();
+    if (!rules.enabled) return null;
+
+    const referrer = await User.findOne({ referralCode: code.trim().toUpperCase(), isActive: true }).select('referralCode');
+    if (!referrer || referrer._id.equals(user._id)) return null;
+
+    // Caught again at the first order, but a shared phone is plain at signup
+    const { phones } = await referrerFingerprint(referrer._id);
+    const samePhone = phoneKey(user.phone) && phones.has(phoneKey(user.phone));
+
+    const referral = await Referral.create({
+      referrer: referrer._id,
+      referee: user._id,
+      code: referrer.referralCode,
+      signupMethod: method,
+      ...(samePhone && { status: 'rejected', rejectionReason: "Signed up with the referrer's phone number" })
+    });
+    await User.updateOne({ _id: user._id }, { $set: { referredBy: referrer._id } });
+
+    console.log(`🤝 [Referral] ${user.email} signed up with code ${referrer.referralCode}${samePhone ? ' (rejected: same phone)' : ''}`);
+    return referral;
+  } catch (error) {
+    console.error(`❌ [Referral] Failed to attribute signup ${user.email} to code ${code}:`, error.message);
+    return null;
+  }
+};
+
+// Store credit or a single-use coupon for `amount`
+const issueReward = async (userId, amount, { kind, order, note, validityDays }, session) => {
+  if (!(amount > 0)) return null;
+
+  if (kind === 'coupon') {
+    const expiryDate = new Date();
+    expiryDate.setDate(expiryDate.getDate() + validityDays);
+    const [coupon] = await Coupon.create([{
+      code: `REF-${randomCode(8)}`,
+      discountType: 'fixed',
+      discountAmount: amount,
+      expiryDate,
+      usageLimit: 1
+    }], { session });
+    return { kind, amount, couponCode: coupon.code, expiresAt: expiryDate };
+  }
+
+  await adjustStoreCredit(userId, amount, { type: 'referral', order, note }, session);
+  return { kind: 'store_credit', amount };
+};
+
+const sendRewardEmail = async (user, reward, { role, friendName }) => {
+  if (!reward || !user?.email) return;
+  try {
+    const settings = await Settings.getSettings();
+    await sendEmail({
+      to: user.email,
+      subject: 'You earned a referral reward - Rerendet Coffee',
+      html: getReferralRewardEmail(user.firstName, { role, friendName, ...reward }, settings?.store?.logo)
+    });
+  } catch (error) {
+    console.error('❌ Referral Reward Email Error:', error.message);
+  }
+};
+
+/**
+ * Reward both sides of a referral once the referred customer's first order
+ * reaching the minimum is paid. The referral is claimed first, so repeated
+ * payment callbacks never reward twice; if it fails the fraud checks it's
+ * rejected instead. Never throws.
+ *
+ * @param {ObjectId} orderId - A paid order
+ * @returns {Promise<Document|null>} The referral, if this order settled it
+ */
+export const rewardReferral = async (orderId) => {
+  let referral = null;
+  try {
+    const order = await Order.findById(orderId).select('user orderNumber total paymentStatus shippingAddress');
+    if (!order?.user || order.paymentStatus !== 'paid') return null;
+
+    const rules = await getReferralRules();
+    if (!rules.enabled || order.total < (rules.minOrderAmount || 0)) return null;
+
+    referral = await Referral.findOneAndUpdate(
+      { referee: order.user, status: 'pending' },
+      { $set: { status: 'qualifying', order: order._id } },
+      { new: true }
+    );
+    if (!referral) return null;
+
+    const rejection = await findRejection(referral, order);
+    if (rejection) {
+      referral.status = 'rejected';
+      referral.rejectionReason = rejection;
+      await referral.save();
+      console.warn(`⚠️ [Referral] Not rewarding referral on order #${order.orderNumber}: ${rejection}`);
+      return referral;
+    }
+
+    const [referrer, referee, loyaltyRules] = await Promise.all([
+      User.findById(referral.referrer).select('firstName email'),
+      User.findById(referral.referee).select('firstName email'),
+      getLoyaltyRules()
+    ]);
+
+    // Both rewards land together or not at all
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let referrerReward;
+    let refereeReward;
+    let points;
+    try {
+      const options = { kind: rules.rewardType, order: order._id, validityDays: rules.couponValidityDays || 60 };
+      referrerReward = await issueReward(referral.referrer, rules.referrerReward, {
+        ...options,
+        note: `${referee.firstName} placed their first order (#${order.orderNumber})`
+      }, session);
+      refereeReward = await issueReward(referral.referee, rules.refereeReward, {
+        ...options,
+        note: `Referred by ${referrer.firstName}`
+      }, session);
+      points = await awardPoints(referral.referrer, loyaltyRules.referralPoints, {
+        type: 'referral',
+        order: order._id,
+        note: `${referee.firstName} placed their first order`
+      }, session);
+
+      referral.status = 'rewarded';
+      referral.referrerReward = referrerReward;
+      referral.refereeReward = refereeReward;
+      referral.referrerPoints = points?.points || 0;
+      referral.rewardedAt = new Date();
+      await referral.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+
+    await sendRewardEmail(referrer, referrerReward, { role: 'referrer', friendName: referee.firstName });
+    await sendRewardEmail(referee, refereeReward, { role: 'referee', friendName: referrer.firstName });
+
+    console.log(`🤝 [Referral] Rewarded ${referrer.email} and ${referee.email} for order #${order.orderNumber}`);
+    return referral;
+  } catch (error) {
+    console.error(`❌ [Referral] Failed to reward referral for order ${orderId}:`, error.message);
+    // Let the next paid order try again
+    if (referral) {
+      await Referral.updateOne(
+        { _id: referral._id, status: 'qualifying' },
+        { $set: { status: 'pending' }, $unset: { order: 1 } }
+      ).catch(() => { });
+    }
+    return null;
+  }
+};
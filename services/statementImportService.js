@@ -0,0 +1,260 @@
+// services/statementImportService.js
+// M-Pesa Paybill statements → payments. Parses the org portal's CSV export,
+// matches each money-in line to an unpaid order and records it through
+// recordManualPayment, so part and over payments reconcile like any other.
+import Order from '../models/Order.js';
+import MpesaStatement from '../models/MpesaStatement.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import { recordManualPayment, PAYMENT_TOLERANCE } from './paymentService.js';
+import { paymentError, formatMsisdn } from './payments/paymentProvider.js';
+
+// Header names differ between portal versions and statement types
+const COLUMN_ALIASES = {
+  receipt: ['receipt no.', 'receipt no', 'receipt number', 'receipt', 'transaction id'],
+  completedAt: ['completion time', 'completion date', 'transaction date', 'date'],
+  details: ['details', 'description'],
+  status: ['transaction status', 'status'],
+  paidIn: ['paid in', 'credit', 'amount'],
+  otherParty: ['other party info', 'other party', 'opposite party', 'customer'],
+  accountNumber: ['a/c no.', 'a/c no', 'account no.', 'account no', 'account number', 'bill reference', 'reference']
+};
+
+// How far back an order can be for a statement payment to belong to it
+const MATCH_WINDOW_DAYS = 60;
+
+const UNPAID = ['pending', 'failed', 'partially_paid'];
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+const toAmount = (value) => parseFloat(String(value || '').replace(/[^0-9.-]/g, '')) || 0;
+
+// "254712345678 - JANE DOE" (numbers are masked on some exports)
+const splitOtherParty = (value = '') => {
+  const [phone, ...name] = value.split(' - ');
+  return /[0-9*]{9,}/.test(phone.replace(/\s/g, ''))
+    ? { payerPhone: phone.replace(/\s/g, ''), payerName: name.join(' - ').trim() }
+    : { payerName: value.trim() };
+};
+
+/**
+ * Money-in lines from an M-Pesa statement CSV. Portal exports start with a few
+ * lines of account details, so the header row is found by its columns.
+ *
+ * @param {String} text
+ * @returns {{ lines: Array, skippedRows: Number }}
+ */
+export const parseMpesaStatement = (text) => {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex(r => r.some(cell => /receipt/i.test(cell)));
+  if (headerIndex === -1) throw paymentError('This doesn\'t look like an M-Pesa statement — no "Receipt No." column found');
+
+  const headers = rows[headerIndex].map(h => h.trim().toLowerCase());
+  const column = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) => [
+    key,
+    aliases.map(alias => headers.indexOf(alias)).find(index => index !== -1) ?? -1
+  ]));
+  if (column.paidIn === -1) throw paymentError('This statement has no "Paid In" column');
+
+  const lines = [];
+  let skippedRows = 0;
+  for (const row of rows.slice(headerIndex + 1)) {
+    const cell = (key) => column[key] === -1 ? '' : (row[column[key]] || '').trim();
+    const amount = toAmount(cell('paidIn'));
+    const status = cell('status');
+
+    // Withdrawals, charges and failed transactions aren't customer payments
+    if (!cell('receipt') || amount <= 0 || (status && !/completed/i.test(status))) {
+      skippedRows++;
+      continue;
+    }
+
+    const completedAt = cell('completedAt') ? new Date(cell('completedAt')) : null;
+    lines.push({
+      receipt: cell('receipt').toUpperCase(),
+      completedAt: completedAt && !isNaN(completedAt) ? completedAt : null,
+      details: cell('details'),
+      accountNumber: cell('accountNumber'),
+      amount,
+      ...splitOtherParty(cell('otherParty'))
+    });
+  }
+
+  return { lines, skippedRows };
+};
+
+// Masked digits (*) match anything
+const samePhone = (statementPhone, orderPhone) => {
+  if (!statementPhone || !orderPhone) return false;
+  const a = statementPhone.includes('*') ? statementPhone.replace(/^0/, '254') : formatMsisdn(statementPhone);
+  const b = formatMsisdn(orderPhone);
+  return a.length === b.length && [...a].every((char, i) => char === '*' || char === b[i]);
+};
+
+const normalise = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * Pick the order a statement line pays for. Strongest first: the M-Pesa code
+ * the customer gave us at checkout, then the order number typed as the account,
+ * then a single unpaid order from the same phone owing that amount.
+ *
+ * @returns {{ order?: Document, matchedBy?: String[], note?: String }}
+ */
+export const matchStatementLine = (line, orders) => {
+  const byReference = orders.find(o => normalise(o.manualTransactionId) === line.receipt);
+  if (byReference) return { order: byReference, matchedBy: ['reference'] };
+
+  const account = normalise(line.accountNumber);
+  const byAccount = account && orders.find(o => normalise(o.orderNumber) === account);
+  if (byAccount) return { order: byAccount, matchedBy: ['account'] };
+
+  const fromPhone = orders.filter(o => samePhone(line.payerPhone, o.shippingAddress?.phone));
+  const exact = fromPhone.filter(o => Math.abs(o.balanceDue - line.amount) <= PAYMENT_TOLERANCE);
+  if (exact.length === 1) return { order: exact[0], matchedBy: ['phone', 'amount'] };
+  if (exact.length > 1) return { note: `${exact.length} unpaid orders from this number owe KES ${line.amount.toLocaleString()} — assign it by hand` };
+  if (fromPhone.length) return { note: `Amount doesn't match the ${fromPhone.length} unpaid order(s) from this number` };
+  return { note: 'No unpaid order matches this receipt, account or number' };
+};
+
+// Record a line against an order and mark the order's Paybill payment verified
+const applyLine = async (line, order, { matchedBy, status, user, fileName }) => {
+  const outcome = await recordManualPayment(order, {
+    amount: line.amount,
+    reference: line.receipt,
+    method: 'mpesa',
+    note: `M-Pesa statement${fileName ? ` ${fileName}` : ''}${line.payerName ? ` — paid by ${line.payerName}` : ''}`,
+    user
+  });
+
+  await Order.updateOne({ _id: order._id }, {
+    paymentVerificationStatus: 'verified',
+    ...(!order.manualTransactionId && { manualTransactionId: line.receipt })
+  });
+
+  Object.assign(line, {
+    status,
+    matchedBy,
+    order: order._id,
+    transaction: outcome.transaction?._id,
+    note: outcome.applied ? null : `Recorded but not applied: ${outcome.reason}`,
+    resolvedBy: user,
+    resolvedAt: new Date()
+  });
+  return outcome;
+};
+
+/**
+ * Import a statement: parse it, skip receipts already on the ledger, and
+ * record every line that matches an unpaid order.
+ *
+ * @param {String} text - CSV contents
+ * @param {Object} options - { fileName, user }
+ * @returns {Promise<Document>} The saved MpesaStatement
+ */
+export const importStatement = async (text, { fileName, user }) => {
+  const { lines, skippedRows } = parseMpesaStatement(text);
+  if (!lines.length) throw paymentError('No incoming payments found in this statement');
+
+  const recorded = new Set((await PaymentTransaction.find({ transactionId: { $in: lines.map(l => l.receipt) } })
+    .select('transactionId')
+    .lean()).map(t => t.transactionId));
+
+  const earliest = Math.min(...lines.map(l => (l.completedAt || new Date()).getTime()));
+  const orders = await Order.find({
+    paymentStatus: { $in: UNPAID },
+    orderStatus: { $ne: 'cancelled' },
+    createdAt: { $gte: new Date(earliest - MATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+  });
+
+  const statement = new MpesaStatement({ fileName, importedBy: user, skippedRows });
+  const seen = new Set();
+
+  for (const data of lines) {
+    statement.lines.push(data);
+    const line = statement.lines[statement.lines.length - 1];
+
+    if (recorded.has(line.receipt) || seen.has(line.receipt)) {
+      line.status = 'duplicate';
+      line.note = 'Already recorded as a payment';
+      continue;
+    }
+    seen.add(line.receipt);
+
+    const { order, matchedBy, note } = matchStatementLine(line, orders);
+    if (!order) {
+      line.note = note;
+      continue;
+    }
+
+    try {
+      await applyLine(line, order, { matchedBy, status: 'matched', user, fileName });
+      // A paid order can't take the next line; a part-paid one still can
+      const fresh = await Order.findById(order._id);
+      const index = orders.findIndex(o => o._id.equals(order._id));
+      if (UNPAID.includes(fresh.paymentStatus)) orders[index] = fresh;
+      else orders.splice(index, 1);
+    } catch (error) {
+      line.note = error.message;
+    }
+  }
+
+  await statement.save();
+  console.log(`🧾 [Statement] ${fileName || 'Statement'}: ${statement.counts.matched} of ${lines.length} payments matched`);
+  return statement;
+};
+
+/**
+ * Apply an unmatched line to an order an admin picked.
+ *
+ * @returns {Promise<{ line: Document, outcome: Object }>}
+ */
+export const assignStatementLine = async (statement, lineId, orderRef, { user }) => {
+  const line = statement.lines.id(lineId);
+  if (!line) throw paymentError('Statement line not found', 404);
+  if (line.status !== 'unmatched') throw paymentError(`This line is already ${line.status}`);
+
+  // Admins type order numbers, the UI may send ids
+  const order = await Order.findOne(/^[0-9a-f]{24}$/i.test(orderRef)
+    ? { _id: orderRef }
+    : { orderNumber: normalise(orderRef) });
+  if (!order) throw paymentError(`Order ${orderRef} not found`, 404);
+
+  const outcome = await applyLine(line, order, { matchedBy: ['manual'], status: 'assigned', user, fileName: statement.fileName });
+  await statement.save();
+  return { line, outcome };
+};
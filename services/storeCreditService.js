@@ -0,0 +1,349 @@
+// services/storeCreditService.js
+// Gift cards and store credit: issuing them, spending them at checkout and
+// putting them back when an order is cancelled. Balances only move through
+// here so each change is logged — on the card's history for gift cards, on
+// the CreditTransaction ledger for store credit.
+import crypto from 'crypto';
+import GiftCard from '../models/GiftCard.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import sendEmail from '../utils/sendEmail.js';
+import { getGiftCardEmail } from '../utils/emailTemplates.js';
+
+// Purchased cards stay valid for a year
+export const GIFT_CARD_VALIDITY_MONTHS = 12;
+
+// No 0/O or 1/I, so codes read back over the phone without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Validation failures carry a status code for the controller to respond with
+const creditError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// XXXX-XXXX-XXXX-XXXX
+export const generateGiftCardCode = () => Array.from(crypto.randomBytes(16), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  .join('')
+  .match(/.{4}/g)
+  .join('-');
+
+export const defaultGiftCardExpiry = () => {
+  const expiry = new Date();
+  expiry.setMonth(expiry.getMonth() + GIFT_CARD_VALIDITY_MONTHS);
+  return expiry;
+};
+
+/**
+ * Move a gift card's balance by `amount` and log it on the card. The update
+ * only lands if the balance is still what `card` says, so two checkouts
+ * spending the same card can't both succeed.
+ *
+ * @returns {Promise<Document|null>} The updated card, or null if it changed underneath us
+ */
+const moveGiftCardBalance = (card, amount, entry, session = null) => {
+  const balanceAfter = roundMoney(card.balance + amount);
+  return GiftCard.findOneAndUpdate(
+    { _id: card._id, balance: card.balance },
+    {
+      $set: { balance: balanceAfter },
+      $push: { history: { ...entry, amount: roundMoney(amount), balanceAfter } }
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * Post a change to a customer's store credit. Debits only land if the
+ * balance covers them.
+ *
+ * @param {ObjectId} userId - Customer
+ * @param {Number} amount - Signed: negative spends credit
+ * @param {Object} entry - { type, order, note, user } (user = who made the change)
+ * @param {ClientSession} [session]
+ * @returns {Promise<{ balance: Number, entry: Document }>}
+ */
+export const adjustStoreCredit = async (userId, amount, { type, order, note, user = null }, session = null) => {
+  const delta = roundMoney(amount);
+  if (!delta) throw creditError('Enter an amount other than zero');
+
+  const account = await User.findOneAndUpdate(
+    { _id: userId, ...(delta < 0 && { storeCredit: { $gte: -delta } }) },
+    { $inc: { storeCredit: delta } },
+    { new: true, session }
+  ).select('storeCredit');
+
+  if (!account) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    throw exists ? creditError('Not enough store credit for this') : creditError('Customer not found', 404);
+  }
+
+  const balance = roundMoney(account.storeCredit);
+  const [transaction] = await CreditTransaction.create([{
+    user: userId,
+    amount: delta,
+    balanceAfter: balance,
+    type,
+    order,
+    note,
+    performedBy: user
+  }], { session });
+
+  console.log(`🎟️ [StoreCredit] ${delta > 0 ? '+' : ''}${delta} for user ${userId} (${type}) — balance KES ${balance}`);
+  return { balance, entry: transaction };
+};
+
+/**
+ * Create a gift card with its opening balance.
+ *
+ * @param {Object} card - { amount, recipientEmail, recipientName, message, expiresAt, purchaser, order, issuedBy, note }
+ *   expiresAt: undefined = GIFT_CARD_VALIDITY_MONTHS from now, null = never
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document>}
+ */
+export const issueGiftCard = async ({
+  amount,
+  recipientEmail,
+  recipientName,
+  message,
+  expiresAt,
+  purchaser,
+  order,
+  issuedBy,
+  note
+}, session = null) => {
+  const value = roundMoney(parseFloat(amount) || 0);
+  if (value < 1) throw creditError('Gift card value must be at least KES 1');
+
+  const [card] = await GiftCard.create([{
+    code: generateGiftCardCode(),
+    initialBalance: value,
+    balance: value,
+    expiresAt: expiresAt === undefined ? defaultGiftCardExpiry() : expiresAt,
+    purchaser,
+    order,
+    recipientEmail,
+    recipientName,
+    message,
+    issuedBy,
+    history: [{ type: 'issued', amount: value, balanceAfter: value, order, note, user: issuedBy || purchaser }]
+  }], { session });
+
+  return card;
+};
+
+/**
+ * Email a gift card's code to its recipient. Never throws.
+ */
+export const sendGiftCard = async (card, { senderName } = {}) => {
+  if (!card.recipientEmail) return;
+
+  try {
+    const settings = await Settings.getSettings();
+    await sendEmail({
+      to: card.recipientEmail,
+      subject: `${senderName ? `${senderName} sent you` : 'Your'} a Rerendet Coffee gift card`,
+      html: getGiftCardEmail(card.recipientName || 'Coffee Lover', {
+        code: card.code,
+        amount: card.balance,
+        expiresAt: card.expiresAt,
+        senderName,
+        message: card.message
+      }, settings?.store?.logo)
+    });
+    await GiftCard.updateOne({ _id: card._id }, { deliveredAt: new Date() });
+    console.log(`📧 Gift card ${card.code.slice(-4)} sent to ${card.recipientEmail}`);
+  } catch (err) {
+    console.error('❌ Gift Card Email Error:', err.message);
+  }
+};
+
+/**
+ * Look up a gift card a customer typed in and check it can be spent.
+ *
+ * @returns {Promise<Document>}
+ */
+export const findRedeemableGiftCard = async (code, session = null) => {
+  const card = await GiftCard.findOne({ code: GiftCard.normaliseCode(code) }).session(session);
+  if (!card) throw creditError('Gift card not found — check the code and try again', 404);
+
+  const problem = card.redeemError();
+  if (problem) throw creditError(problem);
+  return card;
+};
+
+/**
+ * Spend a gift card and/or store credit against an order total at checkout:
+ * the gift card first, then credit, each capped at what is still owed. Runs
+ * in the checkout transaction, so an order that fails spends nothing.
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.order - _id the order will be saved with
+ * @param {String} options.orderNumber
+ * @param {ObjectId} options.user - Customer
+ * @param {Number} options.total - Order total before redemptions
+ * @param {String} [options.giftCardCode]
+ * @param {Number} [options.storeCredit] - Credit the customer chose to use
+ * @param {ClientSession} session
+ * @returns {Promise<{ giftCard?: Document, giftCardAmount: Number, storeCreditAmount: Number, amountDue: Number }>}
+ */
+export const redeemAtCheckout = async ({ order, orderNumber, user, total, giftCardCode, storeCredit }, session) => {
+  let amountDue = roundMoney(total);
+  let giftCard = null;
+  let giftCardAmount = 0;
+  let storeCreditAmount = 0;
+
+  if (giftCardCode && amountDue > 0) {
+    const card = await findRedeemableGiftCard(giftCardCode, session);
+    giftCardAmount = roundMoney(Math.min(card.balance, amountDue));
+    giftCard = await moveGiftCardBalance(card, -giftCardAmount, {
+      type: 'redeemed',
+      order,
+      user,
+      note: `Spent on order #${orderNumber}`
+    }, session);
+    if (!giftCard) throw creditError('This gift card was used on another order just now — please try again', 409);
+    amountDue = roundMoney(amountDue - giftCardAmount);
+  }
+
+  const wanted = roundMoney(Math.min(parseFloat(storeCredit) || 0, amountDue));
+  if (wanted > 0) {
+    const account = await User.findById(user).select('storeCredit').session(session);
+    storeCreditAmount = roundMoney(Math.min(wanted, account?.storeCredit || 0));
+    if (storeCreditAmount > 0) {
+      await adjustStoreCredit(user, -storeCreditAmount, {
+        type: 'redeemed',
+        order,
+        user,
+        note: `Spent on order #${orderNumber}`
+      }, session);
+      amountDue = roundMoney(amountDue - storeCreditAmount);
+    }
+  }
+
+  return { giftCard, giftCardAmount, storeCreditAmount, amountDue };
+};
+
+/**
+ * Put back the gift card balance and store credit an order spent, and void
+ * unused gift cards bought on it. Called from the order's stock release,
+ * which runs exactly once per order.
+ *
+ * @param {Document} order
+ * @param {Object} [options] - { user } who cancelled it (null if system)
+ * @param {ClientSession} session
+ * @returns {Promise<String[]>} What was put back, for the order event
+ */
+export const restoreOrderRedemptions = async (order, { user = null } = {}, session = null) => {
+  const restored = [];
+  const note = `Order #${order.orderNumber} cancelled`;
+
+  if (order.giftCard && order.giftCardAmount > 0) {
+    const card = await GiftCard.findById(order.giftCard).session(session);
+    if (card && await moveGiftCardBalance(card, order.giftCardAmount, { type: 'restored', order: order._id, user, note }, session)) {
+      restored.push(`KES ${order.giftCardAmount.toLocaleString()} back on gift card ${card.code}`);
+    } else {
+      console.warn(`⚠️ [GiftCard] Could not restore KES ${order.giftCardAmount} for order #${order.orderNumber}`);
+    }
+  }
+
+  if (order.storeCreditAmount > 0) {
+    await adjustStoreCredit(order.user, order.storeCreditAmount, { type: 'restored', order: order._id, user, note }, session);
+    restored.push(`KES ${order.storeCreditAmount.toLocaleString()} store credit returned`);
+  }
+
+  // Cards bought on the order are void if the order is; spent ones stay for staff to settle
+  const voided = await GiftCard.updateMany(
+    { order: order._id, status: 'active', $expr: { $eq: ['$balance', '$initialBalance'] } },
+    { $set: { status: 'disabled' } },
+    { session }
+  );
+  if (voided.modifiedCount) restored.push(`${voided.modifiedCount} unused gift card(s) bought on the order disabled`);
+
+  return restored;
+};
+
+/**
+ * Put refunded money back on the gift card and store credit the order was
+ * paid with. Runs in the refund's transaction.
+ *
+ * @param {Document} order
+ * @param {Object} amounts - { giftCardAmount, storeCreditAmount, refundNumber, user }
+ * @param {ClientSession} session
+ * @returns {Promise<String[]>} What was put back, for the order event
+ */
+export const refundOrderRedemptions = async (order, { giftCardAmount = 0, storeCreditAmount = 0, refundNumber, user = null }, session = null) => {
+  const refunded = [];
+  const note = `Refund ${refundNumber} on order #${order.orderNumber}`;
+
+  if (giftCardAmount > 0) {
+    const card = await GiftCard.findById(order.giftCard).session(session);
+    if (!card) throw creditError('The gift card this order was paid with no longer exists', 404);
+    if (!await moveGiftCardBalance(card, giftCardAmount, { type: 'refunded', order: order._id, user, note }, session)) {
+      throw creditError('The gift card changed while refunding — please try again', 409);
+    }
+    refunded.push(`KES ${roundMoney(giftCardAmount).toLocaleString()} back on gift card ${card.code}`);
+  }
+
+  if (storeCreditAmount > 0) {
+    await adjustStoreCredit(order.user?._id || order.user, storeCreditAmount, { type: 'refunded', order: order._id, user, note }, session);
+    refunded.push(`KES ${roundMoney(storeCreditAmount).toLocaleString()} back as store credit`);
+  }
+
+  return refunded;
+};
+
+/**
+ * Issue and email the gift cards bought on a paid order, one per unit. The
+ * order is claimed first, so repeated payment callbacks never issue twice.
+ * Never throws.
+ *
+ * @param {ObjectId} orderId
+ * @returns {Promise<Document[]>} Cards issued
+ */
+export const issueOrderGiftCards = async (orderId) => {
+  try {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, giftCardsIssuedAt: null, paymentStatus: 'paid', 'items.isGiftCard': true },
+      { $set: { giftCardsIssuedAt: new Date() } },
+      { new: true }
+    ).populate('user', 'firstName lastName email');
+    if (!order) return [];
+
+    const issued = [];
+    for (const item of order.items.filter(i => i.isGiftCard)) {
+      for (let n = item.giftCards.length; n < item.quantity; n++) {
+        const card = await issueGiftCard({
+          amount: item.price,
+          purchaser: order.user?._id,
+          order: order._id,
+          recipientEmail: item.giftCardRecipient?.email || order.shippingAddress.email,
+          recipientName: item.giftCardRecipient?.name || (item.giftCardRecipient?.email ? undefined : order.shippingAddress.firstName),
+          message: item.giftCardRecipient?.message,
+          note: `Bought on order #${order.orderNumber}`
+        });
+        item.giftCards.push(card._id);
+        issued.push(card);
+      }
+    }
+
+    const recipients = [...new Set(issued.map(card => card.recipientEmail))];
+    order.orderEvents.push({
+      status: 'GIFT_CARDS_ISSUED',
+      note: `${issued.length} gift card(s) issued and emailed to ${recipients.join(', ')}`
+    });
+    await order.save();
+
+    const senderName = order.user ? `${order.user.firstName} ${order.user.lastName}` : order.shippingAddress.firstName;
+    for (const card of issued) {
+      await sendGiftCard(card, { senderName: card.recipientEmail === order.shippingAddress.email ? null : senderName });
+    }
+
+    console.log(`🎁 [GiftCard] Issued ${issued.length} card(s) for order #${order.orderNumber}`);
+    return issued;
+  } catch (error) {
+    console.error(`❌ [GiftCard] Failed to issue gift cards for order ${orderId}:`, error.message);
+    return [];
+  }
+};
@@ -0,0 +1,860 @@
+// services/subscriptionService.js
+// Coffee subscriptions: started from a checkout order, renewed on schedule by
+// the renewal worker (utils/cronJobs.js) as ordinary orders, and managed by the
+// customer — pause, skip, change frequency, swap coffees, cancel.
+//
+// Renewals charge the price locked in when each coffee was added, less the
+// product's current subscriptionDiscount, plus delivery to the subscription's
+// address. Stock is reserved like any checkout order.
+//
+// Curated plans ("coffee of the month", models/SubscriptionPlan.js) have no
+// fixed coffees: each renewal sends that month's picks that suit the
+// customer's exclusions, at the box price locked when they subscribed.
+//
+// Dunning: a renewal that can't be placed, or is placed and not paid, is
+// retried 1, 3 and 7 days later; after the last retry the subscription is
+// suspended until the customer resumes it.
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Subscription, { SUBSCRIPTION_FREQUENCIES, ROAST_LEVELS } from '../models/Subscription.js';
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Settings from '../models/Settings.js';
+import sendEmail from '../utils/sendEmail.js';
+import {
+  getSubscriptionRenewalEmail,
+  getSubscriptionPaymentReminderEmail,
+  getSubscriptionSuspendedEmail
+} from '../utils/emailTemplates.js';
+import { calculateShipping } from '../utils/shippingCalculator.js';
+import { reserveOrderLine } from '../utils/stockReservation.js';
+import { getFreshnessPolicy, getFreshness } from '../utils/freshness.js';
+import { initiatePayment } from './paymentService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RENEWAL_BATCH_SIZE = 50;
+const DUNNING_RETRY_DAYS = [1, 3, 7]; // Retries after the first failure, in days
+const DUNNING_GRACE_DAYS = 1;         // Time to pay after the last reminder before suspension
+const MAX_LINES = 10;
+const MAX_QUANTITY = 10;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const subscriptionError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Tomorrow at the earliest, so a change never bills the customer straight away
+const notBeforeTomorrow = (date) => new Date(Math.max(new Date(date).getTime(), Date.now() + DAY_MS));
+
+// Unpaid renewals are held until this, then the subscription is suspended
+const dunningDeadline = (startedAt) =>
+  new Date(new Date(startedAt).getTime() + (DUNNING_RETRY_DAYS[DUNNING_RETRY_DAYS.length - 1] + DUNNING_GRACE_DAYS) * DAY_MS);
+// When the next retry is due after `attempts` retries; after the last one, the deadline
+const nextDunningAttempt = (startedAt, attempts) => attempts < DUNNING_RETRY_DAYS.length
+  ? new Date(new Date(startedAt).getTime() + DUNNING_RETRY_DAYS[attempts] * DAY_MS)
+  : dunningDeadline(startedAt);
+
+// The delivery after one due on `dueDate`, never in the past (a renewal that
+// went through after retries doesn't bill twice in a row)
+const nextDeliveryAfter = (frequency, dueDate) => {
+  const next = Subscription.calculateNextDate(frequency, dueDate);
+  return next > new Date() ? next : Subscription.calculateNextDate(frequency);
+};
+
+// List price for a product in a size (subscriptions lock this, not a temporary markdown)
+const listPriceOf = (product, size) => parseFloat(product.getVariant(size)?.price || product.price) || 0;
+
+// Checkout orders fully paid with a gift card or store credit renew by M-Pesa
+const renewalPaymentMethod = (method) => ['mpesa', 'airtel', 'card', 'cod'].includes(method) ? method : 'mpesa';
+
+/**
+ * Start a subscription for the coffees on a checkout order. Gift cards aren't
+ * repeated; an order with nothing else doesn't start one.
+ *
+ * @param {Document} order - The checkout order (unsaved changes are fine)
+ * @param {Object} options - { frequency }
+ * @param {ClientSession} session
+ * @returns {Promise<Document|null>}
+ */
+export const createSubscriptionFromOrder = async (order, { frequency }, session) => {
+  const lines = order.items.filter(item => !item.isGiftCard);
+  if (!lines.length) return null;
+
+  const products = await Product.find({ _id: { $in: lines.map(item => item.product) } }).session(session);
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  const cadence = SUBSCRIPTION_FREQUENCIES.includes(frequency) ? frequency : 'monthly';
+
+  const [subscription] = await Subscription.create([{
+    user: order.user,
+    products: lines.map(item => {
+      const product = byId.get(item.product.toString());
+      return {
+        product: item.product,
+        quantity: item.quantity,
+        size: item.size,
+        price: product ? listPriceOf(product, item.size) : item.price
+      };
+    }),
+    frequency: cadence,
+    nextBillingDate: Subscription.calculateNextDate(cadence),
+    lastBillingDate: new Date(),
+    shippingAddress: order.shippingAddress?.toObject ? order.shippingAddress.toObject() : order.shippingAddress,
+    paymentMethod: renewalPaymentMethod(order.paymentMethod),
+    originOrder: order._id,
+    events: [{ type: 'created', order: order._id, user: order.user, note: `Started from order #${order.orderNumber}` }]
+  }], { session });
+
+  return subscription;
+};
+
+// Only known roast levels and short, distinct flavour words
+const cleanPreferences = (preferences = {}) => ({
+  excludedRoasts: [...new Set((preferences.excludedRoasts || []).filter(roast => ROAST_LEVELS.includes(roast)))],
+  excludedFlavors: [...new Set((preferences.excludedFlavors || [])
+    .map(flavor => String(flavor).trim().toLowerCase().slice(0, 40))
+    .filter(Boolean))].slice(0, 20)
+});
+
+/**
+ * Subscribe a customer to a curated plan. Nothing is charged now: the first
+ * box is placed by the next renewal run (once the month's coffees are chosen)
+ * and paid like any renewal.
+ *
+ * @param {Document} user - Delivers to their saved delivery address
+ * @param {Document} plan - SubscriptionPlan
+ * @param {Object} options - { frequency, paymentMethod, preferences }
+ * @returns {Promise<Document>}
+ */
+export const subscribeToPlan = async (user, plan, { frequency, paymentMethod, preferences } = {}) => {
+  if (!plan?.isActive) throw subscriptionError('This subscription plan is not available', 404);
+
+  const cadence = frequency || plan.frequencies[0] || 'monthly';
+  if (!plan.frequencies.includes(cadence)) {
+    throw subscriptionError(`${plan.name} is delivered ${plan.frequencies.join(' or ')}`);
+  }
+  if (!['mpesa', 'airtel', 'card', 'cod'].includes(paymentMethod)) {
+    throw subscriptionError('Choose how you would like to pay for each box');
+  }
+
+  const address = user.shippingInfo || {};
+  if (!address.address || !address.phone) {
+    throw subscriptionError('Please add a delivery address to your account first');
+  }
+
+  if (await Subscription.exists({ user: user._id, plan: plan._id, status: { $ne: 'cancelled' } })) {
+    throw subscriptionError(`You are already subscribed to ${plan.name}`, 409);
+  }
+
+  return Subscription.create({
+    user: user._id,
+    plan: plan._id,
+    planPrice: plan.price,
+    products: [],
+    frequency: cadence,
+    nextBillingDate: new Date(),
+    shippingAddress: {
+      firstName: address.firstName || user.firstName,
+      lastName: address.lastName || user.lastName,
+      email: address.email || user.email,
+      phone: address.phone,
+      address: address.address,
+      city: address.city,
+      county: address.county,
+      country: address.country || 'Kenya'
+    },
+    paymentMethod,
+    preferences: cleanPreferences(preferences),
+    events: [{ type: 'created', user: user._id, note: `Subscribed to ${plan.name}` }]
+  });
+};
+
+// Why a product can't fill a subscription line right now, or null
+const unavailableReason = (product, line, policy) => {
+  if (!product || !product.isActive || product.isGiftCard) return 'is no longer available';
+  if (product.sizes?.length > 0 && !product.getVariant(line.size)) return `is no longer sold in ${line.size}`;
+  if (getFreshness(product, policy)?.stage === 'expired') return 'is out of fresh stock';
+  // Bundles are checked component by component when their stock is reserved
+  if (!product.isBundle && !product.checkAvailability(line.quantity, line.size)) return 'is out of stock';
+  return null;
+};
+
+// Whether the customer asked not to be sent this coffee (roast level, or a
+// flavour note containing one of their excluded words)
+const isExcluded = (product, preferences) => {
+  if (preferences?.excludedRoasts?.includes(product.roastLevel)) return true;
+  const flavors = preferences?.excludedFlavors || [];
+  return (product.flavorNotes || []).some(note => flavors.some(flavor => note.toLowerCase().includes(flavor)));
+};
+
+// How alike two coffees are: roast first, then shared flavour notes and
+// origin. Closer in price is better; twice the price is never "similar".
+const similarity = (original, candidate, size, price) => {
+  let score = 0;
+  const roastA = ROAST_LEVELS.indexOf(original.roastLevel);
+  const roastB = ROAST_LEVELS.indexOf(candidate.roastLevel);
+  if (roastA >= 0 && roastB >= 0) score += 3 - Math.min(Math.abs(roastA - roastB), 3);
+
+  const notes = new Set((original.flavorNotes || []).map(note => note.toLowerCase()));
+  score += (candidate.flavorNotes || []).filter(note => notes.has(note.toLowerCase())).length;
+  if (original.origin && original.origin === candidate.origin) score += 1;
+
+  score -= 2 * Math.abs(listPriceOf(candidate, size) - price) / (price || 1);
+  return score;
+};
+
+// The most similar coffee in the same category and size that can be sent
+// today and that the customer hasn't excluded
+const findSubstitute = async (original, line, price, preferences, policy, session) => {
+  if (!original || original.isBundle) return null;
+
+  const candidates = await Product.find({
+    _id: { $ne: original._id },
+    category: original.category,
+    isActive: true,
+    isGiftCard: { $ne: true },
+    isBundle: { $ne: true }
+  }).session(session);
+
+  let best = null;
+  for (const candidate of candidates) {
+    if (unavailableReason(candidate, line, policy) || isExcluded(candidate, preferences)) continue;
+    const score = similarity(original, candidate, line.size, price);
+    if (!best || score > best.score) best = { product: candidate, score };
+  }
+  return best?.product || null;
+};
+
+/**
+ * The coffees a curated plan sends one subscriber this cycle: the first of the
+ * cycle's picks (in the curator's order) that can be sent in the plan's size
+ * and that the subscriber hasn't excluded. With fewer suitable picks than
+ * bags, the suitable ones are repeated; with none, the result is empty.
+ *
+ * @param {Document} plan - SubscriptionPlan
+ * @param {Array} products - The cycle's coffees, loaded, in the curator's order
+ * @param {Object} preferences - { excludedRoasts, excludedFlavors }
+ * @param {Object} policy - Freshness policy
+ * @returns {Array} Product documents, one per bag
+ */
+export const selectCuratedCoffees = (plan, products, preferences, policy) => {
+  const suitable = products.filter(product => product &&
+    !product.isBundle &&
+    !unavailableReason(product, { size: plan.size, quantity: 1 }, policy) &&
+    !isExcluded(product, preferences));
+  if (!suitable.length) return [];
+  return Array.from({ length: plan.bagCount }, (_, i) => suitable[i % suitable.length]);
+};
+
+const orderLine = (product, size, price, quantity) => ({
+  product: product._id,
+  name: product.name,
+  price,
+  quantity,
+  size: product.getVariant(size)?.size || size || 'Standard',
+  image: product.images?.[0]?.url || '/default-product.jpg',
+  itemTotal: roundMoney(price * quantity),
+  bundleComponents: product.isBundle
+    ? product.bundleDetails.map(d => ({ product: d.product, size: d.size, quantity: d.quantity }))
+    : undefined
+});
+
+// A fixed-product subscription's lines. A coffee that can't be sent is
+// swapped for this delivery only with the most similar one available, at no
+// more than the customer's price; with no good swap the renewal fails.
+const fixedRenewalLines = async (subscription, policy, session) => {
+  const items = [];
+  const substitutions = [];
+  let discount = 0;
+
+  for (const line of subscription.products) {
+    let product = await Product.findById(line.product).session(session);
+    let price = line.price ?? (product ? listPriceOf(product, line.size) : 0);
+
+    const problem = unavailableReason(product, line, policy);
+    if (problem) {
+      const substitute = await findSubstitute(product, line, price, subscription.preferences, policy, session);
+      if (!substitute) {
+        throw subscriptionError(`${product?.name || 'A coffee in this subscription'} ${problem} and there's no similar coffee to send instead`);
+      }
+      substitutions.push({ from: product.name, to: substitute.name, reason: problem });
+      price = Math.min(price, listPriceOf(substitute, line.size));
+      product = substitute;
+    }
+
+    const item = orderLine(product, line.size, price, line.quantity);
+    const percentOff = product.subscriptionDiscount ?? subscription.discount ?? 0;
+    discount += roundMoney(item.itemTotal * percentOff / 100);
+    items.push(item);
+  }
+
+  return { items, substitutions, discount, note: '' };
+};
+
+// A curated plan's lines: this cycle's picks for the subscriber, sharing the
+// locked box price between the bags
+const curatedRenewalLines = async (subscription, policy, session) => {
+  const plan = await SubscriptionPlan.findById(subscription.plan).session(session);
+  if (!plan || !plan.isActive) throw subscriptionError('This subscription plan is no longer offered');
+
+  const period = SubscriptionPlan.periodOf();
+  const cycle = plan.cycleFor(period);
+  if (!cycle?.products.length) throw subscriptionError(`${plan.name} has no coffees chosen for ${period} yet`);
+
+  const products = await Product.find({ _id: { $in: cycle.products } }).session(session);
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  const picks = selectCuratedCoffees(plan, cycle.products.map(id => byId.get(id.toString())), subscription.preferences, policy);
+  if (!picks.length) {
+    throw subscriptionError(`None of this month's ${plan.name} coffees are available to suit your preferences`);
+  }
+
+  // The same coffee picked twice is one line of two bags
+  const counts = new Map();
+  for (const product of picks) counts.set(product, (counts.get(product) || 0) + 1);
+  const bagPrice = roundMoney((subscription.planPrice ?? plan.price) / plan.bagCount);
+  const items = [...counts].map(([product, quantity]) => orderLine(product, plan.size, bagPrice, quantity));
+
+  return { items, substitutions: [], discount: 0, note: `Curated box: ${plan.name} (${period})` };
+};
+
+// Order lines and totals for the next delivery
+const priceRenewal = async (subscription, session) => {
+  const policy = await getFreshnessPolicy();
+  const { items, substitutions, discount, note } = subscription.plan
+    ? await curatedRenewalLines(subscription, policy, session)
+    : await fixedRenewalLines(subscription, policy, session);
+  const subtotal = items.reduce((sum, item) => sum + item.itemTotal, 0);
+
+  const shippingCost = calculateShipping({
+    country: subscription.shippingAddress?.country || 'Kenya',
+    county: subscription.shippingAddress?.county
+  });
+
+  return {
+    items,
+    substitutions,
+    note,
+    subtotal: roundMoney(subtotal),
+    discount: roundMoney(discount),
+    shippingCost,
+    total: roundMoney(subtotal - discount + shippingCost)
+  };
+};
+
+const sendCustomerEmail = async (subscription, subject, render) => {
+  const to = subscription.shippingAddress?.email;
+  if (!to) return;
+  try {
+    const settings = await Settings.getSettings();
+    await sendEmail({ to, subject, html: render(subscription.shippingAddress.firstName || 'Valued Customer', settings?.store?.logo) });
+  } catch (error) {
+    console.error(`❌ Subscription Email Error (${subject}):`, error.message);
+  }
+};
+
+/**
+ * Put a subscription on hold after its last retry failed. No more renewals
+ * until the customer resumes it.
+ */
+const suspendSubscription = async (subscription, reason) => {
+  subscription.status = 'suspended';
+  subscription.suspendedAt = new Date();
+  subscription.suspensionReason = reason;
+  subscription.dunning = null;
+  subscription.events.push({ type: 'suspended', note: reason });
+  await subscription.save();
+
+  console.warn(`⛔ [Subscription] ${subscription._id} suspended: ${reason}`);
+  await sendCustomerEmail(subscription, 'Your coffee subscription is on hold',
+    (name, logo) => getSubscriptionSuspendedEmail(name, { reason }, logo));
+};
+
+// A renewal that couldn't be placed: start or move along the retry schedule,
+// suspending after the last retry
+const recordRenewalFailure = async (subscriptionId, error) => {
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription) return;
+
+  const now = new Date();
+  const retrying = subscription.dunning?.stage === 'renewal';
+  const attempts = retrying ? subscription.dunning.attempts + 1 : 0;
+  const startedAt = retrying ? subscription.dunning.startedAt : now;
+
+  subscription.lastRenewalAttemptAt = now;
+  subscription.lastRenewalError = error.message;
+  subscription.events.push({ type: 'renewal_failed', note: error.message });
+
+  if (attempts >= DUNNING_RETRY_DAYS.length) {
+    await suspendSubscription(subscription, `We couldn't prepare your delivery: ${error.message}`);
+    return;
+  }
+
+  subscription.dunning = {
+    stage: 'renewal',
+    attempts,
+    startedAt,
+    nextAttemptAt: nextDunningAttempt(startedAt, attempts),
+    lastError: error.message
+  };
+  await subscription.save();
+};
+
+/**
+ * Place the next delivery of a due subscription as an order. The cycle is
+ * claimed (its billing date moved on) in the same transaction as the order and
+ * stock reservation, so a cycle is billed once and a failure leaves it due.
+ *
+ * M-Pesa renewals get a payment request on the customer's phone; every
+ * customer gets an email with a link to pay for or view the order. Unpaid
+ * online renewals are then chased by the payment retries (processPaymentDunning).
+ *
+ * @param {Document} subscription
+ * @returns {Promise<Document|null>} The renewal order, or null if it was already renewed
+ */
+export const renewSubscription = async (subscription) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let order;
+  let claimed;
+  let pricing;
+  try {
+    const now = new Date();
+    const dueDate = subscription.nextBillingDate;
+    claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', nextBillingDate: dueDate },
+      {
+        $set: {
+          nextBillingDate: nextDeliveryAfter(subscription.frequency, dueDate),
+          lastBillingDate: now,
+          lastRenewalAttemptAt: now
+        },
+        $unset: { lastRenewalError: 1 },
+        $inc: { renewalCount: 1 }
+      },
+      { new: true, session }
+    );
+    if (!claimed) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    pricing = await priceRenewal(claimed, session);
+    const paymentMethod = renewalPaymentMethod(claimed.paymentMethod);
+    const uuid = uuidv4().split('-')[0].toUpperCase();
+
+    order = new Order({
+      orderNumber: `SUB-${Date.now().toString().slice(-8)}-${uuid}`,
+      user: claimed.user,
+      items: pricing.items,
+      shippingAddress: claimed.shippingAddress,
+      subtotal: pricing.subtotal,
+      shippingCost: pricing.shippingCost,
+      tax: 0,
+      discountAmount: pricing.discount,
+      total: pricing.total,
+      isSubscription: true,
+      subscriptionFrequency: claimed.frequency,
+      subscription: claimed._id,
+      paymentMethod,
+      orderStatus: 'open',
+      paymentStatus: 'pending',
+      fulfillmentStatus: 'unfulfilled',
+      // COD is settled on delivery; online renewals are held through the payment retries
+      expiresAt: paymentMethod === 'cod' ? null : dunningDeadline(now),
+      orderEvents: [{
+        status: 'ORDER_CREATED',
+        note: `Subscription renewal #${claimed.renewalCount} (${claimed.frequency}) for the delivery due ${formatDate(dueDate)}` +
+          (pricing.note ? `. ${pricing.note}` : '') +
+          pricing.substitutions.map(swap => `. ${swap.to} sent instead of ${swap.from} (${swap.reason})`).join('')
+      }]
+    });
+    await order.save({ session });
+
+    for (const item of order.items) {
+      await reserveOrderLine(item, { order: order._id, user: claimed.user }, session);
+    }
+    if (order.isModified('items')) await order.save({ session });
+
+    if (claimed.dunning?.stage === 'renewal') {
+      claimed.events.push({ type: 'recovered', note: `Renewal went through after ${claimed.dunning.attempts + 1} attempt(s)` });
+    }
+    for (const swap of pricing.substitutions) {
+      claimed.events.push({ type: 'substituted', order: order._id, note: `${swap.to} instead of ${swap.from} (${swap.reason})` });
+    }
+    claimed.events.push({ type: 'renewed', order: order._id, note: `Order #${order.orderNumber} placed` });
+    claimed.lastRenewalOrder = order._id;
+    claimed.dunning = paymentMethod === 'cod' ? null : {
+      stage: 'payment',
+      order: order._id,
+      attempts: 0,
+      startedAt: now,
+      nextAttemptAt: nextDunningAttempt(now, 0)
+    };
+    await claimed.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    // The order is saved again by the payment request below, outside the transaction
+    order.$session(null);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    await recordRenewalFailure(subscription._id, error).catch(err =>
+      console.error(`❌ [Subscription] Could not record failed renewal of ${subscription._id}:`, err.message));
+    throw error;
+  }
+
+  console.log(`🔁 [Subscription] Renewed ${subscription._id} as order #${order.orderNumber}`);
+
+  if (order.paymentMethod === 'mpesa') {
+    try {
+      await initiatePayment(order, { phoneNumber: order.shippingAddress.phone });
+    } catch (error) {
+      console.warn(`⚠️ [Subscription] M-Pesa request for #${order.orderNumber} failed: ${error.message}`);
+    }
+  }
+  await sendCustomerEmail(claimed, `Your subscription delivery - Order #${order.orderNumber}`,
+    (name, logo) => getSubscriptionRenewalEmail(name, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      items: order.items,
+      total: order.total,
+      paymentMethod: order.paymentMethod,
+      nextBillingDate: claimed.nextBillingDate,
+      substitutions: pricing.substitutions
+    }, logo));
+
+  return order;
+};
+
+// Ask again for an unpaid renewal: an M-Pesa request for M-Pesa customers,
+// otherwise (or if the request can't be sent) an email with a payment link.
+// The last reminder always goes by email too, as it warns of the suspension.
+const sendPaymentReminder = async (subscription, order, finalNotice) => {
+  let prompted = false;
+  if (order.paymentMethod === 'mpesa') {
+    try {
+      await initiatePayment(order, { phoneNumber: order.shippingAddress.phone });
+      prompted = true;
+    } catch (error) {
+      console.warn(`⚠️ [Dunning] M-Pesa request for #${order.orderNumber} failed: ${error.message}`);
+    }
+  }
+  if (!prompted || finalNotice) {
+    await sendCustomerEmail(subscription, `${finalNotice ? 'Last reminder: ' : ''}Payment for your coffee delivery #${order.orderNumber}`,
+      (name, logo) => getSubscriptionPaymentReminderEmail(name, {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total,
+        deadline: dunningDeadline(subscription.dunning.startedAt),
+        finalNotice
+      }, logo));
+  }
+  return prompted ? 'M-Pesa request' : 'payment link email';
+};
+
+/**
+ * Payment retries for unpaid renewal orders: reminders after 1, 3 and 7 days,
+ * then the subscription is suspended once the order's hold runs out (the
+ * reservation worker releases the order itself at the same time).
+ */
+export const processPaymentDunning = async () => {
+  const now = new Date();
+  const inDunning = await Subscription.find({ status: { $in: ['active', 'paused'] }, 'dunning.stage': 'payment' })
+    .populate('dunning.order')
+    .limit(RENEWAL_BATCH_SIZE);
+
+  for (const subscription of inDunning) {
+    const { order, attempts, startedAt, nextAttemptAt } = subscription.dunning;
+    try {
+      if (!order || !['pending', 'failed'].includes(order.paymentStatus)) {
+        subscription.dunning = null;
+        if (order) {
+          subscription.events.push({ type: 'recovered', order: order._id, note: `Order #${order.orderNumber} paid${attempts ? ` after ${attempts} reminder(s)` : ''}` });
+        }
+        await subscription.save();
+        continue;
+      }
+
+      if (order.orderStatus === 'cancelled') {
+        if (order.orderEvents.some(event => event.status === 'ORDER_EXPIRED')) {
+          await suspendSubscription(subscription, `Payment for delivery #${order.orderNumber} wasn't received`);
+        } else {
+          // Cancelled by the customer or the shop: that delivery is simply skipped
+          subscription.dunning = null;
+          subscription.events.push({ type: 'skipped', order: order._id, note: `Order #${order.orderNumber} was cancelled` });
+          await subscription.save();
+        }
+        continue;
+      }
+
+      if (nextAttemptAt > now) continue;
+
+      if (attempts >= DUNNING_RETRY_DAYS.length) {
+        await suspendSubscription(subscription, `Payment for delivery #${order.orderNumber} wasn't received`);
+        continue;
+      }
+
+      // Claim this retry so it's only ever sent once
+      const claim = await Subscription.updateOne(
+        { _id: subscription._id, 'dunning.order': order._id, 'dunning.attempts': attempts },
+        {
+          $set: {
+            'dunning.attempts': attempts + 1,
+            'dunning.nextAttemptAt': nextDunningAttempt(startedAt, attempts + 1)
+          }
+        }
+      );
+      if (!claim.modifiedCount) continue;
+
+      const finalNotice = attempts + 1 === DUNNING_RETRY_DAYS.length;
+      const channel = await sendPaymentReminder(subscription, order, finalNotice);
+      await Subscription.updateOne({ _id: subscription._id }, {
+        $push: { events: { type: 'payment_reminder', order: order._id, note: `Reminder ${attempts + 1} of ${DUNNING_RETRY_DAYS.length} for #${order.orderNumber} (${channel})` } }
+      });
+      console.log(`📨 [Dunning] Reminder ${attempts + 1} for #${order.orderNumber} sent by ${channel}`);
+    } catch (error) {
+      console.error(`❌ [Dunning] Failed for subscription ${subscription._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Subscription worker: brings back paused subscriptions whose pause has ended,
+ * chases unpaid renewals, and renews every active subscription that's due. A
+ * renewal that couldn't be placed is retried on the dunning schedule.
+ */
+export const processDueSubscriptions = async () => {
+  try {
+    const now = new Date();
+
+    const resumed = await Subscription.updateMany(
+      { status: 'paused', pausedUntil: { $ne: null, $lte: now } },
+      {
+        $set: { status: 'active', pausedUntil: null },
+        $push: { events: { type: 'resumed', note: 'Pause ended' } }
+      }
+    );
+    if (resumed.modifiedCount) {
+      console.log(`▶️ [Subscription] ${resumed.modifiedCount} paused subscription(s) resumed`);
+    }
+
+    await processPaymentDunning();
+
+    // Curated boxes wait (without counting as a failure) until this month's coffees are chosen
+    const awaitingCuration = await SubscriptionPlan.find({
+      isActive: true,
+      cycles: { $not: { $elemMatch: { period: SubscriptionPlan.periodOf(now), 'products.0': { $exists: true } } } }
+    }).distinct('_id');
+    if (awaitingCuration.length) {
+      const waiting = await Subscription.countDocuments({ status: 'active', nextBillingDate: { $lte: now }, plan: { $in: awaitingCuration } });
+      if (waiting) console.warn(`🗓️ [Subscription] ${waiting} curated box(es) due but waiting for this month's coffees`);
+    }
+
+    // A subscription waiting on payment isn't renewed again until that's settled
+    const due = await Subscription.find({
+      status: 'active',
+      nextBillingDate: { $lte: now },
+      plan: { $nin: awaitingCuration },
+      $or: [
+        { dunning: null },
+        { 'dunning.stage': 'renewal', 'dunning.nextAttemptAt': { $lte: now } }
+      ]
+    })
+      .sort({ nextBillingDate: 1 })
+      .limit(RENEWAL_BATCH_SIZE);
+
+    if (!due.length) return;
+    console.log(`⏰ [Subscription] ${due.length} subscription(s) due for renewal`);
+
+    let renewed = 0;
+    for (const subscription of due) {
+      try {
+        if (await renewSubscription(subscription)) renewed++;
+      } catch (error) {
+        console.error(`❌ [Subscription] Renewal of ${subscription._id} failed:`, error.message);
+      }
+    }
+
+    console.log(`✅ [Subscription] Renewed ${renewed} of ${due.length} due subscription(s)`);
+  } catch (error) {
+    console.error('❌ [Subscription] Error during renewal run:', error);
+  }
+};
+
+// ── Customer self-service ─────────────────────────────────────────────────────
+
+const requireStatus = (subscription, statuses, action) => {
+  if (!statuses.includes(subscription.status)) {
+    throw subscriptionError(`A ${subscription.status} subscription can't be ${action}`);
+  }
+};
+
+/**
+ * Pause deliveries, indefinitely or until a date (then it resumes by itself).
+ */
+export const pauseSubscription = async (subscription, { until } = {}, user) => {
+  requireStatus(subscription, ['active'], 'paused');
+
+  let pausedUntil = null;
+  if (until) {
+    pausedUntil = new Date(until);
+    if (Number.isNaN(pausedUntil.getTime()) || pausedUntil <= new Date()) {
+      throw subscriptionError('Choose a date in the future to pause until');
+    }
+    // Nothing is delivered while paused
+    if (subscription.nextBillingDate < pausedUntil) subscription.nextBillingDate = pausedUntil;
+  }
+
+  subscription.status = 'paused';
+  subscription.pausedUntil = pausedUntil;
+  subscription.events.push({ type: 'paused', user, note: pausedUntil ? `Paused until ${formatDate(pausedUntil)}` : 'Paused' });
+  return subscription.save();
+};
+
+/**
+ * Resume a paused or suspended subscription. A delivery that fell due in the
+ * meantime goes out tomorrow; a renewal that kept failing starts afresh.
+ */
+export const resumeSubscription = async (subscription, user) => {
+  requireStatus(subscription, ['paused', 'suspended'], 'resumed');
+
+  subscription.status = 'active';
+  subscription.pausedUntil = null;
+  subscription.suspendedAt = undefined;
+  subscription.suspensionReason = undefined;
+  if (subscription.dunning?.stage === 'renewal') subscription.dunning = null;
+  subscription.nextBillingDate = notBeforeTomorrow(subscription.nextBillingDate);
+  subscription.events.push({ type: 'resumed', user, note: `Next delivery ${formatDate(subscription.nextBillingDate)}` });
+  return subscription.save();
+};
+
+/**
+ * Skip the next delivery; the one after goes out as normal.
+ */
+export const skipNextDelivery = async (subscription, user) => {
+  requireStatus(subscription, ['active'], 'skipped');
+
+  const skipped = subscription.nextBillingDate;
+  subscription.nextBillingDate = Subscription.calculateNextDate(subscription.frequency, skipped);
+  subscription.events.push({ type: 'skipped', user, note: `Delivery due ${formatDate(skipped)} skipped` });
+  return subscription.save();
+};
+
+/**
+ * Change how often deliveries come. The next one is worked out from the last
+ * delivery at the new frequency.
+ */
+export const changeFrequency = async (subscription, frequency, user) => {
+  requireStatus(subscription, ['active', 'paused', 'suspended'], 'changed');
+  if (!SUBSCRIPTION_FREQUENCIES.includes(frequency)) {
+    throw subscriptionError(`Frequency must be one of: ${SUBSCRIPTION_FREQUENCIES.join(', ')}`);
+  }
+  if (frequency === subscription.frequency) return subscription;
+  if (subscription.plan) {
+    const plan = await SubscriptionPlan.findById(subscription.plan).select('name frequencies');
+    if (plan && !plan.frequencies.includes(frequency)) {
+      throw subscriptionError(`${plan.name} is delivered ${plan.frequencies.join(' or ')}`);
+    }
+  }
+
+  const previous = subscription.frequency;
+  subscription.frequency = frequency;
+  subscription.nextBillingDate = notBeforeTomorrow(
+    Subscription.calculateNextDate(frequency, subscription.lastBillingDate || subscription.createdAt)
+  );
+  subscription.events.push({ type: 'frequency_changed', user, note: `${previous} → ${frequency}` });
+  return subscription.save();
+};
+
+/**
+ * Swap the coffees in a subscription. Coffees kept in the same size keep
+ * their locked price; new ones lock today's price. A renewal that was failing
+ * is tried again straight away with the new coffees.
+ *
+ * @param {Document} subscription
+ * @param {Array} items - [{ product, size, quantity }]
+ * @param {ObjectId} user
+ */
+export const changeProducts = async (subscription, items, user) => {
+  requireStatus(subscription, ['active', 'paused', 'suspended'], 'changed');
+  if (subscription.plan) {
+    throw subscriptionError('Curated plans choose the coffees for you — set your preferences instead');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw subscriptionError('Choose at least one coffee');
+  }
+  if (items.length > MAX_LINES) {
+    throw subscriptionError(`A subscription can have up to ${MAX_LINES} coffees`);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!(quantity >= 1 && quantity <= MAX_QUANTITY)) {
+      throw subscriptionError(`Quantities must be between 1 and ${MAX_QUANTITY}`);
+    }
+    const product = mongoose.isValidObjectId(item.product) ? await Product.findById(item.product) : null;
+    if (!product || !product.isActive || product.isGiftCard) {
+      throw subscriptionError('One of the chosen coffees is not available');
+    }
+    const variant = product.getVariant(item.size);
+    if (product.sizes?.length > 0 && !variant) {
+      throw subscriptionError(`${product.name} is not available in size ${item.size}`);
+    }
+    const size = variant?.size || item.size;
+
+    const kept = subscription.products.find(line => line.product.equals(product._id) && line.size === size);
+    lines.push({
+      product: product._id,
+      size,
+      quantity,
+      price: kept?.price ?? listPriceOf(product, size)
+    });
+  }
+
+  subscription.products = lines;
+  if (subscription.dunning?.stage === 'renewal') subscription.dunning = null;
+  subscription.events.push({ type: 'products_changed', user, note: `${lines.length} coffee${lines.length === 1 ? '' : 's'}` });
+  return subscription.save();
+};
+
+/**
+ * Set the roast levels and flavours the customer doesn't want picked for a
+ * curated box or sent as a substitute. A renewal that found nothing suitable
+ * is tried again straight away.
+ */
+export const updatePreferences = async (subscription, preferences, user) => {
+  requireStatus(subscription, ['active', 'paused', 'suspended'], 'changed');
+
+  subscription.preferences = cleanPreferences(preferences);
+  if (subscription.dunning?.stage === 'renewal') subscription.dunning = null;
+  const { excludedRoasts, excludedFlavors } = subscription.preferences;
+  subscription.events.push({
+    type: 'preferences_changed',
+    user,
+    note: [...excludedRoasts, ...excludedFlavors].length
+      ? `No ${[...excludedRoasts.map(roast => `${roast} roast`), ...excludedFlavors].join(', ')}`
+      : 'No exclusions'
+  });
+  return subscription.save();
+};
+
+/**
+ * Cancel for good. Orders already placed are not affected.
+ */
+export const cancelSubscription = async (subscription, { reason } = {}, user) => {
+  requireStatus(subscription, ['active', 'paused', 'suspended'], 'cancelled');
+
+  subscription.status = 'cancelled';
+  subscription.pausedUntil = null;
+  subscription.dunning = null;
+  subscription.cancelledAt = new Date();
+  subscription.cancellationReason = reason ? String(reason).slice(0, 500) : undefined;
+  subscription.events.push({ type: 'cancelled', user, note: subscription.cancellationReason });
+  return subscription.save();
+};
@@ -0,0 +1,351 @@
+// tests/paymentService.test.js
+// Sandbox payments end to end through services/paymentService.js: the order
+// starts a payment with initiatePayment, and the sandbox "gateway" callbacks
+// come back through handlePaymentCallback — the path checkout uses. The
+// collections the payment path reads and writes are kept in memory, so no
+// database is needed: run with `npm test`.
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// Read when the modules below load
+process.env.PAYMENT_SANDBOX = 'true';
+process.env.PAYMENT_SANDBOX_SECRET = 'sandbox-test-secret';
+
+// Anything not stood in for below fails at once instead of waiting on a connection
+mongoose.set('bufferCommands', false);
+
+const { default: Order } = await import('../models/Order.js');
+const { default: PaymentTransaction } = await import('../models/PaymentTransaction.js');
+const { default: WebhookEvent } = await import('../models/WebhookEvent.js');
+const { signPayload } = await import('../services/payments/paymentProvider.js');
+const {
+  initiatePayment,
+  handlePaymentCallback,
+  applyPaymentResult,
+  refreshPaymentStatus
+} = await import('../services/paymentService.js');
+
+// A query that can be awaited or chained like a Mongoose one
+const query = (value) => Object.assign(Promise.resolve(value), {
+  select() { return this; },
+  populate() { return this; },
+  session() { return this; }
+});
+
+let orders;
+let transactions;
+let webhookEvents;
+
+// In-memory orders, payment transactions and webhook claims, with the same
+// update semantics the payment service relies on
+const standInForCollections = () => {
+  orders = new Map();
+  transactions = new Map();
+  webhookEvents = new Map();
+
+  mock.method(Order.prototype, 'save', async function () { return this; });
+  mock.method(Order, 'findById', (id) => query(orders.get(String(id)) || null));
+  mock.method(Order, 'findByIdAndUpdate', (id, update) => {
+    const order = orders.get(String(id));
+    order.amountPaid += update.$inc.amountPaid;
+    order.payments.push(update.$push.payments);
+    return query(order);
+  });
+  // Gift cards: none of these orders has any to issue
+  mock.method(Order, 'findOneAndUpdate', () => query(null));
+
+  mock.method(PaymentTransaction, 'create', async (data) => {
+    const transaction = new PaymentTransaction(data);
+    transaction.createdAt = new Date();
+    transactions.set(transaction.transactionId, transaction);
+    return transaction;
+  });
+  mock.method(PaymentTransaction, 'findOneAndUpdate', (filter, update) => {
+    const transaction = transactions.get(filter.transactionId);
+    if (!transaction || transaction.type !== filter.type || filter.status.$nin.includes(transaction.status)) return query(null);
+    for (const [path, value] of Object.entries(update.$set)) transaction.set(path, value);
+    return query(transaction);
+  });
+  mock.method(PaymentTransaction, 'exists', (filter) => query(transactions.has(filter.transactionId) ? { _id: filter.transactionId } : null));
+
+  mock.method(WebhookEvent, 'claim', async (provider, eventId, reference) => {
+    const key = `${provider}:${eventId}`;
+    const seen = webhookEvents.get(key);
+    if (seen && seen.status !== 'failed') return null;
+    const event = { _id: key, provider, eventId, reference, status: 'processing' };
+    webhookEvents.set(key, event);
+    return event;
+  });
+  mock.method(WebhookEvent, 'updateOne', async ({ _id }, update) => {
+    Object.assign(webhookEvents.get(_id), update);
+    return { modifiedCount: 1 };
+  });
+};
+
+let orderCount = 0;
+const createOrder = (fields = {}) => {
+  orderCount++;
+  const order = new Order({
+    orderNumber: `ORD-TEST-${orderCount}`,
+    items: [{
+      product: new mongoose.Types.ObjectId(),
+      name: 'Kenya AA',
+      price: 1000,
+      quantity: 1,
+      image: '/default-product.jpg',
+      size: '250g',
+      itemTotal: 1000
+    }],
+    shippingAddress: {
+      firstName: 'Wanjiru',
+      lastName: 'Kamau',
+      email: 'wanjiru@example.com',
+      phone: '0712345678',
+      country: 'Kenya',
+      address: 'Moi Avenue'
+    },
+    subtotal: 1000,
+    total: 1000,
+    paymentMethod: 'mpesa',
+    ...fields
+  });
+  orders.set(String(order._id), order);
+  return order;
+};
+
+// Deliver what the sandbox "gateway" would post back, in order
+const deliverCallbacks = async (result) => {
+  const outcomes = [];
+  for (const callback of result.simulatedCallbacks) {
+    outcomes.push(await handlePaymentCallback('sandbox', callback));
+  }
+  return outcomes;
+};
+
+// A callback the sandbox signs for a result of our choosing
+const signedCallback = (body) => {
+  const rawBody = JSON.stringify(body);
+  return {
+    body,
+    rawBody: Buffer.from(rawBody),
+    headers: { 'x-sandbox-signature': signPayload(rawBody, process.env.PAYMENT_SANDBOX_SECRET) }
+  };
+};
+
+const eventStatuses = (order) => order.orderEvents.map(event => event.status);
+
+describe('sandbox payments', () => {
+  beforeEach(() => {
+    standInForCollections();
+    // Callbacks are delivered by the tests, not by initiatePayment's timers
+    mock.timers.enable({ apis: ['setTimeout'] });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('marks the order paid when the payment succeeds', async () => {
+    const order = createOrder();
+    const { transaction, result } = await initiatePayment(order, { phoneNumber: '0712345678' });
+
+    assert.equal(result.scenario, 'success');
+    assert.equal(transaction.status, 'PENDING');
+
+    const [outcome] = await deliverCallbacks(result);
+
+    assert.equal(outcome.applied, true);
+    assert.equal(transactions.get(result.reference).status, 'SUCCESS');
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.amountPaid, 1000);
+    assert.equal(order.payments.length, 1);
+    assert.equal(order.transactionId, `SBX${result.reference.slice(-8)}`);
+    assert.ok(eventStatuses(order).includes('PAYMENT_CONFIRMED'));
+  });
+
+  it('marks the order failed when the payment fails, and lets the customer retry', async () => {
+    const order = createOrder();
+    // Like a gateway's test numbers: ...0002 fails
+    const { result } = await initiatePayment(order, { phoneNumber: '0700000002' });
+    assert.equal(result.scenario, 'failure');
+
+    const [outcome] = await deliverCallbacks(result);
+
+    assert.equal(outcome.applied, true);
+    assert.equal(transactions.get(result.reference).status, 'FAILED');
+    assert.equal(order.paymentStatus, 'failed');
+    assert.equal(order.amountPaid, 0);
+    assert.ok(eventStatuses(order).includes('PAYMENT_FAILED'));
+
+    const retry = await initiatePayment(order, { scenario: 'success' });
+    await deliverCallbacks(retry.result);
+
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.amountPaid, 1000);
+  });
+
+  it('leaves the order pending when the gateway never answers', async () => {
+    const order = createOrder();
+    const { transaction, result } = await initiatePayment(order, { scenario: 'timeout' });
+
+    assert.deepEqual(result.simulatedCallbacks, []);
+
+    // Polling long after the callback was due still finds nothing settled
+    transaction.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+    const refreshed = await refreshPaymentStatus(transaction);
+
+    assert.equal(refreshed.status, 'PENDING');
+    assert.equal(order.paymentStatus, 'pending');
+    assert.equal(order.amountPaid, 0);
+    assert.equal(order.payments.length, 0);
+  });
+
+  it('applies a callback delivered twice only once', async () => {
+    const order = createOrder();
+    const { result } = await initiatePayment(order, { scenario: 'duplicate' });
+    assert.equal(result.simulatedCallbacks.length, 2);
+
+    const [first, second] = await deliverCallbacks(result);
+
+    assert.equal(first.applied, true);
+    assert.equal(second.applied, false);
+    assert.equal(second.reason, 'duplicate_event');
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.amountPaid, 1000);
+    assert.equal(order.payments.length, 1);
+  });
+
+  it('ignores a callback replayed after a status check already applied the payment', async () => {
+    const order = createOrder();
+    const { transaction, result } = await initiatePayment(order, { scenario: 'success' });
+
+    // The status poll gets there first...
+    transaction.createdAt = new Date(Date.now() - 60 * 60 * 1000);
+    await refreshPaymentStatus(transaction);
+    assert.equal(order.paymentStatus, 'paid');
+
+    // ...then the gateway's callback arrives, and is replayed again later
+    const [late] = await deliverCallbacks(result);
+    const replay = await handlePaymentCallback('sandbox', result.simulatedCallbacks[0]);
+
+    assert.equal(late.applied, false);
+    assert.equal(late.reason, 'duplicate');
+    assert.equal(replay.reason, 'duplicate_event');
+    assert.equal(order.amountPaid, 1000);
+    assert.equal(order.payments.length, 1);
+
+    // Applying the same result directly is just as harmless
+    const direct = await applyPaymentResult({ reference: result.reference, status: 'SUCCESS', amount: 1000 });
+    assert.equal(direct.reason, 'duplicate');
+    assert.equal(order.amountPaid, 1000);
+  });
+
+  it('flags a second successful attempt on a paid order for a refund', async () => {
+    const order = createOrder();
+    const first = await initiatePayment(order, { scenario: 'timeout' });
+    const second = await initiatePayment(order, { scenario: 'success' });
+    await deliverCallbacks(second.result);
+    assert.equal(order.paymentStatus, 'paid');
+
+    // The first attempt was paid after all
+    const late = await applyPaymentResult({ reference: first.result.reference, status: 'SUCCESS', amount: 1000 });
+
+    assert.equal(late.applied, false);
+    assert.equal(order.amountPaid, 1000);
+    assert.ok(eventStatuses(order).includes('PAYMENT_UNAPPLIED'));
+  });
+
+  it('keeps a part payment as partially paid until the balance arrives', async () => {
+    const order = createOrder({ depositAmount: 400 });
+
+    const deposit = await initiatePayment(order, { scenario: 'success' });
+    assert.equal(deposit.transaction.amount, 400);
+    const [outcome] = await deliverCallbacks(deposit.result);
+
+    assert.equal(outcome.applied, true);
+    assert.equal(order.paymentStatus, 'partially_paid');
+    assert.equal(order.amountPaid, 400);
+    assert.equal(order.balanceDue, 600);
+    assert.ok(eventStatuses(order).includes('PAYMENT_PARTIAL'));
+
+    const balance = await initiatePayment(order, { scenario: 'success' });
+    assert.equal(balance.transaction.amount, 600);
+    await deliverCallbacks(balance.result);
+
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.amountPaid, 1000);
+    assert.equal(order.balanceDue, 0);
+    assert.equal(order.payments.length, 2);
+  });
+
+  it('records an overpayment as credit owed to the customer', async () => {
+    const order = createOrder();
+    const { result } = await initiatePayment(order, { scenario: 'success' });
+
+    // The gateway reports more than was asked for
+    const [outcome] = await deliverCallbacks({
+      simulatedCallbacks: [signedCallback({ reference: result.reference, status: 'SUCCESS', amount: 1500, receipt: 'SBXOVER001' })]
+    });
+
+    assert.equal(outcome.applied, true);
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.amountPaid, 1500);
+    assert.equal(order.overpaidAmount, 500);
+    assert.ok(eventStatuses(order).includes('OVERPAYMENT_CREDIT'));
+  });
+
+  it('treats an overpayment within the rounding tolerance as exact', async () => {
+    const order = createOrder({ total: 999.6, subtotal: 999.6 });
+    const { result } = await initiatePayment(order, { scenario: 'success' });
+
+    await deliverCallbacks({
+      simulatedCallbacks: [signedCallback({ reference: result.reference, status: 'SUCCESS', amount: 1000 })]
+    });
+
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.overpaidAmount, 0);
+  });
+
+  it('refuses callbacks with a bad signature', async () => {
+    const order = createOrder();
+    const { result } = await initiatePayment(order, { scenario: 'success' });
+    const forged = { ...result.simulatedCallbacks[0], headers: { 'x-sandbox-signature': 't=1,v1=forged' } };
+
+    await assert.rejects(handlePaymentCallback('sandbox', forged), { statusCode: 401 });
+    assert.equal(order.paymentStatus, 'pending');
+  });
+
+  it('refuses sandbox callbacks unless the sandbox is switched on', async () => {
+    const order = createOrder();
+    const { result } = await initiatePayment(order, { scenario: 'success' });
+
+    delete process.env.PAYMENT_SANDBOX;
+    try {
+      await assert.rejects(handlePaymentCallback('sandbox', result.simulatedCallbacks[0]), { statusCode: 404 });
+    } finally {
+      process.env.PAYMENT_SANDBOX = 'true';
+    }
+    assert.equal(order.paymentStatus, 'pending');
+  });
+});
+
+describe('gateway callbacks', () => {
+  it('refuses M-Pesa and Airtel callbacks when no callback token is configured', async () => {
+    const mpesa = { query: {}, headers: {}, body: { Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1', ResultCode: 0 } } } };
+    const airtel = { query: {}, headers: {}, body: { transaction: { id: 'AIR-1', status_code: 'TS' } } };
+
+    await assert.rejects(handlePaymentCallback('mpesa', mpesa), { statusCode: 401 });
+    await assert.rejects(handlePaymentCallback('airtel', airtel), { statusCode: 401 });
+  });
+
+  it('refuses Stripe webhooks when no signing secret is configured', async () => {
+    const body = { id: 'evt_1', type: 'checkout.session.completed', data: { object: { id: 'cs_1' } } };
+    const unsigned = { headers: {}, body, rawBody: Buffer.from(JSON.stringify(body)) };
+
+    await assert.rejects(handlePaymentCallback('stripe', unsigned), { statusCode: 401 });
+  });
+});
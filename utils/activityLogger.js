@@ -78,6 +78,33 @@ export const logActivity = async (req, action, entityName, entityId = null, deta
     }
 };
 
+/**
+ * Logs something that happened without a signed-in admin, such as a payment
+ * webhook being rejected. Shown as "System" in the activity log.
+ *
+ * @param {Object} req - Express request object
+ * @param {String} action - Action type (e.g. 'WEBHOOK_REJECTED')
+ * @param {String} entityName - Name of the affected entity
+ * @param {String|null} entityId - ID of the entity
+ * @param {Object} details - Extra metadata
+ */
+export const logSystemActivity = async (req, action, entityName, entityId = null, details = {}) => {
+    try {
+        await ActivityLog.create({
+            admin: null,
+            action,
+            entityName,
+            entityId: entityId ? entityId.toString() : null,
+            details: { ...details, system: true }, // Tells it apart from a deleted admin's entries
+            ipAddress: req.ip || req.connection?.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+        console.log(`📝 [ActivityLog] Logged: ${action} by system`);
+    } catch (error) {
+        console.error('❌ [ActivityLog] Failed to save log:', error.message);
+    }
+};
+
 // ─── Alert Super Admin of a high-risk action ─────────────────────────────────
 const alertSuperAdmin = async ({ adminUser, action, entityName, ip, details }) => {
     try {
@@ -1,9 +1,9 @@
 import { sendEmail } from './emailService.js';
 
 /**
- * Notify admin when stock is low for a product
+ * Notify admin when stock is low for a product (or one of its sizes)
  */
-export const sendLowStockAlert = async (product) => {
+export const sendLowStockAlert = async (product, variant = null) => {
     const adminEmail = process.env.SUPER_ADMIN_EMAIL || process.env.EMAIL_USER;
 
     if (!adminEmail) {
@@ -11,21 +11,23 @@ export const sendLowStockAlert = async (product) => {
         return;
     }
 
+    const productName = variant ? `${product.name} (${variant.size})` : product.name;
+
     const emailOptions = {
         email: adminEmail,
-        subject: `⚠️ Low Stock Alert: ${product.name}`,
+        subject: `⚠️ Low Stock Alert: ${productName}`,
         template: 'lowStockAlert',
         context: {
-            productName: product.name,
-            currentStock: product.inventory.stock,
-            threshold: product.inventory.lowStockAlert,
+            productName,
+            currentStock: variant ? variant.stock : product.inventory.stock,
+            threshold: variant ? variant.lowStockAlert : product.inventory.lowStockAlert,
             productUrl: `${process.env.FRONTEND_URL}/admin/products/${product._id}`
         }
     };
 
     try {
         await sendEmail(emailOptions);
-        console.log(`📧 Low stock alert sent for ${product.name} to ${adminEmail}`);
+        console.log(`📧 Low stock alert sent for ${productName} to ${adminEmail}`);
     } catch (error) {
         console.error('❌ Failed to send low stock alert:', error.message);
     }
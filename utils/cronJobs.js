@@ -2,10 +2,12 @@ import Contact from '../models/Contact.js';
 import AbandonedCheckout from '../models/AbandonedCheckout.js';
 import User from '../models/User.js';
 import Settings from '../models/Settings.js';
+import Order from '../models/Order.js';
+import { releaseOrderStock } from './stockReservation.js';
+import { awardBirthdayPoints, expireLoyaltyPoints } from '../services/loyaltyService.js';
 import sendEmail from './sendEmail.js';
 import { getFraudAlert } from './emailTemplates.js';
-// TODO: Install node-cron package and enable subscription cron
-// import startSubscriptionCron from '../scripts/subscriptionCron.js';
+import { processDueSubscriptions } from '../services/subscriptionService.js';
 
 // ── Config ────────────────────────────────────────────────────────────────────
 const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 hours
@@ -16,6 +18,16 @@ const FRAUD_CHECK_INTERVAL_MS = 12 * 60 * 60 * 1000; // Run every 12 hours
 const FRAUD_WINDOW_HOURS = 72;    // Look at last 72 hours
 const FRAUD_THRESHOLD = 3;     // 3+ failures = suspicious
 
+// Reservation release config
+const RESERVATION_CHECK_INTERVAL_MS = 5 * 60 * 1000; // Run every 5 minutes
+const RESERVATION_BATCH_SIZE = 100;
+
+// Loyalty points config
+const LOYALTY_INTERVAL_MS = 24 * 60 * 60 * 1000; // Birthdays & expiry once a day
+
+// Subscription renewal config
+const SUBSCRIPTION_INTERVAL_MS = 60 * 60 * 1000; // Renew due subscriptions hourly
+
 // ── Contact Cleanup ───────────────────────────────────────────────────────────
 const cleanupRepliedContacts = async () => {
     try {
@@ -138,6 +150,59 @@ const checkCardFraud = async () => {
     }
 };
 
+// ── Reservation Release ───────────────────────────────────────────────────────
+// Unpaid online orders hold stock until expiresAt; after that they're cancelled
+// and every line (bundle components included) goes back to inventory.
+const EXPIRABLE_ORDER = {
+    orderStatus: 'open',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    paymentMethod: { $ne: 'cod' }
+};
+
+const releaseExpiredReservations = async () => {
+    try {
+        const expired = await Order.find({
+            ...EXPIRABLE_ORDER,
+            expiresAt: { $ne: null, $lte: new Date() },
+            stockReleasedAt: null
+        })
+            .select('_id orderNumber')
+            .limit(RESERVATION_BATCH_SIZE);
+
+        if (!expired.length) return;
+
+        console.log(`⏳ [ReservationCron] ${expired.length} unpaid order(s) past their reservation window`);
+
+        let released = 0;
+        for (const order of expired) {
+            try {
+                // Conditions are re-checked in the claim, so a payment landing mid-run wins
+                const result = await releaseOrderStock(order._id, {
+                    reason: 'reservation_expired',
+                    note: 'Payment not received in time — order cancelled and stock released',
+                    eventStatus: 'ORDER_EXPIRED',
+                    filter: EXPIRABLE_ORDER,
+                    set: { orderStatus: 'cancelled' }
+                });
+                if (result.released) released++;
+            } catch (orderErr) {
+                console.error(`❌ [ReservationCron] Failed to release #${order.orderNumber}:`, orderErr.message);
+            }
+        }
+
+        console.log(`✅ [ReservationCron] Released stock for ${released} expired order(s).`);
+    } catch (error) {
+        console.error('❌ [ReservationCron] Error during reservation release:', error);
+    }
+};
+
+// ── Loyalty Points ────────────────────────────────────────────────────────────
+// Birthday bonuses (once a year each) and expiry of unspent points.
+const runLoyaltyJobs = async () => {
+    await awardBirthdayPoints();
+    await expireLoyaltyPoints();
+};
+
 // ── Start All Cron Jobs ───────────────────────────────────────────────────────
 export const startCronJobs = () => {
     console.log(`⏰ [Cron] System initialized. Old contacts (> ${DELETE_AGE_DAYS} days) will be auto-deleted.`);
@@ -152,10 +217,24 @@ export const startCronJobs = () => {
         setInterval(checkCardFraud, FRAUD_CHECK_INTERVAL_MS);
     }, 30_000);
 
-    // Subscription Engine
-    // TODO: Enable when node-cron is installed
-    // startSubscriptionCron();
+    // Reservation release — every 5 min, after the DB connection settles
+    setTimeout(() => {
+        releaseExpiredReservations();
+        setInterval(releaseExpiredReservations, RESERVATION_CHECK_INTERVAL_MS);
+    }, 30_000);
+
+    // Loyalty points — daily, after the DB connection settles
+    setTimeout(() => {
+        runLoyaltyJobs();
+        setInterval(runLoyaltyJobs, LOYALTY_INTERVAL_MS);
+    }, 30_000);
+
+    // Subscription renewals — hourly, after the DB connection settles
+    setTimeout(() => {
+        processDueSubscriptions();
+        setInterval(processDueSubscriptions, SUBSCRIPTION_INTERVAL_MS);
+    }, 30_000);
 
-    console.log('✅ [Cron] All jobs started: Contact Cleanup • Fraud Detection • Subscription Engine');
+    console.log('✅ [Cron] All jobs started: Contact Cleanup • Fraud Detection • Reservation Release • Loyalty Points • Subscription Engine');
 };
 
@@ -154,7 +154,8 @@ export const getOrderStatusEmail = (name, orderNumber, status, trackingNumber, m
   return getBaseTemplate(`Order ${statusTitle} - #${orderNumber}`, content, { logoUrl });
 };
 
-export const getOrderConfirmationEmail = (name, orderNumber, items, total, trackingNumber, logoUrl) => {
+// trackUrl: a guest's private order link; members use the public portal
+export const getOrderConfirmationEmail = (name, orderNumber, items, total, trackingNumber, logoUrl, trackUrl) => {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
   const content = `
     <h1>Order Confirmed</h1>
@@ -181,14 +182,212 @@ export const getOrderConfirmationEmail = (name, orderNumber, items, total, track
       </div>
     </div>
 
-    <p>You can track your order live at any time using our public portal:</p>
+    <p>${trackUrl
+      ? 'Track your order and download your receipt with your private link below. Keep this email — the link is your key to the order. Create an account with this email address and the order will be added to it.'
+      : 'You can track your order live at any time using our public portal:'}</p>
     <div style="text-align: center;">
-      <a href="${frontendUrl}/track-order" class="premium-btn">Track Live Status</a>
+      <a href="${trackUrl || `${frontendUrl}/track-order`}" class="premium-btn">Track Live Status</a>
     </div>
   `;
   return getBaseTemplate(`Confirmation #${orderNumber} - Rerendet Coffee`, content, { logoUrl });
 };
 
+export const getCreditNoteEmail = (name, { orderNumber, refundNumber, lines, shippingAmount, amount, reason, paymentMethod, issuedAt }, logoUrl) => {
+  const content = `
+    <h1>Credit Note</h1>
+    <p>Dear ${name},</p>
+    <p>We've issued a refund against your order <strong>#${orderNumber}</strong>. Here is your credit note for your records.</p>
+
+    <div class="info-card">
+      <span class="info-card-title">CREDIT NOTE ${refundNumber} · ${new Date(issuedAt).toLocaleDateString('en-KE')}</span>
+      ${lines.map(line => `
+        <div style="display: flex; justify-content: space-between; margin-bottom: 12px; border-bottom: 1px solid rgba(0,0,0,0.05); padding-bottom: 12px;">
+          <span style="font-weight: 500;">${line.name}${line.size ? ` (${line.size})` : ''} <span style="color: #999;">x${line.quantity}</span></span>
+          <strong>KES ${line.amount.toLocaleString()}</strong>
+        </div>
+      `).join('')}
+      ${shippingAmount > 0 ? `
+        <div style="display: flex; justify-content: space-between; margin-bottom: 12px; border-bottom: 1px solid rgba(0,0,0,0.05); padding-bottom: 12px;">
+          <span style="font-weight: 500;">Shipping</span>
+          <strong>KES ${shippingAmount.toLocaleString()}</strong>
+        </div>
+      ` : ''}
+      <div style="display: flex; justify-content: space-between; margin-top: 20px; font-weight: 800; font-size: 22px; color: #D4AF37;">
+        <span>Amount Refunded</span>
+        <span>KES ${amount.toLocaleString()}</span>
+      </div>
+    </div>
+
+    <p><strong>Reason:</strong> ${reason}</p>
+    <p>The refund goes back to your original payment method (${paymentMethod}). Depending on your provider it may take a few business days to reflect.</p>
+  `;
+  return getBaseTemplate(`Credit Note ${refundNumber} - Order #${orderNumber}`, content, { logoUrl });
+};
+
+export const getGiftCardEmail = (name, { code, amount, expiresAt, senderName, message }, logoUrl) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const content = `
+    <h1>You've Got a Gift Card</h1>
+    <p>Dear ${name},</p>
+    <p>${senderName ? `<strong>${senderName}</strong> has sent you` : 'Here is'} a Rerendet Coffee gift card worth <strong>KES ${amount.toLocaleString()}</strong>.</p>
+
+    ${message ? `<div class="info-card"><span class="info-card-title">A NOTE FOR YOU</span><p style="margin: 0;">${message}</p></div>` : ''}
+
+    <div style="margin: 30px 0; padding: 20px; border: 1px dashed #D4AF37; border-radius: 12px; text-align: center; background: #FFFDF5;">
+      <span class="info-card-title">YOUR GIFT CARD CODE</span>
+      <span style="font-family: 'Courier New', Courier, monospace; font-size: 24px; font-weight: 800; color: #111111; display: block; margin: 10px 0; letter-spacing: 3px;">${code}</span>
+      <p style="margin: 5px 0 0; font-size: 11px; color: #999; text-transform: uppercase; letter-spacing: 1px;">
+        Enter this code at checkout${expiresAt ? ` · valid until ${new Date(expiresAt).toLocaleDateString('en-KE')}` : ''}
+      </p>
+    </div>
+
+    <div style="text-align: center;">
+      <a href="${frontendUrl}/#coffee-shop" class="premium-btn">Start Shopping</a>
+    </div>
+  `;
+  return getBaseTemplate(`KES ${amount.toLocaleString()} Gift Card - Rerendet Coffee`, content, { logoUrl });
+};
+
+export const getReferralRewardEmail = (name, { role, friendName, kind, amount, couponCode, expiresAt }, logoUrl) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const reason = role === 'referrer'
+    ? `Your friend <strong>${friendName}</strong> just placed their first order with us — thank you for spreading the word.`
+    : `Welcome aboard! Thanks to <strong>${friendName}</strong>'s invite, your first order has earned you a reward.`;
+
+  const content = `
+    <h1>You've Earned a Referral Reward</h1>
+    <p>Dear ${name},</p>
+    <p>${reason}</p>
+
+    ${couponCode ? `
+      <div style="margin: 30px 0; padding: 20px; border: 1px dashed #D4AF37; border-radius: 12px; text-align: center; background: #FFFDF5;">
+        <span class="info-card-title">KES ${amount.toLocaleString()} OFF YOUR NEXT ORDER</span>
+        <span style="font-family: 'Courier New', Courier, monospace; font-size: 24px; font-weight: 800; color: #111111; display: block; margin: 10px 0; letter-spacing: 3px;">${couponCode}</span>
+        <p style="margin: 5px 0 0; font-size: 11px; color: #999; text-transform: uppercase; letter-spacing: 1px;">
+          Enter this code at checkout${expiresAt ? ` · valid until ${new Date(expiresAt).toLocaleDateString('en-KE')}` : ''}
+        </p>
+      </div>
+    ` : `
+      <div class="info-card">
+        <span class="info-card-title">STORE CREDIT ADDED</span>
+        <p style="margin: 0;"><strong>KES ${amount.toLocaleString()}</strong> is now in your account and can be used at checkout.</p>
+      </div>
+    `}
+
+    <div style="text-align: center;">
+      <a href="${frontendUrl}/account" class="premium-btn">Invite More Friends</a>
+    </div>
+  `;
+  return getBaseTemplate('Your Referral Reward - Rerendet Coffee', content, { logoUrl });
+};
+
+export const getSubscriptionRenewalEmail = (name, { orderId, orderNumber, items, total, paymentMethod, nextBillingDate, substitutions = [] }, logoUrl) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const payment = paymentMethod === 'cod'
+    ? `Please have <strong>KES ${total.toLocaleString()}</strong> ready when it arrives.`
+    : paymentMethod === 'mpesa'
+      ? `We've sent an M-Pesa request for <strong>KES ${total.toLocaleString()}</strong> to your phone. If you missed it, you can pay from your order page.`
+      : `Please pay <strong>KES ${total.toLocaleString()}</strong> from your order page so we can send it out.`;
+
+  const content = `
+    <h1>Your Subscription Renewal</h1>
+    <p>Dear ${name},</p>
+    <p>Your next coffee delivery is on its way to the roastery floor as order <strong>#${orderNumber}</strong>.</p>
+
+    <div class="info-card">
+      <span class="info-card-title">IN THIS DELIVERY</span>
+      ${items.map(item => `<p style="margin: 0 0 6px;">${item.quantity} × ${item.name} (${item.size})</p>`).join('')}
+    </div>
+
+    ${substitutions.length ? `
+      <div class="info-card">
+        <span class="info-card-title">A SMALL SWAP THIS TIME</span>
+        ${substitutions.map(swap => `<p style="margin: 0 0 6px;">${swap.from} isn't available right now, so we've sent <strong>${swap.to}</strong> instead. Your subscription stays the same.</p>`).join('')}
+      </div>
+    ` : ''}
+
+    <p>${payment}</p>
+    ${nextBillingDate ? `<p>Your following delivery is scheduled for <strong>${new Date(nextBillingDate).toLocaleDateString('en-KE', { day: 'numeric', month: 'long' })}</strong>. You can pause, skip or change it any time from your account.</p>` : ''}
+
+    <div style="text-align: center;">
+      <a href="${frontendUrl}/order-confirmation/${orderId}" class="premium-btn">${paymentMethod === 'cod' ? 'View Order' : 'Pay For This Delivery'}</a>
+    </div>
+  `;
+  return getBaseTemplate('Your Subscription Renewal - Rerendet Coffee', content, { logoUrl });
+};
+
+export const getSubscriptionPaymentReminderEmail = (name, { orderId, orderNumber, total, deadline, finalNotice }, logoUrl) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const by = new Date(deadline).toLocaleDateString('en-KE', { day: 'numeric', month: 'long' });
+
+  const content = `
+    <h1>${finalNotice ? 'Last Reminder: ' : ''}Your Delivery Is Waiting</h1>
+    <p>Dear ${name},</p>
+    <p>We haven't received payment of <strong>KES ${total.toLocaleString()}</strong> for your subscription delivery, order <strong>#${orderNumber}</strong>. Your coffee is set aside for you until <strong>${by}</strong>.</p>
+    ${finalNotice
+      ? '<p>If it isn\'t paid by then, we\'ll release the order and put your subscription on hold. You can resume it from your account whenever you like.</p>'
+      : '<p>It only takes a moment to pay from your order page.</p>'}
+
+    <div style="text-align: center;">
+      <a href="${frontendUrl}/order-confirmation/${orderId}" class="premium-btn">Pay For This Delivery</a>
+    </div>
+  `;
+  return getBaseTemplate('Payment Reminder - Rerendet Coffee', content, { logoUrl });
+};
+
+export const getSubscriptionSuspendedEmail = (name, { reason }, logoUrl) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const content = `
+    <h1>Your Subscription Is On Hold</h1>
+    <p>Dear ${name},</p>
+    <p>We've put your coffee subscription on hold and won't send further deliveries for now.</p>
+    <div class="info-card">
+      <span class="info-card-title">WHY</span>
+      <p style="margin: 0;">${reason}</p>
+    </div>
+    <p>Nothing more will be charged. When you're ready, resume it from your account and we'll pick up where we left off.</p>
+
+    <div style="text-align: center;">
+      <a href="${frontendUrl}/account?tab=subscriptions" class="premium-btn">Manage Subscription</a>
+    </div>
+  `;
+  return getBaseTemplate('Subscription On Hold - Rerendet Coffee', content, { logoUrl });
+};
+
+export const getReturnUpdateEmail = (name, { rmaNumber, orderNumber, status, returnCode, message }, logoUrl) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const titles = {
+    requested: 'Return Requested',
+    approved: 'Return Approved',
+    rejected: 'Return Not Approved',
+    received: 'Return Received'
+  };
+  const title = titles[status] || 'Return Update';
+
+  const content = `
+    <h1>${title}</h1>
+    <p>Dear ${name},</p>
+    <p>Your return request <strong>${rmaNumber}</strong> for order <strong>#${orderNumber}</strong> has been updated.</p>
+
+    ${returnCode ? `
+      <div style="margin: 30px 0; padding: 20px; border: 1px dashed #D4AF37; border-radius: 12px; text-align: center; background: #FFFDF5;">
+        <span class="info-card-title">YOUR RETURN CODE</span>
+        <span style="font-family: 'Courier New', Courier, monospace; font-size: 28px; font-weight: 800; color: #111111; display: block; margin: 10px 0; letter-spacing: 4px;">${returnCode}</span>
+        <p style="margin: 5px 0 0; font-size: 11px; color: #999; text-transform: uppercase; letter-spacing: 1px;">Write this code clearly on the outside of the parcel</p>
+      </div>
+    ` : ''}
+
+    ${message ? `<div class="info-card"><p style="margin: 0;">${message}</p></div>` : ''}
+
+    <div style="text-align: center;">
+      <a href="${frontendUrl}/account" class="premium-btn">View My Returns</a>
+    </div>
+  `;
+  return getBaseTemplate(`${title} - ${rmaNumber}`, content, { logoUrl });
+};
+
 export const getMaintenanceEmail = (message, logoUrl) => {
   const content = `
     <h1>Store Maintenance</h1>
@@ -0,0 +1,79 @@
+// utils/freshness.js
+// Roast-age rules for the storefront: badge every roasted item with its age,
+// mark it down once it is past its best, and pull it from sale past the limit.
+import Settings from '../models/Settings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current freshness policy from Settings (plain object, null when disabled).
+ */
+export const getFreshnessPolicy = async () => {
+  const settings = await Settings.getSettings();
+  const policy = settings.toObject().freshness;
+  if (!policy?.enabled) return null;
+  return { ...policy, categories: (policy.categories || []).filter(Boolean) };
+};
+
+/**
+ * Where a product sits in the policy, or null when the policy doesn't apply
+ * (disabled, other category, or no roast date recorded).
+ * @returns {{ roastDate, daysSinceRoast, label, stage: 'fresh'|'markdown'|'expired', markdownPercent }|null}
+ */
+export const getFreshness = (product, policy, now = new Date()) => {
+  if (!policy || !product?.roastDate) return null;
+  if (policy.categories?.length && !policy.categories.includes(product.category)) return null;
+
+  const daysSinceRoast = Math.max(0, Math.floor((now - new Date(product.roastDate)) / DAY_MS));
+
+  let stage = 'fresh';
+  if (daysSinceRoast > policy.pullAfterDays) stage = 'expired';
+  else if (daysSinceRoast > policy.bestWithinDays && policy.markdownPercent > 0) stage = 'markdown';
+
+  return {
+    roastDate: product.roastDate,
+    daysSinceRoast,
+    label: daysSinceRoast === 0
+      ? 'Roasted today'
+      : `Roasted ${daysSinceRoast} day${daysSinceRoast === 1 ? '' : 's'} ago`,
+    stage,
+    markdownPercent: stage === 'markdown' ? policy.markdownPercent : 0
+  };
+};
+
+/**
+ * Price after any freshness markdown (whole shillings).
+ */
+export const freshnessPrice = (price, freshness) => {
+  if (!freshness?.markdownPercent) return price;
+  return Math.round(price * (100 - freshness.markdownPercent) / 100);
+};
+
+/**
+ * Mongo condition that leaves out items pulled from sale by the policy.
+ */
+export const saleableFilter = (policy, now = new Date()) => {
+  if (!policy) return {};
+  const cutoff = new Date(now.getTime() - (policy.pullAfterDays + 1) * DAY_MS);
+  const conditions = [{ roastDate: null }, { roastDate: { $gt: cutoff } }];
+  if (policy.categories?.length) conditions.push({ category: { $nin: policy.categories } });
+  return { $or: conditions };
+};
+
+/**
+ * Attach `freshness` to a product and apply any markdown to its size prices
+ * (the list price is kept as originalPrice). Accepts a document or lean object.
+ */
+export const applyFreshness = (product, policy) => {
+  const plain = product?.toObject ? product.toObject() : product;
+  const freshness = getFreshness(plain, policy);
+  if (!freshness) return plain;
+
+  return {
+    ...plain,
+    freshness,
+    sizes: freshness.markdownPercent
+      ? (plain.sizes || []).map(s => ({ ...s, originalPrice: s.price, price: freshnessPrice(s.price, freshness) }))
+      : plain.sizes
+  };
+};
@@ -33,6 +33,17 @@ const textRight = (doc, text, y, rightEdge = 545) => {
     doc.text(text, rightEdge - 140, y, { width: 140, align: 'right' });
 };
 
+const PAYMENT_LABELS = { mpesa: 'M-Pesa', airtel: 'Airtel Money', airtel_money: 'Airtel Money', card: 'Card', cod: 'Cash on Delivery', paypal: 'PayPal', gift_card: 'Gift Card', store_credit: 'Store Credit' };
+const paymentLabel = (method) => PAYMENT_LABELS[method?.toLowerCase()] || method?.toUpperCase() || '—';
+
+// Every method the order is (being) paid with — split orders have more than one
+const paymentMethodsOf = (order) => {
+    const methods = (order.payments || []).map(p => p.method);
+    if (!methods.length) methods.push(order.paymentMethod);
+    if (order.balancePaymentMethod && order.paymentStatus !== 'paid') methods.push(order.balancePaymentMethod);
+    return [...new Set(methods.map(paymentLabel))].join(' + ');
+};
+
 /**
  * generateInvoice(order, res?)
  * - streams PDF to res if provided
@@ -110,14 +121,13 @@ export const generateInvoice = (order, res = null) => {
             // Payment method column
             doc.font('Helvetica-Bold').fontSize(7).fillColor(C.textLight)
                 .text('PAYMENT METHOD', 370, metaY, { characterSpacing: 1.2 });
-            const pmLabel = { mpesa: 'M-Pesa', card: 'Card', cod: 'Cash on Delivery' };
             doc.font('Helvetica').fontSize(11).fillColor(C.coffeeDark)
-                .text(pmLabel[order.paymentMethod?.toLowerCase()] || order.paymentMethod?.toUpperCase() || '—', 370, metaY + 13);
+                .text(paymentMethodsOf(order), 370, metaY + 13, { width: W - M - 370 });
 
-            // Status badge (paid / pending)
+            // Status badge (paid / part paid / pending)
             const statusPaid = order.paymentStatus === 'paid';
             const badgeColor = statusPaid ? C.green : '#B45309';
-            const badgeLabel = statusPaid ? '✓ PAID' : '⏳ PENDING';
+            const badgeLabel = statusPaid ? '✓ PAID' : order.paymentStatus === 'partially_paid' ? 'PART PAID' : '⏳ PENDING';
             doc.roundedRect(M, metaY + 37, 60, 16, 4).fill(statusPaid ? '#ECFDF5' : '#FEF3C7');
             doc.font('Helvetica-Bold').fontSize(7).fillColor(badgeColor)
                 .text(badgeLabel, M + 4, metaY + 42, { characterSpacing: 0.8 });
@@ -220,12 +230,61 @@ export const generateInvoice = (order, res = null) => {
 
             totRow('Subtotal', `KSh ${(order.subtotal || 0).toLocaleString()}`);
             totRow('Shipping & Handling', `KSh ${(order.shippingCost || 0).toLocaleString()}`);
+            (order.promotions || []).filter(p => p.discount > 0).forEach(p => {
+                totRow(p.name, `−KSh ${p.discount.toLocaleString()}`);
+            });
             if ((order.discountAmount || 0) > 0) {
                 totRow('Discount', `−KSh ${(order.discountAmount || 0).toLocaleString()}`);
             }
+            if ((order.loyaltyDiscount || 0) > 0) {
+                totRow(`Loyalty Points (${order.loyaltyPointsRedeemed})`, `−KSh ${order.loyaltyDiscount.toLocaleString()}`);
+            }
+            if ((order.giftCardAmount || 0) > 0) {
+                totRow('Gift Card', `−KSh ${order.giftCardAmount.toLocaleString()}`);
+            }
+            if ((order.storeCreditAmount || 0) > 0) {
+                totRow('Store Credit', `−KSh ${order.storeCreditAmount.toLocaleString()}`);
+            }
             totRow('Grand Total', `KSh ${(order.total || 0).toLocaleString()}`,
                 { bold: true, large: true, highlight: true });
 
+            // ════════════════════════════════════════════════════════════
+            // 5b. PAYMENTS RECEIVED — one row per payment (deposit, balance, ...)
+            // ════════════════════════════════════════════════════════════
+            const payments = order.payments || [];
+            if (payments.length) {
+                // Keep clear of the footer band
+                if (totY + 60 + payments.length * 18 > H - 70) {
+                    doc.addPage();
+                    totY = M;
+                }
+
+                doc.font('Helvetica-Bold').fontSize(8).fillColor(C.gold)
+                    .text('PAYMENTS RECEIVED', M, totY, { characterSpacing: 1.5 });
+                hr(doc, totY + 12, { color: C.gold, thick: 1 });
+                totY += 20;
+
+                payments.forEach(payment => {
+                    doc.font('Helvetica').fontSize(9).fillColor(C.textMid)
+                        .text(new Date(payment.paidAt).toLocaleDateString('en-KE', { year: 'numeric', month: 'short', day: 'numeric' }), M, totY)
+                        .text(paymentLabel(payment.method), 150, totY)
+                        .text(payment.reference || '—', 260, totY, { width: 190 })
+                        .font('Helvetica-Bold').fillColor(C.textDark);
+                    textRight(doc, `KSh ${(payment.amount || 0).toLocaleString()}`, totY);
+                    totY += 18;
+                });
+
+                hr(doc, totY);
+                totY += 10;
+                const amountPaid = order.amountPaid || payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+                totRow('Amount Paid', `KSh ${amountPaid.toLocaleString()}`, { bold: true });
+                const balanceDue = Math.max(0, (order.total || 0) - amountPaid);
+                if (balanceDue > 0) {
+                    totRow(order.balancePaymentMethod === 'cod' ? 'Balance Due on Delivery' : 'Balance Due',
+                        `KSh ${balanceDue.toLocaleString()}`, { bold: true });
+                }
+            }
+
             // ════════════════════════════════════════════════════════════
             // 6. FOOTER
             // ════════════════════════════════════════════════════════════
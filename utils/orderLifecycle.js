@@ -0,0 +1,295 @@
+// utils/orderLifecycle.js
+// The order state machine: which orderStatus / paymentStatus / fulfillmentStatus
+// moves are legal, the guards that sit on top of them, and what happens after
+// a move (events, tracking history, restock, loyalty points, customer email). Every status
+// change — admin screens, payment callbacks, refunds — goes through here.
+import mongoose from 'mongoose';
+import Settings from '../models/Settings.js';
+import sendEmail from './sendEmail.js';
+import { getOrderStatusEmail } from './emailTemplates.js';
+import { releaseOrderStock, RESTOCKABLE_FULFILLMENT } from './stockReservation.js';
+import { awardOrderPoints } from '../services/loyaltyService.js';
+
+export const ORDER_TRANSITIONS = {
+  orderStatus: {
+    open: ['completed', 'cancelled'],
+    completed: ['open'],
+    cancelled: ['open']
+  },
+  paymentStatus: {
+    pending: ['partially_paid', 'paid', 'failed'],
+    failed: ['pending', 'partially_paid', 'paid'],
+    partially_paid: ['paid', 'partially_refunded', 'refunded'],
+    paid: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    refunded: []
+  },
+  fulfillmentStatus: {
+    unfulfilled: ['packed', 'partially_shipped', 'shipped'],
+    packed: ['unfulfilled', 'partially_shipped', 'shipped'],
+    partially_shipped: ['shipped', 'delivered'],
+    shipped: ['delivered', 'returned'],
+    delivered: ['returned'],
+    returned: []
+  }
+};
+
+export const FULFILLMENT_LABELS = {
+  unfulfilled: 'Confirmed',
+  packed: 'Processing',
+  partially_shipped: 'Partially Shipped',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  returned: 'Returned'
+};
+
+// Payment states where the customer's money is (at least partly) with us
+export const SETTLED_PAYMENT = ['paid', 'partially_refunded'];
+
+const FIELD_LABELS = {
+  orderStatus: 'Lifecycle',
+  paymentStatus: 'Payment',
+  fulfillmentStatus: 'Fulfillment'
+};
+
+const EVENT_BY_FIELD = {
+  orderStatus: 'ORDER_UPDATE',
+  paymentStatus: 'PAYMENT_UPDATE',
+  fulfillmentStatus: 'FULFILLMENT_UPDATE'
+};
+
+// Provider callbacks record the outcome rather than a manual edit
+const PAYMENT_EVENTS = {
+  partially_paid: 'PAYMENT_PARTIAL',
+  paid: 'PAYMENT_CONFIRMED',
+  failed: 'PAYMENT_FAILED'
+};
+
+const NOTIFY_FULFILLMENT = ['partially_shipped', 'shipped', 'delivered', 'returned'];
+
+// Guard failures carry a status code for the controller to respond with
+const lifecycleError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const valueLabel = (field, value) => field === 'fulfillmentStatus' ? FULFILLMENT_LABELS[value] || value : value;
+
+// Fields in `target` that would actually change
+const changedFields = (order, target) => Object.keys(FIELD_LABELS)
+  .filter(field => target[field] && target[field] !== order[field]);
+
+// Business rules on top of the transition table. Each sees the order's
+// state after the move (`next`) and returns a message when it's not allowed.
+const GUARDS = [
+  ({ order, next, changed, source }) => changed.includes('paymentStatus') &&
+    ['refunded', 'partially_refunded'].includes(next.paymentStatus) && source !== 'refund' &&
+    'Refunds are issued from the order\'s Refunds tab so the amount, stock and credit note are recorded',
+
+  ({ next, changed, source }) => changed.includes('paymentStatus') &&
+    next.paymentStatus === 'partially_paid' && source !== 'payment' &&
+    'Part payments are recorded with the amount received, not set by hand',
+
+  // Cancelling returns stock; reopening can't take it back out again
+  ({ order, next, changed }) => changed.includes('orderStatus') &&
+    order.orderStatus === 'cancelled' && next.orderStatus !== 'cancelled' && order.stockReleasedAt &&
+    'This order\'s stock has already been returned to inventory. Please place a new order instead of reopening it.',
+
+  ({ order, next, changed }) => changed.includes('orderStatus') && next.orderStatus === 'cancelled' &&
+    !RESTOCKABLE_FULFILLMENT.includes(next.fulfillmentStatus) &&
+    `Order #${order.orderNumber} has already ${next.fulfillmentStatus === 'returned' ? 'been returned' : 'shipped'} — record a return instead of cancelling it`,
+
+  ({ next, changed }) => changed.includes('fulfillmentStatus') && next.orderStatus === 'cancelled' &&
+    next.fulfillmentStatus !== 'returned' &&
+    'Cancelled orders can\'t be fulfilled',
+
+  // Split orders move with their parcels; only a return is recorded by hand
+  ({ order, next, changed, source }) => changed.includes('fulfillmentStatus') && source !== 'shipment' &&
+    (order.shipments?.length || next.fulfillmentStatus === 'partially_shipped') && next.fulfillmentStatus !== 'returned' &&
+    `Order #${order.orderNumber} ships in parcels — update its shipments instead`,
+
+  ({ order, next, changed }) => changed.includes('fulfillmentStatus') &&
+    ['partially_shipped', 'shipped', 'delivered'].includes(next.fulfillmentStatus) &&
+    order.paymentMethod !== 'cod' && !SETTLED_PAYMENT.includes(next.paymentStatus) &&
+    !(order.balancePaymentMethod === 'cod' && next.paymentStatus === 'partially_paid') &&
+    `Order #${order.orderNumber} hasn't been paid (${next.paymentStatus}) — only cash on delivery orders (or balances) can ship before payment`,
+
+  // Parcels carry their own tracking numbers
+  ({ order, next, changed, source, trackingNumber }) => changed.includes('fulfillmentStatus') && source !== 'shipment' &&
+    next.fulfillmentStatus === 'shipped' && !trackingNumber && !order.trackingNumber &&
+    'Tracking number is required when marking an order as shipped.',
+
+  ({ next, changed }) => changed.includes('orderStatus') && next.orderStatus === 'completed' &&
+    !['delivered', 'returned'].includes(next.fulfillmentStatus) &&
+    'Only delivered orders can be completed',
+
+  ({ next, changed }) => changed.includes('orderStatus') && next.orderStatus === 'completed' &&
+    ['pending', 'failed', 'partially_paid'].includes(next.paymentStatus) &&
+    'Record the payment before completing the order'
+];
+
+/**
+ * Check a status change without applying it.
+ *
+ * @param {Document} order
+ * @param {Object} target - { orderStatus?, paymentStatus?, fulfillmentStatus? }
+ * @param {Object} [context]
+ * @param {String} [context.source] - 'admin' | 'payment' | 'refund' | 'shipment' | 'system'
+ * @param {String} [context.trackingNumber] - Tracking number arriving with the change
+ * @returns {String|null} Why the change is not allowed, or null
+ */
+export const getTransitionError = (order, target, { source = 'admin', trackingNumber } = {}) => {
+  const changed = changedFields(order, target);
+
+  for (const field of changed) {
+    const allowed = ORDER_TRANSITIONS[field][order[field]];
+    if (!allowed) return `Unknown ${FIELD_LABELS[field].toLowerCase()} status "${order[field]}"`;
+    if (!allowed.includes(target[field])) {
+      return `${FIELD_LABELS[field]} can't move from ${valueLabel(field, order[field])} to ${valueLabel(field, target[field])}`;
+    }
+  }
+
+  const next = {
+    orderStatus: target.orderStatus || order.orderStatus,
+    paymentStatus: target.paymentStatus || order.paymentStatus,
+    fulfillmentStatus: target.fulfillmentStatus || order.fulfillmentStatus
+  };
+
+  for (const guard of GUARDS) {
+    const message = guard({ order, next, changed, source, trackingNumber });
+    if (message) return message;
+  }
+  return null;
+};
+
+/**
+ * Throw a 400 (with statusCode) if the change is not allowed.
+ */
+export const assertTransition = (order, target, context) => {
+  const message = getTransitionError(order, target, context);
+  if (message) throw lifecycleError(message);
+};
+
+// Customer email for a status change. Never throws.
+const notifyStatusChange = async (order, message) => {
+  const email = order.user?.email || order.shippingAddress?.email;
+  if (!email) return;
+
+  try {
+    const settings = await Settings.getSettings();
+    const status = FULFILLMENT_LABELS[order.fulfillmentStatus] || order.fulfillmentStatus;
+
+    await sendEmail({
+      to: email,
+      subject: `Order Update: ${status} - #${order.orderNumber}`,
+      html: getOrderStatusEmail(
+        order.user?.firstName || order.shippingAddress?.firstName || 'Customer',
+        order.orderNumber,
+        status,
+        order.trackingNumber,
+        message || `Your order is now ${status}.`,
+        settings?.store?.logo
+      )
+    });
+    console.log(`📧 Status update email sent to ${email}`);
+  } catch (err) {
+    console.error('❌ Failed to send status update email:', err.message);
+  }
+};
+
+/**
+ * Validate, apply and save a status change, then run its side effects:
+ * order events, tracking history, deliveredAt, stock release on cancellation,
+ * loyalty points on delivery and the customer email. Unchanged fields are ignored.
+ *
+ * @param {Document} order
+ * @param {Object} target - { orderStatus?, paymentStatus?, fulfillmentStatus? }
+ * @param {Object} [context]
+ * @param {ObjectId} [context.user] - Who made the change (null for the system)
+ * @param {String} [context.actor] - Shown in event notes, e.g. 'admin' or 'M-Pesa callback'
+ * @param {String} [context.source] - 'admin' | 'payment' | 'refund' | 'shipment' | 'system'
+ * @param {String} [context.note] - Event note override
+ * @param {String} [context.trackingNumber]
+ * @param {String} [context.location] - Tracking history location
+ * @param {String} [context.message] - Customer-facing message; always emailed when set
+ * @param {Boolean} [context.notify] - Email the customer (default true)
+ * @returns {Promise<{ order: Document, changes: String[] }>}
+ */
+export const transitionOrder = async (order, target, context = {}) => {
+  const {
+    user = null,
+    actor = 'admin',
+    source = 'admin',
+    note,
+    trackingNumber,
+    location,
+    message,
+    notify = true
+  } = context;
+
+  assertTransition(order, target, { source, trackingNumber });
+
+  const changed = changedFields(order, target);
+  const changes = [];
+  const wasCancelled = order.orderStatus === 'cancelled';
+
+  for (const field of changed) {
+    const value = target[field];
+    order[field] = value;
+    changes.push(`${FIELD_LABELS[field]}: ${valueLabel(field, value)}`);
+    order.orderEvents.push({
+      status: source === 'payment' && PAYMENT_EVENTS[value] ? PAYMENT_EVENTS[value] : EVENT_BY_FIELD[field],
+      note: note || `${FIELD_LABELS[field]} status changed to ${valueLabel(field, value)} by ${actor}`,
+      user
+    });
+  }
+
+  if (changed.includes('fulfillmentStatus') && order.fulfillmentStatus === 'delivered') {
+    order.deliveredAt = new Date(); // Starts the return window
+  }
+  if (trackingNumber) order.trackingNumber = trackingNumber;
+
+  if (changes.length > 0) {
+    order.statusUpdatedAt = new Date();
+    // Legacy tracking history, still read by the customer tracking page
+    order.trackingHistory.push({
+      status: (FULFILLMENT_LABELS[order.fulfillmentStatus] || order.fulfillmentStatus).toLowerCase(),
+      location: location || '',
+      message: message || changes.join('. '),
+      timestamp: new Date()
+    });
+  }
+
+  // Guards only let open, unshipped orders be cancelled, so the stock is still ours.
+  // The cancellation and the release commit together: an order is never left
+  // cancelled with its stock, redemptions and points still held.
+  if (!wasCancelled && order.orderStatus === 'cancelled') {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await order.save({ session });
+      await releaseOrderStock(order._id, {
+        reason: 'cancellation_restock',
+        user,
+        note: `Order cancelled by ${actor} — stock returned to inventory`
+      }, session);
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  } else {
+    await order.save();
+  }
+
+  if (changed.includes('fulfillmentStatus') && order.fulfillmentStatus === 'delivered') {
+    await awardOrderPoints(order._id);
+  }
+
+  const fulfillmentNotice = changed.includes('fulfillmentStatus') && NOTIFY_FULFILLMENT.includes(order.fulfillmentStatus);
+  if (notify && (fulfillmentNotice || message)) {
+    if (!order.populated('user')) await order.populate('user', 'firstName lastName email');
+    await notifyStatusChange(order, message);
+  }
+
+  return { order, changes };
+};
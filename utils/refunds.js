@@ -0,0 +1,271 @@
+// utils/refunds.js
+// Refund core shared by the admin refunds endpoint and received returns (RMA):
+// works out the amount, restocks, writes the Refund + PaymentTransaction and
+// updates the order — all inside the caller's transaction.
+import Refund from '../models/Refund.js';
+import RoastBatch from '../models/RoastBatch.js';
+import PaymentTransaction from '../models/PaymentTransaction.js';
+import Settings from '../models/Settings.js';
+import sendEmail from './sendEmail.js';
+import { getCreditNoteEmail } from './emailTemplates.js';
+import { restockOrderLine } from './stockReservation.js';
+import { assertTransition, SETTLED_PAYMENT } from './orderLifecycle.js';
+import { reverseRefundedPoints } from '../services/loyaltyService.js';
+import { refundOrderRedemptions } from '../services/storeCreditService.js';
+
+export const REFUNDABLE_PAYMENT = [...SETTLED_PAYMENT, 'partially_paid'];
+
+// PaymentTransaction ledger name for each order.paymentMethod
+const PROVIDER_BY_METHOD = {
+  mpesa: 'MPESA',
+  card: 'STRIPE',
+  paypal: 'PAYPAL',
+  airtel: 'AIRTEL',
+  airtel_money: 'AIRTEL',
+  cod: 'CASH',
+  gift_card: 'GIFT_CARD',
+  store_credit: 'STORE_CREDIT'
+};
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// What the customer actually paid. Orders paid before amountPaid was tracked
+// have 0 there and were paid in full.
+export const paidAmountOf = (order) => order.amountPaid > 0 ? order.amountPaid : order.total;
+
+// Everything the customer put into the order: the payments plus the gift card
+// and store credit spent at checkout (order.total is only what was left after those)
+export const receivedAmountOf = (order) =>
+  roundMoney(paidAmountOf(order) + (order.giftCardAmount || 0) + (order.storeCreditAmount || 0));
+
+// Validation failures carry a status code for the controller to respond with
+const refundError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Take `quantity` units off a line's roast batch allocations (newest first) and
+// put them back on the batches, so the order keeps only what the customer kept
+const returnBatchUnits = async (item, quantity, session) => {
+  const returned = [];
+  let remaining = quantity;
+  for (let i = item.batchAllocations.length - 1; i >= 0 && remaining > 0; i--) {
+    const allocation = item.batchAllocations[i];
+    const take = Math.min(remaining, allocation.quantity);
+    returned.push({ batch: allocation.batch, quantity: take });
+    allocation.quantity -= take;
+    remaining -= take;
+  }
+  item.batchAllocations = item.batchAllocations.filter(a => a.quantity > 0);
+  await RoastBatch.returnAllocations(returned, session);
+};
+
+/**
+ * Refund an order in full or by line. Saves the order.
+ *
+ * @param {Document} order - Order loaded in `session`
+ * @param {Object} options
+ * @param {String} options.type - 'full' | 'partial'
+ * @param {Array} [options.lines] - [{ item: orderItemId, quantity }] for partial refunds
+ * @param {Boolean} [options.refundShipping]
+ * @param {Number} [options.amount] - Override for goodwill / adjusted partial refunds
+ * @param {String} options.reason
+ * @param {Boolean} [options.restock] - Put refunded units back into stock
+ * @param {ObjectId} options.user - Admin issuing the refund
+ * @param {ObjectId} [options.returnRequest] - RMA this refund settles
+ * @returns {Promise<{ refund: Document, restocked: Boolean, restockSkipped: Boolean }>}
+ */
+export const issueRefund = async (order, {
+  type = 'partial',
+  lines = [],
+  refundShipping = false,
+  amount: amountOverride,
+  reason,
+  note,
+  restock = false,
+  providerReference,
+  user,
+  returnRequest
+}, session) => {
+  if (!['full', 'partial'].includes(type)) throw refundError('Refund type must be full or partial');
+  if (!reason?.trim()) throw refundError('Please give a reason for the refund');
+
+  if (!REFUNDABLE_PAYMENT.includes(order.paymentStatus)) {
+    throw refundError(`Only paid orders can be refunded (payment is ${order.paymentStatus})`);
+  }
+
+  const paid = paidAmountOf(order);
+  const received = receivedAmountOf(order);
+  const refundable = roundMoney(received - (order.refundedAmount || 0));
+  if (refundable <= 0) throw refundError('This order has already been refunded in full');
+
+  // The order discount (promotions and loyalty points included) is spread across lines in proportion to their value
+  const orderDiscount = (order.discountAmount || 0) + (order.promotionDiscount || 0) + (order.loyaltyDiscount || 0);
+  const discountRatio = order.subtotal > 0 ? Math.min(1, orderDiscount / order.subtotal) : 0;
+  const previousRefunds = await Refund.find({ order: order._id }).select('amount shippingAmount giftCardAmount storeCreditAmount').session(session);
+  const shippingRemaining = roundMoney(order.shippingCost - previousRefunds.reduce((sum, r) => sum + (r.shippingAmount || 0), 0));
+
+  // Resolve which units are being refunded
+  const requested = type === 'full'
+    ? order.items.map(item => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) }))
+    : lines.map(line => {
+      const item = order.items.id(line.item);
+      if (!item) throw refundError(`Order line ${line.item} not found`);
+      const quantity = parseInt(line.quantity);
+      const available = item.quantity - (item.refundedQuantity || 0);
+      if (isNaN(quantity) || quantity < 1 || quantity > available) {
+        throw refundError(`${item.name} (${item.size}): can refund between 1 and ${available} units`);
+      }
+      return { item, quantity };
+    });
+
+  const refundLines = requested
+    .filter(r => r.quantity > 0)
+    .map(({ item, quantity }) => ({
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      size: item.size,
+      quantity,
+      unitPrice: item.price,
+      amount: roundMoney(item.price * quantity * (1 - discountRatio))
+    }));
+
+  const shippingAmount = type === 'full' || refundShipping ? Math.max(0, shippingRemaining) : 0;
+
+  let amount;
+  if (type === 'full') {
+    amount = refundable;
+  } else if (amountOverride !== undefined && amountOverride !== '' && amountOverride !== null) {
+    // Goodwill / adjusted amounts, with or without lines attached
+    amount = roundMoney(parseFloat(amountOverride));
+    if (isNaN(amount) || amount <= 0) throw refundError('Refund amount must be a positive number');
+  } else {
+    amount = roundMoney(refundLines.reduce((sum, l) => sum + l.amount, 0) + shippingAmount);
+  }
+
+  if (amount <= 0) throw refundError('Choose the lines to refund, include shipping, or enter an amount');
+  if (amount > refundable) {
+    throw refundError(`Refund of KES ${amount.toLocaleString()} exceeds the KES ${refundable.toLocaleString()} still refundable on this order`);
+  }
+
+  // Money goes back the reverse of how checkout took it: the payment, then
+  // store credit, then the gift card
+  const previously = (field) => previousRefunds.reduce((sum, r) => sum + (r[field] || 0), 0);
+  const previousToBalances = previously('giftCardAmount') + previously('storeCreditAmount');
+  const toProvider = roundMoney(Math.min(amount, Math.max(0, paid - (previously('amount') - previousToBalances))));
+  const storeCreditAmount = roundMoney(Math.min(amount - toProvider, Math.max(0, (order.storeCreditAmount || 0) - previously('storeCreditAmount'))));
+  const giftCardAmount = roundMoney(amount - toProvider - storeCreditAmount);
+
+  // Stock for a cancelled order has already gone back via releaseOrderStock
+  const wantsRestock = restock === true || restock === 'true';
+  const shouldRestock = wantsRestock && !order.stockReleasedAt;
+
+  for (const line of refundLines) {
+    const item = order.items.id(line.item);
+    item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+
+    if (shouldRestock) {
+      await restockOrderLine(item, line.quantity, { reason: 'return', order: order._id, user }, session);
+      // Bundle allocations are per component, so they stay on the order as a record
+      if (!item.bundleComponents?.length) await returnBatchUnits(item, line.quantity, session);
+      item.restockedQuantity = (item.restockedQuantity || 0) + line.quantity;
+      line.restocked = true;
+    }
+  }
+
+  const [refund] = await Refund.create([{
+    order: order._id,
+    returnRequest,
+    type,
+    lines: refundLines,
+    shippingAmount,
+    amount,
+    giftCardAmount,
+    storeCreditAmount,
+    reason: reason.trim(),
+    note,
+    providerReference,
+    processedBy: user
+  }], { session });
+
+  // Balances are put back here; provider money moves afterwards (sendRefundToProvider)
+  const backOnBalances = await refundOrderRedemptions(order, {
+    giftCardAmount,
+    storeCreditAmount,
+    refundNumber: refund.refundNumber,
+    user
+  }, session);
+
+  // One ledger entry per place the money went back to
+  const ledger = [
+    [toProvider, PROVIDER_BY_METHOD[order.paymentMethod], refund.refundNumber],
+    [storeCreditAmount, 'STORE_CREDIT', `${refund.refundNumber}-SC`],
+    [giftCardAmount, 'GIFT_CARD', `${refund.refundNumber}-GC`]
+  ].filter(([part]) => part > 0);
+  const transactions = [];
+  for (const [part, provider, transactionId] of ledger) {
+    const [transaction] = await PaymentTransaction.create([{
+      order: order._id,
+      provider,
+      type: 'REFUND',
+      transactionId,
+      amount: part,
+      currency: refund.currency,
+      status: 'SUCCESS',
+      metadata: {
+        refund: refund._id,
+        refundNumber: refund.refundNumber,
+        originalTransactionId: order.transactionId,
+        providerReference,
+        processedBy: user
+      }
+    }], { session });
+    transactions.push(transaction);
+  }
+
+  refund.paymentTransaction = transactions[0]._id;
+  await refund.save({ session });
+
+  order.refundedAmount = roundMoney((order.refundedAmount || 0) + amount);
+  const pointsReversed = await reverseRefundedPoints(order, amount, received, session);
+  const paymentStatus = order.refundedAmount >= received ? 'refunded' : 'partially_refunded';
+  assertTransition(order, { paymentStatus }, { source: 'refund' });
+  order.paymentStatus = paymentStatus;
+  order.orderEvents.push({
+    status: 'REFUND_ISSUED',
+    note: `${type === 'full' ? 'Full' : 'Partial'} refund ${refund.refundNumber} of KES ${amount.toLocaleString()}: ${refund.reason}${shouldRestock ? ' (items restocked)' : ''}${backOnBalances.length ? ` — ${backOnBalances.join(', ')}` : ''}${pointsReversed ? ` — ${pointsReversed} loyalty points taken back` : ''}`,
+    user
+  });
+  await order.save({ session });
+
+  return { refund, restocked: shouldRestock, restockSkipped: wantsRestock && !shouldRestock };
+};
+
+/**
+ * Email the customer a credit note for a committed refund. Never throws.
+ * `order.user` should be populated for the fallback name/email.
+ */
+export const sendCreditNote = async (order, refund) => {
+  const customerEmail = order.shippingAddress?.email || order.user?.email;
+  if (!customerEmail) return;
+
+  try {
+    const settings = await Settings.getSettings();
+    await sendEmail({
+      to: customerEmail,
+      subject: `Credit Note ${refund.refundNumber} - Order #${order.orderNumber}`,
+      html: getCreditNoteEmail(order.shippingAddress?.firstName || order.user?.firstName || 'Customer', {
+        orderNumber: order.orderNumber,
+        refundNumber: refund.refundNumber,
+        lines: refund.lines,
+        shippingAmount: refund.shippingAmount,
+        amount: refund.amount,
+        reason: refund.reason,
+        paymentMethod: order.paymentMethod,
+        issuedAt: refund.createdAt
+      }, settings?.store?.logo)
+    });
+    refund.creditNoteSentAt = new Date();
+    await refund.save();
+  } catch (err) {
+    console.error('❌ Credit Note Email Error:', err.message);
+  }
+};
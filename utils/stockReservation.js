@@ -0,0 +1,197 @@
+// utils/stockReservation.js
+// Takes order lines out of stock (checkout and subscription renewals), and
+// returns an order's reserved stock to inventory exactly once — used by the
+// expiry worker and by cancellations in the order lifecycle. Any gift card,
+// store credit or loyalty points spent on the order go back in the same transaction.
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import RoastBatch from '../models/RoastBatch.js';
+import { restoreOrderRedemptions } from '../services/storeCreditService.js';
+import { restoreOrderPoints } from '../services/loyaltyService.js';
+import { sendLowStockAlert } from './adminNotificationService.js';
+
+// Goods still in the warehouse; once shipped, stock comes back through a return instead
+export const RESTOCKABLE_FULFILLMENT = ['unfulfilled', 'packed'];
+
+// Bundle contents for an order line: the snapshot taken at checkout, or the
+// product's current bundleDetails for orders placed before snapshots existed
+const bundleComponentsFor = async (item, session) => {
+  if (item.bundleComponents?.length) return item.bundleComponents;
+  const product = await Product.findById(item.product).select('isBundle bundleDetails').session(session);
+  return product?.isBundle ? product.bundleDetails : null;
+};
+
+/**
+ * Take one order line out of stock, expanding bundles into their components,
+ * and record which roast batches the bags came from (oldest first). Throws
+ * when there isn't enough stock, so the caller's transaction rolls back.
+ *
+ * @param {Object} item - Line item of the saved order (batchAllocations are set on it)
+ * @param {Object} movement - StockMovement fields ({ order, user })
+ * @param {ClientSession} session
+ */
+export const reserveOrderLine = async (item, { order, user }, session) => {
+  // Gift cards are issued on payment, not taken from stock
+  if (item.isGiftCard) return;
+
+  const components = await bundleComponentsFor(item, session);
+  if (components) {
+    // Decrement from kids if it's a bundle
+    for (const detail of components) {
+      const totalToDecrement = detail.quantity * item.quantity;
+
+      const updatedChild = await Product.reserveVariantStock(detail.product, detail.size, totalToDecrement, session, {
+        order,
+        user,
+        note: `Bundle component of ${item.name}`
+      });
+
+      if (!updatedChild) {
+        throw new Error(`Insufficient stock for bundle component: ${detail.product}`);
+      }
+
+      const componentVariant = updatedChild.getVariant(detail.size);
+      item.batchAllocations.push(
+        ...await RoastBatch.allocateFIFO(detail.product, componentVariant?.size, totalToDecrement, session)
+      );
+    }
+    return;
+  }
+
+  // Standard Atomic Update for the ordered size
+  const updatedProduct = await Product.reserveVariantStock(item.product, item.size, item.quantity, session, { order, user });
+
+  if (!updatedProduct) {
+    throw new Error(`Insufficient stock for product: ${item.name} (${item.size})`);
+  }
+
+  // Traceability: record which roast batches these bags came from (oldest first)
+  const updatedVariant = updatedProduct.getVariant(item.size);
+  item.batchAllocations = await RoastBatch.allocateFIFO(item.product, updatedVariant?.size, item.quantity, session);
+
+  // Low Stock Alert
+  const remaining = updatedVariant ? updatedVariant.stock : updatedProduct.inventory.stock;
+  const threshold = updatedVariant ? updatedVariant.lowStockAlert : updatedProduct.inventory.lowStockAlert;
+  if (remaining <= threshold) {
+    sendLowStockAlert(updatedProduct, updatedVariant).catch(console.error);
+  }
+};
+
+/**
+ * Put `quantity` units of one order line back into stock, expanding bundles
+ * into their components. Used by order release and by refunds.
+ *
+ * @param {Object} item - Order line item
+ * @param {Number} quantity - Units of the line to restock
+ * @param {Object} movement - StockMovement fields ({ reason, order, user })
+ * @param {ClientSession} session
+ */
+export const restockOrderLine = async (item, quantity, { reason, order, user }, session) => {
+  // Gift cards aren't stocked
+  if (item.isGiftCard) return;
+
+  const components = await bundleComponentsFor(item, session);
+  const lines = components
+    ? components.map(c => ({
+      product: c.product,
+      size: c.size,
+      quantity: c.quantity * quantity,
+      note: `Bundle component of ${item.name}`
+    }))
+    : [{ product: item.product, size: item.size, quantity }];
+
+  for (const line of lines) {
+    const restocked = await Product.releaseVariantStock(line.product, line.size, line.quantity, session, {
+      reason,
+      order,
+      user,
+      note: line.note
+    });
+    if (!restocked) {
+      console.warn(`⚠️ [Stock] Product ${line.product} no longer exists — ${line.quantity} units not restocked`);
+    }
+  }
+};
+
+/**
+ * Release every line item (and bundle component) of an order back to stock.
+ * The order is claimed by setting stockReleasedAt in the same transaction as
+ * the restock, so concurrent or repeated calls can never restock twice.
+ *
+ * @param {ObjectId|String} orderId
+ * @param {Object} options
+ * @param {String} options.reason - StockMovement reason ('cancellation_restock' | 'reservation_expired')
+ * @param {ObjectId} [options.user] - Admin/customer who triggered it (null if system)
+ * @param {String} [options.note] - Order event note
+ * @param {String} [options.eventStatus] - Order event status, default 'STOCK_RELEASED'
+ * @param {Object} [options.filter] - Extra conditions the order must still meet
+ * @param {Object} [options.set] - Extra fields to set on the order in the same write
+ * @param {ClientSession} [outerSession] - Run in the caller's transaction (the caller commits)
+ * @returns {Promise<{ released: Boolean, order?: Object }>}
+ */
+export const releaseOrderStock = async (orderId, {
+  reason = 'cancellation_restock',
+  user = null,
+  note = 'Reserved stock returned to inventory',
+  eventStatus = 'STOCK_RELEASED',
+  filter = {},
+  set = {}
+} = {}, outerSession = null) => {
+  const session = outerSession || await mongoose.startSession();
+  if (!outerSession) session.startTransaction();
+
+  try {
+    const order = await Order.findOneAndUpdate(
+      { ...filter, _id: orderId, stockReleasedAt: null },
+      {
+        $set: { ...set, stockReleasedAt: new Date() },
+        $push: { orderEvents: { status: eventStatus, note, user } }
+      },
+      { new: true, session }
+    );
+
+    // Already released (or no longer eligible) — nothing to do
+    if (!order) {
+      if (!outerSession) {
+        await session.abortTransaction();
+        session.endSession();
+      }
+      return { released: false };
+    }
+
+    for (const item of order.items) {
+      // Units already restocked by a refund are not released twice
+      const quantity = item.quantity - (item.restockedQuantity || 0);
+      if (quantity > 0) {
+        await restockOrderLine(item, quantity, { reason, order: order._id, user }, session);
+      }
+
+      // The bags go back on the roast batches they were allocated from
+      await RoastBatch.returnAllocations(item.batchAllocations, session);
+    }
+
+    const restored = [
+      ...await restoreOrderRedemptions(order, { user }, session),
+      ...await restoreOrderPoints(order, session)
+    ];
+    if (restored.length) {
+      order.orderEvents.push({ status: 'CREDIT_RESTORED', note: restored.join('; '), user });
+      await order.save({ session });
+    }
+
+    if (!outerSession) {
+      await session.commitTransaction();
+      session.endSession();
+    }
+
+    console.log(`📦 [Stock] Released stock for order #${order.orderNumber} (${reason})`);
+    return { released: true, order };
+  } catch (error) {
+    if (!outerSession) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    throw error;
+  }
+};
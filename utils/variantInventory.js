@@ -0,0 +1,60 @@
+// utils/variantInventory.js
+// Helpers for per-size (variant) stock coming in from the product forms.
+
+/**
+ * True when at least one size in the payload carries its own stock figure.
+ */
+export const hasVariantStock = (sizes = []) =>
+  sizes.some(s => s.stock !== undefined && s.stock !== null && s.stock !== '');
+
+/**
+ * Normalise a sizes payload into schema shape.
+ * Stock/threshold fall back to the existing size of the same name so a
+ * price-only edit never wipes inventory.
+ */
+export const normalizeSizes = (sizes, { existingSizes = [], lowStockAlert = 5 } = {}) =>
+  sizes.map((size, index) => {
+    const price = parseFloat(size.price);
+    if (isNaN(price) || price <= 0) {
+      throw new Error(`Invalid price for size ${size.size} at position ${index + 1}`);
+    }
+
+    const existing = existingSizes.find(s => s.size === size.size);
+
+    let stock = existing?.stock ?? 0;
+    if (size.stock !== undefined && size.stock !== null && size.stock !== '') {
+      stock = parseInt(size.stock);
+      if (isNaN(stock) || stock < 0) {
+        throw new Error(`Invalid stock for size ${size.size}`);
+      }
+    }
+
+    let alert = existing?.lowStockAlert ?? lowStockAlert;
+    if (size.lowStockAlert !== undefined && size.lowStockAlert !== null && size.lowStockAlert !== '') {
+      alert = parseInt(size.lowStockAlert);
+      if (isNaN(alert) || alert < 0) {
+        throw new Error(`Invalid low stock alert for size ${size.size}`);
+      }
+    }
+
+    return {
+      size: size.size,
+      price,
+      stock,
+      lowStockAlert: alert
+    };
+  });
+
+/**
+ * Pick the size an admin stock update applies to. Single-size products don't
+ * need to name it; multi-size products must.
+ */
+export const resolveStockVariant = (product, size) => {
+  if (!product.sizes?.length) return { variant: null };
+  if (size) {
+    const variant = product.getVariant(size);
+    return variant ? { variant } : { error: `Size ${size} not found on ${product.name}` };
+  }
+  if (product.sizes.length === 1) return { variant: product.sizes[0] };
+  return { error: 'This product has several sizes. Please specify which size to update.' };
+};